@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// Constant-time string comparison (hash first so lengths don't leak)
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// "alice:secret,bob:hunter2" -> { alice: 'secret', bob: 'hunter2' }
+function parseUsers(value) {
+  const users = {};
+  for (const entry of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      users[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+  }
+  return users;
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// API keys and username/password logins; auth is only enforced once something is configured.
+// Credentials are sent as "Authorization: Bearer <session token or API key>" or "X-API-Key".
+function createAuth({ apiKeys = [], users = {}, sessionTtlMs = 12 * 60 * 60 * 1000 }) {
+  const sessions = new Map(); // token -> { username, expiresAt }
+  const enabled = apiKeys.length > 0 || Object.keys(users).length > 0;
+
+  function pruneSessions() {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(token);
+    }
+  }
+
+  function login(username, password) {
+    const expected = Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+    // Compare even for unknown users so timing doesn't reveal which names exist
+    const valid = safeEqual(password, expected ?? crypto.randomBytes(16).toString('hex')) && expected !== null;
+    if (!valid) return null;
+
+    pruneSessions();
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + sessionTtlMs;
+    sessions.set(token, { username, expiresAt });
+    return { token, expiresAt, username };
+  }
+
+  function logout(token) {
+    sessions.delete(token);
+  }
+
+  function credentialFrom(req) {
+    const header = req.get('authorization') || '';
+    if (header.toLowerCase().startsWith('bearer ')) {
+      return header.slice(7).trim();
+    }
+    return req.get('x-api-key') || null;
+  }
+
+  // Principal for a request: { id, type, name } or null
+  function authenticate(req) {
+    const credential = credentialFrom(req);
+    if (!credential) return null;
+
+    const session = sessions.get(credential);
+    if (session) {
+      if (session.expiresAt > Date.now()) {
+        return { id: `user:${session.username}`, type: 'session', name: session.username };
+      }
+      sessions.delete(credential);
+    }
+
+    const keyIndex = apiKeys.findIndex(key => safeEqual(key, credential));
+    if (keyIndex !== -1) {
+      return { id: `key:${keyIndex}`, type: 'api-key', name: `API key #${keyIndex + 1}` };
+    }
+
+    return null;
+  }
+
+  function middleware(req, res, next) {
+    if (!enabled) return next();
+
+    const principal = authenticate(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+    }
+
+    req.principal = principal;
+    next();
+  }
+
+  return { enabled, login, logout, authenticate, credentialFrom, middleware };
+}
+
+module.exports = { createAuth, parseUsers, parseList };
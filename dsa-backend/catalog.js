@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { hasFolder } = require('./folderTree');
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const MAX_RESULTS = 50;
+
+// Minimal CSV: header row, comma separated, double quotes for fields with commas/quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(cell => cell.trim()));
+  const columns = (header || []).map(name => name.trim().toLowerCase());
+  return records.map(record => Object.fromEntries(columns.map((name, i) => [name, (record[i] || '').trim()])));
+}
+
+// Accept both JSON arrays and CSV rows (tags separated by ";" or "|")
+function normalizeProblem(raw) {
+  const number = Number(raw.number ?? raw.id);
+  const title = String(raw.title || '').trim();
+  if (!Number.isInteger(number) || number <= 0 || !title) return null;
+
+  const tags = Array.isArray(raw.tags)
+    ? raw.tags
+    : String(raw.tags || '').split(/[;|]/);
+  const difficulty = DIFFICULTIES.find(level => level.toLowerCase() === String(raw.difficulty || '').trim().toLowerCase()) || null;
+
+  return {
+    number,
+    slug: String(raw.slug || '').trim() || title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+    title,
+    difficulty,
+    tags: tags.map(tag => String(tag).trim()).filter(Boolean)
+  };
+}
+
+function readProblems(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const raw = path.extname(filePath).toLowerCase() === '.csv' ? parseCsv(text) : JSON.parse(text);
+  if (!Array.isArray(raw)) {
+    throw new Error(`${filePath} must contain an array of problems`);
+  }
+  return raw.map(normalizeProblem).filter(Boolean);
+}
+
+// { rules: [{ tags: [...], folder }], fallback: 'Practice/{difficulty}' }
+function readRules(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    rules: (config.rules || []).map(rule => ({
+      tags: (rule.tags || []).map(tag => String(tag).toLowerCase()),
+      folder: String(rule.folder || '').replace(/^\/+|\/+$/g, '')
+    })).filter(rule => rule.tags.length > 0 && rule.folder),
+    fallback: config.fallback || null
+  };
+}
+
+// "Two Sum II - Input Array Is Sorted" (167) -> "LC_167_Two_Sum_II_Input_Array_Is_Sorted"
+function filenameBase(problem) {
+  const words = problem.title.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return ['LC', problem.number, ...words].join('_');
+}
+
+// Problem catalog loaded from disk; a missing or broken file leaves the catalog empty
+function createCatalog({ problemsPath, rulesPath }) {
+  let problems = [];
+  let rules = { rules: [], fallback: null };
+
+  try {
+    problems = readProblems(problemsPath);
+  } catch (error) {
+    console.warn(`Problem catalog not loaded (${problemsPath}):`, error.message);
+  }
+
+  try {
+    rules = readRules(rulesPath);
+  } catch (error) {
+    console.warn(`Folder rules not loaded (${rulesPath}):`, error.message);
+  }
+
+  const byNumber = new Map(problems.map(problem => [problem.number, problem]));
+  const bySlug = new Map(problems.map(problem => [problem.slug, problem]));
+
+  // First rule whose tag matches and whose folder exists (when the tree is known)
+  function suggestFolder(problem, folderTree) {
+    const exists = (folder) => !folderTree || hasFolder(folderTree, folder);
+    const tags = problem.tags.map(tag => tag.toLowerCase());
+
+    for (const rule of rules.rules) {
+      if (rule.tags.some(tag => tags.includes(tag)) && exists(rule.folder)) {
+        return rule.folder;
+      }
+    }
+
+    if (rules.fallback && (problem.difficulty || !rules.fallback.includes('{difficulty}'))) {
+      const folder = rules.fallback.replace('{difficulty}', problem.difficulty);
+      if (exists(folder)) return folder;
+    }
+
+    return null;
+  }
+
+  function describe(problem, folderTree) {
+    return {
+      ...problem,
+      filenameBase: filenameBase(problem),
+      suggestedFolder: suggestFolder(problem, folderTree)
+    };
+  }
+
+  // "206", "reverse", "linked list" -> best matches first
+  function search(query, limit = 20) {
+    const q = String(query || '').trim().toLowerCase();
+    const max = Math.min(Math.max(Number(limit) || 20, 1), MAX_RESULTS);
+    if (!q) return problems.slice(0, max);
+
+    const scored = [];
+    for (const problem of problems) {
+      const title = problem.title.toLowerCase();
+      let score = 0;
+      if (String(problem.number) === q) score = 100;
+      else if (/^\d+$/.test(q) && String(problem.number).startsWith(q)) score = 60;
+      else if (title.startsWith(q) || problem.slug.startsWith(q)) score = 50;
+      else if (title.includes(q) || problem.slug.includes(q.replace(/\s+/g, '-'))) score = 30;
+      else if (problem.tags.some(tag => tag.toLowerCase().includes(q))) score = 10;
+
+      if (score > 0) scored.push({ problem, score });
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score || a.problem.number - b.problem.number)
+      .slice(0, max)
+      .map(({ problem }) => problem);
+  }
+
+  // By number ("206") or slug ("reverse-linked-list")
+  function lookup(id) {
+    const key = String(id).trim().toLowerCase();
+    return /^\d+$/.test(key) ? byNumber.get(Number(key)) || null : bySlug.get(key) || null;
+  }
+
+  return { size: problems.length, search, lookup, describe };
+}
+
+module.exports = { createCatalog, parseCsv };
@@ -0,0 +1,28 @@
+// Commit message templates. Placeholders are filled from the files actually written
+// (after versioning), so adapters render them at commit time:
+//   {filename}  written filename(s), comma separated
+//   {path}      written path(s), comma separated
+//   {folder}    distinct folder(s) written to
+//   {count}     number of files written
+const DEFAULT_MESSAGE_TEMPLATE = 'Add {filename}';
+const MAX_MESSAGE_LENGTH = 1000;
+
+function renderCommitMessage(template, written) {
+  const paths = written.map(file => file.path);
+  const values = {
+    filename: written.map(file => file.filename).join(', '),
+    path: paths.join(', '),
+    folder: [...new Set(paths.map(p => p.slice(0, p.lastIndexOf('/'))))].join(', '),
+    count: String(written.length)
+  };
+  return String(template).replace(/\{(filename|path|folder|count)\}/g, (_, name) => values[name]);
+}
+
+// Default for batches when no message was given
+function defaultBatchMessage(filenames) {
+  return filenames.length === 1
+    ? `Add ${filenames[0]}`
+    : `Add ${filenames.length} files: ${filenames.join(', ')}`;
+}
+
+module.exports = { DEFAULT_MESSAGE_TEMPLATE, MAX_MESSAGE_LENGTH, renderCommitMessage, defaultBatchMessage };
@@ -0,0 +1,100 @@
+const path = require('path');
+const { languageFromFilename } = require('./languages');
+const { parseSolutionFilename } = require('./indexes');
+
+// Token 4-grams compared with Jaccard similarity; renamed files and reformatting don't matter
+const SHINGLE_SIZE = 4;
+const DEFAULT_THRESHOLD = 0.8;
+const MAX_MATCHES = 10;
+// Content comparison may read files; cap how many per check
+// (same problem first, then same folder, then closest in size)
+const MAX_CONTENT_CANDIDATES = 50;
+
+// Comments and layout don't make two solutions different
+function normalizeCode(content) {
+  return String(content)
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/\/\/.*$/gm, ' ')
+    .replace(/(^|\s)#(?!include\b).*$/gm, ' ')
+    .replace(/^\s*--.*$/gm, ' ');
+}
+
+function shingles(content) {
+  const tokens = normalizeCode(content).match(/[A-Za-z_]\w*|\d+(?:\.\d+)?|\S/g) || [];
+  if (tokens.length < SHINGLE_SIZE) return new Set(tokens.length ? [tokens.join(' ')] : []);
+
+  const result = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    result.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const shingle of a) {
+    if (b.has(shingle)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Solutions that look like the one being submitted: same LC problem number in any folder,
+// or content at least `threshold` similar (same language only, when the filename says which).
+//   submission: { path, filename, content }
+//   files: solution files in the tree ({ path, size }); readShingles(file) -> shingles() of its source
+async function findDuplicates(submission, files, readShingles, { threshold = DEFAULT_THRESHOLD, maxSize = Infinity } = {}) {
+  const { number } = parseSolutionFilename(submission.filename);
+  const language = languageFromFilename(submission.filename);
+  const signature = shingles(submission.content);
+  const length = Buffer.byteLength(submission.content, 'utf8');
+
+  const others = files.filter(file => file.path !== submission.path);
+  const matches = new Map();
+
+  const matchFor = (file) => {
+    if (!matches.has(file.path)) {
+      matches.set(file.path, {
+        path: file.path,
+        folder: path.posix.dirname(file.path),
+        filename: path.posix.basename(file.path),
+        sameProblem: false,
+        similarity: null
+      });
+    }
+    return matches.get(file.path);
+  };
+
+  if (number !== null) {
+    for (const file of others) {
+      if (parseSolutionFilename(path.posix.basename(file.path)).number === number) {
+        matchFor(file).sameProblem = true;
+      }
+    }
+  }
+
+  // Files far off in size can't reach the threshold
+  const folder = submission.path ? path.posix.dirname(submission.path) : null;
+  const rank = (file) => (matches.has(file.path) ? 0 : path.posix.dirname(file.path) === folder ? 1 : 2);
+  const candidates = others
+    .filter(file => (!language || languageFromFilename(file.path) === language) &&
+      file.size <= maxSize && file.size >= length / 3 && file.size <= length * 3)
+    .sort((a, b) => rank(a) - rank(b) || Math.abs(a.size - length) - Math.abs(b.size - length))
+    .slice(0, MAX_CONTENT_CANDIDATES);
+
+  for (const file of candidates) {
+    const score = similarity(signature, await readShingles(file));
+    if (score >= threshold || matches.has(file.path)) {
+      matchFor(file).similarity = Number(score.toFixed(2));
+    }
+  }
+
+  return {
+    problem: number,
+    matches: [...matches.values()]
+      .sort((a, b) => (b.similarity ?? 0) - (a.similarity ?? 0) || Number(b.sameProblem) - Number(a.sameProblem) || a.path.localeCompare(b.path))
+      .slice(0, MAX_MATCHES)
+  };
+}
+
+module.exports = { findDuplicates, similarity, shingles, DEFAULT_THRESHOLD };
@@ -0,0 +1,47 @@
+// Folder trees are nested objects keyed by folder name; leaves are {}.
+//   { DS: { Arrays: {}, Tree: { BST: {} } } }
+
+// Build a nested tree from a flat list of folder paths ("DS/Tree/BST")
+function buildFolderTree(folderPaths) {
+  const tree = {};
+
+  for (const folderPath of folderPaths) {
+    let node = tree;
+    for (const name of folderPath.split('/').filter(Boolean)) {
+      node[name] = node[name] || {};
+      node = node[name];
+    }
+  }
+
+  return sortFolderTree(tree);
+}
+
+// Return a copy with folder names sorted at every level
+function sortFolderTree(tree) {
+  const sorted = {};
+  for (const name of Object.keys(tree).sort((a, b) => a.localeCompare(b))) {
+    sorted[name] = sortFolderTree(tree[name]);
+  }
+  return sorted;
+}
+
+// True if the folder path ("DS/Tree") exists in the tree
+function hasFolder(tree, folderPath) {
+  let node = tree;
+  for (const name of folderPath.split('/').filter(Boolean)) {
+    if (!node || !Object.prototype.hasOwnProperty.call(node, name)) return false;
+    node = node[name];
+  }
+  return true;
+}
+
+// Return a copy of the tree with the folder path (and any missing parents) added
+function addFolder(tree, folderPath) {
+  const [name, ...rest] = folderPath.split('/').filter(Boolean);
+  if (!name) return tree;
+
+  const updated = { ...tree, [name]: addFolder(tree[name] || {}, rest.join('/')) };
+  return sortFolderTree(updated);
+}
+
+module.exports = { buildFolderTree, sortFolderTree, hasFolder, addFolder };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Outcomes a history entry can record; only overwrites and new versions can be reverted
+const OUTCOMES = ['created', 'overwritten', 'versioned', 'exists', 'rejected', 'failed', 'reverted'];
+const REVERTIBLE_OUTCOMES = ['overwritten', 'versioned'];
+
+// Git blob SHA of text content, the same value GitHub and `git hash-object` report
+function gitBlobSha(content) {
+  const body = Buffer.from(content, 'utf8');
+  return crypto.createHash('sha1').update(`blob ${body.length}\0`).update(body).digest('hex');
+}
+
+// Append-only JSONL log of submissions. The newest maxEntries stay in memory for
+// queries; the file keeps everything.
+function createHistoryStore({ filePath, maxEntries = 5000 }) {
+  let entries = [];
+
+  try {
+    entries = fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (err) {
+          return []; // a torn write from a crash; skip it
+        }
+      })
+      .slice(-maxEntries);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Appends happen one at a time so lines never interleave
+  let writing = Promise.resolve();
+
+  // Revert entries point back at what they undid
+  const revertedBy = new Map(entries.filter(e => e.revertOf).map(e => [e.revertOf, e.id]));
+
+  // Overwrites need the previous SHA to restore; branch and PR writes never reached the default branch
+  function annotate(entry) {
+    const reverted = revertedBy.get(entry.id) || null;
+    return {
+      ...entry,
+      revertedBy: reverted,
+      revertable: REVERTIBLE_OUTCOMES.includes(entry.outcome) && !reverted && !entry.branch && !entry.pullRequest &&
+        (entry.outcome !== 'overwritten' || Boolean(entry.previousSha))
+    };
+  }
+
+  function record(fields) {
+    const entry = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...fields };
+
+    entries.push(entry);
+    if (entries.length > maxEntries) entries.splice(0, entries.length - maxEntries);
+    if (entry.revertOf) revertedBy.set(entry.revertOf, entry.id);
+
+    writing = writing
+      .then(() => fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`))
+      .catch(err => console.error('Failed to write history entry:', err.message));
+
+    return entry;
+  }
+
+  function get(id) {
+    const entry = entries.find(e => e.id === id);
+    return entry ? annotate(entry) : null;
+  }
+
+  // Newest first. Filters: repo, path (substring), outcome, client (principal id or
+  // name, or user agent substring), since/until (ISO dates)
+  function list({ repo, path: pathQuery, outcome, client, since, until, limit, offset } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = Math.max(Number(offset) || 0, 0);
+    const clientQuery = client ? client.toLowerCase() : '';
+
+    const matches = entries.filter(e =>
+      (!repo || e.repo === repo) &&
+      (!pathQuery || (e.path || '').toLowerCase().includes(pathQuery.toLowerCase())) &&
+      (!outcome || e.outcome === outcome) &&
+      (!clientQuery ||
+        (e.client?.principal || '').toLowerCase() === clientQuery ||
+        (e.client?.name || '').toLowerCase() === clientQuery ||
+        (e.client?.userAgent || '').toLowerCase().includes(clientQuery)) &&
+      (!since || e.timestamp >= since) &&
+      (!until || e.timestamp <= until)
+    ).reverse();
+
+    return {
+      total: matches.length,
+      offset: start,
+      limit: pageSize,
+      entries: matches.slice(start, start + pageSize).map(annotate)
+    };
+  }
+
+  return { record, get, list };
+}
+
+module.exports = { createHistoryStore, gitBlobSha, OUTCOMES, REVERTIBLE_OUTCOMES };
@@ -0,0 +1,184 @@
+const path = require('path');
+const { LANGUAGES, languageFromFilename } = require('./languages');
+
+// The generated table sits between these markers; anything else in the README is left alone
+const INDEX_START = '<!-- solution-index:start -->';
+const INDEX_END = '<!-- solution-index:end -->';
+
+// "// TC: O(n log n)", "# Space complexity: O(1) */" -> "O(n log n)", "O(1)"
+const TIME_COMPLEXITY = /\b(?:TC|time\s+complexity)\s*:\s*(.+)$/im;
+const SPACE_COMPLEXITY = /\b(?:SC|space\s+complexity)\s*:\s*(.+)$/im;
+const MAX_COMPLEXITY_LENGTH = 40;
+
+// "LC_206_Reverse_Linked_List_v2.cpp" -> { number: 206, title: 'Reverse Linked List', version: 2 }
+function parseSolutionFilename(filename) {
+  const base = filename.slice(0, filename.length - path.posix.extname(filename).length);
+  const match = base.match(/^LC_(\d+)_(.+?)(?:_v(\d+))?$/i);
+  if (!match) {
+    return { number: null, title: base.replace(/_/g, ' '), version: null };
+  }
+  return {
+    number: Number(match[1]),
+    title: match[2].split('_').filter(Boolean).join(' '),
+    version: match[3] ? Number(match[3]) : null
+  };
+}
+
+// Template placeholders ("O(?)", "O(...)") count as no header
+const PLACEHOLDER_COMPLEXITY = /^O\(\s*(\?|\.\.\.)?\s*\)$/i;
+
+function complexityOf(content, pattern) {
+  const match = content.match(pattern);
+  if (!match) return null;
+  const value = match[1].replace(/\*\/\s*$/, '').trim();
+  return value && !PLACEHOLDER_COMPLEXITY.test(value) ? value.slice(0, MAX_COMPLEXITY_LENGTH) : null;
+}
+
+// { time, space } from a solution's TC/SC header; null where it has none or only a placeholder
+function parseComplexity(content) {
+  return {
+    time: complexityOf(content, TIME_COMPLEXITY),
+    space: complexityOf(content, SPACE_COMPLEXITY)
+  };
+}
+
+// Metadata for one solution file; complexity comes from parseComplexity (omit it for name-only rows)
+function describeSolution(filePath, { time = null, space = null } = {}) {
+  const filename = path.posix.basename(filePath);
+  const language = languageFromFilename(filename);
+  return {
+    path: filePath,
+    filename,
+    ...parseSolutionFilename(filename),
+    language: language ? LANGUAGES[language].name : null,
+    time,
+    space
+  };
+}
+
+const cell = (value) => (value == null || value === '' ? '-' : String(value).replace(/\|/g, '\\|'));
+const link = (text, target) => `[${text.replace(/[[\]]/g, '\\$&')}](${encodeURI(target)})`;
+
+const bySolutionOrder = (a, b) =>
+  (a.number ?? Infinity) - (b.number ?? Infinity) ||
+  a.title.localeCompare(b.title) ||
+  (a.version || 1) - (b.version || 1) ||
+  a.filename.localeCompare(b.filename);
+
+function renderFolderIndex(solutions) {
+  const rows = [...solutions].sort(bySolutionOrder).map(s => {
+    const title = s.version ? `${s.title} (v${s.version})` : s.title;
+    return `| ${cell(s.number)} | ${link(title, `./${s.filename}`)} | ${cell(s.language)} | ${cell(s.time)} | ${cell(s.space)} |`;
+  });
+
+  return [
+    '## Solutions',
+    '',
+    '| # | Problem | Language | Time | Space |',
+    '|---|---------|----------|------|-------|',
+    ...rows
+  ].join('\n');
+}
+
+// folders: [{ folder, solutions: [describeSolution()] }]
+function renderRootIndex(folders) {
+  const total = folders.reduce((sum, f) => sum + f.solutions.length, 0);
+  const rows = [...folders]
+    .sort((a, b) => a.folder.localeCompare(b.folder))
+    .map(({ folder, solutions }) => {
+      const languages = [...new Set(solutions.map(s => s.language).filter(Boolean))].sort();
+      return `| ${link(folder, `./${folder}`)} | ${solutions.length} | ${cell(languages.join(', '))} |`;
+    });
+
+  return [
+    '## Solutions',
+    '',
+    `${total} solution${total === 1 ? '' : 's'} in ${folders.length} folder${folders.length === 1 ? '' : 's'}.`,
+    '',
+    '| Folder | Solutions | Languages |',
+    '|--------|-----------|-----------|',
+    ...rows
+  ].join('\n');
+}
+
+// { time, space } per filename from the rows of a folder index renderFolderIndex wrote
+function indexedComplexity(existing) {
+  const rows = new Map();
+  const start = existing ? existing.indexOf(INDEX_START) : -1;
+  const end = existing ? existing.indexOf(INDEX_END) : -1;
+  if (start === -1 || end < start) return rows;
+
+  const fromCell = (value) => (value === '-' ? null : value.replace(/\\\|/g, '|'));
+  for (const line of existing.slice(start, end).split('\n')) {
+    const cells = line.split(/(?<!\\)\|/).slice(1, -1).map(value => value.trim());
+    const target = cells.length === 5 && cells[1].match(/\]\(\.\/([^)]+)\)$/);
+    if (!target) continue;
+    try {
+      rows.set(decodeURI(target[1]), { time: fromCell(cells[3]), space: fromCell(cells[4]) });
+    } catch {
+      // Hand-edited link that isn't valid URI encoding; the file gets read instead
+    }
+  }
+  return rows;
+}
+
+// Put the index into a README: replace the marked section, or append one (new READMEs get a heading)
+function withIndex(existing, heading, index) {
+  const block = `${INDEX_START}\n${index}\n${INDEX_END}`;
+  if (existing == null) {
+    return `# ${heading}\n\n${block}\n`;
+  }
+
+  const start = existing.indexOf(INDEX_START);
+  const end = existing.indexOf(INDEX_END);
+  if (start !== -1 && end > start) {
+    return existing.slice(0, start) + block + existing.slice(end + INDEX_END.length);
+  }
+  return `${existing.trimEnd()}\n\n${block}\n`;
+}
+
+// README.md contents to write for the given folders plus the root, leaving out ones that wouldn't change.
+//   files: solution files in the tree as it will be ({ path, ... })
+//   readComplexity(file, indexed) -> { time, space } (see parseComplexity); indexed is what the
+//     folder's current index lists for the file, if anything
+//   readExisting(path) -> current README content, or null
+// A folder left without solutions keeps an (empty) index only if its README already had one.
+async function indexUpdates({ files, folders, readComplexity, readExisting, rootHeading }) {
+  const byFolder = new Map();
+  for (const file of files) {
+    const folder = path.posix.dirname(file.path);
+    if (!byFolder.has(folder)) byFolder.set(folder, []);
+    byFolder.get(folder).push(file);
+  }
+
+  const updates = [];
+  const addUpdate = (readmePath, existing, content) => {
+    if (content !== existing) updates.push({ path: readmePath, content });
+  };
+
+  for (const folder of folders) {
+    const readmePath = `${folder}/README.md`;
+    const existing = await readExisting(readmePath);
+    const indexed = indexedComplexity(existing);
+    const solutions = [];
+    for (const file of byFolder.get(folder) || []) {
+      solutions.push(describeSolution(file.path, await readComplexity(file, indexed.get(path.posix.basename(file.path)))));
+    }
+    if (solutions.length > 0 || (existing && existing.includes(INDEX_START))) {
+      addUpdate(readmePath, existing, withIndex(existing, folder, renderFolderIndex(solutions)));
+    }
+  }
+
+  const summary = [...byFolder].map(([folder, folderFiles]) => ({
+    folder,
+    solutions: folderFiles.map(file => describeSolution(file.path))
+  }));
+  const existingRoot = await readExisting('README.md');
+  addUpdate('README.md', existingRoot, withIndex(existingRoot, rootHeading, renderRootIndex(summary)));
+
+  return updates;
+}
+
+module.exports = {
+  indexUpdates, indexedComplexity, describeSolution, parseSolutionFilename, parseComplexity, withIndex, INDEX_START, INDEX_END
+};
@@ -0,0 +1,160 @@
+const path = require('path');
+
+// Languages we keep solutions in, keyed by id; the first extension is the canonical one.
+// comment is the line-comment prefix used for the complexity header (none for Markdown)
+const LANGUAGES = {
+  cpp: { name: 'C++', extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.h'], comment: '//' },
+  c: { name: 'C', extensions: ['.c'], comment: '//' },
+  java: { name: 'Java', extensions: ['.java'], comment: '//' },
+  python: { name: 'Python', extensions: ['.py'], comment: '#' },
+  javascript: { name: 'JavaScript', extensions: ['.js', '.mjs', '.cjs'], comment: '//' },
+  typescript: { name: 'TypeScript', extensions: ['.ts'], comment: '//' },
+  go: { name: 'Go', extensions: ['.go'], comment: '//' },
+  rust: { name: 'Rust', extensions: ['.rs'], comment: '//' },
+  kotlin: { name: 'Kotlin', extensions: ['.kt'], comment: '//' },
+  csharp: { name: 'C#', extensions: ['.cs'], comment: '//' },
+  sql: { name: 'SQL', extensions: ['.sql'], comment: '--' },
+  markdown: { name: 'Markdown', extensions: ['.md'], comment: null }
+};
+
+const LANGUAGE_BY_EXTENSION = new Map(
+  Object.entries(LANGUAGES).flatMap(([id, lang]) => lang.extensions.map(ext => [ext, id]))
+);
+
+// Weighted signals per language; a solution usually hits several of its own
+const SIGNALS = {
+  cpp: [
+    [/#include\s*<(iostream|vector|string|bits\/stdc\+\+\.h|unordered_map|algorithm|queue|stack)>/, 4],
+    [/\bstd::/, 3],
+    [/using\s+namespace\s+std\s*;/, 4],
+    [/\b(vector|unordered_map|unordered_set|pair|priority_queue)\s*</, 3],
+    [/\bcout\s*<</, 3],
+    [/\bnullptr\b/, 3],
+    [/^\s*(public|private|protected)\s*:/m, 2],
+    [/\bauto\s+[&\w]/, 1],
+    [/\w+\s*->\s*\w+/, 1]
+  ],
+  c: [
+    [/#include\s*<(stdio|stdlib|string|stdbool)\.h>/, 4],
+    [/\bprintf\s*\(/, 2],
+    [/\b(malloc|calloc|free)\s*\(/, 2],
+    [/\bstruct\s+\w+\s*\*/, 1]
+  ],
+  java: [
+    [/\bpublic\s+(final\s+)?class\s+\w+/, 2],
+    [/\bSystem\.out\.print/, 4],
+    [/^\s*import\s+java\./m, 4],
+    [/\bpublic\s+static\s+void\s+main\s*\(\s*String/, 4],
+    [/\bnew\s+(int|long|char|boolean|String)\s*\[/, 3],
+    [/\b(HashMap|ArrayList|HashSet|LinkedList|Deque|ArrayDeque)\s*</, 2],
+    [/@Override\b/, 3],
+    [/\b(public|private|protected)\s+(static\s+)?[\w<>[\], ]+\s+[a-z]\w*\s*\(/, 3],
+    [/[!=]=\s*null\b/, 2],
+    [/\.length\s*\(\)|\.size\s*\(\)/, 1]
+  ],
+  python: [
+    [/^\s*def\s+\w+\s*\(.*\)\s*(->\s*[\w\[\], .]+)?:\s*$/m, 4],
+    [/\bself\b/, 2],
+    [/^\s*from\s+[\w.]+\s+import\s+/m, 3],
+    [/^\s*(if|elif|for|while|else)\b.*:\s*$/m, 2],
+    [/\belif\b/, 3],
+    [/\b(None|True|False)\b/, 1],
+    [/\b(List|Optional|Dict)\[/, 2],
+    [/^\s*class\s+\w+(\(.*\))?:\s*$/m, 3]
+  ],
+  javascript: [
+    [/\bfunction\s*\w*\s*\([^)]*\)\s*\{/, 2],
+    [/\b(const|let)\s+\w+\s*=/, 2],
+    [/=>/, 1],
+    [/\bconsole\.log\s*\(/, 3],
+    [/\bvar\s+\w+\s*=/, 2],
+    [/===|!==/, 2],
+    [/\bmodule\.exports\b|\brequire\s*\(/, 3],
+    [/@param\s*\{/, 3],
+    [/\bnew\s+(Map|Set|Array)\s*\(/, 2]
+  ],
+  typescript: [
+    [/\bfunction\s+\w+\s*\([^)]*:\s*\w+/, 4],
+    [/\b(let|const)\s+\w+\s*:\s*(number|string|boolean)/, 4],
+    [/\)\s*:\s*(number|string|boolean|void)(\[\])?\s*\{/, 4],
+    [/^\s*(interface|type)\s+\w+/m, 2]
+  ],
+  go: [
+    [/^\s*package\s+\w+/m, 4],
+    [/\bfunc\s+(\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/, 4],
+    [/:=/, 2],
+    [/\bfmt\./, 3]
+  ],
+  rust: [
+    [/\bfn\s+\w+\s*\(/, 3],
+    [/\blet\s+mut\b/, 4],
+    [/\bimpl\s+\w+/, 3],
+    [/\bVec</, 2],
+    [/->\s*(i32|i64|usize|bool|Vec<|Option<|String)/, 3],
+    [/&mut\b/, 2]
+  ],
+  kotlin: [
+    [/\bfun\s+\w+\s*\(/, 4],
+    [/\bval\s+\w+\s*[:=]/, 2],
+    [/\b(IntArray|mutableListOf|listOf|arrayOf)\b/, 3]
+  ],
+  csharp: [
+    [/^\s*using\s+System(\.[\w.]+)?\s*;/m, 4],
+    [/\bConsole\.Write(Line)?\s*\(/, 4],
+    [/^\s*namespace\s+[\w.]+/m, 3],
+    [/\b(public|private|protected)\s+(static\s+)?[\w<>[\], ]+\s+[A-Z]\w*\s*\(/, 3],
+    [/\b(Dictionary|IList|IEnumerable)\s*</, 3],
+    [/\bnew\s+(int|long|char|bool|string)\s*\[/, 3]
+  ],
+  sql: [
+    [/\bSELECT\b[\s\S]+\bFROM\b/i, 4],
+    [/\b(INNER|LEFT|RIGHT)\s+JOIN\b|\bGROUP\s+BY\b|\bORDER\s+BY\b/i, 2]
+  ]
+};
+
+// Below this score we don't guess
+const MIN_DETECTION_SCORE = 4;
+
+// Language id for a filename, or null when the extension is unknown
+function languageFromFilename(filename) {
+  return LANGUAGE_BY_EXTENSION.get(path.extname(filename).toLowerCase()) || null;
+}
+
+// Best guess for source code: { language, confidence } or null
+function detectLanguage(content) {
+  // Comments often mention other languages' syntax; ignore them
+  const code = String(content)
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/^\s*(\/\/|#(?!include)|--).*$/gm, '');
+
+  const scores = Object.entries(SIGNALS).map(([language, signals]) => [
+    language,
+    signals.reduce((score, [pattern, weight]) => score + (pattern.test(code) ? weight : 0), 0)
+  ]);
+
+  // TypeScript is JavaScript plus types; C++ is often C plus std
+  const score = Object.fromEntries(scores);
+  if (score.typescript > 0) score.typescript += score.javascript;
+  if (score.cpp > 0) score.cpp += score.c;
+
+  const ranked = Object.entries(score).sort((a, b) => b[1] - a[1]);
+  const [language, best] = ranked[0];
+  if (best < MIN_DETECTION_SCORE) {
+    return null;
+  }
+
+  const runnerUp = ranked[1][1];
+  return { language, confidence: Number((1 - runnerUp / (best + runnerUp)).toFixed(2)) };
+}
+
+// Filename with the extension swapped in (or appended when it has no known one)
+function withExtension(filename, language) {
+  const extension = LANGUAGES[language].extensions[0];
+  const ext = path.extname(filename);
+  if (ext && LANGUAGE_BY_EXTENSION.has(ext.toLowerCase())) {
+    return filename.slice(0, -ext.length) + extension;
+  }
+  return filename + extension;
+}
+
+module.exports = { LANGUAGES, languageFromFilename, detectLanguage, withExtension };
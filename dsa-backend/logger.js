@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the current request ID through async calls so storage adapters can
+// forward it upstream without threading it through every function
+const requestContext = new AsyncLocalStorage();
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+// One JSON object per line: { time, level, message, requestId, ...fields }
+function log(level, message, fields = {}) {
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message,
+    requestId: currentRequestId(),
+    ...fields
+  });
+
+  if (level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+module.exports = { requestContext, currentRequestId, log };
@@ -0,0 +1,96 @@
+// In-process metrics rendered in the Prometheus text exposition format
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const requestCounts = new Map();   // labels -> count
+const requestDurations = new Map(); // labels -> { buckets, sum, count }
+const upstreamErrors = new Map();  // labels -> count
+const cacheLookups = new Map();    // cache name -> { hits, misses }
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// { method: 'GET', route: '/api/folders' } -> 'method="GET",route="/api/folders"'
+const formatLabels = (labels) =>
+  Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',');
+
+function increment(map, labels) {
+  const key = formatLabels(labels);
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+function observeRequest(method, route, status, seconds) {
+  increment(requestCounts, { method, route, status });
+
+  const key = formatLabels({ method, route });
+  let histogram = requestDurations.get(key);
+  if (!histogram) {
+    histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    requestDurations.set(key, histogram);
+  }
+  DURATION_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+// status is the upstream HTTP status, or 'network' when there was no response
+function recordUpstreamError(upstream, status) {
+  increment(upstreamErrors, { upstream, status });
+}
+
+function recordCacheLookup(cache, hit) {
+  const entry = cacheLookups.get(cache) || { hits: 0, misses: 0 };
+  if (hit) {
+    entry.hits++;
+  } else {
+    entry.misses++;
+  }
+  cacheLookups.set(cache, entry);
+}
+
+function renderMetric(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} ${type}`);
+  for (const [labels, value] of samples) {
+    lines.push(labels ? `${name}{${labels}} ${value}` : `${name} ${value}`);
+  }
+}
+
+function render() {
+  const lines = [];
+
+  renderMetric(lines, 'dsa_gateway_http_requests_total', 'counter',
+    'HTTP requests handled, by method, route and status', requestCounts);
+
+  lines.push('# HELP dsa_gateway_http_request_duration_seconds HTTP request latency, by method and route');
+  lines.push('# TYPE dsa_gateway_http_request_duration_seconds histogram');
+  for (const [labels, histogram] of requestDurations) {
+    DURATION_BUCKETS.forEach((bound, i) => {
+      lines.push(`dsa_gateway_http_request_duration_seconds_bucket{${labels},le="${bound}"} ${histogram.buckets[i]}`);
+    });
+    lines.push(`dsa_gateway_http_request_duration_seconds_bucket{${labels},le="+Inf"} ${histogram.count}`);
+    lines.push(`dsa_gateway_http_request_duration_seconds_sum{${labels}} ${histogram.sum}`);
+    lines.push(`dsa_gateway_http_request_duration_seconds_count{${labels}} ${histogram.count}`);
+  }
+
+  renderMetric(lines, 'dsa_gateway_upstream_errors_total', 'counter',
+    'Failed calls to the Python service and GitHub, by upstream and status', upstreamErrors);
+
+  const caches = [...cacheLookups.entries()];
+  renderMetric(lines, 'dsa_gateway_cache_hits_total', 'counter', 'Cache hits, by cache',
+    caches.map(([cache, { hits }]) => [formatLabels({ cache }), hits]));
+  renderMetric(lines, 'dsa_gateway_cache_misses_total', 'counter', 'Cache misses, by cache',
+    caches.map(([cache, { misses }]) => [formatLabels({ cache }), misses]));
+  renderMetric(lines, 'dsa_gateway_cache_hit_ratio', 'gauge', 'Hits / lookups since start, by cache',
+    caches.map(([cache, { hits, misses }]) => [formatLabels({ cache }), hits + misses > 0 ? hits / (hits + misses) : 0]));
+
+  renderMetric(lines, 'dsa_gateway_uptime_seconds', 'gauge', 'Seconds since the gateway started',
+    [[null, process.uptime()]]);
+  renderMetric(lines, 'dsa_gateway_resident_memory_bytes', 'gauge', 'Resident set size',
+    [[null, process.memoryUsage().rss]]);
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { observeRequest, recordUpstreamError, recordCacheLookup, render };
@@ -0,0 +1,37 @@
+// Fixed-window, in-memory rate limiter keyed per client (principal, else IP)
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    const key = req.principal ? req.principal.id : req.ip;
+
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      // Drop expired windows now and then so the map doesn't grow forever
+      if (windows.size > 10000) {
+        for (const [k, w] of windows) {
+          if (w.resetAt <= now) windows.delete(k);
+        }
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+
+    entry.count++;
+    const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many requests, slow down', code: 'RATE_LIMITED', retryAfter });
+    }
+
+    next();
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const { createStorage } = require('./storage');
+const { hasFolder, addFolder } = require('./folderTree');
+const metrics = require('./metrics');
+
+const REPO_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const FULL_NAME_PATTERN = /^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/;
+
+// Folder tree cache for one repository; load() refetches once the TTL runs out.
+// The last tree fetched is kept after it expires so it can be served as stale.
+function createFolderCache(listFolders, ttlMs) {
+  let tree = null;
+  let timestamp = null;
+  let fetchedAt = null;
+
+  const isFresh = () => Boolean(tree && timestamp && Date.now() - timestamp < ttlMs);
+
+  return {
+    isFresh,
+    peek: () => (isFresh() ? tree : null),
+    lastKnown: () => (tree ? { tree, fetchedAt } : null),
+
+    // Current tree from cache or storage (throws instead of falling back)
+    async load() {
+      if (isFresh()) {
+        metrics.recordCacheLookup('folders', true);
+        return tree;
+      }
+
+      metrics.recordCacheLookup('folders', false);
+      tree = await listFolders();
+      timestamp = Date.now();
+      fetchedAt = new Date(timestamp).toISOString();
+      return tree;
+    },
+
+    // Expire the tree; it stays available through lastKnown()
+    invalidate() {
+      timestamp = null;
+    },
+
+    // Add folders we know exist to the cached tree without refetching it
+    remember(folderPaths) {
+      if (!tree) return;
+      for (const folderPath of folderPaths) {
+        if (!hasFolder(tree, folderPath)) {
+          tree = addFolder(tree, folderPath);
+        }
+      }
+    }
+  };
+}
+
+// REPOS_CONFIG_PATH points at a JSON file:
+//   { "default": "alice-cpp",
+//     "repositories": [
+//       { "id": "alice-cpp", "name": "Alice (C++)", "owner": "alice", "repo": "dsa-cpp", "branch": "main" },
+//       { "id": "scratch", "adapter": "local", "path": "/srv/dsa-scratch" } ] }
+// GitHub entries may set readToken; otherwise GITHUB_READ_TOKEN is used.
+function loadRepoConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const entries = Array.isArray(config) ? config : config.repositories;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${configPath}: "repositories" must be a non-empty array`);
+  }
+
+  const seen = new Set();
+  for (const entry of entries) {
+    if (!entry || !REPO_ID_PATTERN.test(entry.id || '')) {
+      throw new Error(`${configPath}: every repository needs an id of letters, digits, "_", "-" or "."`);
+    }
+    if (seen.has(entry.id)) {
+      throw new Error(`${configPath}: duplicate repository id "${entry.id}"`);
+    }
+    seen.add(entry.id);
+  }
+
+  return { entries, defaultId: config.default || entries[0].id };
+}
+
+// One storage adapter and folder cache per configured repository.
+// github: { apiBase, pythonService, serviceToken, readToken } shared by the GitHub entries.
+function createRepoRegistry({ entries, defaultId, defaultAdapter = 'github', github, cacheTtlMs }) {
+  const repos = new Map();
+
+  for (const entry of entries) {
+    const adapter = entry.adapter || defaultAdapter;
+    const fullName = adapter === 'github' ? `${entry.owner || ''}/${entry.repo || ''}` : null;
+    if (fullName && !FULL_NAME_PATTERN.test(fullName)) {
+      throw new Error(`Repository "${entry.id}" needs owner and repo`);
+    }
+
+    const storage = createStorage({
+      adapter,
+      github: adapter === 'github' ? {
+        apiUrl: `${github.apiBase}/repos/${fullName}`,
+        pythonService: github.pythonService,
+        serviceToken: github.serviceToken,
+        branch: entry.branch,
+        readToken: entry.readToken || github.readToken,
+        repo: fullName
+      } : null,
+      local: { repoPath: entry.path }
+    });
+
+    repos.set(entry.id, {
+      id: entry.id,
+      name: entry.name || fullName || entry.id,
+      fullName,
+      branch: entry.branch,
+      storage,
+      folders: createFolderCache(() => storage.listFolders(), cacheTtlMs)
+    });
+  }
+
+  if (!repos.has(defaultId)) {
+    throw new Error(`Default repository "${defaultId}" is not configured`);
+  }
+
+  return {
+    defaultRepo: repos.get(defaultId),
+    size: repos.size,
+    list: () => [...repos.values()],
+    get: (id) => repos.get(id) || null,
+    // Webhooks identify the repo by "owner/name"
+    findByFullName: (fullName) => [...repos.values()].find(repo =>
+      repo.fullName && fullName && repo.fullName.toLowerCase() === fullName.toLowerCase()
+    ) || null
+  };
+}
+
+module.exports = { loadRepoConfig, createRepoRegistry };
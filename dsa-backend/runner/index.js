@@ -0,0 +1,160 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// First top-level function in LeetCode-style JS: "var twoSum = function(...)" or "function twoSum(...)"
+function detectEntry(code) {
+  const match = String(code).match(
+    /^(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)|^(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*\(/m
+  );
+  return match ? match[1] || match[2] : null;
+}
+
+// JSON-looking answers compare structurally ("[0, 1]" equals "[0,1]"), anything else as trimmed text
+function normalizeOutput(text) {
+  const trimmed = String(text).replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+  try {
+    return JSON.stringify(JSON.parse(trimmed));
+  } catch (err) {
+    return trimmed;
+  }
+}
+
+function runnerError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Execute JavaScript against test cases in a worker thread (memory cap) with a vm
+// timeout per case and a wall-clock backstop for the whole run.
+//   cases: [{ input, expected }]
+//   mode:  'function' (input lines are JSON args to `entry`) or 'program' (stdin -> console.log)
+function createRunner({ timeoutMs = 2000, memoryMb = 64, maxCases = 20, maxCodeBytes = 100 * 1024 } = {}) {
+  let running = 0;
+  const MAX_CONCURRENT = 2;
+
+  async function runJavaScript({ code, cases, mode = 'function', entry }) {
+    if (typeof code !== 'string' || !code.trim()) {
+      throw runnerError('code is required');
+    }
+    if (Buffer.byteLength(code) > maxCodeBytes) {
+      throw runnerError(`code must be at most ${maxCodeBytes / 1024} KB`);
+    }
+    if (!Array.isArray(cases) || cases.length === 0) {
+      throw runnerError('Add at least one test case');
+    }
+    if (cases.length > maxCases) {
+      throw runnerError(`At most ${maxCases} test cases per run`);
+    }
+    if (cases.some(c => !c || typeof c.input !== 'string' || typeof c.expected !== 'string')) {
+      throw runnerError('Each test case needs string input and expected fields');
+    }
+    if (!['function', 'program'].includes(mode)) {
+      throw runnerError('mode must be "function" or "program"');
+    }
+
+    const entryName = mode === 'function' ? (entry || detectEntry(code)) : null;
+    if (mode === 'function' && (!entryName || !IDENTIFIER.test(entryName))) {
+      throw runnerError('Could not find the function to call; name it explicitly');
+    }
+
+    if (running >= MAX_CONCURRENT) {
+      throw runnerError('Runner busy, try again in a moment', 503);
+    }
+
+    running++;
+    try {
+      const outcomes = await runInWorker({ code, cases, mode, entry: entryName, timeoutMs });
+      const results = outcomes.map((outcome, index) => {
+        const expected = cases[index].expected;
+        const passed = !outcome.error && normalizeOutput(outcome.actual) === normalizeOutput(expected);
+        return {
+          index,
+          passed,
+          expected,
+          actual: outcome.actual ?? null,
+          stdout: outcome.stdout || '',
+          error: outcome.error || null,
+          timeMs: Math.round(outcome.timeMs * 10) / 10
+        };
+      });
+
+      return {
+        mode,
+        entry: entryName,
+        passed: results.every(result => result.passed),
+        passedCount: results.filter(result => result.passed).length,
+        total: results.length,
+        results
+      };
+    } finally {
+      running--;
+    }
+  }
+
+  function runInWorker(workerData) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'worker.js'), {
+        workerData,
+        env: {},
+        stdout: true,
+        stderr: true,
+        resourceLimits: {
+          maxOldGenerationSizeMb: memoryMb,
+          maxYoungGenerationSizeMb: Math.max(4, Math.round(memoryMb / 8)),
+          codeRangeSizeMb: 16
+        }
+      });
+
+      // Outcomes arrive one per case; if the worker dies the finished ones are kept, the case
+      // that was running gets `reason` and the rest are reported as not run
+      const outcomes = [];
+      let settled = false;
+      const settle = (callback) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(wallClock);
+        callback();
+      };
+      const stopAt = (reason) => settle(() => {
+        worker.terminate();
+        resolve(workerData.cases.map((testCase, index) => outcomes[index] || (index === outcomes.length
+          ? { error: reason, stdout: '', timeMs: 0 }
+          : { error: 'Not run: an earlier case was stopped', stdout: '', timeMs: 0 })));
+      });
+
+      // vm timeouts stop sync loops; this catches anything that still hangs
+      const wallClock = setTimeout(() => {
+        stopAt(`Time limit exceeded (${workerData.cases.length * timeoutMs} ms total)`);
+      }, workerData.cases.length * timeoutMs + 2000);
+
+      worker.on('message', outcome => {
+        outcomes.push(outcome);
+        if (outcomes.length === workerData.cases.length) {
+          settle(() => {
+            worker.terminate();
+            resolve(outcomes);
+          });
+        }
+      });
+
+      worker.once('error', error => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          stopAt(`Memory limit exceeded (${memoryMb} MB)`);
+        } else {
+          settle(() => reject(runnerError(`Runner failed: ${error.message}`, 500)));
+        }
+      });
+
+      worker.once('exit', code => {
+        if (code !== 0) settle(() => reject(runnerError(`Runner exited with code ${code}`, 500)));
+      });
+    });
+  }
+
+  return { runJavaScript, detectEntry };
+}
+
+module.exports = { createRunner };
@@ -0,0 +1,119 @@
+'use strict';
+
+const vm = require('vm');
+const { types } = require('util');
+const { parentPort, workerData } = require('worker_threads');
+
+// Runs inside a worker with resourceLimits. Nothing from the host realm is put into
+// the sandbox context (host functions would leak `process` through their constructor):
+// inputs go in as strings and results come out as strings built in-context.
+// Strict mode keeps sandbox code from reaching these functions via `arguments.callee.caller`.
+const { code, cases, mode, entry, timeoutMs } = workerData;
+
+const PRELUDE = `
+  const __stdout = [];
+  const __format = (value) => typeof value === 'string' ? value : JSON.stringify(value);
+  globalThis.console = {
+    log: (...args) => { __stdout.push(args.map(__format).join(' ')); },
+    error: (...args) => { __stdout.push(args.map(__format).join(' ')); }
+  };
+  globalThis.__reset = (input) => {
+    __stdout.length = 0;
+    const lines = input.split('\\n');
+    let next = 0;
+    globalThis.input = input;
+    globalThis.readline = () => (next < lines.length ? lines[next++] : undefined);
+  };
+  const __stdoutText = () => '' + __stdout.join('\\n');
+  // Solutions can throw anything, including objects whose message getters throw
+  const __errorMessage = (error) => {
+    try {
+      return error && error.message ? '' + error.message : '' + error;
+    } catch (err) {
+      try {
+        return '' + error;
+      } catch (stringError) {
+        return 'Unknown error';
+      }
+    }
+  };
+`;
+
+// Syntax errors come from the host's vm.Script and are safe to read here
+const isHostError = (error) => types.isNativeError(error) && !types.isProxy(error) && error instanceof Error;
+
+// vm raises timeouts as errors of the context's realm with an own `code`; reading an own
+// data property of a plain (non-proxy) object runs no solution code
+function isTimeout(error) {
+  if (!types.isNativeError(error) || types.isProxy(error)) return false;
+  const code = Object.getOwnPropertyDescriptor(error, 'code');
+  return Boolean(code) && code.value === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+const TIME_LIMIT_MESSAGE = `Time limit exceeded (${timeoutMs} ms)`;
+
+// Values from the context are only trusted once they are primitive strings
+const text = (value) => (typeof value === 'string' ? value : '');
+
+// One fresh context per case so state from one case can't leak into the next
+function runCase(testCase) {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  const run = (source) => new vm.Script(source).runInContext(context, { timeout: timeoutMs });
+  const started = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+
+  try {
+    run(PRELUDE);
+    context.__input = String(testCase.input ?? '');
+    run('__reset(__input)');
+    run(code);
+
+    let actual;
+    if (mode === 'function') {
+      // Each non-empty input line is one JSON argument, as in LeetCode's console
+      actual = run(`(() => {
+        const fn = typeof ${entry} === 'function' ? ${entry} : undefined;
+        if (!fn) throw new Error('Function ${entry} is not defined');
+        const args = __input.split('\\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        const result = fn(...args);
+        if (result && typeof result.then === 'function') throw new Error('Async solutions are not supported');
+        return result === undefined ? 'undefined' : '' + JSON.stringify(result);
+      })()`);
+    } else {
+      actual = run('__stdoutText()');
+    }
+
+    return { actual: text(actual), stdout: text(run('__stdoutText()')), timeMs: elapsed() };
+  } catch (error) {
+    return { error: errorMessage(error, context, run), stdout: stdoutAfterError(run), timeMs: elapsed() };
+  }
+}
+
+// Anything the solution threw is read in its own context, under the time limit: reading it
+// here would run its getters with host code on the stack
+function errorMessage(error, context, run) {
+  if (isTimeout(error)) return TIME_LIMIT_MESSAGE;
+  if (isHostError(error)) return String(error.message);
+  try {
+    context.__error = error;
+    return text(run('__errorMessage(__error)')) || 'Unknown error';
+  } catch (err) {
+    return isTimeout(err) ? TIME_LIMIT_MESSAGE : 'Unknown error';
+  }
+}
+
+function stdoutAfterError(run) {
+  try {
+    return text(run('__stdoutText()'));
+  } catch (err) {
+    // Context unusable after a timeout; no output to report
+    return '';
+  }
+}
+
+// One message per finished case, so results so far survive the worker being killed (memory limit)
+for (const testCase of cases) {
+  parentPort.postMessage(runCase(testCase));
+}
@@ -1,105 +1,340 @@
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const { loadRepoConfig, createRepoRegistry } = require('./repos');
+const { buildFolderTree, hasFolder } = require('./folderTree');
+const { LANGUAGES, languageFromFilename, detectLanguage, withExtension } = require('./languages');
+const { createValidator, DEFAULT_FILENAME_PATTERN } = require('./validation');
+const { createAuth, parseUsers, parseList } = require('./auth');
+const { createRateLimiter } = require('./rateLimit');
+const { verifyGitHubSignature, summarizePush } = require('./webhooks');
+const { requestContext, log } = require('./logger');
+const metrics = require('./metrics');
+const { buildStats } = require('./stats');
+const { createRunner } = require('./runner');
+const { createCatalog } = require('./catalog');
+const { DEFAULT_MESSAGE_TEMPLATE, MAX_MESSAGE_LENGTH } = require('./commitMessage');
+const { createHistoryStore, gitBlobSha, OUTCOMES } = require('./history');
+const { createTemplateStore, renderTemplate, TEMPLATE_PLACEHOLDERS } = require('./templates');
+const { indexUpdates, parseComplexity } = require('./indexes');
+const { findDuplicates, shingles, DEFAULT_THRESHOLD } = require('./duplicates');
 
 const app = express();
 const PORT = 4000;
 const PYTHON_SERVICE = process.env.PYTHON_SERVICE_URL || 'http://localhost:5000';
+// Shared secret the Python service checks (its SERVICE_TOKEN)
+const PYTHON_SERVICE_TOKEN = process.env.PYTHON_SERVICE_TOKEN;
 
-// GitHub config (NO TOKEN - Python handles auth)
+// GitHub config (no write token - Python handles auth for commits)
 const GITHUB_USER = process.env.GITHUB_USER || 'sc-systems'; // Update this
 const GITHUB_REPO = process.env.GITHUB_REPO || 'dsa-journey';       // Update this
-const GITHUB_API = `https://api.github.com/repos/${GITHUB_USER}/${GITHUB_REPO}`;
+const GITHUB_BRANCH = process.env.GITHUB_BRANCH; // read and written; defaults to the repo's default branch
+const GITHUB_READ_TOKEN = process.env.GITHUB_READ_TOKEN; // optional, raises the read rate limit
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com'; // GitHub Enterprise: https://<host>/api/v3; give the Python service the same value
 
-// Cache
-let folderCache = null;
-let cacheTimestamp = null;
+// Storage: 'github' (default) or 'local' (git working copy at LOCAL_REPO_PATH)
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'github';
+
+// Filename convention: warn by default, reject when ENFORCE_FILENAME_PATTERN=true
+// CHECK_COMPLEXITY_HEADER=false stops the warning about a missing TC/SC header
+const validator = createValidator({
+  filenamePattern: process.env.FILENAME_PATTERN || DEFAULT_FILENAME_PATTERN,
+  enforcePattern: process.env.ENFORCE_FILENAME_PATTERN === 'true',
+  checkComplexity: process.env.CHECK_COMPLEXITY_HEADER !== 'false'
+});
+
+// Auth: API_KEYS="key1,key2" and/or AUTH_USERS="alice:secret,bob:pw"; open when neither is set
+const auth = createAuth({
+  apiKeys: parseList(process.env.API_KEYS),
+  users: parseUsers(process.env.AUTH_USERS),
+  sessionTtlMs: (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
+
+// Routes under /api reachable without credentials (webhooks verify their own signature;
+// logging out with an expired token still has to work)
+const PUBLIC_API_PATHS = ['/login', '/logout', '/session', '/webhooks/github'];
+
+// Shared secret configured on the GitHub webhook
+const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
+
+// CORS: CORS_ORIGINS="https://a.example,https://b.example" ('*' allows any origin)
+const CORS_ORIGINS = parseList(process.env.CORS_ORIGINS || 'http://localhost:3000');
+
+// Writes per client per window (keyed by principal, else IP)
+const writeLimiter = createRateLimiter({
+  windowMs: (Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000,
+  max: Number(process.env.RATE_LIMIT_MAX) || 10
+});
+const loginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+const runLimiter = createRateLimiter({ windowMs: 60 * 1000, max: Number(process.env.RUN_RATE_LIMIT_MAX) || 30 });
+// Duplicate checks may read many files from GitHub
+const duplicateLimiter = createRateLimiter({ windowMs: 60 * 1000, max: Number(process.env.DUPLICATE_RATE_LIMIT_MAX) || 20 });
+
+// Test runner for JavaScript solutions: per-case time limit and worker heap cap
+const runner = createRunner({
+  timeoutMs: Number(process.env.RUN_TIMEOUT_MS) || 2000,
+  memoryMb: Number(process.env.RUN_MEMORY_MB) || 64
+});
+
+// Problem catalog (JSON or CSV) and tag -> folder rules used to pre-fill submissions
+const catalog = createCatalog({
+  problemsPath: process.env.PROBLEM_CATALOG_PATH || path.join(__dirname, 'data', 'problems.json'),
+  rulesPath: process.env.FOLDER_RULES_PATH || path.join(__dirname, 'data', 'folder-rules.json')
+});
+
+// Solution skeletons per language, optionally per folder (layout in templates.js)
+const templates = createTemplateStore({
+  dir: process.env.TEMPLATES_DIR || path.join(__dirname, 'templates')
+});
+
+// README indexes (folder + root) regenerated with each create-file(s) and revert; INDEX_READMES=false turns it off
+const INDEX_READMES = process.env.INDEX_READMES !== 'false';
+
+// Content similarity (0-1) above which /api/duplicates reports a solution as a near copy
+const DUPLICATE_SIMILARITY = Number(process.env.DUPLICATE_SIMILARITY) || DEFAULT_THRESHOLD;
+
+// Every create-file / create-files outcome, appended to a JSONL file (HISTORY_PATH)
+const HISTORY_PATH = process.env.HISTORY_PATH || path.join(__dirname, 'data', 'history.jsonl');
+const history = createHistoryStore({ filePath: HISTORY_PATH });
+
+// Folder cache, one per repository
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Repositories: REPOS_CONFIG_PATH lists several (format in repos.js); without it
+// there's one, from GITHUB_USER/GITHUB_REPO or LOCAL_REPO_PATH
+const repoConfig = process.env.REPOS_CONFIG_PATH
+  ? loadRepoConfig(process.env.REPOS_CONFIG_PATH)
+  : {
+    defaultId: 'default',
+    entries: [{
+      id: 'default',
+      name: STORAGE_ADAPTER === 'github' ? `${GITHUB_USER}/${GITHUB_REPO}` : 'Local repository',
+      owner: GITHUB_USER,
+      repo: GITHUB_REPO,
+      branch: GITHUB_BRANCH,
+      path: process.env.LOCAL_REPO_PATH
+    }]
+  };
+
+const repos = createRepoRegistry({
+  ...repoConfig,
+  defaultAdapter: STORAGE_ADAPTER,
+  github: {
+    apiBase: GITHUB_API_URL,
+    pythonService: PYTHON_SERVICE,
+    serviceToken: PYTHON_SERVICE_TOKEN,
+    readToken: GITHUB_READ_TOKEN
+  },
+  cacheTtlMs: CACHE_TTL
+});
+
+const MAX_BATCH_FILES = 20;
+
+const SHA_PATTERN = /^[0-9a-f]{40}([0-9a-f]{24})?$/;
+
+// Default commit message for single files; placeholders are listed in commitMessage.js
+const COMMIT_MESSAGE_TEMPLATE = process.env.COMMIT_MESSAGE_TEMPLATE || DEFAULT_MESSAGE_TEMPLATE;
 
-// Middleware: logging
+const BRANCH_PATTERN = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+
+// Content search reads files through the storage adapter; cache them by blob SHA
+const contentCache = new Map();
+const CONTENT_CACHE_MAX = 500;
+const CONTENT_SEARCH_MAX_SIZE = 200 * 1024;
+// README indexes only need each solution's TC/SC; keep that per blob SHA (tiny, so many more of them)
+const complexityCache = new Map();
+const COMPLEXITY_CACHE_MAX = 20000;
+// Duplicate checks compare shingle sets; keep those per blob SHA too so repeat checks read nothing
+const shingleCache = new Map();
+const SHINGLE_CACHE_MAX = 2000;
+
+// Stats walk the whole tree and a year of history; reuse the result briefly (per repo id)
+const statsCache = new Map();
+const STATS_TTL = 60 * 1000;
+const STATS_HISTORY_DAYS = 365;
+
+// Incoming X-Request-Id is reused if it looks sane, otherwise we mint one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Middleware: request ID, JSON access log and request metrics
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // Label by route pattern, not raw path, to keep metric cardinality bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+    metrics.observeRequest(req.method, route, res.statusCode, seconds);
+    log(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+      requestId,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      principal: req.principal ? req.principal.id : undefined
+    });
+  });
+
   next();
 });
 
-// Fetch folder tree from GitHub API
-async function fetchFoldersFromGitHub() {
-  try {
-    console.log('Fetching folder tree from GitHub...');
-    const response = await axios.get(`${GITHUB_API}/contents`, {
-      headers: {
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'DSA-Automation-App'
-      }
-    });
+app.use(cors({
+  origin: (origin, callback) => {
+    // Requests without an Origin (curl, server-to-server) aren't subject to CORS
+    callback(null, !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin));
+  }
+}));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes around for webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-    const rootItems = response.data.filter(item => item.type === 'dir');
-    const folderTree = {};
+// Middleware: run the rest of the request inside its context so adapters can
+// forward the request ID (after body parsing, which would otherwise lose it)
+app.use((req, res, next) => {
+  requestContext.run({ requestId: req.id }, next);
+});
 
-    // Fetch subfolders for each top-level folder
-    for (const folder of rootItems) {
-      try {
-        const subResponse = await axios.get(`${GITHUB_API}/contents/${folder.name}`, {
-          headers: {
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'DSA-Automation-App'
-          }
-        });
-        
-        const subFolders = subResponse.data
-          .filter(item => item.type === 'dir')
-          .map(item => item.name);
-        
-        folderTree[folder.name] = subFolders;
-      } catch (err) {
-        console.error(`Error fetching subfolders for ${folder.name}:`, err.message);
-        folderTree[folder.name] = [];
-      }
-    }
+// Middleware: auth for everything under /api except PUBLIC_API_PATHS
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+  auth.middleware(req, res, next);
+});
 
-    console.log('Folder tree fetched successfully:', folderTree);
-    return folderTree;
-  } catch (error) {
-    console.error('GitHub API fetch failed:', error.message);
-    throw error;
+// Middleware: the repository a request targets (?repo=<id> or "repo" in the body, else the default)
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+
+  const id = req.query.repo ?? req.body?.repo;
+  if (id === undefined || id === '') {
+    req.repo = repos.defaultRepo;
+    return next();
   }
-}
+
+  req.repo = typeof id === 'string' ? repos.get(id) : null;
+  if (!req.repo) {
+    return res.status(400).json({ error: `Unknown repository: ${id}`, code: 'UNKNOWN_REPO' });
+  }
+  next();
+});
 
 // Fallback: static folder structure
 function getFallbackFolders() {
   console.log('Using fallback folder structure');
-  return {
+  const folders = {
     "DS": ["Arrays", "LinkedList", "Stack", "Queue", "Tree", "Graph"],
     "Patterns": ["TwoPointers", "SlidingWindow", "BinarySearch", "DFS", "BFS"],
     "Algorithms": ["Sorting", "Searching", "DynamicProgramming"],
     "Practice": ["Easy", "Medium", "Hard"]
   };
+  return buildFolderTree(
+    Object.entries(folders).flatMap(([top, subs]) => subs.map(sub => `${top}/${sub}`))
+  );
 }
 
-// GET /api/folders - Fetch folder tree
+// Usernames come straight from the request: no control characters (forged log lines) and a bounded length
+const MAX_LOGGED_USERNAME_LENGTH = 64;
+const loggedUsername = (username) => username.replace(/[\u0000-\u001f\u007f-\u009f\u2028\u2029]/g, '').slice(0, MAX_LOGGED_USERNAME_LENGTH);
+
+// POST /api/login - Exchange username/password for a session token
+app.post('/api/login', loginLimiter, (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+
+  const session = auth.login(username, password);
+  if (!session) {
+    console.warn(`Failed login for ${loggedUsername(username)}`);
+    return res.status(401).json({ error: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+  }
+
+  console.log(`🔑 ${loggedUsername(username)} logged in`);
+  res.json(session);
+});
+
+// POST /api/logout - Drop the current session token
+app.post('/api/logout', (req, res) => {
+  const credential = auth.credentialFrom(req);
+  if (credential) auth.logout(credential);
+  res.json({ success: true });
+});
+
+// GET /api/session - Whether auth is required and who the credential belongs to
+app.get('/api/session', (req, res) => {
+  const principal = auth.enabled ? auth.authenticate(req) : null;
+  res.json({
+    authRequired: auth.enabled,
+    authenticated: !auth.enabled || Boolean(principal),
+    principal: principal ? { type: principal.type, name: principal.name } : null
+  });
+});
+
+// GET /api/repos - Repositories the client can target, default first
+app.get('/api/repos', (req, res) => {
+  res.json({
+    default: repos.defaultRepo.id,
+    repositories: [repos.defaultRepo, ...repos.list().filter(repo => repo !== repos.defaultRepo)].map(repo => ({
+      id: repo.id,
+      name: repo.name,
+      storage: repo.storage.name,
+      fullName: repo.fullName
+    }))
+  });
+});
+
+// GET /api/folders - Fetch folder tree (?refresh=1 bypasses the cache)
+// -> { folders, stale, fallback, fetchedAt, warning? }: when storage fails we answer with the
+// last tree we had (stale) or, failing that, the static layout (fallback), and say why
 app.get('/api/folders', async (req, res) => {
   try {
+    const { folders: cache, storage } = req.repo;
+
+    if (req.query.refresh === '1') {
+      console.log(`Folder refresh requested for ${req.repo.id}, bypassing cache`);
+      cache.invalidate();
+    }
+
     // Check cache
-    const now = Date.now();
-    if (folderCache && cacheTimestamp && (now - cacheTimestamp < CACHE_TTL)) {
+    if (cache.isFresh()) {
       console.log('Returning cached folders');
-      return res.json(folderCache);
+      metrics.recordCacheLookup('folders', true);
+      return res.json({ folders: cache.peek(), stale: false, fallback: false, fetchedAt: cache.lastKnown().fetchedAt });
     }
 
-    // Try GitHub API
+    // Try storage backend
     try {
-      const folders = await fetchFoldersFromGitHub();
-      folderCache = folders;
-      cacheTimestamp = Date.now();
-      return res.json(folders);
-    } catch (githubError) {
+      const folders = await cache.load();
+      return res.json({ folders, stale: false, fallback: false, fetchedAt: cache.lastKnown().fetchedAt });
+    } catch (storageError) {
+      const warning = {
+        code: storageError.code === 'GITHUB_RATE_LIMITED' ? storageError.code : 'STORAGE_UNAVAILABLE',
+        message: storageError.message,
+        resetAt: storageError.resetAt
+      };
+      if (storageError.retryAfter) res.set('Retry-After', String(storageError.retryAfter));
+
+      const lastKnown = cache.lastKnown();
+      if (lastKnown) {
+        console.warn(`Folder fetch from ${storage.name} (${req.repo.id}) failed, serving stale tree from ${lastKnown.fetchedAt}`);
+        return res.json({ folders: lastKnown.tree, stale: true, fallback: false, fetchedAt: lastKnown.fetchedAt, warning });
+      }
+
       // Fallback to static
-      console.warn('GitHub fetch failed, using fallback');
-      const fallback = getFallbackFolders();
-      return res.json(fallback);
+      console.warn(`Folder fetch from ${storage.name} (${req.repo.id}) failed, using fallback`);
+      return res.json({ folders: getFallbackFolders(), stale: false, fallback: true, fetchedAt: null, warning });
     }
   } catch (error) {
     console.error('Error in /api/folders:', error);
@@ -107,10 +342,581 @@ app.get('/api/folders', async (req, res) => {
   }
 });
 
-// POST /api/create-file - Forward to Python service
-app.post('/api/create-file', async (req, res) => {
+// POST /api/folders - Create a top-level folder or a folder under an existing one
+app.post('/api/folders', writeLimiter, async (req, res) => {
+  try {
+    const { parent = '', name } = req.body;
+
+    if (!validator.isValidFolderName(name)) {
+      return res.status(400).json({
+        error: 'Folder names may only contain letters, digits, "_" and "-" (max 64 characters)'
+      });
+    }
+
+    const parentParts = parent.split('/').filter(Boolean);
+    if (parentParts.some(part => !validator.isValidFolderName(part))) {
+      return res.status(400).json({ error: 'Invalid parent folder' });
+    }
+
+    const folders = await req.repo.folders.load();
+    const parentPath = parentParts.join('/');
+    const folderPath = parentPath ? `${parentPath}/${name}` : name;
+
+    if (parentPath && !hasFolder(folders, parentPath)) {
+      return res.status(404).json({ error: `Parent folder not found: ${parentPath}` });
+    }
+
+    if (hasFolder(folders, folderPath)) {
+      return res.status(409).json({ error: `Folder already exists: ${folderPath}` });
+    }
+
+    const result = await req.repo.storage.createFolder(folderPath, `# ${name}\n`);
+
+    // Show the new folder right away instead of waiting for the cache to expire
+    req.repo.folders.remember([folderPath]);
+
+    res.status(201).json({ ...result, folders: req.repo.folders.peek() });
+  } catch (error) {
+    handleStorageError(req, res, error);
+  }
+});
+
+// GET /api/file?path=&branch= - Read an existing file (content + blob SHA), from the
+// default branch unless one is given
+app.get('/api/file', async (req, res) => {
+  try {
+    const filePath = typeof req.query.path === 'string' ? req.query.path : '';
+    const parts = filePath.split('/');
+    const { branch } = req.query;
+
+    if (!filePath || parts.some(part => !part || part === '.' || part === '..')) {
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+    const optionsError = commitOptionsError({ branch });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    res.json(await req.repo.storage.readFile(filePath, { ref: branch || undefined }));
+  } catch (error) {
+    handleStorageError(req, res, error);
+  }
+});
+
+// Keyed by blob SHA, so one cache serves every repository
+async function readFileCached(storage, file) {
+  if (contentCache.has(file.sha)) {
+    metrics.recordCacheLookup('content', true);
+    return contentCache.get(file.sha);
+  }
+
+  metrics.recordCacheLookup('content', false);
+  const { content } = await storage.readFile(file.path);
+  if (contentCache.size >= CONTENT_CACHE_MAX) {
+    contentCache.delete(contentCache.keys().next().value);
+  }
+  contentCache.set(file.sha, content);
+  return content;
+}
+
+// Only files inside the folder tree; root files, folder READMEs and dotfiles aren't solutions
+function isSolutionPath(filePath) {
+  const filename = path.posix.basename(filePath);
+  return filePath.includes('/') && filename !== 'README.md' && !filename.startsWith('.');
+}
+
+// README for a repo path, or null if there is none yet
+async function readExistingFile(storage, filePath) {
+  try {
+    return (await storage.readFile(filePath)).content;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// TC/SC of a solution file; only blobs not seen before and not already in the folder's index are
+// read from storage, so a write reads at most the files that reached the repo some other way
+async function readComplexityCached(storage, file, indexed) {
+  if (file.content !== undefined) return parseComplexity(file.content);
+  // Big files only lose their complexity columns
+  if (file.size > CONTENT_SEARCH_MAX_SIZE) return { time: null, space: null };
+  if (complexityCache.has(file.sha)) {
+    metrics.recordCacheLookup('complexity', true);
+    return complexityCache.get(file.sha);
+  }
+  if (indexed) return indexed;
+
+  metrics.recordCacheLookup('complexity', false);
+  const content = contentCache.has(file.sha) ? contentCache.get(file.sha) : (await storage.readFile(file.path)).content;
+  const complexity = parseComplexity(content);
+  if (complexityCache.size >= COMPLEXITY_CACHE_MAX) {
+    complexityCache.delete(complexityCache.keys().next().value);
+  }
+  complexityCache.set(file.sha, complexity);
+  return complexity;
+}
+
+// README index updates for `folders`, given the solution files the tree will hold
+// (listed files carry their blob SHA; pending ones carry their content)
+function buildIndexUpdates(repo, files, folders) {
+  return indexUpdates({
+    files,
+    folders,
+    readComplexity: (file, indexed) => readComplexityCached(repo.storage, file, indexed),
+    readExisting: (filePath) => readExistingFile(repo.storage, filePath),
+    rootHeading: repo.name
+  });
+}
+
+// Solution files currently in the repo ({ path, size, sha }), or null when the tree can't be listed
+async function listSolutions(repo) {
+  try {
+    return (await repo.storage.listFiles()).filter(file => isSolutionPath(file.path));
+  } catch (error) {
+    console.warn('Cannot list files, skipping README indexes:', error.message);
+    return null;
+  }
+}
+
+// Work out where a create-file will land so the folder and root READMEs can go into the same
+// commit. 'version' is resolved here (same _v2, _v3 scheme as the adapters) and sent as 'check'.
+// Returns { filename, action, extraFiles } or null when nothing will be written or the tree can't be listed.
+async function planIndexedWrite(repo, { topFolder, subFolder, filename, content, action }) {
+  const basePath = `${topFolder}/${subFolder}`;
+  const listing = await listSolutions(repo);
+  if (!listing) return null;
+
+  const paths = new Set(listing.map(file => file.path));
+  let target = filename;
+  let writeAction = action;
+
+  if (action === 'check' && paths.has(`${basePath}/${filename}`)) return null;
+  if (action === 'version') {
+    target = nextVersionFilename(paths, basePath, filename);
+    writeAction = 'check';
+  }
+
+  const targetPath = `${basePath}/${target}`;
+  const files = [...listing.filter(file => file.path !== targetPath), { path: targetPath, content }];
+  return { filename: target, action: writeAction, extraFiles: await buildIndexUpdates(repo, files, [basePath]) };
+}
+
+// First free "<name>_v<n><ext>" in basePath, n from 2
+function nextVersionFilename(paths, basePath, filename) {
+  const ext = path.posix.extname(filename);
+  const name = filename.slice(0, filename.length - ext.length);
+  let version = 2;
+  while (paths.has(`${basePath}/${name}_v${version}${ext}`)) version++;
+  return `${name}_v${version}${ext}`;
+}
+
+// Same for a create-files batch: resolves each file like the adapters do ('version' only renames
+// a file that exists, skipping names taken earlier in the batch) and indexes every folder written to.
+// Returns { files, renamed: [index], extraFiles } or null when the batch will conflict, writes
+// nothing or the tree can't be listed.
+async function planIndexedBatch(repo, files) {
+  const listing = await listSolutions(repo);
+  if (!listing) return null;
+
+  const paths = new Set(listing.map(file => file.path));
+  const planned = [];
+  const renamed = [];
+  const pending = [];
+
+  for (const [index, file] of files.entries()) {
+    const basePath = `${file.topFolder}/${file.subFolder}`;
+    let { filename, action } = file;
+
+    if (action !== 'reject') {
+      if (paths.has(`${basePath}/${filename}`)) {
+        if (action === 'check') return null;
+        if (action === 'version') {
+          filename = nextVersionFilename(paths, basePath, filename);
+          action = 'check';
+          renamed.push(index);
+        }
+      }
+      paths.add(`${basePath}/${filename}`);
+      pending.push({ path: `${basePath}/${filename}`, content: file.content });
+    }
+    planned.push({ ...file, filename, action });
+  }
+
+  if (pending.length === 0) return null;
+  const pendingPaths = new Set(pending.map(file => file.path));
+  const tree = [...listing.filter(file => !pendingPaths.has(file.path)), ...pending];
+  const folders = [...new Set(pending.map(file => path.posix.dirname(file.path)))];
+  return { files: planned, renamed, extraFiles: await buildIndexUpdates(repo, tree, folders) };
+}
+
+// GET /api/solutions - List solution files (filters: folder, ext, q, content=1; lastCommits=1
+// adds each file's last commit, one GitHub request per file the first time)
+app.get('/api/solutions', async (req, res) => {
+  try {
+    const folder = typeof req.query.folder === 'string' ? req.query.folder.replace(/\/+$/, '') : '';
+    const ext = typeof req.query.ext === 'string' ? req.query.ext.toLowerCase().replace(/^\.?/, '.') : '';
+    const query = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+    const searchContent = req.query.content === '1' || req.query.content === 'true';
+    const lastCommits = req.query.lastCommits === '1' || req.query.lastCommits === 'true';
+
+    let files = (await req.repo.storage.listFiles({ lastCommits })).filter(file => isSolutionPath(file.path));
+
+    if (folder) {
+      files = files.filter(file => file.path.startsWith(`${folder}/`));
+    }
+
+    if (ext) {
+      files = files.filter(file => path.posix.extname(file.path).toLowerCase() === ext);
+    }
+
+    if (query) {
+      const matches = [];
+      for (const file of files) {
+        if (path.posix.basename(file.path).toLowerCase().includes(query)) {
+          matches.push(file);
+        } else if (searchContent && file.size <= CONTENT_SEARCH_MAX_SIZE) {
+          const content = await readFileCached(req.repo.storage, file);
+          if (content.toLowerCase().includes(query)) {
+            matches.push(file);
+          }
+        }
+      }
+      files = matches;
+    }
+
+    res.json({
+      total: files.length,
+      files: files.map(file => {
+        const language = languageFromFilename(file.path);
+        return {
+          ...file,
+          filename: path.posix.basename(file.path),
+          folder: path.posix.dirname(file.path),
+          language: language ? LANGUAGES[language].name : null
+        };
+      })
+    });
+  } catch (error) {
+    handleStorageError(req, res, error);
+  }
+});
+
+// Web page for a file, for repos that have one (github.com or the Enterprise host behind GITHUB_API_URL)
+function fileWebUrl(repo, filePath) {
+  if (repo.storage.name !== 'github') return null;
+  const webBase = GITHUB_API_URL === 'https://api.github.com'
+    ? 'https://github.com'
+    : GITHUB_API_URL.replace(/\/api\/v3\/?$/, '');
+  const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+  return `${webBase}/${repo.fullName}/blob/${encodeURIComponent(repo.branch || 'HEAD')}/${encodedPath}`;
+}
+
+// Shingles of a solution file; only blobs not seen before are read from storage
+async function readShinglesCached(storage, file) {
+  if (shingleCache.has(file.sha)) {
+    metrics.recordCacheLookup('shingles', true);
+    return shingleCache.get(file.sha);
+  }
+
+  metrics.recordCacheLookup('shingles', false);
+  const signature = shingles(await readFileCached(storage, file));
+  if (shingleCache.size >= SHINGLE_CACHE_MAX) {
+    shingleCache.delete(shingleCache.keys().next().value);
+  }
+  shingleCache.set(file.sha, signature);
+  return signature;
+}
+
+// POST /api/duplicates - Existing solutions to the same problem (LC number) or with near-identical code
+app.post('/api/duplicates', duplicateLimiter, async (req, res) => {
+  const { topFolder, subFolder, filename, content } = req.body;
+
+  if (typeof filename !== 'string' || !filename.trim() || typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: 'filename and content are required' });
+  }
+
+  try {
+    const files = (await req.repo.storage.listFiles()).filter(file => isSolutionPath(file.path));
+    const result = await findDuplicates(
+      {
+        path: topFolder && subFolder ? `${topFolder}/${subFolder}/${filename.trim()}` : null,
+        filename: filename.trim(),
+        content
+      },
+      files,
+      (file) => readShinglesCached(req.repo.storage, file),
+      { threshold: DUPLICATE_SIMILARITY, maxSize: CONTENT_SEARCH_MAX_SIZE }
+    );
+
+    res.json({
+      problem: result.problem,
+      threshold: DUPLICATE_SIMILARITY,
+      matches: result.matches.map(match => ({ ...match, url: fileWebUrl(req.repo, match.path) }))
+    });
+  } catch (error) {
+    handleStorageError(req, res, error);
+  }
+});
+
+// GET /api/stats - Solution counts (folder, language, difficulty) and daily commit activity
+app.get('/api/stats', async (req, res) => {
+  try {
+    const cached = statsCache.get(req.repo.id);
+    if (cached && Date.now() - cached.timestamp < STATS_TTL && req.query.refresh !== '1') {
+      return res.json(cached.stats);
+    }
+
+    const since = new Date(Date.now() - STATS_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { storage } = req.repo;
+    const [files, commits] = await Promise.all([
+      storage.listFiles(),
+      storage.listCommits({ since })
+    ]);
+
+    const stats = buildStats(files.filter(file => isSolutionPath(file.path)), commits, { since });
+    statsCache.set(req.repo.id, { stats, timestamp: Date.now() });
+    res.json(stats);
+  } catch (error) {
+    handleStorageError(req, res, error);
+  }
+});
+
+// GET /api/problems?q=&limit= - Search the problem catalog
+app.get('/api/problems', async (req, res) => {
+  try {
+    const problems = catalog.search(req.query.q, req.query.limit);
+    const folderTree = await folderTreeForValidation(req.repo);
+    res.json({ total: problems.length, problems: problems.map(problem => catalog.describe(problem, folderTree)) });
+  } catch (error) {
+    console.error('Error in /api/problems:', error);
+    res.status(500).json({ error: 'Failed to search problems' });
+  }
+});
+
+// GET /api/problems/:id - One problem by number or slug, with filename and folder suggestions
+app.get('/api/problems/:id', async (req, res) => {
+  try {
+    const problem = catalog.lookup(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ error: `Problem not found: ${req.params.id}` });
+    }
+    res.json(catalog.describe(problem, await folderTreeForValidation(req.repo)));
+  } catch (error) {
+    console.error('Error in /api/problems/:id:', error);
+    res.status(500).json({ error: 'Failed to look up problem' });
+  }
+});
+
+// "DS/Tree" from ?folder=; null if any segment isn't a valid folder name
+function templateFolder(folder) {
+  if (folder === undefined || folder === '') return '';
+  if (typeof folder !== 'string') return null;
+  const segments = folder.replace(/^\/+|\/+$/g, '').split('/');
+  return segments.every(validator.isValidFolderName) ? segments.join('/') : null;
+}
+
+// GET /api/templates?folder= - Languages with a template for this folder
+app.get('/api/templates', async (req, res) => {
+  const folder = templateFolder(req.query.folder);
+  if (folder === null) {
+    return res.status(400).json({ error: 'Invalid folder' });
+  }
+
+  try {
+    res.json({ folder, placeholders: TEMPLATE_PLACEHOLDERS, templates: await templates.list(folder) });
+  } catch (error) {
+    console.error('Error in /api/templates:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+// GET /api/templates/:language?folder=&problem=&filename= - A template with its placeholders filled in.
+// problem is a number or slug; without it the number is taken from an LC_<number>_ filename
+app.get('/api/templates/:language', async (req, res) => {
+  const { language } = req.params;
+  const { problem: problemId, filename } = req.query;
+  const folder = templateFolder(req.query.folder);
+
+  if (!Object.prototype.hasOwnProperty.call(LANGUAGES, language)) {
+    return res.status(400).json({ error: `Unknown language: ${language}` });
+  }
+  if (folder === null) {
+    return res.status(400).json({ error: 'Invalid folder' });
+  }
+
+  try {
+    const template = await templates.resolve(language, folder);
+    if (!template) {
+      return res.status(404).json({ error: `No template for ${LANGUAGES[language].name}` });
+    }
+
+    const fromFilename = typeof filename === 'string' ? filename.match(/^LC_(\d+)_/i) : null;
+    const problem = typeof problemId === 'string' && problemId
+      ? catalog.lookup(problemId)
+      : fromFilename ? catalog.lookup(fromFilename[1]) : null;
+
+    res.json({
+      language,
+      name: LANGUAGES[language].name,
+      extension: LANGUAGES[language].extensions[0],
+      source: template.source,
+      problem: problem ? problem.number : null,
+      content: renderTemplate(template.content, {
+        number: problem?.number,
+        title: problem?.title,
+        slug: problem?.slug,
+        difficulty: problem?.difficulty,
+        date: new Date().toISOString().slice(0, 10),
+        language: LANGUAGES[language].name,
+        filename: typeof filename === 'string' ? filename : null,
+        folder
+      })
+    });
+  } catch (error) {
+    console.error('Error in /api/templates/:language:', error);
+    res.status(500).json({ error: 'Failed to load template' });
+  }
+});
+
+// POST /api/run - Run a JavaScript solution against { input, expected } test cases
+app.post('/api/run', runLimiter, async (req, res) => {
+  try {
+    const { code, cases, mode, entry, filename, language } = req.body;
+
+    const runLanguage = language || (filename ? languageFromFilename(filename) : detectLanguage(code || '')?.language);
+    if (runLanguage !== 'javascript') {
+      return res.status(400).json({ error: 'Only JavaScript solutions can be run', code: 'UNSUPPORTED_LANGUAGE' });
+    }
+
+    res.json(await runner.runJavaScript({ code, cases, mode, entry }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error in /api/run:', error);
+    res.status(500).json({ error: 'Failed to run tests' });
+  }
+});
+
+// POST /api/detect-language - Guess the language of submitted code, check the extension and the TC/SC header
+app.post('/api/detect-language', (req, res) => {
+  const { content, filename = '' } = req.body;
+
+  if (typeof content !== 'string' || typeof filename !== 'string') {
+    return res.status(400).json({ error: 'content must be a string' });
+  }
+
+  const detected = detectLanguage(content);
+  const filenameLanguage = filename ? languageFromFilename(filename) : null;
+  // TC/SC header check ahead of submission (create-file repeats it)
+  const complexityWarnings = validator.complexityWarnings(filename || (detected ? withExtension('solution', detected.language) : ''), content);
+
+  if (!detected) {
+    return res.json({ language: null, filenameLanguage, mismatch: false, complexityWarnings });
+  }
+
+  const mismatch = Boolean(filenameLanguage) && filenameLanguage !== detected.language;
+  res.json({
+    language: detected.language,
+    name: LANGUAGES[detected.language].name,
+    extension: LANGUAGES[detected.language].extensions[0],
+    confidence: detected.confidence,
+    filenameLanguage,
+    mismatch,
+    // Only suggest a new name when the extension is missing or wrong
+    suggestedFilename: filename && (mismatch || !filenameLanguage)
+      ? withExtension(filename, detected.language)
+      : null,
+    complexityWarnings
+  });
+});
+
+// Known folder tree for validation; null skips the existence check if storage is unreachable
+async function folderTreeForValidation(repo) {
   try {
-    const { topFolder, subFolder, filename, content, action } = req.body;
+    return await repo.folders.load();
+  } catch (error) {
+    console.warn('Folder tree unavailable, skipping folder existence check:', error.message);
+    return null;
+  }
+}
+
+// message / branch / pullRequest on a write request; returns an error message or null
+function commitOptionsError({ message, branch, pullRequest }) {
+  if (message !== undefined && message !== null &&
+      (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+    return `message must be a string of at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  if (branch !== undefined && branch !== null &&
+      (typeof branch !== 'string' || branch.length > 100 || branch.includes('..') || !BRANCH_PATTERN.test(branch))) {
+    return 'Invalid branch name';
+  }
+  if (pullRequest !== undefined && typeof pullRequest !== 'boolean') {
+    return 'pullRequest must be a boolean';
+  }
+  return null;
+}
+
+// Attach non-blocking validation warnings to a storage response
+function withWarnings(result, warnings) {
+  return warnings.length > 0 ? { ...result, warnings } : result;
+}
+
+// Who submitted: principal when auth is on, plus IP and user agent (the CLI identifies itself)
+function clientInfo(req) {
+  return {
+    principal: req.principal ? req.principal.id : null,
+    name: req.principal ? req.principal.name : null,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+function recordHistory(req, fields) {
+  return history.record({ repo: req.repo.id, requestId: req.id, client: clientInfo(req), ...fields });
+}
+
+// Blob SHA of a file on the target branch before we write over it; null if it doesn't
+// exist (or can't be read)
+async function currentSha(storage, filePath, branch) {
+  try {
+    return (await storage.readFile(filePath, { ref: branch || undefined })).sha;
+  } catch (error) {
+    if (error.status !== 404) console.warn(`Could not read ${filePath} before writing:`, error.message);
+    return null;
+  }
+}
+
+// History outcome of a single-file create-file response
+function outcomeOf(result, previousSha) {
+  if (result.exists) return 'exists';
+  if (!result.success) return 'rejected';
+  if (result.versioned) return 'versioned';
+  return result.overwritten && previousSha ? 'overwritten' : 'created';
+}
+
+// GET /api/commit-options - Message template, branches to target and whether PRs are available
+app.get('/api/commit-options', async (req, res) => {
+  try {
+    const { storage } = req.repo;
+    const { defaultBranch, branches } = await storage.listBranches();
+    res.json({
+      messageTemplate: COMMIT_MESSAGE_TEMPLATE,
+      placeholders: ['{filename}', '{path}', '{folder}', '{count}'],
+      defaultBranch,
+      branches,
+      pullRequests: storage.name === 'github'
+    });
+  } catch (error) {
+    handleStorageError(req, res, error);
+  }
+});
+
+// POST /api/create-file - Write through the storage adapter
+app.post('/api/create-file', writeLimiter, async (req, res) => {
+  try {
+    const { topFolder, subFolder, filename, content, action, sha, message, branch, pullRequest } = req.body;
 
     // Validate payload
     if (!topFolder || !subFolder || !filename || !content) {
@@ -121,48 +927,483 @@ app.post('/api/create-file', async (req, res) => {
       return res.status(400).json({ error: 'Invalid action' });
     }
 
-    console.log(`Forwarding to Python: ${topFolder}/${subFolder}/${filename} [${action}]`);
+    if (sha !== undefined && (typeof sha !== 'string' || !SHA_PATTERN.test(sha))) {
+      return res.status(400).json({ error: 'Invalid sha' });
+    }
+
+    const optionsError = commitOptionsError({ message, branch, pullRequest });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const validation = validator.validateSubmission(
+      { topFolder, subFolder, filename, content },
+      await folderTreeForValidation(req.repo)
+    );
+    if (validation.errors.length > 0) {
+      return res.status(400).json({
+        error: validation.errors[0],
+        code: 'INVALID_SUBMISSION',
+        errors: validation.errors,
+        suggestion: validation.suggestion
+      });
+    }
+
+    const filePath = `${topFolder}/${subFolder}/${filename}`;
+    const entry = {
+      endpoint: 'create-file', topFolder, subFolder, filename, path: filePath, action,
+      branch: branch || null
+    };
+    // Needed to revert an overwrite; the SHA the client reviewed saves a lookup
+    const previousSha = action === 'overwrite' ? (sha || await currentSha(req.repo.storage, filePath, branch)) : null;
+
+    const write = {
+      topFolder, subFolder, filename, content, action, sha,
+      message: (message || '').trim() || COMMIT_MESSAGE_TEMPLATE,
+      branch: branch || undefined,
+      pullRequest: Boolean(pullRequest)
+    };
+
+    let result;
+    try {
+      // Indexes describe the default branch, so writes to another branch skip them
+      const plan = INDEX_READMES && !branch && action !== 'reject'
+        ? await planIndexedWrite(req.repo, { topFolder, subFolder, filename, content, action })
+        : null;
+
+      if (plan) {
+        result = await req.repo.storage.createFile({ ...write, filename: plan.filename, action: plan.action, extraFiles: plan.extraFiles });
+        if (action === 'version') {
+          // Someone took the version we picked in the meantime: let storage choose, without the index
+          result = result.exists
+            ? await req.repo.storage.createFile(write)
+            : { ...result, versioned: true, filename: plan.filename };
+        }
+        if (result.success && plan.extraFiles.length > 0) {
+          result.indexes = plan.extraFiles.map(file => file.path);
+        }
+      } else {
+        result = await req.repo.storage.createFile(write);
+      }
+    } catch (error) {
+      recordHistory(req, { ...entry, outcome: 'failed', error: error.response?.data?.error || error.message });
+      throw error;
+    }
+
+    const outcome = outcomeOf(result, previousSha);
+    recordHistory(req, {
+      ...entry,
+      filename: result.filename || filename,
+      path: result.path || filePath,
+      outcome,
+      sha: result.success ? (result.sha || gitBlobSha(content)) : null,
+      previousSha: outcome === 'overwritten' ? previousSha : null,
+      pullRequest: result.pullRequest?.url || null
+    });
+
+    // The cached tree tracks the default branch only
+    if (result.success && !branch && !pullRequest) req.repo.folders.remember([`${topFolder}/${subFolder}`]);
+    res.json(withWarnings(result, validation.warnings));
+  } catch (error) {
+    handleStorageError(req, res, error);
+  }
+});
+
+// POST /api/create-files - Write a batch as a single commit
+app.post('/api/create-files', writeLimiter, async (req, res) => {
+  try {
+    const { files, message, branch, pullRequest } = req.body;
+
+    // Validate payload
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({ error: 'files must be a non-empty array' });
+    }
+
+    if (files.length > MAX_BATCH_FILES) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_FILES} files per batch` });
+    }
+
+    for (const file of files) {
+      if (!file || !file.topFolder || !file.subFolder || !file.filename || !file.content) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+      if (!['check', 'overwrite', 'version', 'reject'].includes(file.action)) {
+        return res.status(400).json({ error: `Invalid action for ${file.filename}` });
+      }
+    }
+
+    const optionsError = commitOptionsError({ message, branch, pullRequest });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const paths = files.map(f => `${f.topFolder}/${f.subFolder}/${f.filename}`);
+    if (new Set(paths).size !== paths.length) {
+      return res.status(400).json({ error: 'Duplicate file paths in batch' });
+    }
 
-    // Forward to Python service
-    const pythonResponse = await axios.post(`${PYTHON_SERVICE}/create-file`, {
-      topFolder,
-      subFolder,
-      filename,
-      content,
-      action
-    }, {
-      timeout: 30000 // 30 second timeout
+    const folderTree = await folderTreeForValidation(req.repo);
+    const validations = files.map(file => validator.validateSubmission(file, folderTree));
+    const invalid = validations
+      .map((validation, index) => ({ index, filename: files[index].filename, ...validation }))
+      .filter(validation => validation.errors.length > 0);
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: `${invalid[0].filename}: ${invalid[0].errors[0]}`,
+        code: 'INVALID_SUBMISSION',
+        files: invalid.map(({ index, filename, errors, suggestion }) => ({ index, filename, errors, suggestion }))
+      });
+    }
+
+    const previousShas = await Promise.all(files.map(file =>
+      file.action === 'overwrite' ? currentSha(req.repo.storage, `${file.topFolder}/${file.subFolder}/${file.filename}`, branch) : null
+    ));
+    const batchId = crypto.randomUUID();
+    const entryFor = (file, index) => ({
+      endpoint: 'create-files', batchId,
+      topFolder: file.topFolder, subFolder: file.subFolder, filename: file.filename, path: paths[index],
+      action: file.action, branch: branch || null
     });
 
-    res.json(pythonResponse.data);
+    const batch = files.map(({ topFolder, subFolder, filename, content, action }) => ({
+      topFolder, subFolder, filename, content, action
+    }));
+    const commitMessage = (message || '').trim() || undefined;
+    const options = { branch: branch || undefined, pullRequest: Boolean(pullRequest) };
+
+    let result;
+    try {
+      // Indexes describe the default branch, so writes to another branch skip them
+      const plan = INDEX_READMES && !branch ? await planIndexedBatch(req.repo, batch) : null;
+
+      if (plan) {
+        result = await req.repo.storage.createFiles(plan.files, commitMessage, { ...options, extraFiles: plan.extraFiles });
+        if (result.exists && plan.renamed.length > 0) {
+          // Someone took a version we picked in the meantime: let storage choose, without the index
+          result = await req.repo.storage.createFiles(batch, commitMessage, options);
+        } else if (result.success) {
+          plan.renamed.forEach(index => { result.results[index].status = 'versioned'; });
+          if (plan.extraFiles.length > 0) result.indexes = plan.extraFiles.map(file => file.path);
+        }
+      } else {
+        result = await req.repo.storage.createFiles(batch, commitMessage, options);
+      }
+    } catch (error) {
+      const reason = error.response?.data?.error || error.message;
+      files.forEach((file, index) => recordHistory(req, { ...entryFor(file, index), outcome: 'failed', error: reason }));
+      throw error;
+    }
+
+    // Results come back in request order, one per file
+    files.forEach((file, index) => {
+      const fileResult = result.results?.[index] || {};
+      const written = result.success && ['created', 'overwritten', 'versioned'].includes(fileResult.status);
+      const outcome = fileResult.status === 'exists' ? 'exists'
+        : !written ? 'rejected'
+        : fileResult.status === 'overwritten' && !previousShas[index] ? 'created'
+        : fileResult.status;
+      recordHistory(req, {
+        ...entryFor(file, index),
+        filename: fileResult.filename || file.filename,
+        path: fileResult.path || paths[index],
+        outcome,
+        sha: written ? gitBlobSha(file.content) : null,
+        previousSha: outcome === 'overwritten' ? previousShas[index] : null,
+        commit: written ? result.commit || null : null,
+        pullRequest: written ? result.pullRequest?.url || null : null
+      });
+    });
+
+    if (result.success && !branch && !pullRequest) req.repo.folders.remember(files.map(f => `${f.topFolder}/${f.subFolder}`));
+    const warnings = validations.flatMap((validation, index) =>
+      validation.warnings.map(warning => `${files[index].filename}: ${warning}`)
+    );
+    res.json(withWarnings(result, warnings));
+  } catch (error) {
+    handleStorageError(req, res, error);
+  }
+});
+
+// POST /api/indexes/rebuild - Regenerate every folder README index and the root index in one commit
+app.post('/api/indexes/rebuild', writeLimiter, async (req, res) => {
+  try {
+    const { storage } = req.repo;
+    const files = (await storage.listFiles()).filter(file => isSolutionPath(file.path));
+    const folders = [...new Set(files.map(file => path.posix.dirname(file.path)))].sort();
+
+    const updates = await buildIndexUpdates(req.repo, files, folders);
+    if (updates.length === 0) {
+      return res.json({ success: true, updated: [], folders: folders.length });
+    }
+
+    const result = await storage.writeFiles(updates, 'Rebuild solution indexes');
+    console.log(`📇 Rebuilt ${updates.length} README indexes in ${req.repo.id}`);
+    res.json({ success: true, commit: result.commit, updated: updates.map(file => file.path), folders: folders.length });
   } catch (error) {
-    console.error('Error forwarding to Python:', error.message);
-    
-    if (error.code === 'ECONNREFUSED') {
-      return res.status(503).json({ 
-        error: 'Python service not available. Is it running on port 5000?' 
+    handleStorageError(req, res, error);
+  }
+});
+
+// GET /api/history - Submissions to the selected repository, newest first
+// (?path=&outcome=&client=&since=&until=&limit=&offset=)
+app.get('/api/history', (req, res) => {
+  const { path: pathQuery, outcome, client, since, until, limit, offset } = req.query;
+
+  if (outcome && !OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ error: `outcome must be one of: ${OUTCOMES.join(', ')}` });
+  }
+
+  const dates = {};
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: `Invalid ${name} date` });
+    }
+    dates[name] = date.toISOString();
+  }
+
+  res.json(history.list({
+    repo: req.repo.id,
+    path: typeof pathQuery === 'string' ? pathQuery : undefined,
+    outcome,
+    client: typeof client === 'string' ? client : undefined,
+    ...dates,
+    limit,
+    offset
+  }));
+});
+
+// POST /api/history/:id/revert - Undo an overwrite (restore the previous content)
+// or a new version (delete it), provided nobody changed the file since
+app.post('/api/history/:id/revert', writeLimiter, async (req, res) => {
+  const entry = history.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'History entry not found' });
+  }
+
+  req.repo = repos.get(entry.repo);
+  if (!req.repo) {
+    return res.status(409).json({ error: `Repository is no longer configured: ${entry.repo}` });
+  }
+
+  if (!entry.revertable) {
+    return res.status(400).json({
+      error: entry.revertedBy ? 'Already reverted'
+        : entry.branch || entry.pullRequest ? 'Only changes committed to the default branch can be reverted'
+        : 'Only overwrites and new versions can be reverted'
+    });
+  }
+
+  try {
+    const { storage } = req.repo;
+    const current = await storage.readFile(entry.path).catch(error => {
+      if (error.status === 404) return null;
+      throw error;
+    });
+    if (!current || current.sha !== entry.sha) {
+      return res.status(409).json({
+        error: current ? 'File changed since this submission' : 'File no longer exists',
+        conflict: true
       });
     }
 
-    if (error.response) {
-      return res.status(error.response.status).json(error.response.data);
+    const previous = entry.outcome === 'overwritten' ? await storage.readBlob(entry.previousSha) : null;
+    // Same commit carries the README index for the tree after the revert
+    let extraFiles = [];
+    const listing = INDEX_READMES ? await listSolutions(req.repo) : null;
+    if (listing) {
+      const files = listing.filter(file => file.path !== entry.path);
+      if (previous) files.push({ path: entry.path, content: previous.content });
+      extraFiles = await buildIndexUpdates(req.repo, files, [path.posix.dirname(entry.path)]);
     }
 
-    res.status(500).json({ error: 'Internal server error' });
+    let result;
+    if (previous) {
+      result = await storage.createFile({
+        topFolder: entry.topFolder,
+        subFolder: entry.subFolder,
+        filename: entry.filename,
+        content: previous.content,
+        action: 'overwrite',
+        sha: current.sha,
+        message: `Revert {filename} to ${entry.previousSha.slice(0, 7)}`,
+        extraFiles
+      });
+    } else {
+      result = await storage.deleteFile(entry.path, {
+        sha: current.sha,
+        message: `Revert: remove ${entry.filename}`,
+        extraFiles
+      });
+    }
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error || 'Revert failed' });
+    }
+
+    const revert = recordHistory(req, {
+      endpoint: 'revert',
+      revertOf: entry.id,
+      topFolder: entry.topFolder,
+      subFolder: entry.subFolder,
+      filename: entry.filename,
+      path: entry.path,
+      action: entry.outcome === 'overwritten' ? 'overwrite' : 'delete',
+      outcome: 'reverted',
+      sha: result.sha || null,
+      previousSha: current.sha,
+      commit: result.commit || null,
+      branch: null,
+      pullRequest: null
+    });
+    console.log(`↩️  Reverted ${entry.path} (${entry.outcome}, ${entry.id})`);
+    res.json({ success: true, path: entry.path, revert, indexes: extraFiles.map(file => file.path) });
+  } catch (error) {
+    handleStorageError(req, res, error);
   }
 });
 
+// POST /api/webhooks/github - Push events keep the folder cache in sync
+// (configure the webhook with content type application/json)
+app.post('/api/webhooks/github', (req, res) => {
+  if (!GITHUB_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Webhook secret not configured (GITHUB_WEBHOOK_SECRET)' });
+  }
+
+  if (!verifyGitHubSignature(GITHUB_WEBHOOK_SECRET, req.rawBody, req.get('x-hub-signature-256'))) {
+    console.warn('Rejected webhook with invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const event = req.get('x-github-event');
+  if (event === 'ping') {
+    return res.json({ ok: true });
+  }
+  if (event !== 'push') {
+    return res.status(202).json({ ignored: true, reason: `Unhandled event: ${event}` });
+  }
+
+  const payload = req.body || {};
+  const repo = repos.findByFullName(payload.repository?.full_name);
+  if (!repo) {
+    return res.status(202).json({ ignored: true, reason: `Unknown repository: ${payload.repository?.full_name}` });
+  }
+
+  const branch = repo.branch || payload.repository?.default_branch;
+  if (branch && payload.ref !== `refs/heads/${branch}`) {
+    return res.status(202).json({ ignored: true, reason: `Push to ${payload.ref}` });
+  }
+
+  const { addedFolders, removed } = summarizePush(payload);
+
+  // Removals (and pushes too large to list commits) may have emptied folders: reload next time
+  if (removed || !Array.isArray(payload.commits) || payload.commits.length === 0 || !repo.folders.peek()) {
+    repo.folders.invalidate();
+    console.log(`📬 Push to ${repo.fullName} ${payload.ref}: folder cache invalidated`);
+    return res.json({ cache: 'invalidated' });
+  }
+
+  repo.folders.remember(addedFolders);
+  console.log(`📬 Push to ${repo.fullName} ${payload.ref}: folder cache patched (${addedFolders.length} folders touched)`);
+  res.json({ cache: 'patched', folders: addedFolders });
+});
+
+// Map a storage error (adapter or upstream Python service) to a response
+function handleStorageError(req, res, error) {
+  console.error(`Storage error (${req.repo.storage.name}, ${req.repo.id}):`, error.message);
+
+  // Adapter errors carry a status; axios errors do too, but their upstream body is more useful
+  if (error.status && !error.response) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      resetAt: error.resetAt,
+      conflict: error.conflict
+    });
+  }
+
+  if (error.code === 'ECONNREFUSED') {
+    return res.status(503).json({ 
+      error: 'Python service not available. Is it running on port 5000?' 
+    });
+  }
+
+  if (error.response) {
+    return res.status(error.response.status).json(error.response.data);
+  }
+
+  res.status(500).json({ error: 'Internal server error' });
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     service: 'node-gateway',
-    cacheStatus: folderCache ? 'loaded' : 'empty'
+    storage: repos.defaultRepo.storage.name,
+    cacheStatus: repos.defaultRepo.folders.peek() ? 'loaded' : 'empty',
+    githubRateLimit: repos.defaultRepo.storage.rateLimit ? repos.defaultRepo.storage.rateLimit() : undefined,
+    repositories: repos.size
+  });
+});
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: every repository's storage dependencies answer (Python service + GitHub, or the local repo)
+app.get('/health/ready', async (req, res) => {
+  const results = await Promise.all(repos.list().map(async repo => {
+    try {
+      return { id: repo.id, storage: repo.storage.name, ...(await repo.storage.checkHealth()) };
+    } catch (error) {
+      log('error', 'readiness check errored', { repo: repo.id, error: error.message });
+      return { id: repo.id, storage: repo.storage.name, ready: false, error: error.message };
+    }
+  }));
+
+  const ready = results.every(result => result.ready);
+  if (!ready) {
+    log('warn', 'readiness check failed', { repositories: results.filter(result => !result.ready) });
+  }
+
+  const { storage, checks, error } = results.find(result => result.id === repos.defaultRepo.id);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'unavailable',
+    storage,
+    checks,
+    error,
+    repositories: Object.fromEntries(results.map(({ id, ...result }) => [id, result]))
   });
 });
 
-app.listen(PORT, () => {
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Tests require() the app and listen on a port of their own
+if (require.main === module) app.listen(PORT, () => {
   console.log(`🟢 Node.js API Gateway running on http://localhost:${PORT}`);
-  console.log(`📡 Forwarding requests to Python service at ${PYTHON_SERVICE}`);
+  for (const repo of repos.list()) {
+    console.log(`💾 ${repo.id}${repo === repos.defaultRepo ? ' (default)' : ''}: ${repo.storage.describe()}`);
+  }
+  console.log(`🔒 Auth: ${auth.enabled ? 'required' : 'disabled (set API_KEYS or AUTH_USERS)'}`);
+  if (repos.list().some(repo => repo.fullName)) {
+    console.log(`🐍 Python service: ${PYTHON_SERVICE} (${PYTHON_SERVICE_TOKEN ? 'service token sent' : 'no service token, set PYTHON_SERVICE_TOKEN'})`);
+  }
+  console.log(`📬 GitHub webhook: ${GITHUB_WEBHOOK_SECRET ? 'enabled' : 'disabled (set GITHUB_WEBHOOK_SECRET)'}`);
+  console.log(`🌐 CORS origins: ${CORS_ORIGINS.join(', ')}`);
+  console.log(`📚 Problem catalog: ${catalog.size} problems`);
   console.log(`🔄 Folder cache TTL: ${CACHE_TTL / 1000}s`);
-});
\ No newline at end of file
+  console.log(`🧾 Submission history: ${HISTORY_PATH}`);
+  console.log(`🧩 Solution templates: ${templates.dir}`);
+  console.log(`📇 README indexes: ${INDEX_READMES ? 'regenerated on create-file(s) and revert' : 'disabled (INDEX_READMES=false)'}`);
+  console.log(`📈 Metrics: http://localhost:${PORT}/metrics, readiness: /health/ready`);
+});
+
+module.exports = app;
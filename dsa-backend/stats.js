@@ -0,0 +1,101 @@
+const path = require('path');
+const { LANGUAGES, languageFromFilename } = require('./languages');
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// "Practice/Hard/LC_4_Median.cpp" or "DS/Arrays/LC_1_Two_Sum_Easy.py" -> 'Hard' / 'Easy'
+function difficultyOf(filePath) {
+  const words = filePath.split(/[^A-Za-z]+/).map(word => word.toLowerCase());
+  return DIFFICULTIES.find(level => words.includes(level.toLowerCase())) || 'Unknown';
+}
+
+// UTC calendar day, 'YYYY-MM-DD'
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+function shiftDay(day, delta) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + delta);
+  return dayOf(date);
+}
+
+// Current streak counts back from today, or from yesterday if nothing was pushed yet today
+function streaks(activeDays, today) {
+  let current = 0;
+  let day = activeDays.has(today) ? today : shiftDay(today, -1);
+  while (activeDays.has(day)) {
+    current++;
+    day = shiftDay(day, -1);
+  }
+
+  let longest = 0;
+  for (const start of activeDays) {
+    // Only walk runs from their first day
+    if (activeDays.has(shiftDay(start, -1))) continue;
+    let length = 0;
+    for (let d = start; activeDays.has(d); d = shiftDay(d, 1)) {
+      length++;
+    }
+    longest = Math.max(longest, length);
+  }
+
+  return { current, longest };
+}
+
+const sortByCount = (entries) => entries.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+// Aggregate solution files and commit history into dashboard numbers
+function buildStats(files, commits, { today = dayOf(Date.now()), since } = {}) {
+  const folders = new Map();
+  const languages = new Map();
+  const byDifficulty = { Easy: 0, Medium: 0, Hard: 0, Unknown: 0 };
+
+  for (const file of files) {
+    const [top, sub] = file.path.split('/');
+    if (!folders.has(top)) folders.set(top, { count: 0, subfolders: new Map() });
+    const folder = folders.get(top);
+    folder.count++;
+    // Files directly in a top folder count only towards the top folder
+    if (path.posix.dirname(file.path) !== top) {
+      folder.subfolders.set(sub, (folder.subfolders.get(sub) || 0) + 1);
+    }
+
+    const language = languageFromFilename(file.path) || 'other';
+    languages.set(language, (languages.get(language) || 0) + 1);
+
+    byDifficulty[difficultyOf(file.path)]++;
+  }
+
+  const days = {};
+  for (const commit of commits) {
+    const day = dayOf(commit.date);
+    days[day] = (days[day] || 0) + 1;
+  }
+  const activeDays = new Set(Object.keys(days));
+  const { current, longest } = streaks(activeDays, today);
+
+  return {
+    total: files.length,
+    byFolder: sortByCount([...folders].map(([name, folder]) => ({
+      name,
+      count: folder.count,
+      subfolders: sortByCount([...folder.subfolders].map(([subName, count]) => ({ name: subName, count })))
+    }))),
+    byLanguage: sortByCount([...languages].map(([id, count]) => ({
+      language: id,
+      name: LANGUAGES[id] ? LANGUAGES[id].name : 'Other',
+      count
+    }))),
+    byDifficulty,
+    activity: {
+      since,
+      today,
+      days,
+      totalCommits: commits.length,
+      activeDays: activeDays.size,
+      currentStreak: current,
+      longestStreak: longest
+    }
+  };
+}
+
+module.exports = { buildStats, difficultyOf };
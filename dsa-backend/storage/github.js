@@ -0,0 +1,390 @@
+const axios = require('axios');
+
+const { buildFolderTree } = require('../folderTree');
+const { currentRequestId } = require('../logger');
+const metrics = require('../metrics');
+const { installRetry } = require('./githubRetry');
+
+// Count failed upstream calls; 404s are ordinary "not there" answers
+function trackErrors(client, upstream) {
+  client.interceptors.response.use(null, error => {
+    // Errors raised before the request went out (e.g. a known rate limit) aren't upstream failures
+    if (!error.isAxiosError) return Promise.reject(error);
+    const status = error.response ? error.response.status : 'network';
+    if (status !== 404) metrics.recordUpstreamError(upstream, status);
+    return Promise.reject(error);
+  });
+  return client;
+}
+
+// Reads go straight to the GitHub API (public repo, optional read-only token);
+// writes are forwarded to the Python service, which holds the write token.
+// repo ("owner/name") tells the Python service which repository to write to;
+// serviceToken is the shared secret it expects in X-Service-Token.
+function createGitHubStorage({ apiUrl, pythonService, serviceToken, branch, readToken, repo }) {
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+    'User-Agent': 'DSA-Automation-App'
+  };
+  if (readToken) {
+    headers['Authorization'] = `token ${readToken}`;
+  }
+
+  const github = trackErrors(axios.create(), 'github');
+  const python = trackErrors(axios.create({
+    baseURL: pythonService,
+    headers: serviceToken ? { 'X-Service-Token': serviceToken } : {}
+  }), 'python');
+  const rateLimit = installRetry(github);
+
+  // Let the Python service log under the same request ID
+  python.interceptors.request.use(config => {
+    const requestId = currentRequestId();
+    if (requestId) config.headers['X-Request-Id'] = requestId;
+    return config;
+  });
+
+  let defaultBranch = branch || null;
+  // Writes go to the configured branch too, unless a request names another; without one the
+  // Python service falls back to the repository's default branch
+  const writeBranch = branch || undefined;
+
+  // Last tree response, revalidated with If-None-Match (304s don't count against the rate limit)
+  let treeEtag = null;
+  let treeItems = null;
+
+  // Last commit per file, keyed by path@blobSha so a changed file is looked up again
+  const lastCommitCache = new Map();
+  const LAST_COMMIT_CONCURRENCY = 5;
+
+  // History for stats: 10 pages of 100 commits
+  const MAX_COMMIT_PAGES = 10;
+
+  async function resolveBranch() {
+    if (!defaultBranch) {
+      const response = await github.get(apiUrl, { headers });
+      defaultBranch = response.data.default_branch;
+    }
+    return defaultBranch;
+  }
+
+  // Fetch every tree/blob entry with a single recursive tree request
+  async function fetchTree() {
+    const ref = await resolveBranch();
+    console.log(`Fetching tree from GitHub (${ref})...`);
+
+    const response = await github.get(`${apiUrl}/git/trees/${encodeURIComponent(ref)}`, {
+      params: { recursive: 1 },
+      headers: treeEtag && treeItems ? { ...headers, 'If-None-Match': treeEtag } : headers,
+      validateStatus: status => status === 200 || status === 304
+    });
+
+    if (response.status === 304) {
+      console.log('Tree unchanged (304)');
+      return treeItems;
+    }
+
+    if (response.data.truncated) {
+      console.warn('GitHub truncated the recursive tree; some entries may be missing');
+    }
+
+    treeItems = response.data.tree;
+    treeEtag = response.headers.etag || null;
+    return treeItems;
+  }
+
+  async function listFolders() {
+    try {
+      const folderPaths = (await fetchTree())
+        .filter(item => item.type === 'tree')
+        .map(item => item.path);
+
+      console.log(`Folder tree fetched successfully: ${folderPaths.length} folders`);
+      return buildFolderTree(folderPaths);
+    } catch (error) {
+      console.error('GitHub API fetch failed:', error.message);
+      throw error;
+    }
+  }
+
+  async function fetchLastCommit(item) {
+    const key = `${item.path}@${item.sha}`;
+    if (lastCommitCache.has(key)) {
+      return lastCommitCache.get(key);
+    }
+
+    try {
+      const response = await github.get(`${apiUrl}/commits`, {
+        params: { path: item.path, sha: await resolveBranch(), per_page: 1 },
+        headers
+      });
+      const commit = response.data[0];
+      const lastCommit = commit ? {
+        sha: commit.sha,
+        message: commit.commit.message.split('\n')[0],
+        author: commit.commit.author.name,
+        date: commit.commit.author.date
+      } : null;
+      lastCommitCache.set(key, lastCommit);
+      return lastCommit;
+    } catch (err) {
+      // Don't cache failures; the listing is still useful without commit info
+      console.error(`Error fetching last commit for ${item.path}:`, err.message);
+      return null;
+    }
+  }
+
+  // Last commits cost one request per uncached file, so they're opt-in (lastCommits: true)
+  async function listFiles({ lastCommits = false } = {}) {
+    const blobs = (await fetchTree()).filter(item => item.type === 'blob');
+    if (!lastCommits) {
+      return blobs.map(item => ({ path: item.path, size: item.size, sha: item.sha, lastCommit: null }));
+    }
+
+    const files = [];
+
+    // One commits lookup per uncached file, a few at a time
+    for (let i = 0; i < blobs.length; i += LAST_COMMIT_CONCURRENCY) {
+      const batch = blobs.slice(i, i + LAST_COMMIT_CONCURRENCY);
+      const commits = await Promise.all(batch.map(fetchLastCommit));
+      batch.forEach((item, j) => {
+        files.push({ path: item.path, size: item.size, sha: item.sha, lastCommit: commits[j] });
+      });
+    }
+
+    return files;
+  }
+
+  // Commits on the branch since a date, newest first (capped at MAX_COMMIT_PAGES pages)
+  async function listCommits({ since } = {}) {
+    const sha = await resolveBranch();
+    const commits = [];
+
+    for (let page = 1; page <= MAX_COMMIT_PAGES; page++) {
+      const response = await github.get(`${apiUrl}/commits`, {
+        params: { sha, since, per_page: 100, page },
+        headers
+      });
+
+      for (const commit of response.data) {
+        commits.push({
+          sha: commit.sha,
+          message: commit.commit.message.split('\n')[0],
+          author: commit.commit.author.name,
+          date: commit.commit.author.date
+        });
+      }
+
+      if (response.data.length < 100) break;
+    }
+
+    return commits;
+  }
+
+  const encodePath = (filePath) => filePath.split('/').map(encodeURIComponent).join('/');
+
+  async function readFile(filePath, { ref } = {}) {
+    const branch = ref || await resolveBranch();
+    const response = await github.get(`${apiUrl}/contents/${encodePath(filePath)}`, {
+      params: { ref: branch },
+      headers,
+      validateStatus: status => status === 200 || status === 404
+    });
+
+    if (response.status === 404) {
+      const error = new Error(`File not found: ${filePath}`);
+      error.status = 404;
+      throw error;
+    }
+
+    if (Array.isArray(response.data) || response.data.type !== 'file') {
+      const error = new Error(`Not a file: ${filePath}`);
+      error.status = 400;
+      throw error;
+    }
+
+    let encoded = response.data.content;
+    // The contents API omits content for files over 1MB; the blob API still has it
+    if (!encoded) {
+      const blob = await github.get(`${apiUrl}/git/blobs/${response.data.sha}`, { headers });
+      encoded = blob.data.content;
+    }
+
+    return {
+      path: filePath,
+      content: Buffer.from(encoded, 'base64').toString('utf8'),
+      sha: response.data.sha
+    };
+  }
+
+  async function readBlob(sha) {
+    const response = await github.get(`${apiUrl}/git/blobs/${encodeURIComponent(sha)}`, {
+      headers,
+      validateStatus: status => status === 200 || status === 404 || status === 422
+    });
+
+    if (response.status !== 200) {
+      const error = new Error(`Blob not found: ${sha}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return { sha, content: Buffer.from(response.data.content, 'base64').toString('utf8') };
+  }
+
+  // Branch names for the target picker, default branch first
+  async function listBranches() {
+    const defaultName = await resolveBranch();
+    const response = await github.get(`${apiUrl}/branches`, { params: { per_page: 100 }, headers });
+    const names = response.data.map(b => b.name).filter(name => name !== defaultName);
+    return { defaultBranch: defaultName, branches: [defaultName, ...names.sort()] };
+  }
+
+  async function createFile({ topFolder, subFolder, filename, content, action, sha, message, branch, pullRequest, extraFiles }) {
+    console.log(`Forwarding to Python: ${topFolder}/${subFolder}/${filename} [${action}]${pullRequest ? ' as PR' : ''}`);
+
+    const response = await python.post('/create-file', {
+      topFolder,
+      subFolder,
+      filename,
+      content,
+      action,
+      sha,
+      message,
+      branch: branch || writeBranch,
+      pullRequest,
+      extraFiles,
+      repo
+    }, {
+      timeout: 30000 // 30 second timeout
+    });
+
+    return response.data;
+  }
+
+  async function createFiles(files, message, { branch, pullRequest, extraFiles } = {}) {
+    console.log(`Forwarding batch to Python: ${files.map(f => `${f.topFolder}/${f.subFolder}/${f.filename}`).join(', ')}`);
+
+    const response = await python.post('/create-files', {
+      files,
+      message,
+      branch: branch || writeBranch,
+      pullRequest,
+      extraFiles,
+      repo
+    }, {
+      timeout: 60000 // batches do one lookup per file
+    });
+
+    return response.data;
+  }
+
+  async function writeFiles(files, message) {
+    console.log(`Forwarding write to Python: ${files.map(f => f.path).join(', ')}`);
+
+    const response = await python.post('/write-files', {
+      files,
+      message,
+      branch: writeBranch,
+      repo
+    }, {
+      timeout: 60000
+    });
+
+    return response.data;
+  }
+
+  async function deleteFile(filePath, { sha, message, extraFiles = [] } = {}) {
+    console.log(`Forwarding deletion to Python: ${filePath}`);
+
+    const response = await python.post('/delete-file', {
+      path: filePath,
+      sha,
+      message,
+      extraFiles,
+      branch: writeBranch,
+      repo
+    }, {
+      timeout: 30000
+    });
+
+    return response.data;
+  }
+
+  async function createFolder(folderPath, readme) {
+    console.log(`Forwarding folder creation to Python: ${folderPath}`);
+
+    const response = await python.post('/create-folder', {
+      path: folderPath,
+      content: readme,
+      branch: writeBranch,
+      repo
+    }, {
+      timeout: 30000
+    });
+
+    return response.data;
+  }
+
+  async function probe(request) {
+    const started = Date.now();
+    try {
+      const response = await request();
+      return { ok: true, latencyMs: Date.now() - started, response };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - started, error: error.message };
+    }
+  }
+
+  // Readiness: the Python service must be up with a write token, and GitHub reachable.
+  // /rate_limit doesn't count against the rate limit, so probing it is free.
+  async function checkHealth() {
+    const [pythonProbe, githubProbe] = await Promise.all([
+      probe(() => python.get('/health', { timeout: 3000 })),
+      probe(() => github.get(`${new URL(apiUrl).origin}/rate_limit`, { headers, timeout: 3000, retry: false }))
+    ]);
+
+    const pythonCheck = { ok: pythonProbe.ok, latencyMs: pythonProbe.latencyMs };
+    if (pythonProbe.ok) {
+      pythonCheck.githubTokenConfigured = Boolean(pythonProbe.response.data.github_token_configured);
+      pythonCheck.ok = pythonCheck.githubTokenConfigured;
+      if (!pythonCheck.ok) pythonCheck.error = 'Python service has no GitHub token configured';
+    } else {
+      pythonCheck.error = pythonProbe.error;
+    }
+
+    const githubCheck = { ok: githubProbe.ok, latencyMs: githubProbe.latencyMs };
+    if (githubProbe.ok) {
+      const core = githubProbe.response.data.resources?.core;
+      githubCheck.rateLimitRemaining = core?.remaining;
+      githubCheck.rateLimitResetAt = core?.reset ? new Date(core.reset * 1000).toISOString() : null;
+    } else {
+      githubCheck.error = githubProbe.error;
+    }
+
+    return {
+      ready: pythonCheck.ok && githubCheck.ok,
+      checks: { python: pythonCheck, github: githubCheck }
+    };
+  }
+
+  return {
+    name: 'github',
+    describe: () => `GitHub (${apiUrl}) via Python service at ${pythonService}`,
+    rateLimit: rateLimit.status,
+    listFolders,
+    listFiles,
+    listCommits,
+    listBranches,
+    readFile,
+    readBlob,
+    createFile,
+    createFiles,
+    writeFiles,
+    deleteFile,
+    createFolder,
+    checkHealth
+  };
+}
+
+module.exports = { createGitHubStorage };
@@ -0,0 +1,102 @@
+// Rate-limit awareness for the GitHub read client: remembers the x-ratelimit-*
+// headers, waits out short limits and transient 5xx with exponential backoff,
+// and fails fast with GITHUB_RATE_LIMITED when the reset is too far away.
+// Pass { retry: false } in a request config to get the error straight away.
+
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_WAIT_MS = 10 * 1000; // longer than this and the client is better off with an error
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function rateLimitError(resetAt) {
+  const retryAfter = resetAt ? Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)) : 60;
+  const error = new Error(resetAt
+    ? `GitHub API rate limit exceeded; resets at ${resetAt.toISOString().slice(11, 16)} UTC`
+    : 'GitHub API rate limit exceeded');
+  error.status = 503;
+  error.code = 'GITHUB_RATE_LIMITED';
+  error.resetAt = resetAt ? resetAt.toISOString() : null;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Primary limits send remaining: 0; secondary limits send retry-after or only say so in the body
+function isRateLimited(response) {
+  if (!response || (response.status !== 403 && response.status !== 429)) return false;
+  return response.headers['x-ratelimit-remaining'] === '0' ||
+    response.headers['retry-after'] !== undefined ||
+    /rate limit/i.test(response.data?.message || '');
+}
+
+function installRetry(client, { maxRetries = MAX_RETRIES, baseDelayMs = BASE_DELAY_MS, maxWaitMs = MAX_WAIT_MS } = {}) {
+  // Last values GitHub reported; null until the first response
+  const state = { limit: null, remaining: null, resetAt: null };
+
+  function note(headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+    state.limit = Number(headers['x-ratelimit-limit']);
+    state.remaining = Number(headers['x-ratelimit-remaining']);
+    state.resetAt = new Date(Number(headers['x-ratelimit-reset']) * 1000);
+  }
+
+  // How long GitHub wants us to wait before the next attempt
+  function waitFor(response, attempt) {
+    const retryAfter = Number(response.headers['retry-after']);
+    if (retryAfter > 0) return retryAfter * 1000;
+    if (response.headers['x-ratelimit-remaining'] === '0' && state.resetAt) {
+      return Math.max(0, state.resetAt - Date.now());
+    }
+    return baseDelayMs * 2 ** attempt;
+  }
+
+  // Don't spend a request we know will be refused (/rate_limit itself is always allowed)
+  client.interceptors.request.use(config => {
+    if (state.remaining === 0 && state.resetAt && state.resetAt - Date.now() > maxWaitMs &&
+        !String(config.url).endsWith('/rate_limit')) {
+      throw rateLimitError(state.resetAt);
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(response => {
+    note(response.headers);
+    return response;
+  }, async error => {
+    const { response, config } = error;
+    if (!config || config.retry === false) throw error;
+
+    const attempt = config.retryAttempt || 0;
+
+    if (isRateLimited(response)) {
+      note(response.headers);
+      const wait = waitFor(response, attempt);
+      if (attempt >= maxRetries || wait > maxWaitMs) {
+        const retryAfter = Number(response.headers['retry-after']);
+        throw rateLimitError(retryAfter > 0 ? new Date(Date.now() + retryAfter * 1000) : state.resetAt);
+      }
+      await sleep(wait);
+      return client.request({ ...config, retryAttempt: attempt + 1 });
+    }
+
+    // Transient server or network trouble: only reads are safe to repeat
+    const transient = response ? RETRYABLE_STATUSES.includes(response.status) : error.code !== 'ERR_CANCELED';
+    if (transient && (config.method || 'get').toLowerCase() === 'get' && attempt < maxRetries) {
+      await sleep(baseDelayMs * 2 ** attempt);
+      return client.request({ ...config, retryAttempt: attempt + 1 });
+    }
+
+    throw error;
+  });
+
+  return {
+    status: () => ({
+      limit: state.limit,
+      remaining: state.remaining,
+      resetAt: state.resetAt ? state.resetAt.toISOString() : null
+    })
+  };
+}
+
+module.exports = { installRetry, rateLimitError, isRateLimited };
@@ -0,0 +1,45 @@
+const { createGitHubStorage } = require('./github');
+const { createLocalStorage } = require('./local');
+
+// Every adapter exposes the same surface:
+//   name, describe()
+//   listFolders()                  -> nested folder tree (see folderTree.js)
+//   listFiles({ lastCommits })     -> [{ path, size, sha, lastCommit: { sha, message, author, date } }]
+//                                     (lastCommit is null unless lastCommits is true)
+//   listCommits({ since })         -> [{ sha, message, author, date }], newest first
+//   readFile(path, { ref })        -> { path, content, sha } (git blob SHA), from branch ref
+//                                     (default branch when omitted)
+//   readBlob(sha)                  -> { sha, content } of any blob, e.g. a file's previous version
+//   listBranches()                 -> { defaultBranch, branches: [name] }
+//   createFile(file)               -> same response shape as the Python service;
+//                                     overwrite with file.sha fails with 409 if the file changed;
+//                                     file.message is a template (see commitMessage.js), file.branch
+//                                     the target branch, file.pullRequest proposes it via a PR;
+//                                     file.extraFiles [{ path, content }] go into the same commit
+//   createFiles(files, message, { branch, pullRequest, extraFiles })
+//                                  -> batch response, committed atomically (with extraFiles)
+//   writeFiles([{ path, content }], message)
+//                                  -> { success, commit, paths }, one commit on the default branch
+//   deleteFile(path, { sha, message, extraFiles })
+//                                  -> { success, path, deleted, commit }; 409 if sha no longer matches;
+//                                     extraFiles [{ path, content }] go into the same commit
+//   createFolder(path, readme)     -> { success, path }, README.md keeps it in git
+//   checkHealth()                  -> { ready, checks: { <dependency>: { ok, ... } } }
+//   rateLimit()                    -> { limit, remaining, resetAt } last reported by GitHub (github only)
+// Errors with a status are reported as-is; GitHub rate limits are 503s with
+// code GITHUB_RATE_LIMITED, resetAt and retryAfter (see githubRetry.js).
+function createStorage(config) {
+  switch (config.adapter) {
+    case 'github':
+      return createGitHubStorage(config.github);
+    case 'local':
+      if (!config.local.repoPath) {
+        throw new Error('LOCAL_REPO_PATH must be set when STORAGE_ADAPTER=local');
+      }
+      return createLocalStorage(config.local);
+    default:
+      throw new Error(`Unknown storage adapter: ${config.adapter}`);
+  }
+}
+
+module.exports = { createStorage };
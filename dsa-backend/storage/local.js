@@ -0,0 +1,421 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { DEFAULT_MESSAGE_TEMPLATE, renderCommitMessage, defaultBatchMessage } = require('../commitMessage');
+
+const execFileAsync = promisify(execFile);
+
+// Errors carrying a status are reported to the client as-is
+function storageError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Works against a git working copy on disk: files are written into the
+// working tree and committed with the git CLI (no push).
+function createLocalStorage({ repoPath }) {
+  const root = path.resolve(repoPath);
+
+  const git = async (args) => {
+    const { stdout } = await execFileAsync('git', args, { cwd: root, maxBuffer: 64 * 1024 * 1024 });
+    return stdout.trim();
+  };
+
+  // Resolve a repo-relative path, refusing anything that escapes the repo
+  function resolvePath(relPath) {
+    const absolute = path.resolve(root, relPath);
+    if (absolute !== root && !absolute.startsWith(root + path.sep)) {
+      throw storageError(`Path escapes repository: ${relPath}`, 400);
+    }
+    if (path.relative(root, absolute).split(path.sep).includes('.git')) {
+      throw storageError(`Path points into .git: ${relPath}`, 400);
+    }
+    return absolute;
+  }
+
+  async function exists(relPath) {
+    try {
+      await fs.access(resolvePath(relPath));
+      return true;
+    } catch (err) {
+      if (err.status) throw err;
+      return false;
+    }
+  }
+
+  async function listDirs(absolute) {
+    const entries = await fs.readdir(absolute, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  async function readFolderTree(absolute) {
+    const folderTree = {};
+    for (const folder of await listDirs(absolute)) {
+      folderTree[folder] = await readFolderTree(path.join(absolute, folder));
+    }
+    return folderTree;
+  }
+
+  async function listFolders() {
+    console.log(`Reading folder tree from ${root}...`);
+    return readFolderTree(root);
+  }
+
+  // Newest commit touching each path, from a single pass over the history
+  async function readLastCommits() {
+    const log = await git([
+      '-c', 'core.quotePath=false', 'log',
+      '--format=%x1e%H%x1f%aI%x1f%an%x1f%s', '--name-only'
+    ]);
+    const lastCommits = new Map();
+
+    for (const entry of log.split('\x1e').filter(Boolean)) {
+      const [header, ...paths] = entry.split('\n');
+      const [sha, date, author, message] = header.split('\x1f');
+      for (const filePath of paths.filter(Boolean)) {
+        if (!lastCommits.has(filePath)) {
+          lastCommits.set(filePath, { sha, message, author, date });
+        }
+      }
+    }
+
+    return lastCommits;
+  }
+
+  // History is only read when asked for (lastCommits: true)
+  async function listFiles({ lastCommits: withCommits = false } = {}) {
+    // "<mode> <sha> <stage>\t<path>" per tracked file
+    const entries = (await git(['-c', 'core.quotePath=false', 'ls-files', '-s']))
+      .split('\n')
+      .filter(Boolean);
+    const lastCommits = withCommits ? await readLastCommits() : new Map();
+    const files = [];
+
+    for (const entry of entries) {
+      const [meta, filePath] = entry.split('\t');
+      let size = null;
+      try {
+        size = (await fs.stat(resolvePath(filePath))).size;
+      } catch (err) {
+        continue; // deleted from the working copy but still in the index
+      }
+      files.push({
+        path: filePath,
+        size,
+        sha: meta.split(' ')[1],
+        lastCommit: lastCommits.get(filePath) || null
+      });
+    }
+
+    return files;
+  }
+
+  // Commits on HEAD since a date, newest first
+  async function listCommits({ since } = {}) {
+    const args = ['log', '--format=%H%x1f%aI%x1f%an%x1f%s'];
+    if (since) args.push(`--since=${since}`);
+
+    return (await git(args))
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [sha, date, author, message] = line.split('\x1f');
+        return { sha, message, author, date };
+      });
+  }
+
+  // Same scheme as the Python service: name_v2.ext, name_v3.ext, ...
+  async function generateVersionedFilename(basePath, filename, reserved = new Set()) {
+    const ext = path.extname(filename);
+    const name = filename.slice(0, filename.length - ext.length);
+
+    for (let version = 2; version <= 100; version++) {
+      const versionedName = `${name}_v${version}${ext}`;
+      const versionedPath = `${basePath}/${versionedName}`;
+      if (!reserved.has(versionedPath) && !(await exists(versionedPath))) {
+        return versionedName;
+      }
+    }
+
+    throw storageError('Too many versions', 500);
+  }
+
+  async function writeFile(relPath, content) {
+    const absolute = resolvePath(relPath);
+    await fs.mkdir(path.dirname(absolute), { recursive: true });
+    await fs.writeFile(absolute, content, 'utf8');
+  }
+
+  // Commit only the given paths, leaving anything else in the index alone
+  async function commit(relPaths, message) {
+    await git(['add', '--', ...relPaths]);
+
+    const changed = await git(['status', '--porcelain', '--', ...relPaths]);
+    if (changed) {
+      await git(['commit', '-m', message, '--', ...relPaths]);
+    }
+
+    return git(['rev-parse', 'HEAD']);
+  }
+
+  async function blobSha(relPath) {
+    return git(['rev-parse', `HEAD:${relPath}`]);
+  }
+
+  // SHA of the working copy, comparable with what readFile handed out
+  async function workingSha(relPath) {
+    return git(['hash-object', '--', relPath]);
+  }
+
+  // The working tree only holds the checked-out branch
+  async function readFile(relPath, { ref } = {}) {
+    if (ref) {
+      const current = await currentBranch();
+      if (ref !== current) {
+        throw storageError(`Local storage reads the checked-out branch (${current})`, 400);
+      }
+    }
+    const absolute = resolvePath(relPath);
+    let content;
+    try {
+      content = await fs.readFile(absolute, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') throw storageError(`File not found: ${relPath}`, 404);
+      if (err.code === 'EISDIR') throw storageError(`Not a file: ${relPath}`, 400);
+      throw err;
+    }
+    return { path: relPath, content, sha: await workingSha(relPath) };
+  }
+
+  async function currentBranch() {
+    return git(['rev-parse', '--abbrev-ref', 'HEAD']);
+  }
+
+  // Only the checked-out branch can be committed to, and there is nowhere to open a PR
+  async function checkTarget({ branch, pullRequest }) {
+    if (pullRequest) {
+      throw storageError('Pull requests need the GitHub storage adapter', 400);
+    }
+    if (branch) {
+      const current = await currentBranch();
+      if (branch !== current) {
+        throw storageError(`Local storage commits to the checked-out branch (${current})`, 400);
+      }
+    }
+  }
+
+  async function listBranches() {
+    const current = await currentBranch();
+    return { defaultBranch: current, branches: [current] };
+  }
+
+  async function createFile({ topFolder, subFolder, filename, content, action, sha, message, branch, pullRequest, extraFiles = [] }) {
+    await checkTarget({ branch, pullRequest });
+    // Written into the same commit as the solution (e.g. README indexes)
+    const writeExtras = async () => {
+      for (const extra of extraFiles) {
+        await writeFile(extra.path, extra.content);
+      }
+      return extraFiles.map(extra => extra.path);
+    };
+    const template = message || DEFAULT_MESSAGE_TEMPLATE;
+    const basePath = `${topFolder}/${subFolder}`;
+    const filePath = `${basePath}/${filename}`;
+    const fileExists = await exists(filePath);
+
+    if (action === 'reject') {
+      return { success: false, message: 'Operation cancelled by user' };
+    }
+
+    if (action === 'check') {
+      if (fileExists) {
+        return { exists: true, path: filePath };
+      }
+      await writeFile(filePath, content);
+      const commitSha = await commit([filePath, ...(await writeExtras())], renderCommitMessage(template, [{ filename, path: filePath }]));
+      return { success: true, path: filePath, sha: await blobSha(filePath), commit: commitSha };
+    }
+
+    if (action === 'overwrite') {
+      if (sha && fileExists && (await workingSha(filePath)) !== sha) {
+        const error = storageError('File changed since it was viewed', 409);
+        error.conflict = true;
+        throw error;
+      }
+      await writeFile(filePath, content);
+      const commitSha = await commit([filePath, ...(await writeExtras())], renderCommitMessage(template, [{ filename, path: filePath }]));
+      return { success: true, path: filePath, overwritten: true, sha: await blobSha(filePath), commit: commitSha };
+    }
+
+    if (action === 'version') {
+      const versionedFilename = await generateVersionedFilename(basePath, filename);
+      const versionedPath = `${basePath}/${versionedFilename}`;
+      await writeFile(versionedPath, content);
+      const commitSha = await commit([versionedPath, ...(await writeExtras())], renderCommitMessage(template, [{ filename: versionedFilename, path: versionedPath }]));
+      return { success: true, path: versionedPath, versioned: true, filename: versionedFilename, sha: await blobSha(versionedPath), commit: commitSha };
+    }
+
+    throw storageError('Invalid action', 400);
+  }
+
+  async function createFiles(files, message, { branch, pullRequest, extraFiles = [] } = {}) {
+    await checkTarget({ branch, pullRequest });
+    const results = [];
+    const toCommit = [];
+    const reservedPaths = new Set();
+    let hasConflicts = false;
+
+    // Resolve every file before touching the working tree
+    for (const file of files) {
+      const basePath = `${file.topFolder}/${file.subFolder}`;
+      let filename = file.filename;
+      let filePath = `${basePath}/${filename}`;
+      const fileExists = await exists(filePath);
+      let status;
+
+      if (file.action === 'reject') {
+        results.push({ path: filePath, filename, status: 'skipped' });
+        continue;
+      }
+
+      if (file.action === 'check') {
+        if (fileExists) {
+          hasConflicts = true;
+          results.push({ path: filePath, filename, status: 'exists' });
+          continue;
+        }
+        status = 'created';
+      } else if (file.action === 'overwrite') {
+        status = fileExists ? 'overwritten' : 'created';
+      } else if (file.action === 'version') {
+        if (fileExists) {
+          filename = await generateVersionedFilename(basePath, filename, reservedPaths);
+          filePath = `${basePath}/${filename}`;
+          status = 'versioned';
+        } else {
+          status = 'created';
+        }
+      } else {
+        throw storageError('Invalid action', 400);
+      }
+
+      reservedPaths.add(filePath);
+      toCommit.push({ path: filePath, content: file.content });
+      results.push({ path: filePath, filename, status });
+    }
+
+    if (hasConflicts) {
+      return {
+        exists: true,
+        conflicts: results.filter(r => r.status === 'exists').map(r => r.path),
+        results
+      };
+    }
+
+    if (toCommit.length === 0) {
+      return { success: false, message: 'Operation cancelled by user', results };
+    }
+
+    // Extra files (e.g. README indexes) go into the same commit
+    const toWrite = [...toCommit, ...extraFiles];
+    for (const file of toWrite) {
+      await writeFile(file.path, file.content);
+    }
+
+    const written = results.filter(r => r.status !== 'skipped');
+    const commitMessage = message
+      ? renderCommitMessage(message, written)
+      : defaultBatchMessage(written.map(r => r.filename));
+    const commitSha = await commit(toWrite.map(f => f.path), commitMessage);
+
+    return { success: true, commit: commitSha, results };
+  }
+
+  // Write arbitrary repo paths as one commit on the checked-out branch
+  async function writeFiles(files, message) {
+    for (const file of files) {
+      await writeFile(file.path, file.content);
+    }
+    const commitSha = await commit(files.map(file => file.path), message);
+    return { success: true, commit: commitSha, paths: files.map(file => file.path) };
+  }
+
+  // Content of a blob by SHA, e.g. an earlier version of a file
+  async function readBlob(sha) {
+    // SHA-1 or SHA-256 object names
+    if (!/^([0-9a-f]{40}|[0-9a-f]{64})$/.test(sha)) {
+      throw storageError(`Invalid blob SHA: ${sha}`, 400);
+    }
+    try {
+      // Not git(): trimming would change the content
+      const { stdout } = await execFileAsync('git', ['cat-file', 'blob', sha], { cwd: root, maxBuffer: 64 * 1024 * 1024 });
+      return { sha, content: stdout };
+    } catch (err) {
+      throw storageError(`Blob not found: ${sha}`, 404);
+    }
+  }
+
+  // extraFiles ([{ path, content }]) are written into the same commit (e.g. README indexes)
+  async function deleteFile(relPath, { sha, message, extraFiles = [] } = {}) {
+    if (!(await exists(relPath))) {
+      throw storageError(`File not found: ${relPath}`, 404);
+    }
+    if (sha && (await workingSha(relPath)) !== sha) {
+      const error = storageError('File changed since it was viewed', 409);
+      error.conflict = true;
+      throw error;
+    }
+
+    await fs.unlink(resolvePath(relPath));
+    for (const extra of extraFiles) {
+      await writeFile(extra.path, extra.content);
+    }
+    const commitSha = await commit([relPath, ...extraFiles.map(extra => extra.path)], message || `Delete ${path.basename(relPath)}`);
+    return { success: true, path: relPath, deleted: true, commit: commitSha };
+  }
+
+  async function createFolder(folderPath, readme) {
+    if (await exists(folderPath)) {
+      throw storageError(`Folder already exists: ${folderPath}`, 409);
+    }
+
+    const readmePath = `${folderPath}/README.md`;
+    await writeFile(readmePath, readme);
+    await commit([readmePath], `Create folder ${folderPath}`);
+    return { success: true, path: folderPath };
+  }
+
+  // Readiness: the working copy must still be a git repository
+  async function checkHealth() {
+    try {
+      await git(['rev-parse', '--is-inside-work-tree']);
+      return { ready: true, checks: { repository: { ok: true, path: root } } };
+    } catch (error) {
+      return { ready: false, checks: { repository: { ok: false, path: root, error: error.message } } };
+    }
+  }
+
+  return {
+    name: 'local',
+    describe: () => `local git repository at ${root}`,
+    listFolders,
+    listFiles,
+    listCommits,
+    listBranches,
+    readFile,
+    readBlob,
+    createFile,
+    createFiles,
+    writeFiles,
+    deleteFile,
+    createFolder,
+    checkHealth
+  };
+}
+
+module.exports = { createLocalStorage };
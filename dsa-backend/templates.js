@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { LANGUAGES } = require('./languages');
+
+// Placeholders filled from the problem catalog and the submission; anything else is left alone
+// (a bare "{" in code never matches)
+const TEMPLATE_PLACEHOLDER = /\{(number|title|slug|difficulty|date|language|filename|folder)\}/g;
+const TEMPLATE_PLACEHOLDERS = ['{number}', '{title}', '{slug}', '{difficulty}', '{date}', '{language}', '{filename}', '{folder}'];
+
+// Files on disk, read on every request so edits show up without a restart:
+//   <dir>/<language><ext>                     default, e.g. cpp.cpp, python.py
+//   <dir>/folders/<folder path>/<language><ext>  for that folder and everything below it
+function createTemplateStore({ dir }) {
+  const root = path.resolve(dir);
+
+  const templateName = (language) => `${language}${LANGUAGES[language].extensions[0]}`;
+
+  async function readIfExists(file) {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Most specific folder first, then the default; folder segments are validated by the caller
+  async function resolve(language, folder = '') {
+    const segments = folder.split('/').filter(Boolean);
+
+    for (let depth = segments.length; depth > 0; depth--) {
+      const scope = segments.slice(0, depth);
+      const content = await readIfExists(path.join(root, 'folders', ...scope, templateName(language)));
+      if (content !== null) return { content, source: scope.join('/') };
+    }
+
+    const content = await readIfExists(path.join(root, templateName(language)));
+    return content !== null ? { content, source: null } : null;
+  }
+
+  // Languages with a template for this folder; source is the folder it comes from (null = default)
+  async function list(folder) {
+    const templates = [];
+    for (const [language, { name, extensions }] of Object.entries(LANGUAGES)) {
+      const template = await resolve(language, folder);
+      if (template) templates.push({ language, name, extension: extensions[0], source: template.source });
+    }
+    return templates;
+  }
+
+  return { dir: root, resolve, list };
+}
+
+// values: { number, title, slug, difficulty, date, language, filename, folder }. A line whose
+// placeholders are all missing is dropped, so "// {number}. {title}" disappears without a problem
+function renderTemplate(content, values) {
+  const valueOf = (key) => (values[key] == null ? '' : String(values[key]));
+
+  return content
+    .split('\n')
+    .filter(line => {
+      const keys = [...line.matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1]);
+      return keys.length === 0 || keys.some(key => valueOf(key) !== '');
+    })
+    .map(line => line.replace(TEMPLATE_PLACEHOLDER, (match, key) => valueOf(key)))
+    .join('\n');
+}
+
+module.exports = { createTemplateStore, renderTemplate, TEMPLATE_PLACEHOLDERS };
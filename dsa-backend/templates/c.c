@@ -0,0 +1,7 @@
+// {number}. {title}
+// Difficulty: {difficulty}
+// Solved: {date}
+//
+// TC: O(?)
+// SC: O(?)
+
@@ -0,0 +1,11 @@
+// {number}. {title}
+// Difficulty: {difficulty}
+// Solved: {date}
+//
+// TC: O(?)
+// SC: O(?)
+
+class Solution {
+public:
+
+};
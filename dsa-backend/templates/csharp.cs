@@ -0,0 +1,10 @@
+// {number}. {title}
+// Difficulty: {difficulty}
+// Solved: {date}
+//
+// TC: O(?)
+// SC: O(?)
+
+public class Solution {
+
+}
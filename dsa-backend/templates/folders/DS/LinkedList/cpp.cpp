@@ -0,0 +1,18 @@
+// {number}. {title}
+// Difficulty: {difficulty}
+// Solved: {date}
+//
+// TC: O(?)
+// SC: O(?)
+
+/**
+ * struct ListNode {
+ *     int val;
+ *     ListNode *next;
+ *     ListNode(int x) : val(x), next(nullptr) {}
+ * };
+ */
+class Solution {
+public:
+
+};
@@ -0,0 +1,19 @@
+// {number}. {title}
+// Difficulty: {difficulty}
+// Solved: {date}
+//
+// TC: O(?)
+// SC: O(?)
+
+/**
+ * struct TreeNode {
+ *     int val;
+ *     TreeNode *left;
+ *     TreeNode *right;
+ *     TreeNode(int x) : val(x), left(nullptr), right(nullptr) {}
+ * };
+ */
+class Solution {
+public:
+
+};
@@ -0,0 +1,9 @@
+# {number}. {title}
+# Difficulty: {difficulty}
+# Solved: {date}
+#
+# TC: O(?)
+# SC: O(?)
+
+class Solution:
+    pass
@@ -0,0 +1,8 @@
+-- {number}. {title}
+-- Difficulty: {difficulty}
+-- Solved: {date}
+--
+-- TC: O(?)
+-- SC: O(?)
+
+SELECT
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuth, parseUsers, parseList } = require('../auth');
+
+// Just enough of an express request for credentialFrom()
+const requestWith = (headers) => ({ get: name => headers[name.toLowerCase()] });
+
+test('parseUsers and parseList read comma-separated settings', () => {
+  assert.deepEqual(parseUsers('alice:secret, bob:pa:ss,broken,:nobody'), { alice: 'secret', bob: 'pa:ss' });
+  assert.deepEqual(parseList(' a, ,b '), ['a', 'b']);
+  assert.deepEqual(parseList(undefined), []);
+});
+
+test('auth is only enabled once keys or users are configured', () => {
+  assert.equal(createAuth({}).enabled, false);
+  assert.equal(createAuth({ apiKeys: ['k'] }).enabled, true);
+  assert.equal(createAuth({ users: { alice: 'secret' } }).enabled, true);
+});
+
+test('login issues a session token that authenticates until logout', () => {
+  const auth = createAuth({ users: { alice: 'secret' } });
+
+  assert.equal(auth.login('alice', 'wrong'), null);
+  assert.equal(auth.login('mallory', 'secret'), null);
+  assert.equal(auth.login('constructor', 'x'), null);
+
+  const session = auth.login('alice', 'secret');
+  assert.match(session.token, /^[0-9a-f]{64}$/);
+
+  const req = requestWith({ authorization: `Bearer ${session.token}` });
+  assert.deepEqual(auth.authenticate(req), { id: 'user:alice', type: 'session', name: 'alice' });
+
+  auth.logout(session.token);
+  assert.equal(auth.authenticate(req), null);
+});
+
+test('sessions expire', () => {
+  const auth = createAuth({ users: { alice: 'secret' }, sessionTtlMs: -1 });
+  const { token } = auth.login('alice', 'secret');
+  assert.equal(auth.authenticate(requestWith({ authorization: `Bearer ${token}` })), null);
+});
+
+test('API keys work as a Bearer credential or X-API-Key', () => {
+  const auth = createAuth({ apiKeys: ['k1', 'k2'] });
+
+  assert.equal(auth.authenticate(requestWith({ authorization: 'Bearer k2' })).id, 'key:1');
+  assert.equal(auth.authenticate(requestWith({ 'x-api-key': 'k1' })).name, 'API key #1');
+  assert.equal(auth.authenticate(requestWith({ 'x-api-key': 'k3' })), null);
+  assert.equal(auth.authenticate(requestWith({})), null);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, createTempRepo } = require('./helpers');
+
+const repo = createTempRepo({ 'DS/Array/.gitkeep': '' });
+
+let gateway;
+
+test.before(async () => {
+  gateway = await startGateway({
+    STORAGE_ADAPTER: 'local',
+    LOCAL_REPO_PATH: repo.root,
+    API_KEYS: 'test-key',
+    AUTH_USERS: 'alice:secret',
+    CORS_ORIGINS: 'https://dsa.example',
+    RATE_LIMIT_MAX: '2'
+  });
+});
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+test('rejects API calls without a credential but leaves /health open', async () => {
+  const folders = await gateway.request('GET', '/api/folders');
+  assert.equal(folders.status, 401);
+  assert.equal(folders.body.code, 'UNAUTHENTICATED');
+
+  assert.equal((await gateway.request('GET', '/health')).status, 200);
+  assert.equal((await gateway.request('GET', '/api/folders', undefined, { 'X-API-Key': 'test-key' })).status, 200);
+});
+
+test('reports the session state', async () => {
+  assert.deepEqual((await gateway.request('GET', '/api/session')).body, {
+    authRequired: true, authenticated: false, principal: null
+  });
+  assert.deepEqual((await gateway.request('GET', '/api/session', undefined, bearer('test-key'))).body, {
+    authRequired: true, authenticated: true, principal: { type: 'api-key', name: 'API key #1' }
+  });
+});
+
+test('logs in with a password and logs out again', async () => {
+  const failed = await gateway.request('POST', '/api/login', { username: 'alice', password: 'nope' });
+  assert.equal(failed.status, 401);
+  assert.equal(failed.body.code, 'INVALID_CREDENTIALS');
+  assert.equal((await gateway.request('POST', '/api/login', { username: 'alice' })).status, 400);
+
+  const { body: session } = await gateway.request('POST', '/api/login', { username: 'alice', password: 'secret' });
+  assert.equal(session.username, 'alice');
+  assert.equal((await gateway.request('GET', '/api/folders', undefined, bearer(session.token))).status, 200);
+
+  assert.equal((await gateway.request('POST', '/api/logout', undefined, bearer(session.token))).status, 200);
+  assert.equal((await gateway.request('GET', '/api/folders', undefined, bearer(session.token))).status, 401);
+  // Logging out with a token that's already gone still succeeds
+  assert.equal((await gateway.request('POST', '/api/logout', undefined, bearer(session.token))).status, 200);
+});
+
+test('logs usernames without control characters and at a bounded length', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  await gateway.request('POST', '/api/login', { username: `mallory\n🔑 alice logged in\r${'x'.repeat(200)}`, password: 'nope' });
+
+  const [line] = warn.mock.calls[0].arguments;
+  assert.doesNotMatch(line, /[\n\r]/);
+  assert.ok(line.startsWith('Failed login for mallory🔑 alice logged in'));
+  assert.equal(line.length, 'Failed login for '.length + 64);
+});
+
+test('rate limits writes per client', async () => {
+  const write = () => gateway.request('POST', '/api/folders', { parent: 'DS', name: 'X' }, bearer('test-key'));
+
+  await write();
+  await write();
+  const limited = await write();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
+
+test('allows CORS only from configured origins', async () => {
+  const allowed = await gateway.request('GET', '/health', undefined, { Origin: 'https://dsa.example' });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://dsa.example');
+
+  const other = await gateway.request('GET', '/health', undefined, { Origin: 'https://evil.example' });
+  assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCatalog, parseCsv } = require('../catalog');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-catalog-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+const rulesPath = writeFile('rules.json', {
+  rules: [
+    { tags: ['Sliding Window'], folder: 'Patterns/SlidingWindow/' },
+    { tags: ['Linked List'], folder: 'DS/LinkedList' },
+    { tags: [], folder: 'Ignored' }
+  ],
+  fallback: 'Practice/{difficulty}'
+});
+
+const catalog = createCatalog({
+  problemsPath: writeFile('problems.json', [
+    { number: 3, title: 'Longest Substring Without Repeating Characters', difficulty: 'medium', tags: ['Hash Table', 'Sliding Window'] },
+    { number: 167, title: 'Two Sum II - Input Array Is Sorted', difficulty: 'Medium', tags: ['Two Pointers'] },
+    { number: 206, slug: 'reverse-linked-list', title: 'Reverse Linked List', difficulty: 'Easy', tags: ['Linked List'] },
+    { number: 1, title: 'Two Sum', difficulty: 'Easy', tags: ['Array'] },
+    { number: 0, title: 'Invalid' },
+    { number: 5, title: '' }
+  ]),
+  rulesPath
+});
+
+test('parses quoted CSV fields, escaped quotes and CRLF rows', () => {
+  const rows = parseCsv('Number,Title,Tags\r\n1,"Two Sum, Again","Array;""Hash"""\r\n\r\n2,Add,Math');
+  assert.deepEqual(rows, [
+    { number: '1', title: 'Two Sum, Again', tags: 'Array;"Hash"' },
+    { number: '2', title: 'Add', tags: 'Math' }
+  ]);
+});
+
+test('loads CSV catalogs with separated tags and derived slugs', () => {
+  const csv = createCatalog({
+    problemsPath: writeFile('problems.csv', 'number,title,difficulty,tags\n21,Merge Two Sorted Lists,EASY,Linked List|Recursion\n'),
+    rulesPath
+  });
+
+  assert.equal(csv.size, 1);
+  assert.deepEqual(csv.lookup('merge-two-sorted-lists'), {
+    number: 21, slug: 'merge-two-sorted-lists', title: 'Merge Two Sorted Lists', difficulty: 'Easy', tags: ['Linked List', 'Recursion']
+  });
+});
+
+test('skips invalid entries and leaves the catalog empty when the file is missing', (t) => {
+  assert.equal(catalog.size, 4);
+
+  t.mock.method(console, 'warn', () => {});
+  const missing = createCatalog({ problemsPath: path.join(dir, 'nope.json'), rulesPath: path.join(dir, 'nope-rules.json') });
+  assert.equal(missing.size, 0);
+  assert.deepEqual(missing.search('two'), []);
+});
+
+test('ranks exact numbers, then title prefixes, title matches and tags', () => {
+  const numbers = (query) => catalog.search(query).map(problem => problem.number);
+
+  assert.deepEqual(numbers('206'), [206]);
+  assert.deepEqual(numbers('two sum'), [1, 167]);
+  assert.deepEqual(numbers('sum'), [1, 167]);
+  assert.deepEqual(numbers('linked'), [206]);
+  assert.deepEqual(numbers('sliding'), [3]);
+  assert.deepEqual(numbers(''), [3, 167, 206, 1]);
+  assert.equal(catalog.search('', 1).length, 1);
+});
+
+test('looks problems up by number or slug', () => {
+  assert.equal(catalog.lookup('206').title, 'Reverse Linked List');
+  assert.equal(catalog.lookup('Reverse-Linked-List').number, 206);
+  assert.equal(catalog.lookup('999'), null);
+});
+
+test('suggests a filename and the first rule folder that exists', () => {
+  const tree = { Patterns: { SlidingWindow: {} }, Practice: { Medium: {} } };
+
+  assert.deepEqual(catalog.describe(catalog.lookup('3'), tree), {
+    ...catalog.lookup('3'),
+    filenameBase: 'LC_3_Longest_Substring_Without_Repeating_Characters',
+    suggestedFolder: 'Patterns/SlidingWindow'
+  });
+  assert.equal(catalog.describe(catalog.lookup('167'), tree).filenameBase, 'LC_167_Two_Sum_II_Input_Array_Is_Sorted');
+  // No matching rule: the difficulty fallback, if that folder exists
+  assert.equal(catalog.describe(catalog.lookup('167'), tree).suggestedFolder, 'Practice/Medium');
+  assert.equal(catalog.describe(catalog.lookup('206'), tree).suggestedFolder, null);
+  // Without a tree every rule folder counts
+  assert.equal(catalog.describe(catalog.lookup('206')).suggestedFolder, 'DS/LinkedList');
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderCommitMessage, defaultBatchMessage } = require('../commitMessage');
+
+const written = [
+  { filename: 'LC_1_Two_Sum.py', path: 'DS/Array/LC_1_Two_Sum.py' },
+  { filename: 'LC_100_Same_Tree_v2.py', path: 'DS/Tree/LC_100_Same_Tree_v2.py' },
+  { filename: 'LC_2_Add.py', path: 'DS/Array/LC_2_Add.py' }
+];
+
+test('fills placeholders from the files written', () => {
+  assert.equal(renderCommitMessage('Add {filename}', written.slice(0, 1)), 'Add LC_1_Two_Sum.py');
+  assert.equal(
+    renderCommitMessage('{count} solutions in {folder}: {path}', written),
+    '3 solutions in DS/Array, DS/Tree: DS/Array/LC_1_Two_Sum.py, DS/Tree/LC_100_Same_Tree_v2.py, DS/Array/LC_2_Add.py'
+  );
+});
+
+test('leaves unknown placeholders and plain text alone', () => {
+  assert.equal(renderCommitMessage('Solve {problem} ({count})', written.slice(0, 1)), 'Solve {problem} (1)');
+  assert.equal(renderCommitMessage('Practice', written), 'Practice');
+});
+
+test('names single files and counts batches by default', () => {
+  assert.equal(defaultBatchMessage(['LC_1_Two_Sum.py']), 'Add LC_1_Two_Sum.py');
+  assert.equal(defaultBatchMessage(['a.py', 'b.py']), 'Add 2 files: a.py, b.py');
+});
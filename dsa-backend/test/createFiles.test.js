@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, startFakeService } = require('./helpers');
+
+const file = (filename, fields = {}) => ({
+  topFolder: 'DS', subFolder: 'Array', filename, content: `// ${filename}\n`, action: 'check', ...fields
+});
+
+let gateway;
+let python;
+
+test.before(async () => {
+  python = await startFakeService(({ body }) => ({
+    body: { success: true, results: body.files.map(f => ({ path: `${f.topFolder}/${f.subFolder}/${f.filename}`, created: true })) }
+  }));
+  gateway = await startGateway({ PYTHON_SERVICE_URL: python.url });
+});
+
+test('forwards the batch to the Python service as one request', async () => {
+  const res = await gateway.request('POST', '/api/create-files', {
+    files: [file('LC_1_Two_Sum.py', { extra: 'dropped' }), file('LC_2_Add_Two_Numbers.py')],
+    message: 'Add two solutions'
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map(r => r.path), ['DS/Array/LC_1_Two_Sum.py', 'DS/Array/LC_2_Add_Two_Numbers.py']);
+
+  const forwarded = python.requests.at(-1);
+  assert.equal(forwarded.url, '/create-files');
+  assert.equal(forwarded.body.message, 'Add two solutions');
+  assert.deepEqual(forwarded.body.files[0], file('LC_1_Two_Sum.py'));
+});
+
+test('rejects malformed batches before contacting the Python service', async () => {
+  const before = python.requests.length;
+  const cases = [
+    [{ files: [] }, 'files must be a non-empty array'],
+    [{ files: Array.from({ length: 21 }, (_, i) => file(`LC_${i}_X.py`)) }, 'At most 20 files per batch'],
+    [{ files: [file('LC_1_Two_Sum.py', { content: '' })] }, 'Missing required fields'],
+    [{ files: [file('LC_1_Two_Sum.py', { action: 'replace' })] }, 'Invalid action for LC_1_Two_Sum.py'],
+    [{ files: [file('LC_1_Two_Sum.py'), file('LC_1_Two_Sum.py')] }, 'Duplicate file paths in batch']
+  ];
+
+  for (const [body, error] of cases) {
+    const res = await gateway.request('POST', '/api/create-files', body);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, error);
+  }
+  assert.equal(python.requests.length, before);
+});
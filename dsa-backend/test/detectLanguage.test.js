@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers');
+
+const CPP = '#include <vector>\nusing namespace std;\nclass Solution {\npublic:\n  vector<int> twoSum(vector<int>& nums) { return {}; }\n};';
+
+let gateway;
+
+test.before(async () => {
+  gateway = await startGateway();
+});
+
+test('suggests the matching extension when the filename disagrees with the code', async () => {
+  const res = await gateway.request('POST', '/api/detect-language', { content: CPP, filename: 'LC_1_Two_Sum.py' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.language, 'cpp');
+  assert.equal(res.body.name, 'C++');
+  assert.equal(res.body.extension, '.cpp');
+  assert.equal(res.body.filenameLanguage, 'python');
+  assert.equal(res.body.mismatch, true);
+  assert.equal(res.body.suggestedFilename, 'LC_1_Two_Sum.cpp');
+});
+
+test('suggests an extension for bare filenames and none for matching ones', async () => {
+  const bare = await gateway.request('POST', '/api/detect-language', { content: CPP, filename: 'LC_1_Two_Sum' });
+  assert.equal(bare.body.mismatch, false);
+  assert.equal(bare.body.suggestedFilename, 'LC_1_Two_Sum.cpp');
+
+  const matching = await gateway.request('POST', '/api/detect-language', { content: CPP, filename: 'LC_1_Two_Sum.cpp' });
+  assert.equal(matching.body.mismatch, false);
+  assert.equal(matching.body.suggestedFilename, null);
+});
+
+test('answers without a guess for unrecognizable code and rejects non-strings', async () => {
+  const unknown = await gateway.request('POST', '/api/detect-language', { content: 'hello', filename: 'a.py' });
+  assert.deepEqual(unknown.body, {
+    language: null,
+    filenameLanguage: 'python',
+    mismatch: false,
+    complexityWarnings: ['Missing complexity header: add "# TC: O(...)" and "# SC: O(...)"']
+  });
+
+  const invalid = await gateway.request('POST', '/api/detect-language', { content: 42 });
+  assert.equal(invalid.status, 400);
+});
+
+test('checks the TC/SC header ahead of submission, in the detected language when there is no filename', async () => {
+  const placeholder = await gateway.request('POST', '/api/detect-language', { content: `// TC: O(?)\n// SC: O(1)\n${CPP}` });
+  assert.deepEqual(placeholder.body.complexityWarnings, ['Missing complexity header: add "// TC: O(...)"']);
+
+  const complete = await gateway.request('POST', '/api/detect-language', { content: `// TC: O(n)\n// SC: O(n)\n${CPP}`, filename: 'LC_1_Two_Sum.cpp' });
+  assert.deepEqual(complete.body.complexityWarnings, []);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDuplicates, similarity, shingles } = require('../duplicates');
+
+const TWO_SUM = `
+class Solution {
+public:
+    vector<int> twoSum(vector<int>& nums, int target) {
+        unordered_map<int, int> seen;
+        for (int i = 0; i < nums.size(); i++) {
+            if (seen.count(target - nums[i])) return {seen[target - nums[i]], i};
+            seen[nums[i]] = i;
+        }
+        return {};
+    }
+};`;
+
+const REVERSE_LIST = `
+class Solution {
+public:
+    ListNode* reverseList(ListNode* head) {
+        ListNode* prev = nullptr;
+        while (head) {
+            ListNode* next = head->next;
+            head->next = prev;
+            prev = head;
+            head = next;
+        }
+        return prev;
+    }
+};`;
+
+const size = (content) => Buffer.byteLength(content, 'utf8');
+
+test('ignores comments and layout when comparing code', () => {
+  const reformatted = `// TC: O(n)\n// SC: O(n)\n${TWO_SUM.replace(/\n\s+/g, '\n')}`;
+  assert.equal(similarity(shingles(TWO_SUM), shingles(reformatted)), 1);
+  assert.ok(similarity(shingles(TWO_SUM), shingles(REVERSE_LIST)) < 0.5);
+  assert.equal(similarity(shingles(''), shingles(TWO_SUM)), 0);
+});
+
+test('reports the same problem number and near-identical code', async () => {
+  const contents = {
+    'DS/Array/LC_1_Two_Sum.cpp': TWO_SUM,
+    'Algo/Hashing/Pair_Sum.cpp': `/* copied */${TWO_SUM}`,
+    'DS/LinkedList/LC_206_Reverse_Linked_List.cpp': REVERSE_LIST,
+    'DS/Array/LC_1_Two_Sum.py': 'def two_sum(nums, target):\n    return []\n'
+  };
+  const files = Object.keys(contents).map(path => ({ path, size: size(contents[path]) }));
+
+  const result = await findDuplicates(
+    { path: 'DS/Array/LC_1_Two_Sum_v2.cpp', filename: 'LC_1_Two_Sum_v2.cpp', content: TWO_SUM },
+    files,
+    async (file) => shingles(contents[file.path])
+  );
+
+  assert.equal(result.problem, 1);
+  assert.deepEqual(result.matches.map(match => [match.path, match.sameProblem, match.similarity]), [
+    ['DS/Array/LC_1_Two_Sum.cpp', true, 1],
+    ['Algo/Hashing/Pair_Sum.cpp', false, 1],
+    ['DS/Array/LC_1_Two_Sum.py', true, null]
+  ]);
+});
+
+test('skips the file being replaced and files of another language or far-off size', async () => {
+  const read = [];
+  const files = [
+    { path: 'DS/Array/LC_1_Two_Sum.cpp', size: size(TWO_SUM) },
+    { path: 'DS/Array/two_sum.py', size: size(TWO_SUM) },
+    { path: 'DS/Array/huge.cpp', size: size(TWO_SUM) * 10 }
+  ];
+
+  const result = await findDuplicates(
+    { path: 'DS/Array/LC_1_Two_Sum.cpp', filename: 'LC_1_Two_Sum.cpp', content: TWO_SUM },
+    files,
+    async (file) => {
+      read.push(file.path);
+      return shingles(TWO_SUM);
+    }
+  );
+
+  assert.deepEqual(result.matches, []);
+  assert.deepEqual(read, []);
+});
+
+test('only reports content matches at or above the threshold', async () => {
+  const files = [{ path: 'DS/LinkedList/reverse.cpp', size: size(REVERSE_LIST) }];
+  const submission = { path: null, filename: 'mine.cpp', content: TWO_SUM };
+  const readShingles = async () => shingles(REVERSE_LIST);
+
+  assert.deepEqual((await findDuplicates(submission, files, readShingles)).matches, []);
+  assert.equal((await findDuplicates(submission, files, readShingles, { threshold: 0 })).matches.length, 1);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, createTempRepo } = require('./helpers');
+
+const TWO_SUM = `def two_sum(nums, target):
+    seen = {}
+    for i, num in enumerate(nums):
+        if target - num in seen:
+            return [seen[target - num], i]
+        seen[num] = i
+    return []
+`;
+
+const repo = createTempRepo({
+  'DS/Array/LC_1_Two_Sum.py': TWO_SUM,
+  'Algo/Hashing/pair_sum.py': `# copied\n${TWO_SUM}`,
+  'DS/Tree/LC_104_Depth.py': 'def depth(root):\n    return 0 if not root else 1 + max(depth(root.left), depth(root.right))\n'
+});
+
+let gateway;
+
+test.before(async () => {
+  gateway = await startGateway({
+    STORAGE_ADAPTER: 'local',
+    LOCAL_REPO_PATH: repo.root,
+    RATE_LIMIT_MAX: '1000',
+    DUPLICATE_RATE_LIMIT_MAX: '8'
+  });
+});
+
+const check = (body) => gateway.request('POST', '/api/duplicates', body);
+
+test('finds the same problem and near copies across folders', async () => {
+  const res = await check({ topFolder: 'DS', subFolder: 'Tree', filename: 'LC_1_Two_Sum.py', content: TWO_SUM });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.problem, 1);
+  assert.equal(res.body.threshold, 0.8);
+  assert.deepEqual(res.body.matches.map(match => [match.path, match.sameProblem, match.similarity, match.url]), [
+    ['DS/Array/LC_1_Two_Sum.py', true, 1, null],
+    ['Algo/Hashing/pair_sum.py', false, 1, null]
+  ]);
+});
+
+test('leaves out the file being overwritten', async () => {
+  const res = await check({ topFolder: 'DS', subFolder: 'Array', filename: 'LC_1_Two_Sum.py', content: TWO_SUM });
+
+  assert.deepEqual(res.body.matches.map(match => match.path), ['Algo/Hashing/pair_sum.py']);
+});
+
+test('reports nothing for a new problem with new code', async () => {
+  const res = await check({ filename: 'LC_70_Climbing_Stairs.py', content: 'def climb(n):\n    a, b = 1, 1\n    for _ in range(n):\n        a, b = b, a + b\n    return a\n' });
+
+  assert.deepEqual(res.body, { problem: 70, threshold: 0.8, matches: [] });
+});
+
+test('requires a filename and content', async () => {
+  assert.deepEqual((await check({ filename: 'x.py', content: ' ' })).body, { error: 'filename and content are required' });
+  assert.equal((await check({ content: TWO_SUM })).status, 400);
+});
+
+test('reuses the shingles of files it has already compared', async () => {
+  const hits = async () => {
+    const res = await fetch(`${gateway.url}/metrics`);
+    const match = (await res.text()).match(/^dsa_gateway_cache_hits_total\{cache="shingles"\} (\d+)$/m);
+    return match ? Number(match[1]) : 0;
+  };
+
+  const before = await hits();
+  await check({ filename: 'LC_1_Two_Sum.py', content: TWO_SUM });
+  assert.ok(await hits() > before);
+});
+
+test('rate-limits duplicate checks', async () => {
+  let res;
+  for (let i = 0; i < 8; i++) {
+    res = await check({ filename: 'LC_1_Two_Sum.py', content: TWO_SUM });
+  }
+  assert.equal(res.status, 429);
+});
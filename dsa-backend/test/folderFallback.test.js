@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startGateway, startFakeService } = require('./helpers');
+
+const TREE = [{ path: 'DS', type: 'tree' }, { path: 'DS/Array', type: 'tree' }];
+const resetAt = Math.floor(Date.now() / 1000) + 3600;
+
+// alice/dsa answers until rateLimited is set; bob/dsa is rate limited from the start
+let rateLimited = false;
+const limitedResponse = {
+  status: 403,
+  headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(resetAt) },
+  body: { message: 'API rate limit exceeded' }
+};
+
+let gateway;
+
+test.before(async () => {
+  const github = await startFakeService(({ url }) => {
+    if (url.startsWith('/repos/bob/dsa/') || rateLimited) return limitedResponse;
+    if (url.startsWith('/repos/alice/dsa/git/trees/main')) return { body: { tree: TREE, truncated: false } };
+    return { status: 404, body: { message: 'Not Found' } };
+  });
+
+  const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-repos-')), 'repos.json');
+  fs.writeFileSync(configPath, JSON.stringify([
+    { id: 'alice', owner: 'alice', repo: 'dsa', branch: 'main' },
+    { id: 'bob', owner: 'bob', repo: 'dsa', branch: 'main' }
+  ]));
+  gateway = await startGateway({ GITHUB_API_URL: github.url, REPOS_CONFIG_PATH: configPath });
+});
+
+test('serves the last tree, marked stale, while GitHub is rate limited', async () => {
+  const fresh = await gateway.request('GET', '/api/folders?repo=alice');
+  assert.deepEqual(fresh.body.folders, { DS: { Array: {} } });
+  assert.equal(fresh.body.stale, false);
+
+  rateLimited = true;
+  const stale = await gateway.request('GET', '/api/folders?repo=alice&refresh=1');
+
+  assert.equal(stale.status, 200);
+  assert.deepEqual(stale.body.folders, { DS: { Array: {} } });
+  assert.equal(stale.body.stale, true);
+  assert.equal(stale.body.fetchedAt, fresh.body.fetchedAt);
+  assert.equal(stale.body.warning.code, 'GITHUB_RATE_LIMITED');
+  assert.equal(stale.body.warning.resetAt, new Date(resetAt * 1000).toISOString());
+  assert.ok(Number(stale.headers.get('retry-after')) > 3500);
+});
+
+test('falls back to the static layout when there is no tree to reuse', async () => {
+  const res = await gateway.request('GET', '/api/folders?repo=bob');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.fallback, true);
+  assert.equal(res.body.fetchedAt, null);
+  assert.equal(res.body.warning.code, 'GITHUB_RATE_LIMITED');
+  assert.ok(Object.keys(res.body.folders).length > 0);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFolderTree, sortFolderTree, hasFolder, addFolder } = require('../folderTree');
+
+test('buildFolderTree nests paths and merges shared ancestors', () => {
+  assert.deepEqual(buildFolderTree(['DS/Tree/BST', 'DS/Arrays', 'DS/Tree', 'Patterns/']), {
+    DS: { Arrays: {}, Tree: { BST: {} } },
+    Patterns: {}
+  });
+});
+
+test('sortFolderTree orders names at every level', () => {
+  const sorted = sortFolderTree({ b: { z: {}, a: {} }, a: {} });
+  assert.deepEqual(Object.keys(sorted), ['a', 'b']);
+  assert.deepEqual(Object.keys(sorted.b), ['a', 'z']);
+});
+
+test('hasFolder follows the path through the tree', () => {
+  const tree = { DS: { Tree: { BST: {} } } };
+  assert.equal(hasFolder(tree, 'DS/Tree/BST'), true);
+  assert.equal(hasFolder(tree, 'DS/Tree/'), true);
+  assert.equal(hasFolder(tree, 'DS/Graph'), false);
+  assert.equal(hasFolder(tree, 'DS/toString'), false);
+});
+
+test('addFolder adds missing parents without touching the original tree', () => {
+  const tree = { DS: { Tree: {} } };
+  const updated = addFolder(tree, 'DS/Graph/Dijkstra');
+
+  assert.deepEqual(updated, { DS: { Graph: { Dijkstra: {} }, Tree: {} } });
+  assert.deepEqual(tree, { DS: { Tree: {} } });
+});
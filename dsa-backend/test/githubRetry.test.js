@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { installRetry, isRateLimited } = require('../storage/githubRetry');
+
+// Client whose requests are answered from `responses` in order ({ status, headers, data })
+function fakeClient(responses, options = { baseDelayMs: 1, maxWaitMs: 1000 }) {
+  const requests = [];
+  const client = axios.create({
+    adapter: async (config) => {
+      requests.push(config);
+      const { status = 200, headers = {}, data = {} } = responses.shift();
+      const response = { status, headers, data, config, statusText: String(status) };
+      if (status >= 400) {
+        throw new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+      }
+      return response;
+    }
+  });
+  const rateLimit = installRetry(client, options);
+  return { client, rateLimit, requests };
+}
+
+const resetIn = (seconds) => String(Math.floor(Date.now() / 1000) + seconds);
+
+test('tells rate limits apart from other 403s', () => {
+  assert.equal(isRateLimited({ status: 403, headers: { 'x-ratelimit-remaining': '0' }, data: {} }), true);
+  assert.equal(isRateLimited({ status: 429, headers: { 'retry-after': '1' }, data: {} }), true);
+  assert.equal(isRateLimited({ status: 403, headers: {}, data: { message: 'You have exceeded a secondary rate limit' } }), true);
+  assert.equal(isRateLimited({ status: 403, headers: {}, data: { message: 'Resource not accessible' } }), false);
+  assert.equal(isRateLimited({ status: 404, headers: { 'x-ratelimit-remaining': '0' }, data: {} }), false);
+});
+
+test('remembers the limits GitHub reports', async () => {
+  const { client, rateLimit } = fakeClient([
+    { headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '59', 'x-ratelimit-reset': '1700000000' } }
+  ]);
+  await client.get('https://api.github.com/repos/a/b');
+  assert.deepEqual(rateLimit.status(), { limit: 60, remaining: 59, resetAt: '2023-11-14T22:13:20.000Z' });
+});
+
+test('retries transient errors on reads, but never on writes', async () => {
+  const reads = fakeClient([{ status: 502 }, { status: 503 }, { data: { ok: true } }]);
+  assert.deepEqual((await reads.client.get('/x')).data, { ok: true });
+  assert.equal(reads.requests.length, 3);
+
+  const writes = fakeClient([{ status: 502 }, { data: { ok: true } }]);
+  await assert.rejects(writes.client.post('/x', {}), (error) => error.response.status === 502);
+  assert.equal(writes.requests.length, 1);
+});
+
+test('waits out a short retry-after, fails fast on a long one', async () => {
+  const short = fakeClient([{ status: 429, headers: { 'retry-after': '0' } }, { data: 'ok' }]);
+  assert.equal((await short.client.get('/x')).data, 'ok');
+
+  const long = fakeClient([{ status: 429, headers: { 'retry-after': '3600' } }]);
+  await assert.rejects(long.client.get('/x'), { status: 503, code: 'GITHUB_RATE_LIMITED', retryAfter: 3600 });
+  assert.equal(long.requests.length, 1);
+});
+
+test('refuses further requests until an exhausted limit resets, except /rate_limit', async () => {
+  const { client, requests } = fakeClient([
+    { status: 403, headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(3600) } },
+    { data: { resources: {} } }
+  ]);
+
+  await assert.rejects(client.get('/repos/a/b/contents'), { code: 'GITHUB_RATE_LIMITED' });
+  await assert.rejects(client.get('/repos/a/b/contents'), { code: 'GITHUB_RATE_LIMITED' });
+  assert.equal(requests.length, 1);
+
+  await client.get('https://api.github.com/rate_limit');
+  assert.equal(requests.length, 2);
+});
+
+test('passes errors straight through with retry: false', async () => {
+  const { client, requests } = fakeClient([{ status: 503 }]);
+  await assert.rejects(client.get('/x', { retry: false }), (error) => error.response.status === 503);
+  assert.equal(requests.length, 1);
+});
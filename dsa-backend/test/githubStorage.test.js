@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeService } = require('./helpers');
+const { createGitHubStorage } = require('../storage/github');
+
+const TREE = [
+  { path: 'DS', type: 'tree' },
+  { path: 'DS/Tree', type: 'tree' },
+  { path: 'DS/Tree/BST', type: 'tree' },
+  { path: 'DS/Tree/BST/LC_98_Validate_BST.py', type: 'blob' },
+  { path: 'README.md', type: 'blob' }
+];
+
+function fakeGitHub() {
+  return startFakeService(({ url, headers }) => {
+    if (url === '/') return { body: { default_branch: 'trunk' } };
+    if (url.startsWith('/git/trees/')) {
+      if (headers['if-none-match'] === '"v1"') return { status: 304 };
+      return { headers: { ETag: '"v1"' }, body: { tree: TREE, truncated: false } };
+    }
+    return { status: 404, body: { message: 'Not Found' } };
+  });
+}
+
+test('listFolders builds the folder tree from one recursive tree request', async () => {
+  const github = await fakeGitHub();
+  const storage = createGitHubStorage({ apiUrl: github.url, pythonService: 'http://127.0.0.1:9' });
+
+  assert.deepEqual(await storage.listFolders(), { DS: { Tree: { BST: {} } } });
+  assert.deepEqual(github.requests.map(r => r.url), ['/', '/git/trees/trunk?recursive=1']);
+});
+
+test('listFolders revalidates with the ETag and reuses the tree on 304', async () => {
+  const github = await fakeGitHub();
+  const storage = createGitHubStorage({ apiUrl: github.url, pythonService: 'http://127.0.0.1:9', branch: 'main' });
+
+  const first = await storage.listFolders();
+  const second = await storage.listFolders();
+
+  assert.deepEqual(second, first);
+  assert.equal(github.requests.length, 2);
+  assert.equal(github.requests[0].url, '/git/trees/main?recursive=1');
+  assert.equal(github.requests[1].headers['if-none-match'], '"v1"');
+});
+
+test('listFolders sends the read token when one is configured', async () => {
+  const github = await fakeGitHub();
+  const storage = createGitHubStorage({ apiUrl: github.url, pythonService: 'http://127.0.0.1:9', branch: 'main', readToken: 'abc' });
+
+  await storage.listFolders();
+  assert.equal(github.requests[0].headers.authorization, 'token abc');
+});
+
+test('listFiles adds last commits on request, cached by blob SHA', async () => {
+  const commits = [];
+  const github = await startFakeService(({ url }) => {
+    if (url.startsWith('/git/trees/')) {
+      return { body: { tree: [...TREE.map(item => ({ ...item, sha: `sha-${item.path}`, size: 10 }))] } };
+    }
+    if (url.startsWith('/commits?')) {
+      commits.push(url);
+      return { body: [{ sha: 'c1', commit: { message: 'Add BST\n\nbody', author: { name: 'Ada', date: '2026-01-01T00:00:00Z' } } }] };
+    }
+    return { status: 404 };
+  });
+  const storage = createGitHubStorage({ apiUrl: github.url, pythonService: 'http://127.0.0.1:9', branch: 'main' });
+
+  assert.equal((await storage.listFiles())[0].lastCommit, null);
+  assert.equal(commits.length, 0);
+
+  const files = await storage.listFiles({ lastCommits: true });
+  assert.deepEqual(files.map(f => f.path), ['DS/Tree/BST/LC_98_Validate_BST.py', 'README.md']);
+  assert.deepEqual(files[0], {
+    path: 'DS/Tree/BST/LC_98_Validate_BST.py',
+    size: 10,
+    sha: 'sha-DS/Tree/BST/LC_98_Validate_BST.py',
+    lastCommit: { sha: 'c1', message: 'Add BST', author: 'Ada', date: '2026-01-01T00:00:00Z' }
+  });
+
+  await storage.listFiles({ lastCommits: true });
+  assert.equal(commits.length, 2);
+});
+
+test('readFile reads the default branch unless another is named', async () => {
+  const github = await startFakeService(({ url }) => {
+    if (url === '/') return { body: { default_branch: 'trunk' } };
+    return { body: { type: 'file', sha: 'abc', content: Buffer.from('print(1)').toString('base64') } };
+  });
+  const storage = createGitHubStorage({ apiUrl: github.url, pythonService: 'http://127.0.0.1:9' });
+
+  assert.deepEqual(await storage.readFile('DS/x.py'), { path: 'DS/x.py', content: 'print(1)', sha: 'abc' });
+  await storage.readFile('DS/x.py', { ref: 'practice' });
+  assert.deepEqual(github.requests.map(r => r.url), ['/', '/contents/DS/x.py?ref=trunk', '/contents/DS/x.py?ref=practice']);
+});
+
+test('lists branches with the default first and forwards commit options to the Python service', async () => {
+  const github = await startFakeService(({ url }) => {
+    if (url.startsWith('/branches')) return { body: [{ name: 'zeta' }, { name: 'main' }, { name: 'alpha' }] };
+    return { status: 404 };
+  });
+  const python = await startFakeService(() => ({ body: { success: true } }));
+  const storage = createGitHubStorage({ apiUrl: github.url, pythonService: python.url, branch: 'main' });
+
+  assert.deepEqual(await storage.listBranches(), { defaultBranch: 'main', branches: ['main', 'alpha', 'zeta'] });
+
+  await storage.createFile({
+    topFolder: 'DS', subFolder: 'Tree', filename: 'a.py', content: 'x', action: 'check',
+    message: 'Add {filename}', branch: 'alpha', pullRequest: true
+  });
+  await storage.createFiles([{ topFolder: 'DS', subFolder: 'Tree', filename: 'b.py', content: 'x', action: 'check' }], 'Batch', { branch: 'zeta' });
+
+  const [single, batch] = python.requests;
+  assert.deepEqual([single.body.message, single.body.branch, single.body.pullRequest], ['Add {filename}', 'alpha', true]);
+  assert.deepEqual([batch.url, batch.body.message, batch.body.branch], ['/create-files', 'Batch', 'zeta']);
+});
+
+test('sends the configured branch with every write unless a request names another', async () => {
+  const python = await startFakeService(() => ({ body: { success: true } }));
+  const storage = createGitHubStorage({ apiUrl: 'http://127.0.0.1:9', pythonService: python.url, branch: 'develop' });
+  const file = { topFolder: 'DS', subFolder: 'Tree', filename: 'a.py', content: 'x', action: 'check' };
+
+  await storage.createFile(file);
+  await storage.createFile({ ...file, branch: 'alpha' });
+  await storage.createFiles([file], 'Batch');
+  await storage.writeFiles([{ path: 'README.md', content: 'x' }], 'Rebuild');
+  await storage.deleteFile('DS/Tree/a.py', { sha: 'abc' });
+  await storage.createFolder('DS/Graph', '# Graph');
+
+  assert.deepEqual(python.requests.map(r => [r.url, r.body.branch]), [
+    ['/create-file', 'develop'],
+    ['/create-file', 'alpha'],
+    ['/create-files', 'develop'],
+    ['/write-files', 'develop'],
+    ['/delete-file', 'develop'],
+    ['/create-folder', 'develop']
+  ]);
+});
+
+test('leaves the branch to the Python service when none is configured', async () => {
+  const python = await startFakeService(() => ({ body: { success: true } }));
+  const storage = createGitHubStorage({ apiUrl: 'http://127.0.0.1:9', pythonService: python.url });
+
+  await storage.writeFiles([{ path: 'README.md', content: 'x' }], 'Rebuild');
+  await storage.createFolder('DS/Graph', '# Graph');
+
+  assert.deepEqual(python.requests.map(r => 'branch' in r.body), [false, false]);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startGateway, createTempRepo } = require('./helpers');
+
+const repo = createTempRepo({ 'DS/Array/.gitkeep': '' });
+let gateway;
+
+test.before(async () => {
+  gateway = await startGateway({ STORAGE_ADAPTER: 'local', LOCAL_REPO_PATH: repo.root });
+});
+
+test('liveness answers without touching storage', async () => {
+  const res = await gateway.request('GET', '/health/live');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'ok');
+});
+
+test('echoes a sane X-Request-Id and replaces anything else', async () => {
+  const kept = await gateway.request('GET', '/health/live', undefined, { 'X-Request-Id': 'abc-123' });
+  assert.equal(kept.headers.get('x-request-id'), 'abc-123');
+
+  const replaced = await gateway.request('GET', '/health/live', undefined, { 'X-Request-Id': 'bad id!' });
+  assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('metrics count requests by route pattern', async () => {
+  await gateway.request('GET', '/api/folders');
+  const res = await fetch(`${gateway.url}/metrics`);
+  const text = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  assert.match(text, /dsa_gateway_http_requests_total\{method="GET",route="\/api\/folders",status="200"\} 1/);
+  assert.match(text, /dsa_gateway_http_requests_total\{method="GET",route="\/health\/live",status="200"\}/);
+});
+
+test('readiness reflects whether the repository is still there', async () => {
+  const ready = await gateway.request('GET', '/health/ready');
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.status, 'ready');
+  assert.equal(ready.body.storage, 'local');
+  assert.deepEqual(ready.body.checks, { repository: { ok: true, path: repo.root } });
+
+  fs.rmSync(path.join(repo.root, '.git'), { recursive: true, force: true });
+  const gone = await gateway.request('GET', '/health/ready');
+  assert.equal(gone.status, 503);
+  assert.equal(gone.body.status, 'unavailable');
+  assert.equal(gone.body.checks.repository.ok, false);
+});
@@ -0,0 +1,80 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Unref'd, so the test process exits once its tests are done
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.unref();
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+// The gateway reads its configuration when server.js loads, so env is applied before the
+// first require; each test file runs in its own process and gets one gateway.
+async function startGateway(env = {}) {
+  // Submission history goes to a throwaway file unless a test picks its own
+  const historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-history-'));
+  process.on('exit', () => fs.rmSync(historyDir, { recursive: true, force: true }));
+  Object.assign(process.env, { HISTORY_PATH: path.join(historyDir, 'history.jsonl') }, env);
+  // The test runner reads results from the child's stdout; a busy gateway log there
+  // can corrupt them, so its logs go to stderr
+  console.log = console.error;
+  const app = require('../server');
+  const url = await listen(http.createServer(app));
+
+  async function request(method, path, body, headers = {}) {
+    const res = await fetch(`${url}${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+  }
+
+  return { url, request };
+}
+
+// Stand-in for an upstream service (the Python service, GitHub): answers with
+// handler({ method, url, headers, body }) -> { status, headers, body } and records every request
+async function startFakeService(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : undefined };
+      requests.push(request);
+      const { status = 200, headers = {}, body = {} } = handler(request) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+  return { url: await listen(server), requests };
+}
+
+// Throwaway git repo seeded with files ({ 'DS/Array/x.py': '...' }) in one commit;
+// removed when the test process exits
+function createTempRepo(files = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-test-'));
+  const git = (...args) => execFileSync('git', args, { cwd: root, encoding: 'utf8' }).trim();
+
+  git('init', '-q', '-b', 'main');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  for (const [relPath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, relPath)), { recursive: true });
+    fs.writeFileSync(path.join(root, relPath), content);
+  }
+  git('add', '-A');
+  git('commit', '-q', '--allow-empty', '-m', 'Initial commit');
+
+  process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+  return { root, git, read: relPath => fs.readFileSync(path.join(root, relPath), 'utf8') };
+}
+
+module.exports = { startGateway, startFakeService, createTempRepo };
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createHistoryStore, gitBlobSha } = require('../history');
+
+function tempHistory() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-history-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'history.jsonl');
+}
+
+// Appends are queued; give them a moment to reach the file
+const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('computes the same blob SHA as git', () => {
+  const content = 'print("héllo")\n';
+  const expected = execFileSync('git', ['hash-object', '--stdin'], { input: content }).toString().trim();
+  assert.equal(gitBlobSha(content), expected);
+});
+
+test('lists newest first with filters and paging', () => {
+  const history = createHistoryStore({ filePath: tempHistory() });
+  history.record({ repo: 'a', path: 'DS/Array/LC_1.py', outcome: 'created', client: { userAgent: 'dsa-cli/1.0.0' } });
+  history.record({ repo: 'a', path: 'DS/Tree/LC_2.py', outcome: 'overwritten', previousSha: 'abc', client: { principal: 'ci' } });
+  history.record({ repo: 'b', path: 'DS/Array/LC_3.py', outcome: 'versioned', client: {} });
+
+  assert.deepEqual(history.list().entries.map(e => e.path), ['DS/Array/LC_3.py', 'DS/Tree/LC_2.py', 'DS/Array/LC_1.py']);
+  assert.equal(history.list({ repo: 'a' }).total, 2);
+  assert.equal(history.list({ path: 'array' }).total, 2);
+  assert.equal(history.list({ client: 'dsa-cli' }).entries[0].path, 'DS/Array/LC_1.py');
+  assert.equal(history.list({ client: 'CI' }).entries[0].path, 'DS/Tree/LC_2.py');
+
+  const page = history.list({ limit: 1, offset: 1 });
+  assert.deepEqual([page.total, page.limit, page.offset], [3, 1, 1]);
+  assert.equal(page.entries[0].path, 'DS/Tree/LC_2.py');
+  assert.equal(history.list({ limit: 1000 }).limit, 200);
+});
+
+test('only overwrites with a previous SHA and new versions on the default branch are revertable', () => {
+  const history = createHistoryStore({ filePath: tempHistory() });
+  const created = history.record({ outcome: 'created' });
+  const overwritten = history.record({ outcome: 'overwritten', previousSha: 'abc' });
+  const blind = history.record({ outcome: 'overwritten' });
+  const versioned = history.record({ outcome: 'versioned' });
+  const onBranch = history.record({ outcome: 'versioned', branch: 'feature' });
+
+  assert.deepEqual(
+    [created, overwritten, blind, versioned, onBranch].map(entry => history.get(entry.id).revertable),
+    [false, true, false, true, false]
+  );
+
+  const revert = history.record({ outcome: 'reverted', revertOf: versioned.id });
+  assert.equal(history.get(versioned.id).revertable, false);
+  assert.equal(history.get(versioned.id).revertedBy, revert.id);
+});
+
+test('reloads from the file, skipping torn lines, and keeps revert links', async () => {
+  const filePath = tempHistory();
+  const first = createHistoryStore({ filePath });
+  const versioned = first.record({ outcome: 'versioned', path: 'a.py' });
+  first.record({ outcome: 'reverted', revertOf: versioned.id });
+  await flush();
+  fs.appendFileSync(filePath, '{"id": "torn');
+
+  const reloaded = createHistoryStore({ filePath });
+  assert.equal(reloaded.list().total, 2);
+  assert.equal(reloaded.get(versioned.id).revertable, false);
+});
+
+test('keeps only the newest maxEntries in memory', () => {
+  const history = createHistoryStore({ filePath: tempHistory(), maxEntries: 2 });
+  const oldest = history.record({ outcome: 'created' });
+  history.record({ outcome: 'created' });
+  history.record({ outcome: 'created' });
+
+  assert.equal(history.list().total, 2);
+  assert.equal(history.get(oldest.id), null);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startGateway, createTempRepo } = require('./helpers');
+
+const repo = createTempRepo({
+  'DS/Array/LC_1_Two_Sum.py': 'print(1)\n'
+});
+
+let gateway;
+
+test.before(async () => {
+  gateway = await startGateway({ STORAGE_ADAPTER: 'local', LOCAL_REPO_PATH: repo.root, RATE_LIMIT_MAX: '1000' });
+});
+
+const submit = (filename, content, action, sha) =>
+  gateway.request('POST', '/api/create-file', { topFolder: 'DS', subFolder: 'Array', filename, content, action, sha });
+
+test('records submissions newest first, with filters', async () => {
+  await submit('LC_2_Add.py', 'pass\n', 'check');
+  await submit('LC_1_Two_Sum.py', 'print(2)\n', 'check');
+
+  const all = await gateway.request('GET', '/api/history');
+  assert.equal(all.status, 200);
+  assert.deepEqual(all.body.entries.slice(0, 2).map(entry => [entry.filename, entry.outcome]), [
+    ['LC_1_Two_Sum.py', 'exists'],
+    ['LC_2_Add.py', 'created']
+  ]);
+
+  const created = await gateway.request('GET', '/api/history?outcome=created');
+  assert.ok(created.body.entries.every(entry => entry.outcome === 'created'));
+
+  assert.equal((await gateway.request('GET', '/api/history?outcome=nope')).status, 400);
+  assert.equal((await gateway.request('GET', '/api/history?since=yesterday')).status, 400);
+});
+
+test('reverts an overwrite to the previous content', async () => {
+  const filePath = 'DS/Array/LC_1_Two_Sum.py';
+  const { body: current } = await gateway.request('GET', `/api/file?path=${filePath}`);
+  const overwrite = await submit('LC_1_Two_Sum.py', 'print("one")\n', 'overwrite', current.sha);
+  assert.equal(overwrite.status, 200);
+
+  const { body } = await gateway.request('GET', '/api/history?outcome=overwritten');
+  const entry = body.entries[0];
+  assert.equal(entry.previousSha, current.sha);
+  assert.equal(entry.revertable, true);
+
+  const revert = await gateway.request('POST', `/api/history/${entry.id}/revert`);
+  assert.equal(revert.status, 200);
+  assert.equal(revert.body.revert.outcome, 'reverted');
+  assert.equal(revert.body.revert.commit, repo.git('rev-parse', 'HEAD'));
+  assert.equal(repo.read(filePath), 'print(1)\n');
+
+  const again = await gateway.request('POST', `/api/history/${entry.id}/revert`);
+  assert.deepEqual(again.body, { error: 'Already reverted' });
+});
+
+test('reverts a new version by deleting it, unless it changed since', async () => {
+  const versioned = await submit('LC_1_Two_Sum.py', 'print("v2")\n', 'version');
+  assert.equal(versioned.status, 200);
+  const { body } = await gateway.request('GET', '/api/history?outcome=versioned');
+  const entry = body.entries[0];
+
+  fs.writeFileSync(path.join(repo.root, entry.path), 'edited\n');
+  repo.git('commit', '-q', '-am', 'Edit by hand');
+  const conflict = await gateway.request('POST', `/api/history/${entry.id}/revert`);
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.body.conflict, true);
+
+  repo.git('reset', '-q', '--hard', 'HEAD~1');
+  const revert = await gateway.request('POST', `/api/history/${entry.id}/revert`);
+  assert.equal(revert.status, 200);
+  assert.equal(revert.body.revert.commit, repo.git('rev-parse', 'HEAD'));
+  assert.equal(fs.existsSync(path.join(repo.root, entry.path)), false);
+});
+
+test('refuses to revert unknown or non-revertable entries', async () => {
+  assert.equal((await gateway.request('POST', '/api/history/missing/revert')).status, 404);
+
+  const { body } = await gateway.request('GET', '/api/history?outcome=created');
+  const revert = await gateway.request('POST', `/api/history/${body.entries[0].id}/revert`);
+  assert.deepEqual(revert.body, { error: 'Only overwrites and new versions can be reverted' });
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  indexUpdates, indexedComplexity, parseSolutionFilename, parseComplexity, withIndex, INDEX_START, INDEX_END
+} = require('../indexes');
+
+test('parses LC number, title and version from solution filenames', () => {
+  assert.deepEqual(parseSolutionFilename('LC_206_Reverse_Linked_List.cpp'), { number: 206, title: 'Reverse Linked List', version: null });
+  assert.deepEqual(parseSolutionFilename('LC_206_Reverse_Linked_List_v2.cpp'), { number: 206, title: 'Reverse Linked List', version: 2 });
+  assert.deepEqual(parseSolutionFilename('binary_search.py'), { number: null, title: 'binary search', version: null });
+});
+
+test('reads TC/SC headers and treats template placeholders as missing', () => {
+  assert.deepEqual(parseComplexity('// TC: O(n log n)\n// SC: O(1)\n'), { time: 'O(n log n)', space: 'O(1)' });
+  assert.deepEqual(parseComplexity('/* Time complexity: O(n) */\n# Space Complexity: O(n)'), { time: 'O(n)', space: 'O(n)' });
+  assert.deepEqual(parseComplexity('// TC: O(?)\n// SC: O(...)\n'), { time: null, space: null });
+  assert.deepEqual(parseComplexity('int main() {}'), { time: null, space: null });
+});
+
+test('replaces only the marked section of an existing README', () => {
+  const existing = `# Arrays\n\nNotes before.\n\n${INDEX_START}\nold table\n${INDEX_END}\n\nNotes after.\n`;
+  const updated = withIndex(existing, 'Arrays', 'new table');
+  assert.equal(updated, `# Arrays\n\nNotes before.\n\n${INDEX_START}\nnew table\n${INDEX_END}\n\nNotes after.\n`);
+});
+
+test('appends the section to a README without markers and creates missing READMEs', () => {
+  assert.equal(withIndex('# Arrays\n\nIntro\n\n', 'Arrays', 'table'), `# Arrays\n\nIntro\n\n${INDEX_START}\ntable\n${INDEX_END}\n`);
+  assert.equal(withIndex(null, 'DS/Array', 'table'), `# DS/Array\n\n${INDEX_START}\ntable\n${INDEX_END}\n`);
+});
+
+test('builds folder and root indexes, skipping READMEs that would not change', async () => {
+  const files = [
+    { path: 'DS/Array/LC_1_Two_Sum.py', sha: 'a' },
+    { path: 'DS/Array/LC_1_Two_Sum_v2.py', sha: 'b' },
+    { path: 'Algo/DP/LC_70_Climbing_Stairs.cpp', sha: 'c' }
+  ];
+  const complexity = { a: { time: 'O(n)', space: 'O(n)' }, b: { time: 'O(n^2)', space: 'O(1)' } };
+  const readmes = { 'DS/Array/README.md': '# Arrays\n' };
+
+  const updates = await indexUpdates({
+    files,
+    folders: ['DS/Array'],
+    readComplexity: async (file) => complexity[file.sha],
+    readExisting: async (filePath) => readmes[filePath] ?? null,
+    rootHeading: 'My Solutions'
+  });
+
+  assert.deepEqual(updates.map(update => update.path), ['DS/Array/README.md', 'README.md']);
+  const folderIndex = updates[0].content;
+  assert.match(folderIndex, /^# Arrays\n\n<!-- solution-index:start -->/);
+  assert.match(folderIndex, /\| 1 \| \[Two Sum\]\(\.\/LC_1_Two_Sum\.py\) \| Python \| O\(n\) \| O\(n\) \|/);
+  assert.match(folderIndex, /\| 1 \| \[Two Sum \(v2\)\]\(\.\/LC_1_Two_Sum_v2\.py\) \| Python \| O\(n\^2\) \| O\(1\) \|/);
+  assert.match(updates[1].content, /^# My Solutions\n/);
+  assert.match(updates[1].content, /3 solutions in 2 folders\./);
+
+  readmes['DS/Array/README.md'] = updates[0].content;
+  readmes['README.md'] = updates[1].content;
+  const again = await indexUpdates({
+    files,
+    folders: ['DS/Array'],
+    readComplexity: async (file) => complexity[file.sha],
+    readExisting: async (filePath) => readmes[filePath] ?? null,
+    rootHeading: 'My Solutions'
+  });
+  assert.deepEqual(again, []);
+});
+
+test('empties an existing index when its folder loses its last solution', async () => {
+  const readmes = { 'DS/Array/README.md': `# Arrays\n\n${INDEX_START}\nold\n${INDEX_END}\n`, 'DS/Tree/README.md': '# Trees\n' };
+  const updates = await indexUpdates({
+    files: [],
+    folders: ['DS/Array', 'DS/Tree'],
+    readComplexity: async () => ({ time: null, space: null }),
+    readExisting: async (filePath) => readmes[filePath] ?? null,
+    rootHeading: 'Root'
+  });
+
+  assert.deepEqual(updates.map(update => update.path), ['DS/Array/README.md', 'README.md']);
+  assert.doesNotMatch(updates[0].content, /old/);
+  assert.match(updates[1].content, /0 solutions in 0 folders\./);
+});
+
+test('reuses the TC/SC an existing index lists instead of reading the file again', async () => {
+  const readme = withIndex(null, 'DS/Array', [
+    '| # | Problem | Language | Time | Space |',
+    '|---|---------|----------|------|-------|',
+    '| 1 | [Two Sum](./LC_1_Two_Sum.py) | Python | O(n) | - |',
+    '| 2 | [A \\| B](./LC_2_A%20B.py) | Python | O(a \\| b) | O(1) |'
+  ].join('\n'));
+  assert.deepEqual([...indexedComplexity(readme)], [
+    ['LC_1_Two_Sum.py', { time: 'O(n)', space: null }],
+    ['LC_2_A B.py', { time: 'O(a | b)', space: 'O(1)' }]
+  ]);
+  assert.equal(indexedComplexity('# No index\n').size, 0);
+
+  const seen = [];
+  await indexUpdates({
+    files: [{ path: 'DS/Array/LC_1_Two_Sum.py', sha: 'a' }, { path: 'DS/Array/LC_3_New.py', sha: 'b' }],
+    folders: ['DS/Array'],
+    readComplexity: async (file, indexed) => {
+      seen.push([file.sha, indexed]);
+      return indexed || { time: null, space: null };
+    },
+    readExisting: async (filePath) => (filePath === 'DS/Array/README.md' ? readme : null),
+    rootHeading: 'Root'
+  });
+  assert.deepEqual(seen, [['a', { time: 'O(n)', space: null }], ['b', undefined]]);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, createTempRepo } = require('./helpers');
+
+const repo = createTempRepo({
+  'DS/Array/LC_1_Two_Sum.py': '# TC: O(n)\n# SC: O(n)\n',
+  'DS/Array/README.md': '# Arrays\n\nMy notes.\n',
+  'DS/Tree/LC_104_Depth.py': 'pass\n'
+});
+
+let gateway;
+
+test.before(async () => {
+  gateway = await startGateway({ STORAGE_ADAPTER: 'local', LOCAL_REPO_PATH: repo.root, RATE_LIMIT_MAX: '1000' });
+});
+
+const submit = (filename, content, action = 'check', fields = {}) => gateway.request('POST', '/api/create-file', {
+  topFolder: 'DS', subFolder: 'Array', filename, content, action, ...fields
+});
+
+test('commits the folder and root indexes together with a new solution', async () => {
+  const head = repo.git('rev-parse', 'HEAD');
+  const res = await submit('LC_2_Add_Two_Numbers.py', '# TC: O(n)\n# SC: O(1)\n');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.indexes, ['DS/Array/README.md', 'README.md']);
+  assert.equal(repo.git('rev-list', '--count', `${head}..HEAD`), '1');
+  assert.equal(repo.git('show', '--name-only', '--format=', 'HEAD'), 'DS/Array/LC_2_Add_Two_Numbers.py\nDS/Array/README.md\nREADME.md');
+
+  const folderIndex = repo.read('DS/Array/README.md');
+  assert.match(folderIndex, /^# Arrays\n\nMy notes\.\n\n<!-- solution-index:start -->/);
+  assert.match(folderIndex, /\| 2 \| \[Add Two Numbers\]\(\.\/LC_2_Add_Two_Numbers\.py\) \| Python \| O\(n\) \| O\(1\) \|/);
+  // The index describes the folder, not just the new file
+  assert.match(folderIndex, /\[Two Sum\]/);
+  assert.match(repo.read('README.md'), /3 solutions in 2 folders\./);
+});
+
+test('indexes a new version under the name it is saved as', async () => {
+  const res = await submit('LC_1_Two_Sum.py', '# TC: O(n^2)\n# SC: O(1)\n', 'version');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.versioned, true);
+  assert.equal(res.body.filename, 'LC_1_Two_Sum_v2.py');
+  assert.match(repo.read('DS/Array/README.md'), /\[Two Sum \(v2\)\]\(\.\/LC_1_Two_Sum_v2\.py\)/);
+});
+
+test('leaves the indexes alone when nothing is written', async () => {
+  const head = repo.git('rev-parse', 'HEAD');
+  const res = await submit('LC_1_Two_Sum.py', 'pass\n');
+
+  assert.equal(res.body.exists, true);
+  assert.equal(res.body.indexes, undefined);
+  assert.equal(repo.git('rev-parse', 'HEAD'), head);
+});
+
+test('rebuilds every index in one commit, and nothing when they are current', async () => {
+  const rebuilt = await gateway.request('POST', '/api/indexes/rebuild');
+
+  assert.equal(rebuilt.status, 200);
+  assert.deepEqual(rebuilt.body.updated, ['DS/Tree/README.md']);
+  assert.equal(rebuilt.body.folders, 2);
+  assert.equal(repo.git('log', '-1', '--format=%s'), 'Rebuild solution indexes');
+
+  const again = await gateway.request('POST', '/api/indexes/rebuild');
+  assert.deepEqual(again.body, { success: true, updated: [], folders: 2 });
+});
+
+test('reverting a new version takes it out of the index in the same commit', async () => {
+  const { body } = await gateway.request('GET', '/api/history?outcome=versioned');
+  const head = repo.git('rev-parse', 'HEAD');
+
+  const res = await gateway.request('POST', `/api/history/${body.entries[0].id}/revert`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.indexes, ['DS/Array/README.md', 'README.md']);
+  assert.equal(repo.git('rev-list', '--count', `${head}..HEAD`), '1');
+  assert.doesNotMatch(repo.read('DS/Array/README.md'), /LC_1_Two_Sum_v2/);
+  assert.match(repo.read('README.md'), /3 solutions in 2 folders\./);
+});
+
+test('commits the indexes of every folder a batch writes to', async () => {
+  const head = repo.git('rev-parse', 'HEAD');
+  const res = await gateway.request('POST', '/api/create-files', {
+    files: [
+      { topFolder: 'DS', subFolder: 'Array', filename: 'LC_2_Add_Two_Numbers.py', content: '# TC: O(n)\n# SC: O(n)\n', action: 'version' },
+      { topFolder: 'DS', subFolder: 'Tree', filename: 'LC_100_Same_Tree.py', content: '# TC: O(n)\n# SC: O(h)\n', action: 'check' }
+    ]
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map(r => [r.filename, r.status]), [
+    ['LC_2_Add_Two_Numbers_v2.py', 'versioned'],
+    ['LC_100_Same_Tree.py', 'created']
+  ]);
+  assert.deepEqual(res.body.indexes, ['DS/Array/README.md', 'DS/Tree/README.md', 'README.md']);
+  assert.equal(repo.git('rev-list', '--count', `${head}..HEAD`), '1');
+  assert.match(repo.read('DS/Array/README.md'), /\[Add Two Numbers \(v2\)\]\(\.\/LC_2_Add_Two_Numbers_v2\.py\) \| Python \| O\(n\) \| O\(n\) \|/);
+  assert.match(repo.read('DS/Tree/README.md'), /\[Same Tree\]\(\.\/LC_100_Same_Tree\.py\) \| Python \| O\(n\) \| O\(h\) \|/);
+  assert.match(repo.read('README.md'), /5 solutions in 2 folders\./);
+});
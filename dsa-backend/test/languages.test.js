@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { languageFromFilename, detectLanguage, withExtension } = require('../languages');
+
+test('languageFromFilename maps extensions case-insensitively', () => {
+  assert.equal(languageFromFilename('LC_1_Two_Sum.CPP'), 'cpp');
+  assert.equal(languageFromFilename('DS/Tree/solution.py'), 'python');
+  assert.equal(languageFromFilename('index.mjs'), 'javascript');
+  assert.equal(languageFromFilename('notes.txt'), null);
+  assert.equal(languageFromFilename('Makefile'), null);
+});
+
+const CPP = '#include <vector>\nusing namespace std;\nclass Solution {\npublic:\n  vector<int> twoSum(vector<int>& nums) { return {}; }\n};';
+const PYTHON = 'class Solution:\n    def twoSum(self, nums: List[int]) -> List[int]:\n        if not nums:\n            return None\n';
+const JAVA = 'class Solution {\n    public int[] twoSum(int[] nums) {\n        return new int[2];\n    }\n}';
+
+test('detectLanguage recognizes typical solutions', () => {
+  assert.equal(detectLanguage(CPP).language, 'cpp');
+  assert.equal(detectLanguage(PYTHON).language, 'python');
+  assert.equal(detectLanguage(JAVA).language, 'java');
+  assert.equal(detectLanguage('SELECT name FROM users ORDER BY name').language, 'sql');
+});
+
+test('detectLanguage ignores comments and refuses to guess from too little', () => {
+  assert.equal(detectLanguage('// std::vector, console.log, def x():\nx'), null);
+  assert.equal(detectLanguage(''), null);
+
+  const { confidence } = detectLanguage(CPP);
+  assert.ok(confidence > 0 && confidence <= 1);
+});
+
+test('withExtension swaps known extensions and appends otherwise', () => {
+  assert.equal(withExtension('LC_1_Two_Sum.py', 'cpp'), 'LC_1_Two_Sum.cpp');
+  assert.equal(withExtension('LC_1_Two_Sum', 'java'), 'LC_1_Two_Sum.java');
+  assert.equal(withExtension('LC_1_Two.Sum', 'python'), 'LC_1_Two.Sum.py');
+});
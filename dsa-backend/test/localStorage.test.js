@@ -0,0 +1,287 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, createTempRepo } = require('./helpers');
+const { createLocalStorage } = require('../storage/local');
+
+const repo = createTempRepo({
+  'DS/Array/LC_1_Two_Sum.py': 'print(1)\n',
+  'DS/Tree/.gitkeep': '',
+  'Patterns/BFS/.gitkeep': ''
+});
+
+let gateway;
+
+test.before(async () => {
+  // Sample solutions here have no TC/SC header; templatesEndpoint.test.js covers that warning
+  gateway = await startGateway({
+    STORAGE_ADAPTER: 'local',
+    LOCAL_REPO_PATH: repo.root,
+    RATE_LIMIT_MAX: '1000',
+    CHECK_COMPLEXITY_HEADER: 'false'
+  });
+});
+
+const createFile = (filename, action, content = `# ${filename}\n`) =>
+  gateway.request('POST', '/api/create-file', { topFolder: 'DS', subFolder: 'Array', filename, content, action });
+
+test('lists folders from the working copy', async () => {
+  const res = await gateway.request('GET', '/api/folders');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.folders, { DS: { Array: {}, Tree: {} }, Patterns: { BFS: {} } });
+  assert.equal(res.body.stale, false);
+  assert.equal(res.body.fallback, false);
+});
+
+test('creates a folder with a README and adds it to the folder tree', async () => {
+  const res = await gateway.request('POST', '/api/folders', { parent: 'DS', name: 'Graph' });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.path, 'DS/Graph');
+  assert.deepEqual(res.body.folders.DS, { Array: {}, Graph: {}, Tree: {} });
+  assert.equal(repo.git('show', 'HEAD:DS/Graph/README.md'), '# Graph');
+  assert.equal(repo.git('log', '-1', '--format=%s'), 'Create folder DS/Graph');
+
+  const folders = await gateway.request('GET', '/api/folders');
+  assert.ok(folders.body.folders.DS.Graph);
+});
+
+test('refuses duplicate, invalid and orphaned folders', async () => {
+  const head = repo.git('rev-parse', 'HEAD');
+
+  const duplicate = await gateway.request('POST', '/api/folders', { parent: 'DS', name: 'Tree' });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error, 'Folder already exists: DS/Tree');
+
+  for (const body of [{ parent: 'DS', name: '../x' }, { parent: 'DS', name: '' }, { parent: '../DS', name: 'x' }]) {
+    const invalid = await gateway.request('POST', '/api/folders', body);
+    assert.equal(invalid.status, 400);
+  }
+
+  const orphan = await gateway.request('POST', '/api/folders', { parent: 'Missing', name: 'x' });
+  assert.equal(orphan.status, 404);
+
+  assert.equal(repo.git('rev-parse', 'HEAD'), head);
+});
+
+test('creates and commits a new file', async () => {
+  const res = await createFile('LC_2_Add_Two_Numbers.py', 'check', 'print(2)\n');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.path, 'DS/Array/LC_2_Add_Two_Numbers.py');
+  assert.equal(res.body.sha, repo.git('rev-parse', 'HEAD:DS/Array/LC_2_Add_Two_Numbers.py'));
+  assert.equal(repo.git('log', '-1', '--format=%s'), 'Add LC_2_Add_Two_Numbers.py');
+  assert.equal(repo.git('status', '--porcelain'), '');
+});
+
+test('reports an existing file on check and resolves it by overwrite or version', async () => {
+  const check = await createFile('LC_1_Two_Sum.py', 'check');
+  assert.deepEqual(check.body, { exists: true, path: 'DS/Array/LC_1_Two_Sum.py' });
+
+  const overwrite = await createFile('LC_1_Two_Sum.py', 'overwrite', 'print("one")\n');
+  assert.equal(overwrite.body.overwritten, true);
+  assert.equal(repo.git('show', 'HEAD:DS/Array/LC_1_Two_Sum.py'), 'print("one")');
+
+  const version = await createFile('LC_1_Two_Sum.py', 'version');
+  assert.equal(version.body.filename, 'LC_1_Two_Sum_v2.py');
+  assert.equal(repo.read('DS/Array/LC_1_Two_Sum_v2.py'), '# LC_1_Two_Sum.py\n');
+});
+
+test('rejects paths that escape the repository', async () => {
+  const res = await gateway.request('POST', '/api/create-file', {
+    topFolder: '..', subFolder: 'outside', filename: 'x.py', content: 'x', action: 'check'
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'INVALID_SUBMISSION');
+});
+
+test('rejects unsafe filenames and unknown folders, suggesting a conventional name', async () => {
+  const submit = (fields) => gateway.request('POST', '/api/create-file', {
+    topFolder: 'DS', subFolder: 'Array', filename: 'LC_3_Longest.py', content: 'x', action: 'check', ...fields
+  });
+
+  const hidden = await submit({ filename: '.env' });
+  assert.equal(hidden.status, 400);
+  assert.equal(hidden.body.code, 'INVALID_SUBMISSION');
+
+  const missing = await submit({ subFolder: 'Heap' });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'Folder does not exist: DS/Heap');
+
+  const loose = await submit({ filename: 'lc 3 longest.py' });
+  assert.equal(loose.status, 400);
+  assert.equal(loose.body.suggestion, 'LC_3_Longest.py');
+});
+
+test('commits a batch as a single commit', async () => {
+  const before = repo.git('rev-list', '--count', 'HEAD');
+  const res = await gateway.request('POST', '/api/create-files', {
+    files: [
+      { topFolder: 'DS', subFolder: 'Tree', filename: 'LC_100_Same_Tree.py', content: 'a\n', action: 'check' },
+      { topFolder: 'DS', subFolder: 'Array', filename: 'LC_1_Two_Sum.py', content: 'b\n', action: 'version' }
+    ]
+  });
+
+  assert.equal(res.body.success, true);
+  assert.deepEqual(res.body.results.map(r => r.status), ['created', 'versioned']);
+  assert.equal(res.body.results[1].filename, 'LC_1_Two_Sum_v3.py');
+  assert.equal(res.body.commit, repo.git('rev-parse', 'HEAD'));
+  assert.equal(Number(repo.git('rev-list', '--count', 'HEAD')), Number(before) + 1);
+});
+
+test('commits nothing when any file in a batch conflicts', async () => {
+  const head = repo.git('rev-parse', 'HEAD');
+  const res = await gateway.request('POST', '/api/create-files', {
+    files: [
+      { topFolder: 'DS', subFolder: 'Tree', filename: 'LC_101_Symmetric_Tree.py', content: 'a\n', action: 'check' },
+      { topFolder: 'DS', subFolder: 'Array', filename: 'LC_1_Two_Sum.py', content: 'b\n', action: 'check' }
+    ]
+  });
+
+  assert.equal(res.body.exists, true);
+  assert.deepEqual(res.body.conflicts, ['DS/Array/LC_1_Two_Sum.py']);
+  assert.equal(repo.git('rev-parse', 'HEAD'), head);
+  assert.equal(repo.git('status', '--porcelain'), '');
+});
+
+test('reads a file with the blob SHA of its content', async () => {
+  const res = await gateway.request('GET', '/api/file?path=DS/Array/LC_2_Add_Two_Numbers.py');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.content, 'print(2)\n');
+  assert.equal(res.body.sha, repo.git('rev-parse', 'HEAD:DS/Array/LC_2_Add_Two_Numbers.py'));
+
+  assert.equal((await gateway.request('GET', '/api/file?path=DS/Array/missing.py')).status, 404);
+  assert.equal((await gateway.request('GET', '/api/file?path=DS/../../etc/hostname')).status, 400);
+  assert.equal((await gateway.request('GET', '/api/file?path=DS/Array')).status, 400);
+});
+
+test('reads only the checked-out branch', async () => {
+  const filePath = 'DS/Array/LC_2_Add_Two_Numbers.py';
+
+  assert.equal((await gateway.request('GET', `/api/file?path=${filePath}&branch=main`)).status, 200);
+  const other = await gateway.request('GET', `/api/file?path=${filePath}&branch=practice`);
+  assert.equal(other.status, 400);
+  assert.equal(other.body.error, 'Local storage reads the checked-out branch (main)');
+  assert.equal((await gateway.request('GET', `/api/file?path=${filePath}&branch=a..b`)).status, 400);
+});
+
+test('reads blobs by SHA-1 or SHA-256 object name', async () => {
+  const storage = createLocalStorage({ repoPath: repo.root });
+  const sha = repo.git('rev-parse', 'HEAD:DS/Array/LC_2_Add_Two_Numbers.py');
+
+  assert.deepEqual(await storage.readBlob(sha), { sha, content: 'print(2)\n' });
+  await assert.rejects(storage.readBlob('a'.repeat(64)), { status: 404 });
+  await assert.rejects(storage.readBlob('HEAD'), { status: 400 });
+});
+
+test('overwrites only the version that was reviewed', async () => {
+  const filePath = 'DS/Array/LC_2_Add_Two_Numbers.py';
+  const { body: reviewed } = await gateway.request('GET', `/api/file?path=${filePath}`);
+  const overwrite = (content, sha) => gateway.request('POST', '/api/create-file', {
+    topFolder: 'DS', subFolder: 'Array', filename: 'LC_2_Add_Two_Numbers.py', content, action: 'overwrite', sha
+  });
+
+  const first = await overwrite('print("two")\n', reviewed.sha);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.overwritten, true);
+
+  // Same SHA again: the file has moved on since it was reviewed
+  const stale = await overwrite('print("deux")\n', reviewed.sha);
+  assert.equal(stale.status, 409);
+  assert.deepEqual(stale.body, { error: 'File changed since it was viewed', conflict: true });
+  assert.equal(repo.read(filePath), 'print("two")\n');
+
+  const invalid = await overwrite('print("deux")\n', 'not-a-sha');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid sha');
+});
+
+test('lists solutions with their language and, on request, last commit', async () => {
+  const res = await gateway.request('GET', '/api/solutions?lastCommits=1');
+  const paths = res.body.files.map(f => f.path);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, paths.length);
+  assert.ok(paths.includes('DS/Tree/LC_100_Same_Tree.py'));
+  // Folder READMEs and placeholder dotfiles aren't solutions
+  assert.ok(!paths.some(p => p.endsWith('README.md') || p.endsWith('.gitkeep')));
+
+  const sameTree = res.body.files.find(f => f.path === 'DS/Tree/LC_100_Same_Tree.py');
+  assert.equal(sameTree.filename, 'LC_100_Same_Tree.py');
+  assert.equal(sameTree.folder, 'DS/Tree');
+  assert.equal(sameTree.language, 'Python');
+  assert.equal(sameTree.size, 2);
+  assert.equal(sameTree.sha, repo.git('rev-parse', 'HEAD:DS/Tree/LC_100_Same_Tree.py'));
+  assert.equal(sameTree.lastCommit.sha, repo.git('log', '-1', '--format=%H', '--', 'DS/Tree/LC_100_Same_Tree.py'));
+  assert.equal(sameTree.lastCommit.author, 'Test');
+
+  const plain = await gateway.request('GET', '/api/solutions?folder=DS/Tree');
+  assert.equal(plain.body.files[0].lastCommit, null);
+});
+
+test('filters solutions by folder, extension, filename and content', async () => {
+  const list = async (query) => (await gateway.request('GET', `/api/solutions?${query}`)).body.files.map(f => f.path);
+
+  assert.deepEqual(await list('folder=DS/Tree/'), ['DS/Tree/LC_100_Same_Tree.py']);
+  assert.deepEqual(await list('ext=cpp'), []);
+  assert.deepEqual(await list('q=two_sum_v'), ['DS/Array/LC_1_Two_Sum_v2.py', 'DS/Array/LC_1_Two_Sum_v3.py']);
+  assert.deepEqual(await list('q=print("two")'), []);
+  assert.deepEqual(await list('q=print("two")&content=1'), ['DS/Array/LC_2_Add_Two_Numbers.py']);
+});
+
+test('reports stats over solutions and this year\'s commits', async () => {
+  const res = await gateway.request('GET', '/api/stats?refresh=1');
+  const solutions = (await gateway.request('GET', '/api/solutions')).body.files;
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, solutions.length);
+  assert.deepEqual(res.body.byFolder.map(folder => folder.name), ['DS']);
+  assert.equal(res.body.activity.totalCommits, Number(repo.git('rev-list', '--count', 'HEAD')));
+  assert.equal(res.body.activity.currentStreak, 1);
+});
+
+test('offers the checked-out branch and no pull requests', async () => {
+  const res = await gateway.request('GET', '/api/commit-options');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.defaultBranch, 'main');
+  assert.deepEqual(res.body.branches, ['main']);
+  assert.equal(res.body.pullRequests, false);
+  assert.equal(res.body.messageTemplate, 'Add {filename}');
+});
+
+test('commits with a custom message template', async () => {
+  const single = await gateway.request('POST', '/api/create-file', {
+    topFolder: 'DS', subFolder: 'Tree', filename: 'LC_101_Symmetric_Tree.py', content: 'pass\n', action: 'check',
+    message: 'Solve {filename} in {folder}'
+  });
+  assert.equal(single.status, 200);
+  assert.equal(repo.git('log', '-1', '--format=%s'), 'Solve LC_101_Symmetric_Tree.py in DS/Tree');
+
+  const batch = await gateway.request('POST', '/api/create-files', {
+    files: ['LC_102_A.py', 'LC_103_B.py'].map(filename => ({
+      topFolder: 'DS', subFolder: 'Tree', filename, content: 'pass\n', action: 'check'
+    })),
+    message: '{count} tree problems'
+  });
+  assert.equal(batch.status, 200);
+  assert.equal(repo.git('log', '-1', '--format=%s'), '2 tree problems');
+});
+
+test('refuses other branches, pull requests and bad commit options', async () => {
+  const head = repo.git('rev-parse', 'HEAD');
+  const submit = (fields) => gateway.request('POST', '/api/create-file', {
+    topFolder: 'DS', subFolder: 'Tree', filename: 'LC_104_Depth.py', content: 'pass\n', action: 'check', ...fields
+  });
+
+  assert.deepEqual((await submit({ branch: 'feature' })).body, { error: 'Local storage commits to the checked-out branch (main)' });
+  assert.deepEqual((await submit({ pullRequest: true })).body, { error: 'Pull requests need the GitHub storage adapter' });
+  assert.deepEqual((await submit({ branch: 'a..b' })).body, { error: 'Invalid branch name' });
+  assert.deepEqual((await submit({ pullRequest: 'yes' })).body, { error: 'pullRequest must be a boolean' });
+  assert.equal((await submit({ message: 'x'.repeat(1001) })).status, 400);
+  assert.equal(repo.git('rev-parse', 'HEAD'), head);
+
+  // Naming the checked-out branch is the same as not naming one
+  assert.equal((await submit({ branch: 'main' })).status, 200);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requestContext, currentRequestId, log } = require('../logger');
+
+// Capture what log() writes to one console method
+function capture(method, fn) {
+  const original = console[method];
+  const lines = [];
+  console[method] = line => lines.push(line);
+  try {
+    fn();
+  } finally {
+    console[method] = original;
+  }
+  return lines;
+}
+
+test('writes one JSON line with level, message and extra fields', () => {
+  const [line] = capture('log', () => log('info', 'request', { status: 200 }));
+  const entry = JSON.parse(line);
+
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.message, 'request');
+  assert.equal(entry.status, 200);
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('sends errors to stderr', () => {
+  const lines = capture('error', () => log('error', 'boom'));
+  assert.equal(JSON.parse(lines[0]).message, 'boom');
+});
+
+test('tags lines with the request ID of the current context', async () => {
+  assert.equal(currentRequestId(), undefined);
+
+  await requestContext.run({ requestId: 'req-1' }, async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(currentRequestId(), 'req-1');
+    const [line] = capture('log', () => log('info', 'inside'));
+    assert.equal(JSON.parse(line).requestId, 'req-1');
+  });
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../metrics');
+
+test('renders request counts and latency histograms by route', () => {
+  metrics.observeRequest('GET', '/api/folders', 200, 0.02);
+  metrics.observeRequest('GET', '/api/folders', 200, 3);
+
+  const text = metrics.render();
+  assert.match(text, /^dsa_gateway_http_requests_total\{method="GET",route="\/api\/folders",status="200"\} 2$/m);
+  assert.match(text, /^dsa_gateway_http_request_duration_seconds_bucket\{method="GET",route="\/api\/folders",le="0.025"\} 1$/m);
+  assert.match(text, /^dsa_gateway_http_request_duration_seconds_bucket\{method="GET",route="\/api\/folders",le="\+Inf"\} 2$/m);
+  assert.match(text, /^dsa_gateway_http_request_duration_seconds_count\{method="GET",route="\/api\/folders"\} 2$/m);
+});
+
+test('renders upstream errors and cache hit ratios', () => {
+  metrics.recordUpstreamError('github', 502);
+  metrics.recordCacheLookup('content', true);
+  metrics.recordCacheLookup('content', true);
+  metrics.recordCacheLookup('content', false);
+  metrics.recordCacheLookup('content', false);
+
+  const text = metrics.render();
+  assert.match(text, /^dsa_gateway_upstream_errors_total\{upstream="github",status="502"\} 1$/m);
+  assert.match(text, /^dsa_gateway_cache_hits_total\{cache="content"\} 2$/m);
+  assert.match(text, /^dsa_gateway_cache_hit_ratio\{cache="content"\} 0.5$/m);
+});
+
+test('escapes label values', () => {
+  metrics.observeRequest('GET', 'a"b\\c', 404, 0.001);
+  assert.match(metrics.render(), /route="a\\"b\\\\c"/);
+});
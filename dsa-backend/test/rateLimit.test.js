@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../rateLimit');
+
+// Runs the limiter once and reports whether the request got through
+function hit(limiter, req) {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  limiter(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('allows max requests per window, then answers 429 with Retry-After', () => {
+  const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+  const req = { ip: '10.0.0.1' };
+
+  assert.equal(hit(limiter, req).passed, true);
+  const second = hit(limiter, req);
+  assert.equal(second.passed, true);
+  assert.equal(second.res.headers['RateLimit-Remaining'], '0');
+
+  const third = hit(limiter, req);
+  assert.equal(third.passed, false);
+  assert.equal(third.res.statusCode, 429);
+  assert.equal(third.res.body.code, 'RATE_LIMITED');
+  assert.equal(third.res.headers['Retry-After'], '60');
+});
+
+test('counts each principal separately from its IP', () => {
+  const limiter = createRateLimiter({ windowMs: 60000, max: 1 });
+
+  assert.equal(hit(limiter, { ip: '10.0.0.1', principal: { id: 'user:alice' } }).passed, true);
+  assert.equal(hit(limiter, { ip: '10.0.0.1', principal: { id: 'user:bob' } }).passed, true);
+  assert.equal(hit(limiter, { ip: '10.0.0.1' }).passed, true);
+  assert.equal(hit(limiter, { ip: '10.0.0.1', principal: { id: 'user:alice' } }).passed, false);
+});
+
+test('starts a fresh window once the old one expires', () => {
+  const limiter = createRateLimiter({ windowMs: -1, max: 1 });
+  assert.equal(hit(limiter, { ip: 'a' }).passed, true);
+  assert.equal(hit(limiter, { ip: 'a' }).passed, true);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeService } = require('./helpers');
+const { loadRepoConfig, createRepoRegistry } = require('../repos');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-repos-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeConfig(name, config) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+}
+
+const GITHUB = { apiBase: 'https://api.github.com', pythonService: 'http://127.0.0.1:9' };
+
+test('loads the repository list and its default', () => {
+  const entries = [{ id: 'alice-cpp', owner: 'alice', repo: 'dsa-cpp' }, { id: 'scratch', adapter: 'local', path: dir }];
+
+  assert.deepEqual(loadRepoConfig(writeConfig('object.json', { default: 'scratch', repositories: entries })), { entries, defaultId: 'scratch' });
+  // A bare array works too; the first entry is the default
+  assert.equal(loadRepoConfig(writeConfig('array.json', entries)).defaultId, 'alice-cpp');
+});
+
+test('rejects empty lists, bad ids and duplicates', () => {
+  assert.throws(() => loadRepoConfig(writeConfig('empty.json', { repositories: [] })), /must be a non-empty array/);
+  assert.throws(() => loadRepoConfig(writeConfig('bad-id.json', [{ id: '../x' }])), /needs an id/);
+  assert.throws(() => loadRepoConfig(writeConfig('dupe.json', [{ id: 'a' }, { id: 'a' }])), /duplicate repository id "a"/);
+});
+
+test('creates one adapter per repository and finds them by id or full name', () => {
+  const registry = createRepoRegistry({
+    entries: [
+      { id: 'alice-cpp', name: 'Alice (C++)', owner: 'alice', repo: 'dsa-cpp', branch: 'main' },
+      { id: 'bob', owner: 'bob', repo: 'dsa' },
+      { id: 'scratch', adapter: 'local', path: dir }
+    ],
+    defaultId: 'bob',
+    github: GITHUB,
+    cacheTtlMs: 1000
+  });
+
+  assert.equal(registry.size, 3);
+  assert.equal(registry.defaultRepo.id, 'bob');
+  assert.equal(registry.get('alice-cpp').name, 'Alice (C++)');
+  assert.equal(registry.get('alice-cpp').branch, 'main');
+  assert.equal(registry.get('bob').name, 'bob/dsa');
+  assert.equal(registry.get('scratch').storage.name, 'local');
+  assert.equal(registry.get('nope'), null);
+  assert.equal(registry.findByFullName('Alice/DSA-CPP').id, 'alice-cpp');
+  assert.equal(registry.findByFullName('carol/dsa'), null);
+});
+
+test('refuses GitHub entries without owner/repo and an unknown default', () => {
+  assert.throws(
+    () => createRepoRegistry({ entries: [{ id: 'a', owner: 'alice' }], defaultId: 'a', github: GITHUB, cacheTtlMs: 1000 }),
+    /Repository "a" needs owner and repo/
+  );
+  assert.throws(
+    () => createRepoRegistry({ entries: [{ id: 'a', adapter: 'local', path: dir }], defaultId: 'b', github: GITHUB, cacheTtlMs: 1000 }),
+    /Default repository "b" is not configured/
+  );
+});
+
+test('folder caches load once per TTL, remember new folders and invalidate', async () => {
+  const registry = createRepoRegistry({
+    entries: [{ id: 'scratch', adapter: 'local', path: dir }], defaultId: 'scratch', github: GITHUB, cacheTtlMs: 60 * 1000
+  });
+  const repo = registry.get('scratch');
+  let loads = 0;
+  repo.storage.listFolders = async () => { loads++; return { DS: {} }; };
+
+  assert.deepEqual(await repo.folders.load(), { DS: {} });
+  await repo.folders.load();
+  assert.equal(loads, 1);
+
+  repo.folders.remember(['DS/Graph']);
+  assert.deepEqual(repo.folders.peek(), { DS: { Graph: {} } });
+
+  repo.folders.invalidate();
+  assert.equal(repo.folders.isFresh(), false);
+  await repo.folders.load();
+  assert.equal(loads, 2);
+});
+
+test('writes to each repository\'s own branch', async () => {
+  const python = await startFakeService(() => ({ body: { success: true } }));
+  const registry = createRepoRegistry({
+    entries: [
+      { id: 'notes', owner: 'alice', repo: 'notes', branch: 'drafts' },
+      { id: 'main', owner: 'alice', repo: 'dsa' }
+    ],
+    defaultId: 'main',
+    github: { ...GITHUB, pythonService: python.url }
+  });
+  const file = { topFolder: 'DS', subFolder: 'Tree', filename: 'a.py', content: 'x', action: 'check' };
+
+  for (const id of ['notes', 'main']) {
+    const { storage } = registry.get(id);
+    await storage.createFile(file);
+    await storage.createFiles([file], 'Batch');
+    await storage.writeFiles([{ path: 'README.md', content: 'x' }], 'Rebuild');
+    await storage.deleteFile('DS/Tree/a.py', { sha: 'abc' });
+    await storage.createFolder('DS/Graph', '# Graph');
+  }
+
+  const targets = python.requests.map(r => `${r.body.repo}@${r.body.branch || 'default'}`);
+  assert.deepEqual(targets, [...Array(5).fill('alice/notes@drafts'), ...Array(5).fill('alice/dsa@default')]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startGateway, createTempRepo } = require('./helpers');
+
+const main = createTempRepo({ 'DS/Array/.gitkeep': '' });
+const scratch = createTempRepo({ 'Notes/Graphs/.gitkeep': '' });
+
+const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-repos-')), 'repos.json');
+fs.writeFileSync(configPath, JSON.stringify({
+  default: 'main',
+  repositories: [
+    { id: 'scratch', name: 'Scratch pad', adapter: 'local', path: scratch.root },
+    { id: 'main', name: 'Main', adapter: 'local', path: main.root }
+  ]
+}));
+
+let gateway;
+
+test.before(async () => {
+  gateway = await startGateway({ REPOS_CONFIG_PATH: configPath, RATE_LIMIT_MAX: '1000' });
+});
+
+test('lists the configured repositories, default first', async () => {
+  const res = await gateway.request('GET', '/api/repos');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.default, 'main');
+  assert.deepEqual(res.body.repositories.map(r => [r.id, r.name, r.storage]), [
+    ['main', 'Main', 'local'],
+    ['scratch', 'Scratch pad', 'local']
+  ]);
+});
+
+test('reads from the repository named by ?repo=, else the default', async () => {
+  assert.deepEqual((await gateway.request('GET', '/api/folders')).body.folders, { DS: { Array: {} } });
+  assert.deepEqual((await gateway.request('GET', '/api/folders?repo=scratch')).body.folders, { Notes: { Graphs: {} } });
+
+  const unknown = await gateway.request('GET', '/api/folders?repo=nope');
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.body, { error: 'Unknown repository: nope', code: 'UNKNOWN_REPO' });
+});
+
+test('writes to the repository named in the body', async () => {
+  const res = await gateway.request('POST', '/api/create-file', {
+    repo: 'scratch', topFolder: 'Notes', subFolder: 'Graphs', filename: 'LC_200_Islands.py', content: 'pass\n', action: 'check'
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(scratch.read('Notes/Graphs/LC_200_Islands.py'), 'pass\n');
+  assert.equal(main.git('log', '--oneline').split('\n').length, 1);
+});
+
+test('reports readiness for every repository', async () => {
+  const res = await gateway.request('GET', '/health/ready');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.keys(res.body.repositories).sort(), ['main', 'scratch']);
+  assert.equal(res.body.repositories.scratch.ready, true);
+});
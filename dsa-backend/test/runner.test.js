@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRunner } = require('../runner');
+
+const runner = createRunner({ timeoutMs: 200, memoryMb: 32 });
+const errorsOf = (run) => run.results.map(result => result.error);
+
+test('runs a function against each case and compares JSON structurally', async () => {
+  const run = await runner.runJavaScript({
+    code: 'var twoSum = function(nums, target) { return [0, nums.length - 1]; };',
+    cases: [
+      { input: '[2,7]\n9', expected: '[0, 1]' },
+      { input: '[1,2,3]\n4', expected: '[0,1]' }
+    ]
+  });
+
+  assert.equal(run.entry, 'twoSum');
+  assert.deepEqual(run.results.map(result => result.passed), [true, false]);
+  assert.equal(run.passedCount, 1);
+});
+
+test('feeds stdin to programs and captures console output', async () => {
+  const run = await runner.runJavaScript({
+    code: 'const [a, b] = readline().split(" ").map(Number); console.log(a + b);',
+    mode: 'program',
+    cases: [{ input: '2 3', expected: '5' }]
+  });
+
+  assert.equal(run.passed, true);
+  assert.equal(run.results[0].stdout, '5');
+});
+
+test('stops an endless case at the time limit and still runs the rest', async () => {
+  const run = await runner.runJavaScript({
+    code: 'function f(n) { while (n === 2) {} return n; }',
+    cases: [{ input: '1', expected: '1' }, { input: '2', expected: '2' }, { input: '3', expected: '3' }]
+  });
+
+  assert.deepEqual(errorsOf(run), [null, 'Time limit exceeded (200 ms)', null]);
+  assert.equal(run.passedCount, 2);
+});
+
+test('reports thrown errors per case, even ones whose getters throw', async () => {
+  const run = await runner.runJavaScript({
+    code: `function f(n) {
+      if (n === 1) throw new Error('boom');
+      if (n === 2) throw { get message() { throw new Error('nope'); } };
+      if (n === 3) throw new Proxy({}, { get() { throw new Error('nope'); } });
+      return n;
+    }`,
+    cases: ['1', '2', '3', '4'].map(input => ({ input, expected: input }))
+  });
+
+  assert.deepEqual(errorsOf(run), ['boom', '[object Object]', 'Unknown error', null]);
+});
+
+test('keeps finished results when a case runs out of memory', async () => {
+  const run = await runner.runJavaScript({
+    code: 'function f(n) { const hog = []; while (n === 2) hog.push(new Array(1e5).fill(n)); return n; }',
+    cases: ['1', '2', '3'].map(input => ({ input, expected: input }))
+  });
+
+  assert.deepEqual(errorsOf(run), [null, 'Memory limit exceeded (32 MB)', 'Not run: an earlier case was stopped']);
+  assert.equal(run.passedCount, 1);
+});
+
+test('does not expose the host process to solutions', async () => {
+  const run = await runner.runJavaScript({
+    code: 'function f() { return typeof process + "," + typeof require; }',
+    cases: [{ input: '', expected: '"undefined,undefined"' }]
+  });
+
+  assert.equal(run.passed, true);
+});
+
+test('reads thrown values inside the sandbox, so their getters cannot reach the host', async () => {
+  const escape = "'host ' + typeof arguments.callee.caller.constructor('return process')().pid";
+  const run = await runner.runJavaScript({
+    code: `function f(n) {
+      if (n === 1) {
+        const error = {};
+        Object.defineProperty(error, 'message', { get: function () { return ${escape}; } });
+        throw error;
+      }
+      if (n === 2) throw { toString: function () { return ${escape}; } };
+      if (n === 3) throw { get message() { while (true) {} } };
+      JSON.stringify = function () { return { toString: function () { return ${escape}; } }; };
+      return n;
+    }`,
+    cases: ['1', '2', '3', '4'].map(input => ({ input, expected: input }))
+  });
+
+  const [getter, toString, endless, result] = run.results;
+  assert.equal(getter.error, '[object Object]');
+  assert.equal(toString.error, 'Unknown error');
+  assert.equal(endless.error, 'Time limit exceeded (200 ms)');
+  assert.match(result.error, /Code generation from strings disallowed/);
+  assert.ok(run.results.every(r => !/host/.test(`${r.error} ${r.actual}`)));
+});
+
+test('rejects bad requests before starting a worker', async () => {
+  await assert.rejects(runner.runJavaScript({ code: '', cases: [] }), { status: 400, message: 'code is required' });
+  await assert.rejects(runner.runJavaScript({ code: 'x', cases: [] }), { status: 400, message: 'Add at least one test case' });
+  await assert.rejects(
+    runner.runJavaScript({ code: '1 + 1', cases: [{ input: '', expected: '' }] }),
+    { status: 400, message: 'Could not find the function to call; name it explicitly' }
+  );
+});
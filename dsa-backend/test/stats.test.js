@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildStats, difficultyOf } = require('../stats');
+
+test('reads the difficulty from folder or filename words', () => {
+  assert.equal(difficultyOf('Practice/Hard/LC_4_Median.cpp'), 'Hard');
+  assert.equal(difficultyOf('DS/Arrays/LC_1_Two_Sum_Easy.py'), 'Easy');
+  assert.equal(difficultyOf('DS/Arrays/LC_2_Add_Two_Numbers.py'), 'Unknown');
+  assert.equal(difficultyOf('DS/Arrays/LC_3_Mediums.py'), 'Unknown');
+});
+
+test('counts solutions by folder, language and difficulty', () => {
+  const stats = buildStats([
+    { path: 'DS/Array/LC_1_Two_Sum_Easy.py' },
+    { path: 'DS/Array/LC_2.cpp' },
+    { path: 'DS/Tree/LC_100.cpp' },
+    { path: 'DS/notes.txt' },
+    { path: 'Practice/Hard/LC_4.cpp' }
+  ], [], { today: '2026-01-10' });
+
+  assert.equal(stats.total, 5);
+  assert.deepEqual(stats.byFolder, [
+    { name: 'DS', count: 4, subfolders: [{ name: 'Array', count: 2 }, { name: 'Tree', count: 1 }] },
+    { name: 'Practice', count: 1, subfolders: [{ name: 'Hard', count: 1 }] }
+  ]);
+  assert.deepEqual(stats.byLanguage.map(entry => [entry.language, entry.count]), [['cpp', 3], ['other', 1], ['python', 1]]);
+  assert.deepEqual(stats.byDifficulty, { Easy: 1, Medium: 0, Hard: 1, Unknown: 3 });
+});
+
+test('tracks daily activity and streaks in UTC days', () => {
+  const commits = [
+    '2026-01-01T10:00:00Z', '2026-01-02T23:30:00Z', '2026-01-03T00:10:00Z', '2026-01-04T08:00:00Z',
+    '2026-01-08T12:00:00Z', '2026-01-09T12:00:00Z', '2026-01-09T13:00:00Z'
+  ].map(date => ({ date }));
+
+  const yesterday = buildStats([], commits, { today: '2026-01-10' }).activity;
+  assert.equal(yesterday.days['2026-01-09'], 2);
+  assert.deepEqual([yesterday.totalCommits, yesterday.activeDays], [7, 6]);
+  // Nothing pushed yet today: the streak still counts from yesterday
+  assert.deepEqual([yesterday.currentStreak, yesterday.longestStreak], [2, 4]);
+
+  const broken = buildStats([], commits, { today: '2026-01-11' }).activity;
+  assert.equal(broken.currentStreak, 0);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTemplateStore, renderTemplate } = require('../templates');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-templates-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeTemplate(relPath, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, relPath)), { recursive: true });
+  fs.writeFileSync(path.join(dir, relPath), content);
+}
+
+writeTemplate('python.py', '# default\n');
+writeTemplate('cpp.cpp', '// default\n');
+writeTemplate('folders/DS/cpp.cpp', '// DS\n');
+writeTemplate('folders/DS/Tree/cpp.cpp', '// DS/Tree\n');
+
+const store = createTemplateStore({ dir });
+
+test('fills placeholders and drops lines whose placeholders are all missing', () => {
+  const content = '// {number}. {title}\n// Difficulty: {difficulty}\n// {language} for {folder}\nint main() { return 0; }';
+
+  assert.equal(
+    renderTemplate(content, { number: 1, title: 'Two Sum', language: 'C++', folder: 'DS/Array' }),
+    '// 1. Two Sum\n// C++ for DS/Array\nint main() { return 0; }'
+  );
+  assert.equal(renderTemplate('{unknown} {', {}), '{unknown} {');
+});
+
+test('resolves the most specific folder template, then the default', async () => {
+  assert.deepEqual(await store.resolve('cpp', 'DS/Tree/BST'), { content: '// DS/Tree\n', source: 'DS/Tree' });
+  assert.deepEqual(await store.resolve('cpp', 'DS/Array'), { content: '// DS\n', source: 'DS' });
+  assert.deepEqual(await store.resolve('cpp'), { content: '// default\n', source: null });
+  assert.equal(await store.resolve('java', 'DS'), null);
+});
+
+test('lists the languages with a template for a folder', async () => {
+  const templates = await store.list('DS/Tree');
+
+  assert.deepEqual(templates.map(t => [t.language, t.source]), [['cpp', 'DS/Tree'], ['python', null]]);
+  assert.equal(templates.find(t => t.language === 'cpp').extension, '.cpp');
+});
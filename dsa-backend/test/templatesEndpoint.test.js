@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startGateway, createTempRepo } = require('./helpers');
+
+const repo = createTempRepo({ 'DS/Tree/.gitkeep': '' });
+const templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-templates-'));
+process.on('exit', () => fs.rmSync(templatesDir, { recursive: true, force: true }));
+fs.writeFileSync(path.join(templatesDir, 'python.py'), '# {number}. {title}\n# Difficulty: {difficulty}\n# {filename} in {folder}\n');
+
+let gateway;
+
+test.before(async () => {
+  gateway = await startGateway({
+    STORAGE_ADAPTER: 'local',
+    LOCAL_REPO_PATH: repo.root,
+    TEMPLATES_DIR: templatesDir,
+    RATE_LIMIT_MAX: '1000'
+  });
+});
+
+test('lists templates for a folder', async () => {
+  const res = await gateway.request('GET', '/api/templates?folder=DS/Tree');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.folder, 'DS/Tree');
+  assert.ok(res.body.placeholders.includes('{title}'));
+  assert.deepEqual(res.body.templates, [{ language: 'python', name: 'Python', extension: '.py', source: null }]);
+
+  assert.equal((await gateway.request('GET', '/api/templates?folder=../etc')).status, 400);
+});
+
+test('renders a template for the problem named in the filename', async () => {
+  const res = await gateway.request('GET', '/api/templates/python?folder=DS/Array&filename=LC_1_Two_Sum.py');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.problem, 1);
+  assert.equal(res.body.content, '# 1. Two Sum\n# Difficulty: Easy\n# LC_1_Two_Sum.py in DS/Array\n');
+});
+
+test('drops problem lines when no problem is known', async () => {
+  const res = await gateway.request('GET', '/api/templates/python?filename=solution.py');
+
+  assert.equal(res.body.problem, null);
+  assert.equal(res.body.content, '# solution.py in \n');
+});
+
+test('refuses unknown languages and reports missing templates', async () => {
+  assert.deepEqual((await gateway.request('GET', '/api/templates/cobol')).body, { error: 'Unknown language: cobol' });
+  assert.deepEqual((await gateway.request('GET', '/api/templates/go')).body, { error: 'No template for Go' });
+});
+
+test('warns about a missing complexity header on submit', async () => {
+  const res = await gateway.request('POST', '/api/create-file', {
+    topFolder: 'DS', subFolder: 'Tree', filename: 'LC_100_Same_Tree.py', content: '# TC: O(n)\npass\n', action: 'check'
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.warnings, ['Missing complexity header: add "# SC: O(...)"']);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createValidator } = require('../validation');
+const { buildFolderTree } = require('../folderTree');
+
+const validator = createValidator();
+const tree = buildFolderTree(['DS/Array', 'DS/Tree/BST']);
+const HEADER = '// TC: O(n)\n// SC: O(1)\n';
+
+test('normalizes loose filenames to the LC_<number>_<Title> convention', () => {
+  assert.equal(validator.normalizeFilename('lc 206 reverse linked-list.CPP'), 'LC_206_Reverse_Linked_List.cpp');
+  assert.equal(validator.normalizeFilename('1 two sum.py'), 'LC_1_Two_Sum.py');
+  assert.equal(validator.normalizeFilename('../../etc/passwd'), 'passwd');
+});
+
+test('blocks unsafe filenames and only warns about the naming convention', () => {
+  assert.deepEqual(validator.validateFilename('LC_1_Two_Sum.cpp'), { errors: [], warnings: [], suggestion: null });
+
+  const loose = validator.validateFilename('two-sum.cpp');
+  assert.deepEqual(loose.errors, []);
+  assert.equal(loose.warnings.length, 1);
+
+  assert.ok(validator.validateFilename('../secret.cpp').errors.length > 0);
+  assert.ok(validator.validateFilename('.env').errors.length > 0);
+  assert.deepEqual(validator.validateFilename('LC_1_Two_Sum').errors, ['Filename needs an extension (e.g. .cpp, .java, .py)']);
+  assert.deepEqual(validator.validateFilename('').errors, ['Filename is required']);
+});
+
+test('enforced conventions turn the warning into an error with a suggestion', () => {
+  const strict = createValidator({ enforcePattern: true });
+  const result = strict.validateFilename('lc_1_two_sum.cpp');
+  assert.equal(result.errors.length, 1);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(result.suggestion, 'LC_1_Two_Sum.cpp');
+  assert.equal(strict.validateFilename('notes.cpp').suggestion, null);
+});
+
+test('checks folders against the known tree, when there is one', () => {
+  const submission = { topFolder: 'DS', subFolder: 'Tree/BST', filename: 'LC_98_Validate_BST.cpp', content: HEADER };
+  assert.deepEqual(validator.validateSubmission(submission, tree).errors, []);
+  assert.deepEqual(validator.validateSubmission({ ...submission, subFolder: 'Graph' }, tree).errors, ['Folder does not exist: DS/Graph']);
+  assert.deepEqual(validator.validateSubmission({ ...submission, subFolder: 'Graph' }, null).errors, []);
+  assert.ok(validator.validateSubmission({ ...submission, subFolder: '../x' }, null).errors.length > 0);
+});
+
+test('warns about missing or placeholder TC/SC headers in the language comment style', () => {
+  assert.deepEqual(validator.complexityWarnings('LC_1_Two_Sum.cpp', HEADER), []);
+  assert.deepEqual(validator.complexityWarnings('LC_1_Two_Sum.py', '# TC: O(?)\n# SC: O(1)\npass'), ['Missing complexity header: add "# TC: O(...)"']);
+  assert.deepEqual(validator.complexityWarnings('LC_1_Two_Sum.cpp', 'int x;'), ['Missing complexity header: add "// TC: O(...)" and "// SC: O(...)"']);
+  assert.deepEqual(validator.complexityWarnings('notes.md', '# Notes'), []);
+  assert.deepEqual(createValidator({ checkComplexity: false }).complexityWarnings('a.cpp', 'int x;'), []);
+});
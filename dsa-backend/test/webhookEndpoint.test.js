@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startGateway, startFakeService } = require('./helpers');
+
+const SECRET = 'webhook-secret';
+const REPOSITORY = { full_name: 'alice/dsa', default_branch: 'main' };
+
+// What the fake GitHub's tree currently holds
+let tree = [{ path: 'DS', type: 'tree' }, { path: 'DS/Array', type: 'tree' }];
+
+let gateway;
+let github;
+
+test.before(async () => {
+  github = await startFakeService(({ url }) => {
+    if (url.startsWith('/repos/alice/dsa/git/trees/main')) return { body: { tree, truncated: false } };
+    return { status: 404, body: { message: 'Not Found' } };
+  });
+  gateway = await startGateway({
+    GITHUB_API_URL: github.url,
+    GITHUB_USER: 'alice',
+    GITHUB_REPO: 'dsa',
+    GITHUB_BRANCH: 'main',
+    GITHUB_WEBHOOK_SECRET: SECRET
+  });
+});
+
+// Signs the exact bytes the helper sends
+function deliver(event, payload, secret = SECRET) {
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex')}`;
+  return gateway.request('POST', '/api/webhooks/github', payload, {
+    'X-GitHub-Event': event,
+    'X-Hub-Signature-256': signature
+  });
+}
+
+const push = (fields) => deliver('push', { ref: 'refs/heads/main', repository: REPOSITORY, ...fields });
+const folders = async (query = '') => (await gateway.request('GET', `/api/folders${query}`)).body.folders;
+const treeRequests = () => github.requests.filter(r => r.url.includes('/git/trees/')).length;
+
+test('rejects deliveries with a bad signature', async () => {
+  const res = await deliver('push', { ref: 'refs/heads/main' }, 'wrong-secret');
+  assert.equal(res.status, 401);
+});
+
+test('answers pings and ignores other events, repositories and branches', async () => {
+  assert.deepEqual((await deliver('ping', { zen: 'hi' })).body, { ok: true });
+
+  const issue = await deliver('issues', {});
+  assert.equal(issue.status, 202);
+  assert.equal(issue.body.reason, 'Unhandled event: issues');
+
+  const otherRepo = await push({ repository: { full_name: 'bob/dsa' } });
+  assert.equal(otherRepo.status, 202);
+  assert.equal(otherRepo.body.reason, 'Unknown repository: bob/dsa');
+
+  const otherBranch = await push({ ref: 'refs/heads/feature', commits: [] });
+  assert.equal(otherBranch.status, 202);
+  assert.equal(otherBranch.body.reason, 'Push to refs/heads/feature');
+});
+
+test('patches the cached tree with folders added by a push', async () => {
+  assert.deepEqual(await folders(), { DS: { Array: {} } });
+  const fetched = treeRequests();
+
+  const res = await push({ commits: [{ added: ['DS/Graph/LC_133_Clone_Graph.py'], removed: [] }] });
+  assert.deepEqual(res.body, { cache: 'patched', folders: ['DS/Graph'] });
+  assert.deepEqual(await folders(), { DS: { Array: {}, Graph: {} } });
+  assert.equal(treeRequests(), fetched);
+});
+
+test('invalidates the cache when a push removes files', async () => {
+  const res = await push({ commits: [{ added: [], removed: ['DS/Graph/LC_133_Clone_Graph.py'] }] });
+  assert.deepEqual(res.body, { cache: 'invalidated' });
+
+  // Reloaded from GitHub, which never had DS/Graph
+  assert.deepEqual(await folders(), { DS: { Array: {} } });
+});
+
+test('refresh=1 bypasses the folder cache', async () => {
+  await folders();
+  tree = [{ path: 'DS', type: 'tree' }, { path: 'DS/Arrays', type: 'tree' }];
+
+  assert.deepEqual(await folders(), { DS: { Array: {} } });
+  assert.deepEqual(await folders('?refresh=1'), { DS: { Arrays: {} } });
+});
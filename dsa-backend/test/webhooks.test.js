@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyGitHubSignature, summarizePush } = require('../webhooks');
+
+const SECRET = 'webhook-secret';
+const BODY = Buffer.from(JSON.stringify({ ref: 'refs/heads/main' }));
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+test('accepts a body signed with the shared secret', () => {
+  assert.equal(verifyGitHubSignature(SECRET, BODY, sign(BODY)), true);
+});
+
+test('rejects a wrong secret, a tampered body or a malformed header', () => {
+  assert.equal(verifyGitHubSignature(SECRET, BODY, sign(BODY, 'other-secret')), false);
+  assert.equal(verifyGitHubSignature(SECRET, Buffer.from('{"ref":"x"}'), sign(BODY)), false);
+  assert.equal(verifyGitHubSignature(SECRET, BODY, sign(BODY).replace('sha256=', 'sha1=')), false);
+  assert.equal(verifyGitHubSignature(SECRET, BODY, sign(BODY).slice(0, -2)), false);
+  assert.equal(verifyGitHubSignature(SECRET, BODY, undefined), false);
+});
+
+test('rejects everything when no secret or body is configured', () => {
+  assert.equal(verifyGitHubSignature('', BODY, sign(BODY, '')), false);
+  assert.equal(verifyGitHubSignature(SECRET, null, sign(BODY)), false);
+});
+
+test('summarizes added folders and removals in a push', () => {
+  const summary = summarizePush({
+    commits: [
+      { added: ['DS/Array/LC_1_Two_Sum.py', 'README.md'], removed: [] },
+      { added: ['DS/Array/LC_2.py', 'Algo/DP/LC_70.cpp'], removed: ['DS/Tree/LC_100.cpp'] }
+    ]
+  });
+  assert.deepEqual(summary.addedFolders.sort(), ['Algo/DP', 'DS/Array']);
+  assert.equal(summary.removed, true);
+  assert.deepEqual(summarizePush({}), { addedFolders: [], removed: false });
+});
@@ -0,0 +1,156 @@
+const { hasFolder } = require('./folderTree');
+const { LANGUAGES, languageFromFilename } = require('./languages');
+const { parseComplexity } = require('./indexes');
+
+// Folder names: letters, digits, '_' and '-', not starting with a separator
+const FOLDER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// Filenames: letters, digits, '_', '-' and '.', with an extension
+const FILENAME_CHARS = /^[A-Za-z0-9_.-]+$/;
+const MAX_FILENAME_LENGTH = 128;
+
+// Naming convention, e.g. LC_206_Reverse_Linked_List.cpp
+const DEFAULT_FILENAME_PATTERN = '^LC_\\d+_[A-Za-z0-9_]+\\.[A-Za-z0-9]+$';
+
+function createValidator({ filenamePattern = DEFAULT_FILENAME_PATTERN, enforcePattern = false, checkComplexity = true } = {}) {
+  const convention = new RegExp(filenamePattern);
+
+  function isValidFolderName(name) {
+    return typeof name === 'string' && FOLDER_NAME_PATTERN.test(name);
+  }
+
+  // "lc 206 reverse linked-list.CPP" -> "LC_206_Reverse_Linked_List.cpp"
+  function normalizeFilename(filename) {
+    const base = String(filename).trim().split(/[\\/]/).pop();
+    const dot = base.lastIndexOf('.');
+    const hasExt = dot > 0 && /^[A-Za-z0-9]+$/.test(base.slice(dot + 1));
+    const name = hasExt ? base.slice(0, dot) : base;
+    const ext = hasExt ? base.slice(dot + 1).toLowerCase() : '';
+
+    const words = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    if (words.length === 0) return '';
+
+    // Bare problem number or "leetcode" prefix -> LC_<num>_<Title_Words>
+    if (/^(lc|leetcode)$/i.test(words[0])) {
+      words[0] = 'LC';
+    } else if (/^\d+$/.test(words[0])) {
+      words.unshift('LC');
+    }
+    const titled = words[0] === 'LC'
+      ? words.map(word => word[0].toUpperCase() + word.slice(1))
+      : words;
+
+    const normalized = titled.join('_');
+
+    return ext ? `${normalized}.${ext}` : normalized;
+  }
+
+  function filenameErrors(filename) {
+    const errors = [];
+
+    if (/[\\/]/.test(filename) || filename.split('.').every(part => part === '')) {
+      errors.push('Filename must not contain path separators or refer to a directory');
+    } else if (filename.includes('..')) {
+      errors.push('Filename must not contain ".."');
+    }
+
+    if (!FILENAME_CHARS.test(filename)) {
+      errors.push('Filename may only contain letters, digits, "_", "-" and "."');
+    }
+
+    if (filename.startsWith('.') || filename.startsWith('-')) {
+      errors.push('Filename must not start with "." or "-"');
+    }
+
+    if (filename.length > MAX_FILENAME_LENGTH) {
+      errors.push(`Filename must be at most ${MAX_FILENAME_LENGTH} characters`);
+    }
+
+    const dot = filename.lastIndexOf('.');
+    if (dot <= 0 || dot === filename.length - 1) {
+      errors.push('Filename needs an extension (e.g. .cpp, .java, .py)');
+    }
+
+    return errors;
+  }
+
+  // Returns { errors, warnings, suggestion }; errors block the write, warnings don't
+  function validateFilename(filename) {
+    if (typeof filename !== 'string' || !filename.trim()) {
+      return { errors: ['Filename is required'], warnings: [], suggestion: null };
+    }
+
+    const errors = filenameErrors(filename);
+    const warnings = [];
+
+    if (errors.length === 0 && !convention.test(filename)) {
+      const message = `Filename does not follow the naming convention (${filenamePattern})`;
+      if (enforcePattern) {
+        errors.push(message);
+      } else {
+        warnings.push(message);
+      }
+    }
+
+    // Only offer a suggestion that would itself be accepted
+    const normalized = normalizeFilename(filename);
+    const suggestion = (errors.length || warnings.length) && normalized && normalized !== filename &&
+      filenameErrors(normalized).length === 0 && (!enforcePattern || convention.test(normalized))
+      ? normalized
+      : null;
+
+    return { errors, warnings, suggestion };
+  }
+
+  // topFolder must be a single folder name; subFolder may be nested ("Tree/BST")
+  function validateFolders(topFolder, subFolder, folderTree) {
+    const errors = [];
+    const segments = [topFolder, ...String(subFolder || '').split('/')];
+
+    if (!topFolder || !subFolder) {
+      errors.push('topFolder and subFolder are required');
+    } else if (!segments.every(isValidFolderName)) {
+      errors.push('Folder names may only contain letters, digits, "_" and "-"');
+    } else if (folderTree && !hasFolder(folderTree, `${topFolder}/${subFolder}`)) {
+      errors.push(`Folder does not exist: ${topFolder}/${subFolder}`);
+    }
+
+    return errors;
+  }
+
+  // Warn when a solution has no TC/SC header; languages without line comments are skipped
+  function complexityWarnings(filename, content) {
+    if (!checkComplexity || typeof content !== 'string' || !content.trim()) return [];
+
+    const language = languageFromFilename(String(filename));
+    const comment = language ? LANGUAGES[language].comment : '//';
+    if (!comment) return [];
+
+    // "// TC: O(n)" / "# Space complexity: O(1)" anywhere in the file; a template's O(?) doesn't count
+    const { time, space } = parseComplexity(content);
+    const missing = [!time && 'TC', !space && 'SC'].filter(Boolean);
+    return missing.length > 0
+      ? [`Missing complexity header: add ${missing.map(key => `"${comment} ${key}: O(...)"`).join(' and ')}`]
+      : [];
+  }
+
+  // Validate one create-file entry against the known folder tree (null skips the existence check)
+  function validateSubmission({ topFolder, subFolder, filename, content }, folderTree) {
+    const result = validateFilename(filename);
+    return {
+      errors: [...validateFolders(topFolder, subFolder, folderTree), ...result.errors],
+      warnings: [...result.warnings, ...(result.errors.length === 0 ? complexityWarnings(filename, content) : [])],
+      suggestion: result.suggestion
+    };
+  }
+
+  return {
+    isValidFolderName,
+    normalizeFilename,
+    validateFilename,
+    complexityWarnings,
+    validateSubmission
+  };
+}
+
+module.exports = { createValidator, DEFAULT_FILENAME_PATTERN };
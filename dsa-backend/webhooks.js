@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Check the X-Hub-Signature-256 header ("sha256=<hex>") against the raw request body
+function verifyGitHubSignature(secret, rawBody, signatureHeader) {
+  if (!secret || !rawBody || typeof signatureHeader !== 'string' || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+  );
+  const received = Buffer.from(signatureHeader);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Folder changes in a push: folders holding added files, and whether anything was removed
+// (a removal may empty a folder, which only a full reload can tell)
+function summarizePush(payload) {
+  const addedFolders = new Set();
+  let removed = false;
+
+  for (const commit of payload.commits || []) {
+    for (const filePath of commit.added || []) {
+      const slash = filePath.lastIndexOf('/');
+      if (slash > 0) addedFolders.add(filePath.slice(0, slash));
+    }
+    if ((commit.removed || []).length > 0) removed = true;
+  }
+
+  return { addedFolders: [...addedFolders], removed };
+}
+
+module.exports = { verifyGitHubSignature, summarizePush };
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createClient } = require('../client');
+const { pushFile, resolveTarget, targetFolders, CONFLICT_CHOICES } = require('../push');
+const { watchDirectory } = require('../watch');
+
+const DEFAULT_API_URL = 'http://localhost:4000/api';
+
+const USAGE = `Usage:
+  dsa push <file...> [--to DS/Arrays] [options]   Submit files (asks for the folder if --to is missing)
+  dsa watch <dir> [--to DS/Arrays] [options]      Submit files in <dir> whenever they are saved
+  dsa folders                                     List folders you can push into
+  dsa repos                                       List repositories the gateway can target
+
+Options:
+  --to <folder>          Target folder, e.g. DS/Arrays or DS/Tree/BST
+  --name <filename>      Filename in the repo (push with a single file only)
+  --on-conflict <action> overwrite | version | reject instead of asking
+  -m, --message <text>   Commit message ({filename}, {path}, {folder}, {count})
+  --branch <name>        Commit to this branch instead of the default
+  --pr                   Propose the change as a pull request
+  --repo <id>            Target repository (DSA_REPO, default: the gateway's default)
+  --api <url>            Gateway API URL (DSA_API_URL, default ${DEFAULT_API_URL})
+  --token <token>        API key or session token (DSA_TOKEN)`;
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      to: { type: 'string' },
+      name: { type: 'string' },
+      'on-conflict': { type: 'string' },
+      message: { type: 'string', short: 'm' },
+      branch: { type: 'string' },
+      pr: { type: 'boolean' },
+      repo: { type: 'string' },
+      api: { type: 'string' },
+      token: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const onConflict = values['on-conflict'];
+  if (onConflict && !CONFLICT_CHOICES.some(c => c.value === onConflict)) {
+    throw new Error('--on-conflict must be overwrite, version or reject');
+  }
+
+  const [command, ...args] = positionals;
+  return {
+    command: values.help ? 'help' : command,
+    args,
+    to: values.to,
+    apiUrl: values.api || process.env.DSA_API_URL || DEFAULT_API_URL,
+    token: values.token || process.env.DSA_TOKEN,
+    repo: values.repo || process.env.DSA_REPO,
+    pushOptions: {
+      name: values.name,
+      onConflict,
+      message: values.message,
+      branch: values.branch,
+      pullRequest: Boolean(values.pr)
+    }
+  };
+}
+
+async function main() {
+  const cli = parseCommandLine(process.argv.slice(2));
+  const client = createClient({ apiUrl: cli.apiUrl, token: cli.token, repo: cli.repo });
+
+  switch (cli.command) {
+    case 'push': {
+      if (cli.args.length === 0) throw new Error('push needs at least one file');
+      if (cli.pushOptions.name && cli.args.length > 1) throw new Error('--name only works with a single file');
+
+      const target = await resolveTarget(client, cli.to);
+      let failed = 0;
+      for (const file of cli.args) {
+        try {
+          await pushFile(client, file, target, cli.pushOptions);
+        } catch (err) {
+          failed++;
+          console.error(`✗ ${file}: ${err.message}`);
+        }
+      }
+      return failed ? 1 : 0;
+    }
+
+    case 'watch': {
+      const [dir] = cli.args;
+      if (!dir || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error('watch needs a directory');
+      }
+      if (cli.pushOptions.name) throw new Error('--name does not apply to watch');
+
+      const target = await resolveTarget(client, cli.to);
+      const watcher = watchDirectory(client, dir, target, cli.pushOptions);
+      await new Promise(resolve => process.once('SIGINT', resolve));
+      watcher.close();
+      return 0;
+    }
+
+    case 'folders': {
+      const response = await client.getFolders();
+      if (response.warning) console.error(`! ${response.warning.message}${response.fallback ? ' (placeholder layout)' : ' (stale)'}`);
+      targetFolders(response.folders).forEach(folder => console.log(folder));
+      return 0;
+    }
+
+    case 'repos': {
+      const { default: defaultId, repositories } = await client.getRepos();
+      repositories.forEach(r => console.log(`${r.id === defaultId ? '*' : ' '} ${r.id.padEnd(20)} ${r.name}`));
+      return 0;
+    }
+
+    case 'help':
+    case undefined:
+      console.log(USAGE);
+      return 0;
+
+    default:
+      console.error(`Unknown command: ${cli.command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error(`✗ ${err.message}`);
+    process.exitCode = 1;
+  });
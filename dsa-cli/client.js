@@ -0,0 +1,66 @@
+// Thin wrapper over the gateway API. Node 20 has fetch built in, so no dependencies.
+const { version } = require('./package.json');
+
+class GatewayError extends Error {
+  constructor(message, status, data) {
+    super(message);
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// repo selects one of the gateway's configured repositories (its default if unset)
+function createClient({ apiUrl, token, repo }) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+
+  async function request(path, { method = 'GET', body } = {}) {
+    const url = repo ? `${baseUrl}${path}${path.includes('?') ? '&' : '?'}repo=${encodeURIComponent(repo)}` : `${baseUrl}${path}`;
+    // Shows up as the client in the gateway's submission history
+    const headers = { 'User-Agent': `dsa-cli/${version}` };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    let res;
+    try {
+      res = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (err) {
+      throw new GatewayError(`Cannot reach the gateway at ${baseUrl} (${err.cause?.code || err.message})`, 0, null);
+    }
+
+    const data = await res.json().catch(() => ({}));
+
+    if (res.status === 401) {
+      throw new GatewayError('Authentication required: set DSA_TOKEN to an API key or session token', 401, data);
+    }
+    if (res.status === 429) {
+      throw new GatewayError(`Rate limited, retry in ${data.retryAfter || '?'}s`, 429, data);
+    }
+    // 400s from create-file carry validation details the caller wants to show
+    if (!res.ok && res.status !== 400 && res.status !== 409) {
+      throw new GatewayError(data.error || `Gateway error (${res.status})`, res.status, data);
+    }
+
+    return { status: res.status, data };
+  }
+
+  // Reads have no useful 400 body; any failure is an error
+  async function get(path) {
+    const { status, data } = await request(path);
+    if (status !== 200) throw new GatewayError(data.error || `Gateway error (${status})`, status, data);
+    return data;
+  }
+
+  return {
+    baseUrl,
+    getFolders: () => get('/folders'),
+    getRepos: () => get('/repos'),
+    readFile: (filePath) => get(`/file?path=${encodeURIComponent(filePath)}`),
+    createFile: (payload) => request('/create-file', { method: 'POST', body: payload })
+  };
+}
+
+module.exports = { createClient, GatewayError };
@@ -0,0 +1,71 @@
+const readline = require('readline');
+
+// One shared interface with buffered lines, so answers typed ahead aren't lost.
+// It's paused while nobody is asking so it doesn't keep the process alive.
+let rl = null;
+const lines = [];
+const waiting = [];
+
+function ask(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('Input needed but stdin is not a terminal; pass the option on the command line'));
+  }
+
+  if (!rl) {
+    rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.on('line', line => {
+      if (waiting.length) {
+        waiting.shift()(line);
+      } else {
+        lines.push(line);
+      }
+      if (!waiting.length) rl.pause();
+    });
+  }
+
+  rl.setPrompt(question);
+  rl.prompt();
+  if (lines.length) {
+    const line = lines.shift();
+    process.stdout.write(`${line}\n`);
+    rl.pause();
+    return Promise.resolve(line.trim());
+  }
+  return new Promise(resolve => {
+    waiting.push(line => resolve(line.trim()));
+    rl.resume();
+  });
+}
+
+// choices: [{ key: 'o', label: 'overwrite', value: 'overwrite' }]
+async function choose(question, choices) {
+  const keys = choices.map(c => `[${c.key}]${c.label.slice(1)}`).join(' / ');
+
+  for (;;) {
+    const answer = (await ask(`${question} ${keys}: `)).toLowerCase();
+    const choice = choices.find(c => c.key === answer || c.label === answer);
+    if (choice) return choice.value;
+  }
+}
+
+// Pick from a long list: a number selects, anything else narrows the list
+async function pickFromList(question, items) {
+  let shown = items;
+
+  for (;;) {
+    shown.forEach((item, i) => console.log(`  ${String(i + 1).padStart(3)}. ${item}`));
+    const answer = await ask(`${question} (number, or text to filter): `);
+
+    const index = Number(answer);
+    if (Number.isInteger(index) && index >= 1 && index <= shown.length) {
+      return shown[index - 1];
+    }
+
+    const filtered = items.filter(item => item.toLowerCase().includes(answer.toLowerCase()));
+    if (filtered.length === 1) return filtered[0];
+    if (filtered.length === 0) console.log(`No folder matches "${answer}"`);
+    shown = filtered.length ? filtered : items;
+  }
+}
+
+module.exports = { ask, choose, pickFromList };
@@ -0,0 +1,141 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { GatewayError } = require('./client');
+const { ask, choose, pickFromList } = require('./prompt');
+
+const CONFLICT_CHOICES = [
+  { key: 'o', label: 'overwrite', value: 'overwrite' },
+  { key: 'v', label: 'version', value: 'version' },
+  { key: 'r', label: 'reject', value: 'reject' }
+];
+
+// Every folder at least two levels deep can take files ("DS/Arrays", "DS/Tree/BST")
+function targetFolders(tree, prefix = '') {
+  return Object.keys(tree).flatMap(name => {
+    const folderPath = prefix ? `${prefix}/${name}` : name;
+    const nested = targetFolders(tree[name], folderPath);
+    return prefix ? [folderPath, ...nested] : nested;
+  });
+}
+
+// "DS/Tree/BST" -> { topFolder: 'DS', subFolder: 'Tree/BST' }
+function splitTarget(folderPath) {
+  const [topFolder, ...rest] = folderPath.split('/').filter(Boolean);
+  return { topFolder, subFolder: rest.join('/') };
+}
+
+// Use --to if given, otherwise ask; either way it must be a folder the gateway knows.
+// A placeholder layout (storage unreachable) can't vouch for --to and isn't offered as a choice.
+async function resolveTarget(client, to) {
+  const response = await client.getFolders();
+  const folders = targetFolders(response.folders);
+
+  if (response.warning) {
+    console.error(`! ${response.fallback ? 'Folder list unavailable' : `Folder list from ${response.fetchedAt}`}: ${response.warning.message}`);
+  }
+
+  if (to) {
+    const normalized = to.replace(/^\/+|\/+$/g, '');
+    if (!response.fallback && !folders.includes(normalized)) {
+      throw new Error(`Unknown folder: ${normalized} (create it in the web app first)`);
+    }
+    return splitTarget(normalized);
+  }
+
+  if (response.fallback) {
+    throw new Error('Cannot list folders right now; pass --to to push anyway');
+  }
+  if (folders.length === 0) {
+    throw new Error('The repository has no folders to push into');
+  }
+  return splitTarget(await pickFromList('Folder', folders));
+}
+
+const lineCount = (text) => text.split('\n').length;
+
+async function chooseConflictAction(client, filePath, content, onConflict) {
+  let existing = null;
+  try {
+    existing = await client.readFile(filePath);
+  } catch (err) {
+    // Still resolvable without the preview
+  }
+
+  if (existing && existing.content === content) {
+    return { action: 'reject', unchanged: true };
+  }
+
+  const action = onConflict || await choose(
+    `${filePath} already exists${existing ? ` (${lineCount(existing.content)} lines there, ${lineCount(content)} here)` : ''}.`,
+    CONFLICT_CHOICES
+  );
+  // Overwrite only the version we looked at; the gateway answers 409 otherwise
+  return { action, sha: action === 'overwrite' && existing ? existing.sha : undefined };
+}
+
+// Push one file; resolves to the gateway's success response, or null if nothing was written
+async function pushFile(client, localPath, target, options = {}) {
+  const content = await fs.readFile(localPath, 'utf8');
+  if (!content.trim()) {
+    throw new Error(`${localPath} is empty`);
+  }
+
+  let filename = options.name || path.basename(localPath);
+  const commit = {
+    ...(options.message && { message: options.message }),
+    ...(options.branch && { branch: options.branch }),
+    ...(options.pullRequest && { pullRequest: true })
+  };
+  let action = 'check';
+  let sha;
+
+  for (;;) {
+    const { status, data } = await client.createFile({
+      ...target, filename, content, action, sha, ...commit
+    });
+    const repoPath = `${target.topFolder}/${target.subFolder}/${filename}`;
+
+    if (status === 400) {
+      if (data.suggestion && process.stdin.isTTY &&
+          (await ask(`${data.error}. Use ${data.suggestion} instead? [y/N]: `)).toLowerCase() === 'y') {
+        filename = data.suggestion;
+        continue;
+      }
+      throw new GatewayError(data.suggestion ? `${data.error} (try --name ${data.suggestion})` : data.error, status, data);
+    }
+
+    if (status === 409 && data.conflict) {
+      console.log(`${repoPath} changed while we looked at it; checking again`);
+      action = 'check';
+      sha = undefined;
+      continue;
+    }
+
+    if (data.exists) {
+      const resolved = await chooseConflictAction(client, data.path || repoPath, content, options.onConflict);
+      if (resolved.unchanged) {
+        console.log(`= ${repoPath} (unchanged)`);
+        return null;
+      }
+      action = resolved.action;
+      sha = resolved.sha;
+      continue;
+    }
+
+    if (data.success) {
+      console.log(`✓ ${data.path}${data.versioned ? ' (new version)' : data.overwritten ? ' (overwritten)' : ''}`);
+      (data.warnings || []).forEach(warning => console.log(`  ! ${warning}`));
+      if (data.pullRequest?.url) console.log(`  Pull request: ${data.pullRequest.url}`);
+      return data;
+    }
+
+    if (action === 'reject') {
+      console.log(`- ${repoPath} (kept the existing file)`);
+      return null;
+    }
+
+    throw new Error(data.error || data.message || `Failed to push ${repoPath}`);
+  }
+}
+
+module.exports = { pushFile, resolveTarget, targetFolders, splitTarget, CONFLICT_CHOICES };
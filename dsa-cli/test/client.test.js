@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createClient } = require('../client');
+const { version } = require('../package.json');
+
+// Local gateway stand-in: answers with routes[path] ({ status, body }) and records each request
+function startGateway(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const route = routes[req.url.split('?')[0]] || { status: 404, body: { error: 'Not found' } };
+      res.writeHead(route.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(route.body));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      test.after(() => server.close());
+      resolve({ apiUrl: `http://127.0.0.1:${server.address().port}/api/`, requests });
+    });
+  });
+}
+
+test('identifies itself, authenticates and targets the chosen repo', async () => {
+  const gateway = await startGateway({ '/api/folders': { status: 200, body: { folders: {} } } });
+  const client = createClient({ apiUrl: gateway.apiUrl, token: 'secret', repo: 'notes' });
+
+  assert.deepEqual(await client.getFolders(), { folders: {} });
+  const [request] = gateway.requests;
+  assert.equal(request.url, '/api/folders?repo=notes');
+  assert.equal(request.headers['user-agent'], `dsa-cli/${version}`);
+  assert.equal(request.headers.authorization, 'Bearer secret');
+});
+
+test('hands create-file validation and conflict answers back to the caller', async () => {
+  const gateway = await startGateway({ '/api/create-file': { status: 400, body: { error: 'Bad filename' } } });
+  const client = createClient({ apiUrl: gateway.apiUrl });
+
+  const response = await client.createFile({ filename: 'x' });
+  assert.deepEqual(response, { status: 400, data: { error: 'Bad filename' } });
+  assert.deepEqual(JSON.parse(gateway.requests[0].body), { filename: 'x' });
+  assert.equal(gateway.requests[0].url, '/api/create-file');
+});
+
+test('turns auth, rate limit and server failures into GatewayErrors', async () => {
+  const gateway = await startGateway({
+    '/api/repos': { status: 401, body: {} },
+    '/api/file': { status: 429, body: { retryAfter: 12 } },
+    '/api/folders': { status: 503, body: { error: 'GitHub API rate limit exceeded' } }
+  });
+  const client = createClient({ apiUrl: gateway.apiUrl });
+
+  await assert.rejects(client.getRepos(), { status: 401, message: /Authentication required/ });
+  await assert.rejects(client.readFile('DS/a.py'), { status: 429, message: 'Rate limited, retry in 12s' });
+  await assert.rejects(client.getFolders(), { status: 503, message: 'GitHub API rate limit exceeded' });
+});
+
+test('reports an unreachable gateway', async () => {
+  const client = createClient({ apiUrl: 'http://127.0.0.1:9' });
+  await assert.rejects(client.getFolders(), { status: 0, message: /Cannot reach the gateway at http:\/\/127\.0\.0\.1:9/ });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pushFile, resolveTarget, targetFolders, splitTarget } = require('../push');
+const { isCandidate } = require('../watch');
+
+const TREE = { DS: { Array: {}, Tree: { BST: {} } }, Algo: {} };
+const TARGET = { topFolder: 'DS', subFolder: 'Array' };
+
+// Gateway stand-in: createFile answers from `responses` in order and records each payload
+function fakeClient({ responses = [], existing = null, folders = TREE, fallback = false } = {}) {
+  const payloads = [];
+  return {
+    payloads,
+    getFolders: async () => ({ folders, fallback }),
+    readFile: async () => existing,
+    createFile: async (payload) => {
+      payloads.push(payload);
+      return responses.shift();
+    }
+  };
+}
+
+function tempSolution(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-cli-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'LC_1_Two_Sum.py');
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('offers every folder at least two levels deep', () => {
+  assert.deepEqual(targetFolders(TREE), ['DS/Array', 'DS/Tree', 'DS/Tree/BST']);
+  assert.deepEqual(splitTarget('DS/Tree/BST'), { topFolder: 'DS', subFolder: 'Tree/BST' });
+});
+
+test('accepts --to only for folders the gateway knows, unless it is on a fallback layout', async () => {
+  assert.deepEqual(await resolveTarget(fakeClient(), '/DS/Tree/BST/'), { topFolder: 'DS', subFolder: 'Tree/BST' });
+  await assert.rejects(resolveTarget(fakeClient(), 'DS/Graph'), /Unknown folder: DS\/Graph/);
+  assert.deepEqual(
+    await resolveTarget(fakeClient({ fallback: true }), 'DS/Graph'),
+    { topFolder: 'DS', subFolder: 'Graph' }
+  );
+  await assert.rejects(resolveTarget(fakeClient({ fallback: true })), /pass --to/);
+});
+
+test('pushes a new file with the commit options', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const client = fakeClient({ responses: [{ status: 200, data: { success: true, path: 'DS/Array/LC_1_Two_Sum.py' } }] });
+
+  const result = await pushFile(client, tempSolution('print(1)\n'), TARGET, { message: 'Add {filename}', branch: 'wip' });
+
+  assert.equal(result.path, 'DS/Array/LC_1_Two_Sum.py');
+  assert.deepEqual(client.payloads, [{
+    ...TARGET, filename: 'LC_1_Two_Sum.py', content: 'print(1)\n', action: 'check', sha: undefined, message: 'Add {filename}', branch: 'wip'
+  }]);
+});
+
+test('overwrites only the version it looked at when --on-conflict says so', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const client = fakeClient({
+    existing: { content: 'print(0)\n', sha: 'abc123' },
+    responses: [
+      { status: 200, data: { exists: true, path: 'DS/Array/LC_1_Two_Sum.py' } },
+      { status: 200, data: { success: true, overwritten: true, path: 'DS/Array/LC_1_Two_Sum.py' } }
+    ]
+  });
+
+  await pushFile(client, tempSolution('print(1)\n'), TARGET, { onConflict: 'overwrite' });
+
+  assert.deepEqual(client.payloads.map(p => [p.action, p.sha]), [['check', undefined], ['overwrite', 'abc123']]);
+});
+
+test('leaves identical files alone and refuses empty ones', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const client = fakeClient({
+    existing: { content: 'print(1)\n', sha: 'abc123' },
+    responses: [{ status: 200, data: { exists: true } }]
+  });
+
+  assert.equal(await pushFile(client, tempSolution('print(1)\n'), TARGET, { onConflict: 'overwrite' }), null);
+  assert.equal(client.payloads.length, 1);
+  await assert.rejects(pushFile(client, tempSolution('  \n'), TARGET), /is empty/);
+});
+
+test('reports validation errors with the suggested name', async () => {
+  const client = fakeClient({ responses: [{ status: 400, data: { error: 'Bad filename', suggestion: 'LC_1_Two_Sum.py' } }] });
+  await assert.rejects(pushFile(client, tempSolution('x = 1\n'), TARGET, { name: 'two sum.py' }), {
+    status: 400,
+    message: 'Bad filename (try --name LC_1_Two_Sum.py)'
+  });
+});
+
+test('watches solution files but not swap files, backups or dotfiles', () => {
+  assert.deepEqual(
+    ['LC_1.py', 'LC_1.py.swp', 'LC_1.py~', '.LC_1.py', '#LC_1.py#', '4913', 'README'].map(isCandidate),
+    [true, false, false, false, false, false, false]
+  );
+});
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { pushFile } = require('./push');
+
+// Editors fire several events per save; wait for them to settle
+const WATCH_DEBOUNCE_MS = 400;
+
+// Swap files, backups and dotfiles are never solutions
+const IGNORED = [/^\./, /~$/, /\.(swp|swo|swx|tmp|bak)$/i, /^#.*#$/, /^4913$/];
+
+const hashOf = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+function isCandidate(filename) {
+  return path.extname(filename) !== '' && !IGNORED.some(pattern => pattern.test(filename));
+}
+
+function readIfFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile() ? fs.readFileSync(filePath, 'utf8') : null;
+  } catch (err) {
+    return null; // deleted or renamed away
+  }
+}
+
+// Submit files in dir (top level only) to target whenever their content changes
+function watchDirectory(client, dir, target, options = {}) {
+  // Files already there count as submitted until they change
+  const lastPushed = new Map();
+  for (const name of fs.readdirSync(dir)) {
+    const content = isCandidate(name) ? readIfFile(path.join(dir, name)) : null;
+    if (content !== null) lastPushed.set(name, hashOf(content));
+  }
+
+  const timers = new Map();
+  // One push at a time so conflict prompts don't interleave
+  let queue = Promise.resolve();
+
+  const submit = (name) => {
+    queue = queue.then(async () => {
+      const filePath = path.join(dir, name);
+      const content = readIfFile(filePath);
+      if (content === null || !content.trim()) return;
+
+      const hash = hashOf(content);
+      if (lastPushed.get(name) === hash) return;
+
+      try {
+        await pushFile(client, filePath, target, options);
+        lastPushed.set(name, hash);
+      } catch (err) {
+        console.error(`✗ ${name}: ${err.message}`);
+      }
+    });
+  };
+
+  const watcher = fs.watch(dir, (eventType, name) => {
+    if (!name || !isCandidate(name)) return;
+
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(() => {
+      timers.delete(name);
+      submit(name);
+    }, WATCH_DEBOUNCE_MS));
+  });
+
+  console.log(`👀 Watching ${path.resolve(dir)} -> ${target.topFolder}/${target.subFolder} (Ctrl+C to stop)`);
+
+  return {
+    close: () => {
+      timers.forEach(timer => clearTimeout(timer));
+      watcher.close();
+    }
+  };
+}
+
+module.exports = { watchDirectory, isCandidate };
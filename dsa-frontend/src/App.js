@@ -1,41 +1,347 @@
-import React, { useState, useEffect } from 'react';
-import { AlertCircle, CheckCircle, Loader, X } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle, GitPullRequest, Loader, LogOut, Plus, RefreshCw, X } from 'lucide-react';
+import FolderTreePicker from './FolderTreePicker';
+import { diffLines, countChanges } from './lineDiff';
+import SolutionBrowser from './SolutionBrowser';
+import StatsDashboard from './StatsDashboard';
+import HistoryPanel from './HistoryPanel';
+import ProblemPicker from './ProblemPicker';
+import CommitOptions from './CommitOptions';
+import TemplatePicker from './TemplatePicker';
+import DuplicateCheck from './DuplicateCheck';
+import RepoSwitcher from './RepoSwitcher';
+import TestRunner, { emptyTests, isRunnable, hasPassingRun } from './TestRunner';
+import DraftsPanel from './DraftsPanel';
+import QueueStatus from './QueueStatus';
+import useSubmissionQueue from './useSubmissionQueue';
+import { apiFetch, logout, getRepo, setRepo } from './api';
+import { loadAutosave, saveAutosave, listDrafts, saveDraft, deleteDraft, loadPreferences, savePreferences } from './drafts';
 
-const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+const BATCH_STATUS_LABELS = {
+  created: 'created',
+  overwritten: 'overwritten',
+  versioned: 'new version',
+  skipped: 'skipped',
+  exists: 'already exists'
+};
 
-export default function DSAAutomation() {
-  const [title, setTitle] = useState('');
-  const [code, setCode] = useState('');
-  const [topFolder, setTopFolder] = useState('');
-  const [subFolder, setSubFolder] = useState('');
+// Depth-first path to the first folder below a top folder, e.g. "DS/Arrays"
+const firstFolderPath = (tree, prefix = '') => {
+  for (const name of Object.keys(tree)) {
+    const path = prefix ? `${prefix}/${name}` : name;
+    if (prefix) return path;
+    const nested = firstFolderPath(tree[name], path);
+    if (nested) return nested;
+  }
+  return '';
+};
+
+const folderExists = (tree, path) => {
+  let node = tree;
+  for (const name of path.split('/')) {
+    if (!node?.[name]) return false;
+    node = node[name];
+  }
+  return true;
+};
+
+const VIEWS = [
+  { id: 'editor', label: 'Submit' },
+  { id: 'explorer', label: 'Explorer' },
+  { id: 'stats', label: 'Stats' },
+  { id: 'history', label: 'History' }
+];
+
+// Gateway or Python service down: worth retrying later
+const isUnavailable = (res) => [502, 503, 504].includes(res.status);
+
+const hasExtension = (filename) => /\.[A-Za-z0-9]+$/.test(filename);
+
+// Wait for a pause in typing before asking the backend to detect the language
+const DETECT_DEBOUNCE_MS = 500;
+const AUTOSAVE_DEBOUNCE_MS = 500;
+
+let nextFileId = 1;
+const createEmptyFile = () => ({ id: nextFileId++, filename: '', content: '', tests: emptyTests() });
+
+// Saved tabs (autosave, drafts, queue) get fresh ids when loaded
+const restoreFiles = (saved) => (saved?.length
+  ? saved.map(f => ({ ...createEmptyFile(), filename: f.filename || '', content: f.content || '', tests: f.tests || emptyTests() }))
+  : [createEmptyFile()]);
+
+export default function DSAAutomation({ session }) {
+  const [autosaved] = useState(loadAutosave);
+  const [files, setFiles] = useState(() => restoreFiles(autosaved?.files));
+  const [activeIndex, setActiveIndex] = useState(() => Math.min(autosaved?.activeIndex || 0, files.length - 1));
+  const [folderPath, setFolderPath] = useState(autosaved?.folderPath || '');
   const [folders, setFolders] = useState({});
   const [loading, setLoading] = useState(false);
   const [fetchingFolders, setFetchingFolders] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [modalData, setModalData] = useState(null);
+  const [existingFile, setExistingFile] = useState(null);
+  const [existingFileError, setExistingFileError] = useState('');
   const [status, setStatus] = useState({ type: '', message: '' });
+  const [view, setView] = useState('editor');
+  const [batchConflicts, setBatchConflicts] = useState(null);
+  const [batchActions, setBatchActions] = useState({});
+  const [detections, setDetections] = useState({});
+  const [drafts, setDrafts] = useState(listDrafts);
+  const [testRuns, setTestRuns] = useState({});
+  const [requireTests, setRequireTests] = useState(() => Boolean(loadPreferences().requireTests));
+  const [commitOptions, setCommitOptions] = useState(null);
+  const [commitMessage, setCommitMessage] = useState('');
+  const [targetBranch, setTargetBranch] = useState('');
+  const [proposePullRequest, setProposePullRequest] = useState(false);
+  const [repo, setRepoState] = useState(getRepo);
+  const [folderNotice, setFolderNotice] = useState(null);
+
+  const handleQueuedSubmitted = useCallback((item, data) => {
+    setStatus({ type: 'success', message: `Queued submission sent: ${data.path || item.label}`, results: data.results, pullRequest: data.pullRequest });
+  }, []);
+  const submissionQueue = useSubmissionQueue(handleQueuedSubmitted);
+
+  // The editor always shows the active tab
+  const activeFile = files[activeIndex] || files[0];
+  const title = activeFile.filename;
+  const code = activeFile.content;
+  const filesReady = files.every(f => f.filename.trim() && f.content.trim());
+
+  const existingDiff = useMemo(
+    () => (existingFile && modalData ? diffLines(existingFile.content, modalData.content) : null),
+    [existingFile, modalData]
+  );
+  const existingChanges = existingDiff ? countChanges(existingDiff) : null;
+
+  // Sub folders may be nested ("Tree/BST"); the backend joins them back up
+  const [topFolder, ...subParts] = folderPath ? folderPath.split('/') : [''];
+  const subFolder = subParts.join('/');
+
+  const updateActiveFile = (changes) => {
+    setFiles(prev => prev.map((f, i) => (i === activeIndex ? { ...f, ...changes } : f)));
+  };
+  const setTitle = (filename) => updateActiveFile({ filename });
+  const setCode = (content) => updateActiveFile({ content });
+  const setTests = (tests) => updateActiveFile({ tests });
+
+  const handleTestRun = (run) => {
+    setTestRuns(prev => ({ ...prev, [activeFile.id]: run }));
+  };
+
+  // Fill the filename in our convention and jump to the folder the tag rules suggest
+  const handlePickProblem = (problem) => {
+    const extension = hasExtension(title)
+      ? title.slice(title.lastIndexOf('.'))
+      : detections[activeFile.id]?.extension || '';
+    setTitle(problem.filenameBase + extension);
 
+    if (problem.suggestedFolder && folderExists(folders, problem.suggestedFolder)) {
+      setFolderPath(problem.suggestedFolder);
+      setStatus({ type: '', message: '' });
+    } else {
+      setStatus({ type: 'error', message: `No folder matches the tags of ${problem.number}. ${problem.title}; pick one manually.` });
+    }
+  };
+
+  // Template replaces the code; a filename without an extension gets the template's
+  const handleInsertTemplate = (template) => {
+    updateActiveFile({
+      content: template.content,
+      ...(title.trim() && !hasExtension(title) && { filename: title.trim() + template.extension })
+    });
+  };
+
+  const handleRequireTestsChange = (required) => {
+    setRequireTests(required);
+    savePreferences({ ...loadPreferences(), requireTests: required });
+  };
+
+  const addFile = () => {
+    setFiles(prev => [...prev, createEmptyFile()]);
+    setActiveIndex(files.length);
+  };
+
+  const removeFile = (index) => {
+    if (files.length === 1) return;
+    setFiles(prev => prev.filter((_, i) => i !== index));
+    setActiveIndex(prev => (prev >= index && prev > 0 ? prev - 1 : prev));
+  };
+
+  // Load a committed solution into the editor; resubmitting it goes through the conflict modal
+  const handleEditSolution = (file) => {
+    const slash = file.path.lastIndexOf('/');
+    const loaded = { filename: file.path.slice(slash + 1), content: file.content };
+
+    if (!title && !code) {
+      updateActiveFile(loaded);
+    } else {
+      setFiles(prev => [...prev, { ...createEmptyFile(), ...loaded }]);
+      setActiveIndex(files.length);
+    }
+    setFolderPath(file.path.slice(0, slash));
+    setView('editor');
+  };
+
+  // Open an existing solution (e.g. a duplicate match) in a new editor tab
+  const handleOpenExisting = async (filePath) => {
+    try {
+      const res = await apiFetch(`/file?path=${encodeURIComponent(filePath)}`);
+      const data = await res.json();
+      if (res.ok) {
+        handleEditSolution(data);
+      } else {
+        setStatus({ type: 'error', message: data.error || `Failed to open ${filePath}` });
+      }
+    } catch (err) {
+      setStatus({ type: 'error', message: `Failed to open ${filePath}` });
+    }
+  };
+
+  const resetFiles = () => {
+    setFiles([createEmptyFile()]);
+    setActiveIndex(0);
+  };
+
+  // Replace the editor's tabs, asking first if that would discard typed code
+  const replaceWorkspace = (savedFiles, savedFolderPath) => {
+    const hasWork = files.some(f => f.filename.trim() || f.content.trim());
+    if (hasWork && !window.confirm('Replace the files currently in the editor?')) {
+      return false;
+    }
+
+    setFiles(restoreFiles(savedFiles));
+    setActiveIndex(0);
+    if (savedFolderPath && folderExists(folders, savedFolderPath)) {
+      setFolderPath(savedFolderPath);
+    }
+    setView('editor');
+    return true;
+  };
+
+  const handleSaveDraft = (name) => {
+    setDrafts(saveDraft(name, { files, folderPath }));
+    setStatus({ type: 'success', message: `Draft saved: ${name}` });
+  };
+
+  const handleRestoreDraft = (draft) => {
+    if (replaceWorkspace(draft.files, draft.folderPath)) {
+      setStatus({ type: 'success', message: `Draft restored: ${draft.name}` });
+    }
+  };
+
+  const handleDeleteDraft = (id) => {
+    setDrafts(deleteDraft(id));
+  };
+
+  // Park a submission the backend couldn't take; the queue replays it once /health is back
+  const queueSubmission = (endpoint, body, label) => {
+    submissionQueue.enqueue(endpoint, body, repo ? `${repo}: ${label}` : label, repo);
+    setStatus({ type: 'error', message: 'Backend unavailable. The submission was saved to the retry queue and will be sent when it is back.' });
+    resetFiles();
+  };
+
+  const handleOpenQueued = (item) => {
+    const queuedFiles = item.endpoint === 'create-files' ? item.body.files : [item.body];
+    const first = queuedFiles[0];
+    if (replaceWorkspace(queuedFiles, `${first.topFolder}/${first.subFolder}`)) {
+      // Edit it against the repository it was meant for
+      if (item.repo !== undefined && item.repo !== repo) {
+        handleRepoChange(item.repo);
+        setFolderPath(`${first.topFolder}/${first.subFolder}`);
+      }
+      submissionQueue.remove(item.id);
+    }
+  };
+
+  // Autosave the workspace so a reload doesn't lose it
+  useEffect(() => {
+    const timer = setTimeout(() => saveAutosave({ files, activeIndex, folderPath }), AUTOSAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [files, activeIndex, folderPath]);
+
+  // Folders and branches belong to the selected repository
   useEffect(() => {
     fetchFolders();
+    fetchCommitOptions();
+  }, [repo]);
+
+  // Switching repos keeps the editor contents but not the destination
+  const handleRepoChange = useCallback((id) => {
+    setRepo(id);
+    setRepoState(id);
+    setFolderPath('');
+    setTargetBranch('');
+    setProposePullRequest(false);
   }, []);
 
-  const fetchFolders = async () => {
+  // Without commit options the submit form falls back to the server defaults
+  const fetchCommitOptions = async () => {
+    try {
+      const res = await apiFetch('/commit-options');
+      if (res.ok) {
+        setCommitOptions(await res.json());
+      }
+    } catch (err) {
+      setCommitOptions(null);
+    }
+  };
+
+  // Only send what differs from the defaults so queued bodies stay minimal
+  const commitFields = () => ({
+    ...(commitMessage.trim() && { message: commitMessage.trim() }),
+    ...(targetBranch && { branch: targetBranch }),
+    ...(proposePullRequest && { pullRequest: true })
+  });
+
+  // Detect the active tab's language as we type
+  const activeFileId = activeFile.id;
+  useEffect(() => {
+    if (!code.trim()) {
+      setDetections(prev => ({ ...prev, [activeFileId]: null }));
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await apiFetch('/detect-language', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ content: code, filename: title })
+        });
+        const data = await res.json();
+        if (!cancelled && res.ok) {
+          setDetections(prev => ({ ...prev, [activeFileId]: data }));
+        }
+      } catch (err) {
+        // Detection is only a hint; stay quiet when the backend is unreachable
+      }
+    }, DETECT_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeFileId, title, code]);
+
+  const detection = detections[activeFileId];
+
+  // refresh skips the gateway's folder cache
+  const fetchFolders = async (refresh = false) => {
     setFetchingFolders(true);
     try {
-      const res = await fetch(`${API_BASE}/folders`);
+      const res = await apiFetch(refresh ? '/folders?refresh=1' : '/folders');
       const data = await res.json();
       
       if (data.error) {
         setStatus({ type: 'error', message: data.error });
       } else {
-        setFolders(data);
-        const firstTop = Object.keys(data)[0];
-        if (firstTop) {
-          setTopFolder(firstTop);
-          if (data[firstTop]?.length > 0) {
-            setSubFolder(data[firstTop][0]);
-          }
-        }
+        setFolders(data.folders);
+        setFolderNotice(data.stale || data.fallback ? data : null);
+        // Keep the autosaved folder if it still exists; never preselect from the placeholder layout
+        setFolderPath(prev => (prev && folderExists(data.folders, prev)
+          ? prev
+          : (data.fallback ? '' : firstFolderPath(data.folders))));
       }
     } catch (err) {
       setStatus({ type: 'error', message: 'Failed to fetch folders. Check backend connection.' });
@@ -44,65 +350,165 @@ export default function DSAAutomation() {
     }
   };
 
-  const handleTopFolderChange = (value) => {
-    setTopFolder(value);
-    if (folders[value]?.length > 0) {
-      setSubFolder(folders[value][0]);
-    } else {
-      setSubFolder('');
+  // Resolves true when the folder was created so the picker can close its input
+  const handleCreateFolder = async (parent, name) => {
+    try {
+      const res = await apiFetch('/folders', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ parent, name })
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        setStatus({ type: 'error', message: data.error || 'Failed to create folder' });
+        return false;
+      }
+
+      setFolders(data.folders);
+      // Top folders can't hold files directly, so only select sub folders
+      if (parent) setFolderPath(data.path);
+      setStatus({ type: 'success', message: `Folder created: ${data.path}` });
+      return true;
+    } catch (err) {
+      setStatus({ type: 'error', message: 'Network error. Check if backend is running.' });
+      return false;
     }
   };
 
+  // Turn a rejected submission into a status, keeping the gateway's filename suggestions clickable
+  const submissionErrorStatus = (data, fallback) => {
+    const suggestions = data.files
+      ? data.files
+        .filter(f => f.suggestion && files[f.index])
+        .map(f => ({ fileId: files[f.index].id, suggestion: f.suggestion }))
+      : data.suggestion ? [{ fileId: activeFile.id, suggestion: data.suggestion }] : [];
+    return { type: 'error', message: data.error || data.message || fallback, suggestions };
+  };
+
+  const applySuggestion = (fileId, suggestion) => {
+    setFiles(prev => prev.map(f => (f.id === fileId ? { ...f, filename: suggestion } : f)));
+    setStatus(prev => {
+      const suggestions = prev.suggestions.filter(s => s.fileId !== fileId);
+      return suggestions.length > 0 ? { ...prev, suggestions } : { type: '', message: '' };
+    });
+  };
+
   const handleSubmit = async () => {
-    if (!title.trim() || !code.trim() || !topFolder || !subFolder) {
+    if (!filesReady || !topFolder || !subFolder) {
       setStatus({ type: 'error', message: 'All fields are required' });
       return;
     }
 
+    if (requireTests) {
+      const untested = files.filter(f => isRunnable(f.filename, detections[f.id]) && !hasPassingRun(testRuns[f.id], f.content));
+      if (untested.length > 0) {
+        setStatus({
+          type: 'error',
+          message: `Tests must pass before submitting: ${untested.map(f => f.filename || 'untitled').join(', ')}`
+        });
+        return;
+      }
+    }
+
+    // /api/detect-language already flagged missing TC/SC headers while typing; confirm before submitting
+    const missingComplexity = files.filter(f => detections[f.id]?.complexityWarnings?.length > 0);
+    if (missingComplexity.length > 0 &&
+        !window.confirm(`No TC/SC complexity header in ${missingComplexity.map(f => f.filename || 'untitled').join(', ')}. Submit anyway?`)) {
+      return;
+    }
+
+    // Add the detected extension to filenames that have none
+    const prepared = files.map(f => {
+      const detected = detections[f.id];
+      return !hasExtension(f.filename) && detected?.extension
+        ? { ...f, filename: f.filename.trim() + detected.extension }
+        : f;
+    });
+    if (prepared.some((f, i) => f !== files[i])) {
+      setFiles(prepared);
+    }
+
+    if (prepared.length > 1) {
+      return submitBatch({}, prepared);
+    }
+
     setLoading(true);
     setStatus({ type: '', message: '' });
 
-    try {
-      const payload = {
-        topFolder,
-        subFolder,
-        filename: title,
-        content: code,
-        action: 'check'
-      };
+    const payload = {
+      topFolder,
+      subFolder,
+      filename: prepared[0].filename,
+      content: prepared[0].content,
+      action: 'check',
+      ...commitFields()
+    };
 
-      const res = await fetch(`${API_BASE}/create-file`, {
+    try {
+      const res = await apiFetch('/create-file', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload)
       });
 
+      if (isUnavailable(res)) {
+        return queueSubmission('create-file', payload, `${folderPath}/${payload.filename}`);
+      }
+
       const data = await res.json();
 
       if (data.exists) {
         setModalData(payload);
         setShowModal(true);
+        loadExistingFile(data.path, payload.branch);
       } else if (data.success) {
-        setStatus({ type: 'success', message: `File created: ${data.path}` });
-        setTitle('');
-        setCode('');
+        setStatus({ type: 'success', message: `File created: ${data.path}`, warnings: data.warnings, pullRequest: data.pullRequest });
+        resetFiles();
+        setCommitMessage('');
       } else {
-        setStatus({ type: 'error', message: data.error || 'Failed to create file' });
+        setStatus(submissionErrorStatus(data, 'Failed to create file'));
       }
     } catch (err) {
-      setStatus({ type: 'error', message: 'Network error. Check if backend is running.' });
+      queueSubmission('create-file', payload, `${folderPath}/${payload.filename}`);
     } finally {
       setLoading(false);
     }
   };
 
+  // Fetch what's on the target branch so the modal can show a diff before overwriting
+  const loadExistingFile = async (path, branch) => {
+    setExistingFile(null);
+    setExistingFileError('');
+
+    try {
+      const branchParam = branch ? `&branch=${encodeURIComponent(branch)}` : '';
+      const res = await apiFetch(`/file?path=${encodeURIComponent(path)}${branchParam}`);
+      const data = await res.json();
+
+      if (res.ok) {
+        setExistingFile(data);
+      } else {
+        setExistingFileError(data.error || 'Could not load the existing file');
+      }
+    } catch (err) {
+      setExistingFileError('Could not load the existing file');
+    }
+  };
+
   const handleModalAction = async (action) => {
     setShowModal(false);
     setLoading(true);
 
     try {
       const payload = { ...modalData, action };
-      const res = await fetch(`${API_BASE}/create-file`, {
+      // Overwrite only the version we diffed against; the backend answers 409 otherwise
+      if (action === 'overwrite' && existingFile) {
+        payload.sha = existingFile.sha;
+      }
+
+      const res = await apiFetch('/create-file', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload)
@@ -110,12 +516,16 @@ export default function DSAAutomation() {
 
       const data = await res.json();
 
-      if (data.success) {
-        setStatus({ type: 'success', message: `File ${action === 'overwrite' ? 'overwritten' : 'created'}: ${data.path}` });
-        setTitle('');
-        setCode('');
+      if (res.status === 409 && data.conflict) {
+        setStatus({ type: 'error', message: 'The file changed since you reviewed it. Review the latest version before overwriting.' });
+        setShowModal(true);
+        loadExistingFile(`${modalData.topFolder}/${modalData.subFolder}/${modalData.filename}`, modalData.branch);
+      } else if (data.success) {
+        setStatus({ type: 'success', message: `File ${action === 'overwrite' ? 'overwritten' : 'created'}: ${data.path}`, warnings: data.warnings, pullRequest: data.pullRequest });
+        resetFiles();
+        setCommitMessage('');
       } else {
-        setStatus({ type: 'error', message: data.error || 'Operation failed' });
+        setStatus(submissionErrorStatus(data, 'Operation failed'));
       }
     } catch (err) {
       setStatus({ type: 'error', message: 'Network error' });
@@ -124,14 +534,102 @@ export default function DSAAutomation() {
     }
   };
 
+  // Submit every tab as one commit; actions maps file id -> conflict resolution
+  const submitBatch = async (actions = {}, batchFiles = files) => {
+    setLoading(true);
+    setStatus({ type: '', message: '' });
+
+    const body = {
+      files: batchFiles.map(f => ({
+        topFolder,
+        subFolder,
+        filename: f.filename,
+        content: f.content,
+        action: actions[f.id] || 'check'
+      })),
+      ...commitFields()
+    };
+    const label = `${folderPath}/ (${batchFiles.length} files)`;
+
+    try {
+      const res = await apiFetch('/create-files', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      if (isUnavailable(res)) {
+        return queueSubmission('create-files', body, label);
+      }
+
+      const data = await res.json();
+
+      if (data.exists) {
+        // Results come back in submission order
+        const conflicts = batchFiles
+          .map((f, i) => ({ file: f, result: data.results[i] }))
+          .filter(({ result }) => result?.status === 'exists');
+        setBatchActions(Object.fromEntries(conflicts.map(({ file }) => [file.id, 'version'])));
+        setBatchConflicts(conflicts);
+      } else if (data.success) {
+        setStatus({ type: 'success', message: `Committed ${batchFiles.length} files`, results: data.results, warnings: data.warnings, pullRequest: data.pullRequest });
+        resetFiles();
+        setCommitMessage('');
+      } else {
+        setStatus({ ...submissionErrorStatus(data, 'Failed to create files'), results: data.results });
+      }
+    } catch (err) {
+      queueSubmission('create-files', body, label);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBatchResolve = () => {
+    const actions = { ...batchActions };
+    // Non-conflicting files are safe to create as-is
+    files.forEach(f => {
+      if (!actions[f.id]) actions[f.id] = 'check';
+    });
+    setBatchConflicts(null);
+    submitBatch(actions);
+  };
+
   return (
     <div className="min-h-screen bg-gray-50" style={{ fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif' }}>
       {/* Header */}
       <header className="bg-white border-b border-gray-200">
-        <div className="max-w-6xl mx-auto px-6 py-6">
+        <div className="max-w-6xl mx-auto px-6 py-6 flex items-center justify-between">
           <h1 className="text-2xl font-semibold text-gray-900 tracking-tight" style={{ letterSpacing: '-0.02em' }}>
             DSA Journey
           </h1>
+          <nav className="flex items-center gap-1">
+            {submissionQueue.queue.length > 0 && (
+              <span className="mr-3 px-3 py-1 text-xs font-medium rounded-full" style={{ backgroundColor: '#fffbeb', color: '#92400e' }}>
+                {submissionQueue.queue.length} queued
+              </span>
+            )}
+            <RepoSwitcher repo={repo} onChange={handleRepoChange} />
+            {VIEWS.map(v => (
+              <button
+                key={v.id}
+                onClick={() => setView(v.id)}
+                className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${view === v.id ? 'bg-black text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+              >
+                {v.label}
+              </button>
+            ))}
+            {session?.principal && (
+              <button
+                onClick={logout}
+                title={`Signed in as ${session.principal.name}`}
+                className="ml-3 flex items-center gap-2 px-3 py-2 text-sm text-gray-500 rounded-lg hover:bg-gray-100 transition-colors"
+              >
+                <LogOut size={16} strokeWidth={2} />
+                <span>Sign out</span>
+              </button>
+            )}
+          </nav>
         </div>
       </header>
 
@@ -153,9 +651,52 @@ export default function DSAAutomation() {
                 ) : (
                   <AlertCircle className="text-red-600 flex-shrink-0" size={20} strokeWidth={2} />
                 )}
-                <span className={`text-sm font-medium ${status.type === 'success' ? 'text-green-800' : 'text-red-800'}`}>
-                  {status.message}
-                </span>
+                <div>
+                  <span className={`text-sm font-medium ${status.type === 'success' ? 'text-green-800' : 'text-red-800'}`}>
+                    {status.message}
+                  </span>
+                  {status.pullRequest?.url && (
+                    <a
+                      href={status.pullRequest.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="mt-1 flex items-center gap-1 text-sm font-medium text-green-800 underline"
+                    >
+                      <GitPullRequest size={14} strokeWidth={2} />
+                      <span>Pull request #{status.pullRequest.number} opened for review</span>
+                    </a>
+                  )}
+                  {status.results?.length > 0 && (
+                    <ul className="mt-2 space-y-1">
+                      {status.results.map(r => (
+                        <li key={r.path} className="text-xs text-gray-700" style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}>
+                          {r.path} — {BATCH_STATUS_LABELS[r.status] || r.status}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {status.warnings?.length > 0 && (
+                    <ul className="mt-2 space-y-1">
+                      {status.warnings.map(warning => (
+                        <li key={warning} className="text-xs text-gray-700">{warning}</li>
+                      ))}
+                    </ul>
+                  )}
+                  {status.suggestions?.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      {status.suggestions.map(({ fileId, suggestion }) => (
+                        <button
+                          key={fileId}
+                          onClick={() => applySuggestion(fileId, suggestion)}
+                          className="px-3 py-1 bg-white text-gray-900 text-xs font-medium border border-gray-300 rounded-lg hover:bg-gray-50 transition-all"
+                          style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}
+                        >
+                          Use {suggestion}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
               </div>
               <button 
                 onClick={() => setStatus({ type: '', message: '' })}
@@ -167,16 +708,82 @@ export default function DSAAutomation() {
           </div>
         )}
 
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {folderNotice && (
+          <div className="mb-6 px-5 py-4 rounded-xl shadow-sm flex items-center justify-between gap-3" style={{ backgroundColor: '#fffbeb', border: '1px solid #fcd34d' }}>
+            <div className="flex items-start gap-3 text-sm text-amber-800">
+              <AlertTriangle className="flex-shrink-0 mt-0.5" size={18} strokeWidth={2} />
+              <div>
+                <p className="font-medium">
+                  {folderNotice.fallback
+                    ? 'Showing a placeholder folder layout. These folders may not exist in the repository.'
+                    : `Showing the folder list from ${new Date(folderNotice.fetchedAt).toLocaleTimeString()}; recent changes may be missing.`}
+                </p>
+                <p className="mt-1 text-xs">
+                  {folderNotice.warning?.code === 'GITHUB_RATE_LIMITED'
+                    ? `GitHub's rate limit was hit${folderNotice.warning.resetAt ? `; it resets at ${new Date(folderNotice.warning.resetAt).toLocaleTimeString()}` : ''}.`
+                    : folderNotice.warning?.message}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => fetchFolders(true)}
+              className="px-3 py-1 bg-white text-gray-900 text-xs font-medium border border-gray-300 rounded-lg hover:bg-gray-50 transition-all flex-shrink-0"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {view === 'explorer' && (
+          <SolutionBrowser key={repo || 'default'} folders={folders} onEdit={handleEditSolution} />
+        )}
+
+        {view === 'stats' && <StatsDashboard key={repo || 'default'} />}
+
+        {view === 'history' && <HistoryPanel key={repo || 'default'} />}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6" style={view === 'editor' ? undefined : { display: 'none' }}>
           {/* Left Panel - Code Input */}
           <div className="space-y-5">
+            {/* File Tabs */}
+            <div className="flex items-center gap-2 flex-wrap">
+              {files.map((f, i) => (
+                <div
+                  key={f.id}
+                  className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm border ${i === activeIndex ? 'bg-white border-gray-300 text-gray-900 shadow-sm' : 'bg-gray-100 border-transparent text-gray-500'}`}
+                  style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}
+                >
+                  <button onClick={() => setActiveIndex(i)} className="focus:outline-none">
+                    {f.filename || 'untitled'}
+                  </button>
+                  {files.length > 1 && (
+                    <button
+                      onClick={() => removeFile(i)}
+                      className="text-gray-400 hover:text-gray-600 transition-colors"
+                      aria-label={`Remove ${f.filename || 'untitled'}`}
+                    >
+                      <X size={14} strokeWidth={2} />
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                onClick={addFile}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-500 hover:text-gray-900 hover:bg-gray-100 transition-colors"
+              >
+                <Plus size={14} strokeWidth={2} />
+                <span>Add file</span>
+              </button>
+            </div>
+
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
               <div className="px-5 py-4 border-b border-gray-100">
                 <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
                   Filename
                 </label>
               </div>
-              <div className="p-5">
+              <div className="p-5 space-y-3">
+                <ProblemPicker onPick={handlePickProblem} />
                 <input
                   type="text"
                   value={title}
@@ -189,11 +796,48 @@ export default function DSAAutomation() {
             </div>
 
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-              <div className="px-5 py-4 border-b border-gray-100">
+              <div className="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
                 <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
                   Code
                 </label>
+                <div className="flex items-center gap-3">
+                  {detection?.language && (
+                    <span className="text-xs text-gray-500">Detected: {detection.name}</span>
+                  )}
+                  <TemplatePicker
+                    folder={folderPath}
+                    filename={title}
+                    detectedExtension={detection?.extension}
+                    hasCode={Boolean(code.trim())}
+                    onInsert={handleInsertTemplate}
+                  />
+                </div>
               </div>
+              {detection?.mismatch && detection.suggestedFilename && (
+                <div className="px-5 py-3 border-b border-gray-100 flex items-center justify-between gap-3" style={{ backgroundColor: '#fffbeb' }}>
+                  <div className="flex items-center gap-2 text-sm text-amber-800">
+                    <AlertTriangle className="flex-shrink-0" size={16} strokeWidth={2} />
+                    <span>This looks like {detection.name}, but the filename says otherwise.</span>
+                  </div>
+                  <button
+                    onClick={() => setTitle(detection.suggestedFilename)}
+                    className="px-3 py-1 bg-white text-gray-900 text-xs font-medium border border-gray-300 rounded-lg hover:bg-gray-50 transition-all flex-shrink-0"
+                  >
+                    Rename to {detection.extension}
+                  </button>
+                </div>
+              )}
+              {detection?.complexityWarnings?.map(warning => (
+                <div key={warning} className="px-5 py-3 border-b border-gray-100 flex items-center gap-2 text-sm text-amber-800" style={{ backgroundColor: '#fffbeb' }}>
+                  <AlertTriangle className="flex-shrink-0" size={16} strokeWidth={2} />
+                  <span>{warning}</span>
+                </div>
+              ))}
+              {detection?.extension && title.trim() && !hasExtension(title) && (
+                <div className="px-5 py-3 border-b border-gray-100 text-sm text-gray-500">
+                  {detection.extension} will be added on submit
+                </div>
+              )}
               <div className="p-5">
                 <textarea
                   value={code}
@@ -205,6 +849,25 @@ export default function DSAAutomation() {
                 />
               </div>
             </div>
+
+            <DuplicateCheck
+              topFolder={topFolder}
+              subFolder={subFolder}
+              filename={title}
+              content={code}
+              onOpen={handleOpenExisting}
+            />
+
+            <TestRunner
+              tests={activeFile.tests}
+              onChange={setTests}
+              run={testRuns[activeFile.id]}
+              onRun={handleTestRun}
+              runnable={isRunnable(title, detection)}
+              code={code}
+              requireTests={requireTests}
+              onRequireTestsChange={handleRequireTestsChange}
+            />
           </div>
 
           {/* Right Panel - Destination */}
@@ -216,74 +879,59 @@ export default function DSAAutomation() {
             ) : (
               <>
                 <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-                  <div className="px-5 py-4 border-b border-gray-100">
+                  <div className="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
                     <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                      Top Folder
+                      Folder
                     </label>
-                  </div>
-                  <div className="p-5">
-                    <select
-                      value={topFolder}
-                      onChange={(e) => handleTopFolderChange(e.target.value)}
-                      className="w-full px-0 py-2 bg-transparent text-gray-900 text-base border-none focus:outline-none focus:ring-0 appearance-none cursor-pointer"
-                      style={{
-                        backgroundImage: `url("data:image/svg+xml,%3Csvg width='12' height='8' viewBox='0 0 12 8' fill='none' xmlns='http://www.w3.org/2000/svg'%3E%3Cpath d='M1 1.5L6 6.5L11 1.5' stroke='%239CA3AF' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'/%3E%3C/svg%3E")`,
-                        backgroundRepeat: 'no-repeat',
-                        backgroundPosition: 'right 0 center',
-                        paddingRight: '24px'
-                      }}
+                    <button
+                      onClick={() => fetchFolders(true)}
+                      title="Refresh folders"
+                      className="text-gray-400 hover:text-gray-600 transition-colors"
                     >
-                      {Object.keys(folders).map(folder => (
-                        <option key={folder} value={folder}>{folder}</option>
-                      ))}
-                    </select>
+                      <RefreshCw size={14} strokeWidth={2} />
+                    </button>
                   </div>
-                </div>
-
-                <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-                  <div className="px-5 py-4 border-b border-gray-100">
-                    <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                      Sub Folder
-                    </label>
-                  </div>
-                  <div className="p-5">
-                    <select
-                      value={subFolder}
-                      onChange={(e) => setSubFolder(e.target.value)}
-                      className="w-full px-0 py-2 bg-transparent text-gray-900 text-base border-none focus:outline-none focus:ring-0 appearance-none cursor-pointer disabled:opacity-50"
-                      disabled={!topFolder || !folders[topFolder]?.length}
-                      style={{
-                        backgroundImage: `url("data:image/svg+xml,%3Csvg width='12' height='8' viewBox='0 0 12 8' fill='none' xmlns='http://www.w3.org/2000/svg'%3E%3Cpath d='M1 1.5L6 6.5L11 1.5' stroke='%239CA3AF' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'/%3E%3C/svg%3E")`,
-                        backgroundRepeat: 'no-repeat',
-                        backgroundPosition: 'right 0 center',
-                        paddingRight: '24px'
-                      }}
-                    >
-                      {folders[topFolder]?.map(folder => (
-                        <option key={folder} value={folder}>{folder}</option>
-                      ))}
-                    </select>
+                  <div className="p-3">
+                    <FolderTreePicker
+                      folders={folders}
+                      selected={folderPath}
+                      onSelect={setFolderPath}
+                      onCreateFolder={handleCreateFolder}
+                    />
                   </div>
                 </div>
 
-                {topFolder && subFolder && title && (
+                {topFolder && subFolder && files.some(f => f.filename) && (
                   <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
                     <div className="px-5 py-4 border-b border-gray-100">
                       <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                        Target Path
+                        {files.length > 1 ? 'Target Paths' : 'Target Path'}
                       </label>
                     </div>
-                    <div className="p-5">
-                      <p className="text-sm text-gray-900 break-all" style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}>
-                        {topFolder}/{subFolder}/{title}
-                      </p>
+                    <div className="p-5 space-y-1">
+                      {files.filter(f => f.filename).map(f => (
+                        <p key={f.id} className="text-sm text-gray-900 break-all" style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}>
+                          {topFolder}/{subFolder}/{f.filename}
+                        </p>
+                      ))}
                     </div>
                   </div>
                 )}
 
+                <CommitOptions
+                  options={commitOptions}
+                  batch={files.length > 1}
+                  message={commitMessage}
+                  onMessageChange={setCommitMessage}
+                  branch={targetBranch}
+                  onBranchChange={setTargetBranch}
+                  pullRequest={proposePullRequest}
+                  onPullRequestChange={setProposePullRequest}
+                />
+
                 <button
                   onClick={handleSubmit}
-                  disabled={loading || !title || !code || !topFolder || !subFolder}
+                  disabled={loading || !filesReady || !topFolder || !subFolder}
                   className="w-full px-6 py-4 bg-black text-white text-base font-medium rounded-xl shadow-sm hover:bg-gray-900 disabled:opacity-30 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2"
                   style={{ letterSpacing: '-0.01em' }}
                 >
@@ -293,11 +941,26 @@ export default function DSAAutomation() {
                       <span>Processing</span>
                     </>
                   ) : (
-                    <span>Submit to GitHub</span>
+                    <span>{proposePullRequest ? 'Propose Pull Request' : 'Submit to GitHub'}</span>
                   )}
                 </button>
               </>
             )}
+
+            <QueueStatus
+              queue={submissionQueue.queue}
+              replaying={submissionQueue.replaying}
+              onRetry={submissionQueue.retryNow}
+              onRemove={submissionQueue.remove}
+              onOpen={handleOpenQueued}
+            />
+
+            <DraftsPanel
+              drafts={drafts}
+              onSave={handleSaveDraft}
+              onRestore={handleRestoreDraft}
+              onDelete={handleDeleteDraft}
+            />
           </div>
         </div>
       </main>
@@ -305,7 +968,7 @@ export default function DSAAutomation() {
       {/* Modal */}
       {showModal && (
         <div className="fixed inset-0 flex items-center justify-center p-4 z-50" style={{ backgroundColor: 'rgba(0, 0, 0, 0.4)' }}>
-          <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full overflow-hidden" style={{ animation: 'modalFadeIn 0.2s ease-out' }}>
+          <div className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full overflow-hidden" style={{ animation: 'modalFadeIn 0.2s ease-out' }}>
             <div className="px-6 py-6 border-b border-gray-100">
               <h3 className="text-lg font-semibold text-gray-900" style={{ letterSpacing: '-0.01em' }}>
                 File Already Exists
@@ -313,14 +976,52 @@ export default function DSAAutomation() {
             </div>
             
             <div className="px-6 py-6">
-              <p className="text-sm text-gray-600 leading-relaxed mb-6">
+              <p className="text-sm text-gray-600 leading-relaxed mb-4">
                 The file <span className="inline-block px-2 py-0.5 bg-gray-100 rounded text-gray-900 font-medium" style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}>{modalData?.filename}</span> already exists in this location. Choose an action:
               </p>
+
+              {/* Existing vs. new */}
+              <div className="mb-6 rounded-xl border border-gray-200 overflow-hidden">
+                <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 flex items-center justify-between text-xs text-gray-500">
+                  <span>Existing → New</span>
+                  {existingChanges && (
+                    <span>
+                      <span className="text-green-700">+{existingChanges.added}</span>{' '}
+                      <span className="text-red-700">-{existingChanges.removed}</span>
+                    </span>
+                  )}
+                </div>
+                {existingDiff ? (
+                  <pre className="max-h-80 overflow-auto text-xs leading-5 m-0" style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}>
+                    {existingDiff.map((line, i) => (
+                      <div
+                        key={i}
+                        className="flex"
+                        style={{ backgroundColor: line.type === 'add' ? '#f0fdf4' : line.type === 'remove' ? '#fef2f2' : 'transparent' }}
+                      >
+                        <span className="w-10 flex-shrink-0 text-right pr-2 text-gray-400 select-none">{line.oldLine ?? ''}</span>
+                        <span className="w-10 flex-shrink-0 text-right pr-2 text-gray-400 select-none">{line.newLine ?? ''}</span>
+                        <span className={`w-4 flex-shrink-0 select-none ${line.type === 'add' ? 'text-green-700' : line.type === 'remove' ? 'text-red-700' : 'text-gray-400'}`}>
+                          {line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' '}
+                        </span>
+                        <span className="whitespace-pre text-gray-900">{line.text}</span>
+                      </div>
+                    ))}
+                  </pre>
+                ) : existingFileError ? (
+                  <p className="px-4 py-6 text-sm text-red-700">{existingFileError}</p>
+                ) : (
+                  <div className="px-4 py-6 flex items-center justify-center">
+                    <Loader className="animate-spin text-gray-400" size={20} strokeWidth={2} />
+                  </div>
+                )}
+              </div>
               
               <div className="space-y-3">
                 <button
                   onClick={() => handleModalAction('overwrite')}
-                  className="w-full px-5 py-3.5 bg-black text-white text-sm font-medium rounded-xl hover:bg-gray-900 transition-all"
+                  disabled={!existingFile && !existingFileError}
+                  className="w-full px-5 py-3.5 bg-black text-white text-sm font-medium rounded-xl hover:bg-gray-900 disabled:opacity-30 disabled:cursor-not-allowed transition-all"
                   style={{ letterSpacing: '-0.01em' }}
                 >
                   Overwrite Existing File
@@ -345,6 +1046,61 @@ export default function DSAAutomation() {
         </div>
       )}
 
+      {/* Batch Conflict Modal */}
+      {batchConflicts && (
+        <div className="fixed inset-0 flex items-center justify-center p-4 z-50" style={{ backgroundColor: 'rgba(0, 0, 0, 0.4)' }}>
+          <div className="bg-white rounded-2xl shadow-2xl max-w-lg w-full overflow-hidden" style={{ animation: 'modalFadeIn 0.2s ease-out' }}>
+            <div className="px-6 py-6 border-b border-gray-100">
+              <h3 className="text-lg font-semibold text-gray-900" style={{ letterSpacing: '-0.01em' }}>
+                {batchConflicts.length === 1 ? '1 File Already Exists' : `${batchConflicts.length} Files Already Exist`}
+              </h3>
+            </div>
+
+            <div className="px-6 py-6">
+              <p className="text-sm text-gray-600 leading-relaxed mb-6">
+                Nothing has been committed yet. Choose an action for each file:
+              </p>
+
+              <div className="space-y-3 mb-6">
+                {batchConflicts.map(({ file }) => (
+                  <div key={file.id} className="flex items-center justify-between gap-3">
+                    <span className="text-sm text-gray-900 break-all" style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}>
+                      {file.filename}
+                    </span>
+                    <select
+                      value={batchActions[file.id]}
+                      onChange={(e) => setBatchActions(prev => ({ ...prev, [file.id]: e.target.value }))}
+                      className="px-3 py-1.5 text-sm bg-gray-100 rounded-lg border-none focus:outline-none"
+                    >
+                      <option value="overwrite">Overwrite</option>
+                      <option value="version">New version</option>
+                      <option value="reject">Skip</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              <div className="space-y-3">
+                <button
+                  onClick={handleBatchResolve}
+                  className="w-full px-5 py-3.5 bg-black text-white text-sm font-medium rounded-xl hover:bg-gray-900 transition-all"
+                  style={{ letterSpacing: '-0.01em' }}
+                >
+                  Commit Files
+                </button>
+                <button
+                  onClick={() => setBatchConflicts(null)}
+                  className="w-full px-5 py-3.5 bg-white text-gray-600 text-sm font-medium border border-gray-300 rounded-xl hover:bg-gray-50 transition-all"
+                  style={{ letterSpacing: '-0.01em' }}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       <style>{`
         @keyframes modalFadeIn {
           from {
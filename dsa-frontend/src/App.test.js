@@ -1,8 +1,422 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+const FOLDERS = { DS: { Array: {}, Tree: { BST: {} } } };
+const COMMIT_OPTIONS = {
+  messageTemplate: 'Add {filename}',
+  placeholders: ['{filename}', '{path}', '{folder}', '{count}'],
+  defaultBranch: 'main',
+  branches: ['main'],
+  pullRequests: false
+};
+const REPOS = { default: 'main', repositories: [{ id: 'main', name: 'alice/dsa', storage: 'github' }] };
+
+// fetch stand-in: routes maps "METHOD /path" to the JSON body the gateway answers with
+// (a status field in the body sets the response status)
+function mockGateway(overrides) {
+  const routes = {
+    'GET /commit-options': COMMIT_OPTIONS,
+    'GET /repos': REPOS,
+    'GET /templates': { templates: [] },
+    'POST /duplicates': { matches: [] },
+    ...overrides
+  };
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const key = `${options.method || 'GET'} ${new URL(url).pathname.replace(/^\/api/, '')}`;
+    const body = typeof routes[key] === 'function' ? routes[key](JSON.parse(options.body || 'null')) : routes[key];
+    const { status = 200, ...json } = body || {};
+    return { ok: status < 400, status, json: async () => json };
+  });
+}
+
+// JSON bodies sent to the path, in order
+const postedTo = (path) => global.fetch.mock.calls
+  .filter(([url, options]) => options?.body && new URL(url).pathname === `/api${path}`)
+  .map(([, options]) => JSON.parse(options.body));
+
+function typeFile(filename, content) {
+  fireEvent.change(screen.getByPlaceholderText('LC_206_Reverse_Linked_List.cpp'), { target: { value: filename } });
+  fireEvent.change(screen.getByPlaceholderText(/your code here/), { target: { value: content } });
+}
+
+afterEach(() => {
+  delete global.fetch;
+  window.localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('submits several tabs as one batch', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /create-files': ({ files }) => ({
+      success: true,
+      results: files.map(f => ({ path: `DS/Array/${f.filename}`, status: 'created' }))
+    })
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum.py', 'print(1)');
+  fireEvent.click(screen.getByText('Add file'));
+  typeFile('LC_2_Add_Two_Numbers.py', 'print(2)');
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+
+  await screen.findByText('Committed 2 files');
+  expect(screen.getByText(/DS\/Array\/LC_2_Add_Two_Numbers\.py/)).toBeInTheDocument();
+  expect(postedTo('/create-files')).toEqual([{
+    files: [
+      { topFolder: 'DS', subFolder: 'Array', filename: 'LC_1_Two_Sum.py', content: 'print(1)', action: 'check' },
+      { topFolder: 'DS', subFolder: 'Array', filename: 'LC_2_Add_Two_Numbers.py', content: 'print(2)', action: 'check' }
+    ]
+  }]);
+});
+
+test('asks how to resolve files that already exist and resubmits the batch', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /create-files': ({ files }) => (files[0].action === 'check'
+      ? { exists: true, results: [{ path: 'DS/Array/LC_1_Two_Sum.py', status: 'exists' }, { path: 'DS/Array/LC_2_Add_Two_Numbers.py', status: 'skipped' }] }
+      : { success: true, results: [] })
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum.py', 'print(1)');
+  fireEvent.click(screen.getByText('Add file'));
+  typeFile('LC_2_Add_Two_Numbers.py', 'print(2)');
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+
+  await screen.findByText('1 File Already Exists');
+  fireEvent.change(screen.getByDisplayValue('New version'), { target: { value: 'overwrite' } });
+  fireEvent.click(screen.getByText('Commit Files'));
+
+  await waitFor(() => expect(postedTo('/create-files')).toHaveLength(2));
+  expect(postedTo('/create-files')[1].files.map(f => f.action)).toEqual(['overwrite', 'check']);
+});
+
+test('creates a folder from the picker and selects it', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /folders': ({ parent, name }) => ({
+      success: true,
+      path: `${parent}/${name}`,
+      folders: { DS: { ...FOLDERS.DS, [name]: {} } }
+    })
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  fireEvent.click(screen.getAllByText('New folder…')[0]);
+  const input = screen.getByPlaceholderText('FolderName, Enter to create');
+  fireEvent.change(input, { target: { value: 'Graph' } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+
+  await screen.findByText('Folder created: DS/Graph');
+  expect(postedTo('/folders')).toEqual([{ parent: 'DS', name: 'Graph' }]);
+  expect(screen.getByRole('button', { name: 'Graph' })).toHaveClass('bg-black');
+});
+
+test('shows a diff of the existing file and overwrites the reviewed version', async () => {
+  const sha = 'a'.repeat(40);
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'GET /file': { path: 'DS/Array/LC_1_Two_Sum.py', content: 'print(0)\nreturn', sha },
+    'POST /create-file': ({ action }) => (action === 'check'
+      ? { exists: true, path: 'DS/Array/LC_1_Two_Sum.py' }
+      : { success: true, path: 'DS/Array/LC_1_Two_Sum.py' })
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum.py', 'print(1)\nreturn');
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+
+  await screen.findByText('File Already Exists');
+  await screen.findByText('print(0)');
+  expect(screen.getByText('+1')).toBeInTheDocument();
+  expect(screen.getByText('-1')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Overwrite Existing File'));
+  await screen.findByText('File overwritten: DS/Array/LC_1_Two_Sum.py');
+  expect(postedTo('/create-file')[1]).toMatchObject({ action: 'overwrite', sha });
+});
+
+test('reopens the modal when the file changed since it was reviewed', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'GET /file': { path: 'DS/Array/LC_1_Two_Sum.py', content: 'print(0)', sha: 'b'.repeat(40) },
+    'POST /create-file': ({ action }) => (action === 'check'
+      ? { exists: true, path: 'DS/Array/LC_1_Two_Sum.py' }
+      : { status: 409, error: 'File changed since it was viewed', conflict: true })
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum.py', 'print(1)');
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+  await screen.findByText('print(0)');
+  fireEvent.click(screen.getByText('Overwrite Existing File'));
+
+  await screen.findByText(/The file changed since you reviewed it/);
+  expect(screen.getByText('File Already Exists')).toBeInTheDocument();
+  await waitFor(() => expect(global.fetch.mock.calls.filter(([url]) => url.includes('/file?')).length).toBe(2));
+});
+
+test('diffs against the file on the selected branch', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'GET /commit-options': { ...COMMIT_OPTIONS, branches: ['main', 'practice'] },
+    'GET /file': { path: 'DS/Array/LC_1_Two_Sum.py', content: 'print(0)', sha: 'd'.repeat(40) },
+    'POST /create-file': { exists: true, path: 'DS/Array/LC_1_Two_Sum.py' }
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum.py', 'print(1)');
+  fireEvent.change(screen.getByDisplayValue('main (default)'), { target: { value: 'practice' } });
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+  await screen.findByText('print(0)');
+
+  const [fileUrl] = global.fetch.mock.calls.find(([url]) => url.includes('/file?'));
+  expect(new URL(fileUrl).searchParams.get('branch')).toBe('practice');
+});
+
+test('loads a solution from the explorer into the editor', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'GET /solutions': { files: [{ path: 'DS/Tree/BST/LC_98_Validate_BST.py', filename: 'LC_98_Validate_BST.py', folder: 'DS/Tree/BST', size: 8 }] },
+    'GET /file': { path: 'DS/Tree/BST/LC_98_Validate_BST.py', content: 'print(98)', sha: 'c'.repeat(40) },
+    'POST /create-file': { success: true, path: 'DS/Tree/BST/LC_98_Validate_BST.py' }
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  fireEvent.click(screen.getByText('Explorer'));
+  fireEvent.click(await screen.findByText('LC_98_Validate_BST.py'));
+  await screen.findByText('print(98)');
+  fireEvent.click(screen.getByText('Edit'));
+
+  expect(screen.getByPlaceholderText('LC_206_Reverse_Linked_List.cpp')).toHaveValue('LC_98_Validate_BST.py');
+  expect(screen.getByPlaceholderText(/your code here/)).toHaveValue('print(98)');
+
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+  await waitFor(() => expect(postedTo('/create-file')).toHaveLength(1));
+  expect(postedTo('/create-file')[0]).toMatchObject({ topFolder: 'DS', subFolder: 'Tree/BST' });
+});
+
+test('offers the gateway\'s filename suggestion and applies it', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /create-file': {
+      status: 400,
+      error: 'Filename does not match the naming convention',
+      code: 'INVALID_SUBMISSION',
+      suggestion: 'LC_1_Two_Sum.py'
+    }
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('lc 1 two sum.py', 'print(1)');
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+
+  fireEvent.click(await screen.findByText('Use LC_1_Two_Sum.py'));
+  expect(screen.getByPlaceholderText('LC_206_Reverse_Linked_List.cpp')).toHaveValue('LC_1_Two_Sum.py');
+  expect(screen.queryByText('Filename does not match the naming convention')).not.toBeInTheDocument();
+});
+
+test('shows validation warnings next to a successful submit', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /create-file': { success: true, path: 'DS/Array/two-sum.py', warnings: ['Filename does not follow the LC_<number>_<Title> convention'] }
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('two-sum.py', 'print(1)');
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+
+  expect(await screen.findByText('Filename does not follow the LC_<number>_<Title> convention')).toBeInTheDocument();
+});
+
+test('offers to rename a file whose extension does not match the detected language', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /detect-language': ({ filename }) => ({
+      language: 'cpp',
+      name: 'C++',
+      extension: '.cpp',
+      mismatch: filename.endsWith('.py'),
+      suggestedFilename: filename.endsWith('.py') ? 'LC_1_Two_Sum.cpp' : null
+    })
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum.py', 'std::vector<int> v;');
+  expect(await screen.findByText('Detected: C++', {}, { timeout: 2000 })).toBeInTheDocument();
+
+  fireEvent.click(await screen.findByText('Rename to .cpp'));
+  expect(screen.getByPlaceholderText('LC_206_Reverse_Linked_List.cpp')).toHaveValue('LC_1_Two_Sum.cpp');
+  await waitFor(() => expect(screen.queryByText('Rename to .cpp')).not.toBeInTheDocument(), { timeout: 2000 });
+});
+
+test('adds the detected extension to a bare filename on submit', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /detect-language': { language: 'python', name: 'Python', extension: '.py', mismatch: false, suggestedFilename: 'LC_1_Two_Sum.py' },
+    'POST /create-file': { success: true, path: 'DS/Array/LC_1_Two_Sum.py' }
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum', 'def f(self):\n    pass');
+  await screen.findByText('.py will be added on submit', {}, { timeout: 2000 });
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+
+  await screen.findByText('File created: DS/Array/LC_1_Two_Sum.py');
+  expect(postedTo('/create-file')[0].filename).toBe('LC_1_Two_Sum.py');
+});
+
+test('parks a submission in the retry queue when the backend is down', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /create-file': { status: 503, error: 'Python service not available' }
+  });
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum.py', 'print(1)');
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+
+  await screen.findByText(/saved to the retry queue/);
+  expect(screen.getByText('1 queued')).toBeInTheDocument();
+  expect(screen.getByText('DS/Array/LC_1_Two_Sum.py')).toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('dsa.queue'))[0].body).toMatchObject({ filename: 'LC_1_Two_Sum.py' });
+});
+
+test('restores the autosaved workspace on load', async () => {
+  window.localStorage.setItem('dsa.autosave', JSON.stringify({
+    files: [{ filename: 'LC_98_Validate_BST.py', content: 'print(98)' }],
+    activeIndex: 0,
+    folderPath: 'DS/Tree/BST'
+  }));
+  mockGateway({ 'GET /folders': { folders: FOLDERS } });
+  render(<App />);
+
+  await screen.findByText('Submit to GitHub');
+  expect(screen.getByPlaceholderText('LC_206_Reverse_Linked_List.cpp')).toHaveValue('LC_98_Validate_BST.py');
+  expect(screen.getByRole('button', { name: 'BST' })).toHaveClass('bg-black');
+});
+
+test('shows a sign-out button for signed-in users', async () => {
+  mockGateway({ 'GET /folders': { folders: FOLDERS }, 'POST /logout': { success: true } });
+  render(<App session={{ authRequired: true, authenticated: true, principal: { type: 'session', name: 'alice' } }} />);
+  await screen.findByText('Submit to GitHub');
+
+  expect(screen.getByTitle('Signed in as alice')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Sign out'));
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledWith('http://localhost:4000/api/logout', expect.anything()));
+});
+
+test('refreshes the folder tree past the gateway cache', async () => {
+  mockGateway({ 'GET /folders': { folders: FOLDERS } });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  fireEvent.click(screen.getByTitle('Refresh folders'));
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledWith('http://localhost:4000/api/folders?refresh=1', expect.anything()));
+});
+
+test('sends the commit options and links the opened pull request', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'GET /commit-options': { ...COMMIT_OPTIONS, branches: ['main', 'practice'], pullRequests: true },
+    'POST /create-file': () => ({
+      success: true,
+      path: 'DS/Array/LC_1_Two_Sum.py',
+      pullRequest: { url: 'https://github.com/o/r/pull/7', number: 7, branch: 'dsa/lc_1_two_sum-1' }
+    })
+  });
+  render(<App />);
+  await screen.findByPlaceholderText('Add {filename}');
+
+  typeFile('LC_1_Two_Sum.py', 'print(1)');
+  fireEvent.change(screen.getByPlaceholderText('Add {filename}'), { target: { value: 'Solve {filename}' } });
+  fireEvent.change(screen.getByDisplayValue('main (default)'), { target: { value: 'practice' } });
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Propose via pull request' }));
+  fireEvent.click(screen.getByText('Propose Pull Request'));
+
+  const link = await screen.findByRole('link', { name: 'Pull request #7 opened for review' });
+  expect(link).toHaveAttribute('href', 'https://github.com/o/r/pull/7');
+  expect(postedTo('/create-file')[0]).toMatchObject({ message: 'Solve {filename}', branch: 'practice', pullRequest: true });
+  expect(screen.getByPlaceholderText('Add {filename}')).toHaveValue('');
+});
+
+test('switches repositories and reloads their folders', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'GET /repos': { ...REPOS, repositories: [...REPOS.repositories, { id: 'notes', name: 'Scratch notes', storage: 'local' }] }
+  });
+  render(<App />);
+  const switcher = await screen.findByTitle('Target repository');
+
+  fireEvent.change(within(switcher).getByRole('combobox'), { target: { value: 'notes' } });
+
+  await waitFor(() => expect(global.fetch.mock.calls.map(([url]) => url)).toContain('http://localhost:4000/api/folders?repo=notes'));
+  expect(window.localStorage.getItem('dsa.repo')).toBe('notes');
+});
+
+test('warns about a placeholder folder layout and retries past the cache', async () => {
+  mockGateway({
+    'GET /folders': {
+      folders: FOLDERS,
+      fallback: true,
+      stale: false,
+      fetchedAt: null,
+      warning: { code: 'GITHUB_RATE_LIMITED', message: 'GitHub API rate limit exceeded', resetAt: null }
+    }
+  });
+  render(<App />);
+
+  expect(await screen.findByText(/Showing a placeholder folder layout/)).toBeInTheDocument();
+  expect(screen.getByText("GitHub's rate limit was hit.")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+  await waitFor(() => expect(global.fetch.mock.calls.map(([url]) => url)).toContain('http://localhost:4000/api/folders?refresh=1'));
+});
+
+test('fills the editor from a template and gives a bare filename its extension', async () => {
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'GET /templates': { templates: [{ language: 'python', name: 'Python', extension: '.py', source: null }] },
+    'GET /templates/python': { language: 'python', extension: '.py', content: '# 1. Two Sum\n' }
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum', '');
+  fireEvent.click(await screen.findByRole('button', { name: 'Template' }));
+
+  await waitFor(() => expect(screen.getByPlaceholderText(/your code here/)).toHaveValue('# 1. Two Sum\n'));
+  expect(screen.getByPlaceholderText('LC_206_Reverse_Linked_List.cpp')).toHaveValue('LC_1_Two_Sum.py');
+});
+
+test('shows a missing TC/SC header and asks before submitting without one', async () => {
+  const warning = 'Missing complexity header: add "# TC: O(...)" and "# SC: O(...)"';
+  jest.spyOn(window, 'confirm').mockReturnValue(false);
+  mockGateway({
+    'GET /folders': { folders: FOLDERS },
+    'POST /detect-language': { language: 'python', name: 'Python', extension: '.py', mismatch: false, suggestedFilename: null, complexityWarnings: [warning] }
+  });
+  render(<App />);
+  await screen.findByText('Submit to GitHub');
+
+  typeFile('LC_1_Two_Sum.py', 'print(1)');
+  expect(await screen.findByText(warning, {}, { timeout: 2000 })).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Submit to GitHub'));
+
+  expect(window.confirm).toHaveBeenCalledWith('No TC/SC complexity header in LC_1_Two_Sum.py. Submit anyway?');
+  expect(postedTo('/create-files')).toEqual([]);
+  expect(postedTo('/create-file')).toEqual([]);
 });
@@ -0,0 +1,46 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader } from 'lucide-react';
+import Login from './Login';
+import { apiFetch, onUnauthorized } from './api';
+
+// Asks the gateway whether auth is required and shows the login screen until
+// the stored credential is accepted. Renders children(session) once signed in.
+export default function AuthGate({ children }) {
+  const [session, setSession] = useState(null);
+  const [checking, setChecking] = useState(true);
+
+  const checkSession = useCallback(async () => {
+    setChecking(true);
+    try {
+      const res = await apiFetch('/session');
+      setSession(await res.json());
+    } catch (err) {
+      // Backend unreachable: let the app load so drafts and the retry queue still work
+      setSession({ authRequired: false, authenticated: true, principal: null });
+    } finally {
+      setChecking(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    checkSession();
+  }, [checkSession]);
+
+  useEffect(() => onUnauthorized(() => {
+    setSession(prev => (prev ? { ...prev, authenticated: false, principal: null } : prev));
+  }), []);
+
+  if (checking && !session) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <Loader className="animate-spin text-gray-400" size={24} strokeWidth={2} />
+      </div>
+    );
+  }
+
+  if (session && !session.authenticated) {
+    return <Login onSignedIn={checkSession} />;
+  }
+
+  return children(session);
+}
@@ -0,0 +1,43 @@
+import { render, screen, act } from '@testing-library/react';
+import AuthGate from './AuthGate';
+import { logout } from './api';
+
+const respond = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+afterEach(() => {
+  window.localStorage.clear();
+  delete global.fetch;
+});
+
+const renderGate = () => render(
+  <AuthGate>{(session) => <p>App for {session.principal ? session.principal.name : 'anyone'}</p>}</AuthGate>
+);
+
+test('renders the app straight away when auth is disabled', async () => {
+  global.fetch = jest.fn(async () => respond(200, { authRequired: false, authenticated: true, principal: null }));
+  renderGate();
+  expect(await screen.findByText('App for anyone')).toBeInTheDocument();
+});
+
+test('shows the login screen until the credential is accepted', async () => {
+  global.fetch = jest.fn(async () => respond(200, { authRequired: true, authenticated: false, principal: null }));
+  renderGate();
+  expect(await screen.findByText('Sign in to DSA Journey')).toBeInTheDocument();
+});
+
+test('goes back to the login screen after signing out', async () => {
+  global.fetch = jest.fn(async (url) => (url.endsWith('/session')
+    ? respond(200, { authRequired: true, authenticated: true, principal: { type: 'session', name: 'alice' } })
+    : respond(200, { success: true })));
+  renderGate();
+  await screen.findByText('App for alice');
+
+  await act(() => logout());
+  expect(screen.getByText('Sign in to DSA Journey')).toBeInTheDocument();
+});
+
+test('lets the app load offline so drafts and the queue keep working', async () => {
+  global.fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+  renderGate();
+  expect(await screen.findByText('App for anyone')).toBeInTheDocument();
+});
@@ -0,0 +1,68 @@
+import React from 'react';
+import { GitPullRequest } from 'lucide-react';
+
+const BATCH_MESSAGE_PLACEHOLDER = 'Add {count} files: {filename}';
+
+// Commit message, target branch and pull-request mode for the next submission.
+// options is the /api/commit-options response; null while it's loading or unavailable.
+export default function CommitOptions({ options, batch, message, onMessageChange, branch, onBranchChange, pullRequest, onPullRequestChange }) {
+  if (!options) return null;
+
+  const placeholder = batch ? BATCH_MESSAGE_PLACEHOLDER : options.messageTemplate;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-5 py-4 border-b border-gray-100">
+        <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
+          Commit
+        </label>
+      </div>
+      <div className="p-5 space-y-4">
+        <div>
+          <input
+            type="text"
+            value={message}
+            onChange={(e) => onMessageChange(e.target.value)}
+            placeholder={placeholder}
+            maxLength={1000}
+            className="w-full px-3 py-2 text-sm text-gray-900 placeholder-gray-400 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-900"
+          />
+          <p className="mt-1 text-xs text-gray-400">
+            Placeholders: {options.placeholders.join(' ')}
+          </p>
+        </div>
+
+        {options.branches.length > 1 && (
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">
+              {pullRequest ? 'Pull request into' : 'Branch'}
+            </label>
+            <select
+              value={branch || options.defaultBranch}
+              onChange={(e) => onBranchChange(e.target.value === options.defaultBranch ? '' : e.target.value)}
+              className="w-full px-3 py-2 text-sm text-gray-900 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-gray-900"
+            >
+              {options.branches.map(name => (
+                <option key={name} value={name}>
+                  {name}{name === options.defaultBranch ? ' (default)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {options.pullRequests && (
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={pullRequest}
+              onChange={(e) => onPullRequestChange(e.target.checked)}
+            />
+            <GitPullRequest size={14} strokeWidth={2} className="text-gray-500" />
+            <span>Propose via pull request</span>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import CommitOptions from './CommitOptions';
+
+const OPTIONS = {
+  messageTemplate: 'Add {filename}',
+  placeholders: ['{filename}', '{path}', '{folder}', '{count}'],
+  defaultBranch: 'main',
+  branches: ['main', 'practice'],
+  pullRequests: true
+};
+
+const setup = (props = {}) => {
+  const handlers = { onMessageChange: jest.fn(), onBranchChange: jest.fn(), onPullRequestChange: jest.fn() };
+  render(
+    <CommitOptions options={OPTIONS} batch={false} message="" branch="" pullRequest={false} {...handlers} {...props} />
+  );
+  return handlers;
+};
+
+test('renders nothing until the options have loaded', () => {
+  const { container } = render(<CommitOptions options={null} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('uses the server template as the placeholder', () => {
+  setup();
+  expect(screen.getByPlaceholderText('Add {filename}')).toBeInTheDocument();
+  expect(screen.getByText('Placeholders: {filename} {path} {folder} {count}')).toBeInTheDocument();
+});
+
+test('shows the batch placeholder for several files', () => {
+  setup({ batch: true });
+  expect(screen.getByPlaceholderText('Add {count} files: {filename}')).toBeInTheDocument();
+});
+
+test('reports message, branch and pull-request changes', () => {
+  const handlers = setup();
+
+  fireEvent.change(screen.getByPlaceholderText('Add {filename}'), { target: { value: 'Solve {filename}' } });
+  expect(handlers.onMessageChange).toHaveBeenCalledWith('Solve {filename}');
+
+  // The default branch is reported as '' so requests leave it out
+  const select = screen.getByRole('combobox');
+  expect(select).toHaveValue('main');
+  fireEvent.change(select, { target: { value: 'practice' } });
+  expect(handlers.onBranchChange).toHaveBeenLastCalledWith('practice');
+  fireEvent.change(select, { target: { value: 'main' } });
+  expect(handlers.onBranchChange).toHaveBeenLastCalledWith('');
+
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Propose via pull request' }));
+  expect(handlers.onPullRequestChange).toHaveBeenCalledWith(true);
+});
+
+test('hides the branch picker and pull requests when there is nothing to choose', () => {
+  setup({ options: { ...OPTIONS, branches: ['main'], pullRequests: false } });
+  expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+  expect(screen.queryByRole('checkbox')).not.toBeInTheDocument();
+});
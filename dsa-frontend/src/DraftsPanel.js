@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { FileText, Trash2 } from 'lucide-react';
+
+export default function DraftsPanel({ drafts, onSave, onRestore, onDelete }) {
+  const [name, setName] = useState('');
+
+  const handleSave = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-5 py-4 border-b border-gray-100">
+        <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
+          Drafts
+        </label>
+      </div>
+      <div className="p-5 space-y-3">
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="Draft name"
+            className="w-full px-3 py-2 text-sm bg-gray-50 rounded-lg border border-gray-200 focus:outline-none"
+          />
+          <button
+            onClick={handleSave}
+            disabled={!name.trim()}
+            className="px-4 py-2 bg-gray-100 text-gray-900 text-sm font-medium rounded-lg hover:bg-gray-200 disabled:opacity-30 transition-all flex-shrink-0"
+          >
+            Save
+          </button>
+        </div>
+
+        {drafts.length > 0 && (
+          <ul className="divide-y divide-gray-100">
+            {drafts.map(draft => (
+              <li key={draft.id} className="py-2 flex items-center justify-between gap-3">
+                <button onClick={() => onRestore(draft)} className="flex items-center gap-2 text-left min-w-0">
+                  <FileText className="text-gray-400 flex-shrink-0" size={16} strokeWidth={2} />
+                  <span className="min-w-0">
+                    <span className="block text-sm text-gray-900 truncate">{draft.name}</span>
+                    <span className="block text-xs text-gray-400">
+                      {draft.files.length} {draft.files.length === 1 ? 'file' : 'files'} · {new Date(draft.savedAt).toLocaleString()}
+                    </span>
+                  </span>
+                </button>
+                <button
+                  onClick={() => onDelete(draft.id)}
+                  className="text-gray-400 hover:text-gray-600 transition-colors flex-shrink-0"
+                  aria-label={`Delete draft ${draft.name}`}
+                >
+                  <Trash2 size={16} strokeWidth={2} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
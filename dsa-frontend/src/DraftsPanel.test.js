@@ -0,0 +1,29 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import DraftsPanel from './DraftsPanel';
+
+const DRAFT = { id: '1', name: 'two sum', files: [{ filename: 'a.py', content: 'a' }], savedAt: 0 };
+
+test('saves a draft under the typed name', () => {
+  const onSave = jest.fn();
+  render(<DraftsPanel drafts={[]} onSave={onSave} onRestore={() => {}} onDelete={() => {}} />);
+
+  expect(screen.getByText('Save')).toBeDisabled();
+  fireEvent.change(screen.getByPlaceholderText('Draft name'), { target: { value: '  two sum ' } });
+  fireEvent.keyDown(screen.getByPlaceholderText('Draft name'), { key: 'Enter' });
+
+  expect(onSave).toHaveBeenCalledWith('two sum');
+  expect(screen.getByPlaceholderText('Draft name')).toHaveValue('');
+});
+
+test('restores and deletes saved drafts', () => {
+  const onRestore = jest.fn();
+  const onDelete = jest.fn();
+  render(<DraftsPanel drafts={[DRAFT]} onSave={() => {}} onRestore={onRestore} onDelete={onDelete} />);
+
+  expect(screen.getByText(/^1 file ·/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('two sum'));
+  expect(onRestore).toHaveBeenCalledWith(DRAFT);
+
+  fireEvent.click(screen.getByLabelText('Delete draft two sum'));
+  expect(onDelete).toHaveBeenCalledWith('1');
+});
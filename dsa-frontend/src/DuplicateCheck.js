@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, ExternalLink } from 'lucide-react';
+import { apiFetch } from './api';
+
+const MONO_FONT = 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace';
+
+// Each check may read files from GitHub; only run once the code has stopped changing for a while
+const DUPLICATE_SETTLE_MS = 3000;
+
+const describeMatch = (match) => [
+  match.sameProblem && 'same problem',
+  match.similarity != null && `${Math.round(match.similarity * 100)}% similar`
+].filter(Boolean).join(', ');
+
+// Warns before submission when the problem (LC number) or near-identical code is already in the repo.
+// Matches link to GitHub when the repo has a web page, otherwise onOpen loads them into the editor.
+export default function DuplicateCheck({ topFolder, subFolder, filename, content, onOpen }) {
+  const [matches, setMatches] = useState([]);
+
+  useEffect(() => {
+    if (!filename.trim() || !content.trim()) {
+      setMatches([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await apiFetch('/duplicates', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ topFolder, subFolder, filename, content })
+        });
+        const data = await res.json();
+        if (!cancelled && res.ok) setMatches(data.matches);
+      } catch (err) {
+        // Only a hint; stay quiet when the backend is unreachable
+      }
+    }, DUPLICATE_SETTLE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [topFolder, subFolder, filename, content]);
+
+  if (matches.length === 0) return null;
+
+  return (
+    <div className="rounded-xl border border-amber-200 overflow-hidden" style={{ backgroundColor: '#fffbeb' }}>
+      <div className="px-5 py-3 flex items-center gap-2 text-sm font-medium text-amber-800">
+        <AlertTriangle className="flex-shrink-0" size={16} strokeWidth={2} />
+        <span>Possibly already solved</span>
+      </div>
+      <ul className="px-5 pb-3 space-y-1">
+        {matches.map(match => (
+          <li key={match.path} className="flex items-center justify-between gap-3 text-sm">
+            {match.url ? (
+              <a
+                href={match.url}
+                target="_blank"
+                rel="noreferrer"
+                className="flex items-center gap-1 text-amber-900 underline break-all"
+                style={{ fontFamily: MONO_FONT }}
+              >
+                {match.path}
+                <ExternalLink className="flex-shrink-0" size={12} strokeWidth={2} />
+              </a>
+            ) : (
+              <button
+                onClick={() => onOpen(match.path)}
+                className="text-left text-amber-900 underline break-all"
+                style={{ fontFamily: MONO_FONT }}
+              >
+                {match.path}
+              </button>
+            )}
+            <span className="text-xs text-amber-700 flex-shrink-0">{describeMatch(match)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
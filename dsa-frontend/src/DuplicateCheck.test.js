@@ -0,0 +1,91 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import DuplicateCheck from './DuplicateCheck';
+
+const MATCHES = [
+  { path: 'DS/Array/LC_1_Two_Sum.py', sameProblem: true, similarity: 0.93, url: 'https://github.com/alice/dsa/blob/main/DS/Array/LC_1_Two_Sum.py' },
+  { path: 'Algo/Hashing/pair_sum.py', sameProblem: false, similarity: 0.81, url: null },
+  { path: 'DS/Array/LC_1_Two_Sum.cpp', sameProblem: true, similarity: null, url: null }
+];
+
+function mockDuplicates(matches = MATCHES) {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ problem: 1, threshold: 0.8, matches }) }));
+}
+
+const setup = (props = {}) => {
+  const onOpen = jest.fn();
+  render(<DuplicateCheck topFolder="DS" subFolder="Tree" filename="LC_1_Two_Sum.py" content="pass" onOpen={onOpen} {...props} />);
+  return onOpen;
+};
+
+// Checks run once the code has settled for a few seconds
+const settle = () => act(async () => {
+  jest.advanceTimersByTime(3000);
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+test('lists likely duplicates once the code settles', async () => {
+  mockDuplicates();
+  setup();
+  await settle();
+
+  expect(screen.getByText('Possibly already solved')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+    topFolder: 'DS', subFolder: 'Tree', filename: 'LC_1_Two_Sum.py', content: 'pass'
+  });
+  expect(screen.getByText('same problem, 93% similar')).toBeInTheDocument();
+  expect(screen.getByText('81% similar')).toBeInTheDocument();
+  expect(screen.getByText('same problem')).toBeInTheDocument();
+});
+
+test('links to GitHub when there is a web page and opens the rest in the editor', async () => {
+  mockDuplicates();
+  const onOpen = setup();
+  await settle();
+
+  const link = screen.getByRole('link', { name: /DS\/Array\/LC_1_Two_Sum\.py/ });
+  expect(link).toHaveAttribute('href', MATCHES[0].url);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Algo/Hashing/pair_sum.py' }));
+  expect(onOpen).toHaveBeenCalledWith('Algo/Hashing/pair_sum.py');
+});
+
+test('checks only once typing stops', async () => {
+  mockDuplicates();
+  const check = (content) => <DuplicateCheck topFolder="DS" subFolder="Tree" filename="LC_1.py" content={content} onOpen={jest.fn()} />;
+  const { rerender } = render(check('p'));
+
+  await act(async () => {
+    jest.advanceTimersByTime(2000);
+  });
+  rerender(check('pass'));
+  await act(async () => {
+    jest.advanceTimersByTime(2000);
+  });
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  await settle();
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).content).toBe('pass');
+});
+
+test('stays hidden without matches and does not check empty code', async () => {
+  mockDuplicates([]);
+  const check = (content) => <DuplicateCheck topFolder="DS" subFolder="Tree" filename="LC_1.py" content={content} onOpen={jest.fn()} />;
+  const { rerender } = render(check(' '));
+  await settle();
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  rerender(check('pass'));
+  await settle();
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(screen.queryByText('Possibly already solved')).not.toBeInTheDocument();
+});
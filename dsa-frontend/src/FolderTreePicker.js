@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Folder, FolderOpen, FolderPlus } from 'lucide-react';
+
+// Mirrors the gateway's folder name rule
+const FOLDER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// Expand every ancestor of the selected path so it is visible on first render
+const ancestorsOf = (path) => {
+  const parts = path ? path.split('/') : [];
+  return parts.slice(0, -1).map((_, i) => parts.slice(0, i + 1).join('/'));
+};
+
+// "New folder…" row; turns into an inline name input when clicked
+function NewFolderRow({ parent, depth, onCreate }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const valid = FOLDER_NAME_PATTERN.test(name);
+
+  const close = () => {
+    setEditing(false);
+    setName('');
+  };
+
+  const handleKeyDown = async (e) => {
+    if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'Enter' && valid && !saving) {
+      setSaving(true);
+      const created = await onCreate(parent, name);
+      setSaving(false);
+      if (created) close();
+    }
+  };
+
+  return (
+    <li>
+      {editing ? (
+        <div className="flex items-center gap-2 py-1.5 pr-2" style={{ paddingLeft: `${depth * 16 + 30}px` }}>
+          <FolderPlus size={16} strokeWidth={2} className="text-gray-400 flex-shrink-0" />
+          <input
+            autoFocus
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => !saving && close()}
+            disabled={saving}
+            placeholder="FolderName, Enter to create"
+            className={`w-full px-2 py-1 text-sm bg-gray-50 rounded border focus:outline-none ${name && !valid ? 'border-red-300' : 'border-gray-200'}`}
+          />
+        </div>
+      ) : (
+        <button
+          onClick={() => setEditing(true)}
+          className="w-full flex items-center gap-2 py-1.5 pr-2 rounded-lg text-sm text-left text-gray-400 hover:text-gray-900 hover:bg-gray-100 transition-colors"
+          style={{ paddingLeft: `${depth * 16 + 30}px` }}
+        >
+          <FolderPlus size={16} strokeWidth={2} />
+          <span>New folder…</span>
+        </button>
+      )}
+    </li>
+  );
+}
+
+function FolderNode({ name, subfolders, path, depth, selected, expanded, onToggle, onSelect, onCreateFolder }) {
+  const childNames = Object.keys(subfolders);
+  const isOpen = expanded.has(path);
+  const isSelected = selected === path;
+  // Files live at least one level below a top folder
+  const selectable = depth > 0;
+  // Empty folders still open when new sub folders can be added to them
+  const expandable = childNames.length > 0 || Boolean(onCreateFolder);
+
+  const handleClick = () => {
+    if (selectable) onSelect(path);
+    if (expandable) onToggle(path);
+  };
+
+  return (
+    <li>
+      <button
+        onClick={handleClick}
+        className={`w-full flex items-center gap-2 py-1.5 pr-2 rounded-lg text-sm text-left transition-colors ${isSelected ? 'bg-black text-white' : 'text-gray-900 hover:bg-gray-100'}`}
+        style={{ paddingLeft: `${depth * 16 + 8}px` }}
+      >
+        {expandable ? (
+          isOpen ? <ChevronDown size={14} strokeWidth={2} /> : <ChevronRight size={14} strokeWidth={2} />
+        ) : (
+          <span style={{ width: 14 }} />
+        )}
+        {isOpen ? <FolderOpen size={16} strokeWidth={2} /> : <Folder size={16} strokeWidth={2} />}
+        <span className={selectable ? '' : 'font-medium'}>{name}</span>
+      </button>
+      {isOpen && expandable && (
+        <ul>
+          {childNames.map(child => (
+            <FolderNode
+              key={child}
+              name={child}
+              subfolders={subfolders[child]}
+              path={`${path}/${child}`}
+              depth={depth + 1}
+              selected={selected}
+              expanded={expanded}
+              onToggle={onToggle}
+              onSelect={onSelect}
+              onCreateFolder={onCreateFolder}
+            />
+          ))}
+          {onCreateFolder && <NewFolderRow parent={path} depth={depth + 1} onCreate={onCreateFolder} />}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export default function FolderTreePicker({ folders, selected, onSelect, onCreateFolder }) {
+  const [expanded, setExpanded] = useState(() => new Set(ancestorsOf(selected)));
+
+  const handleToggle = (path) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  if (Object.keys(folders).length === 0 && !onCreateFolder) {
+    return <p className="text-sm text-gray-400">No folders found</p>;
+  }
+
+  return (
+    <ul className="max-h-80 overflow-y-auto">
+      {Object.keys(folders).map(name => (
+        <FolderNode
+          key={name}
+          name={name}
+          subfolders={folders[name]}
+          path={name}
+          depth={0}
+          selected={selected}
+          expanded={expanded}
+          onToggle={handleToggle}
+          onSelect={onSelect}
+          onCreateFolder={onCreateFolder}
+        />
+      ))}
+      {onCreateFolder && <NewFolderRow parent="" depth={0} onCreate={onCreateFolder} />}
+    </ul>
+  );
+}
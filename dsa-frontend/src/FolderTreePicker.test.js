@@ -0,0 +1,72 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FolderTreePicker from './FolderTreePicker';
+
+const FOLDERS = { DS: { Arrays: {}, Tree: { BST: {} } }, Patterns: { BFS: {} } };
+
+test('expands the ancestors of the selected folder', () => {
+  render(<FolderTreePicker folders={FOLDERS} selected="DS/Tree/BST" onSelect={() => {}} />);
+
+  expect(screen.getByText('BST')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'BST' })).toHaveClass('bg-black');
+  expect(screen.queryByText('BFS')).not.toBeInTheDocument();
+});
+
+test('toggles top folders without selecting them', () => {
+  const onSelect = jest.fn();
+  render(<FolderTreePicker folders={FOLDERS} selected="" onSelect={onSelect} />);
+
+  fireEvent.click(screen.getByText('Patterns'));
+  expect(screen.getByText('BFS')).toBeInTheDocument();
+  expect(onSelect).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByText('Patterns'));
+  expect(screen.queryByText('BFS')).not.toBeInTheDocument();
+});
+
+test('selects nested folders by their full path', () => {
+  const onSelect = jest.fn();
+  render(<FolderTreePicker folders={FOLDERS} selected="" onSelect={onSelect} />);
+
+  fireEvent.click(screen.getByText('DS'));
+  fireEvent.click(screen.getByText('Tree'));
+  fireEvent.click(screen.getByText('BST'));
+
+  expect(onSelect.mock.calls.map(([path]) => path)).toEqual(['DS/Tree', 'DS/Tree/BST']);
+});
+
+test('shows a placeholder when there are no folders', () => {
+  render(<FolderTreePicker folders={{}} selected="" onSelect={() => {}} />);
+  expect(screen.getByText('No folders found')).toBeInTheDocument();
+});
+
+test('creates a sub folder from the inline input', async () => {
+  const onCreateFolder = jest.fn().mockResolvedValue(true);
+  render(<FolderTreePicker folders={FOLDERS} selected="DS/Arrays" onSelect={() => {}} onCreateFolder={onCreateFolder} />);
+
+  // One "New folder…" row for DS (open) and one for the top level
+  fireEvent.click(screen.getAllByText('New folder…')[0]);
+  const input = screen.getByPlaceholderText('FolderName, Enter to create');
+  fireEvent.change(input, { target: { value: 'Graph' } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+
+  expect(onCreateFolder).toHaveBeenCalledWith('DS', 'Graph');
+  await waitFor(() => expect(screen.queryByPlaceholderText('FolderName, Enter to create')).not.toBeInTheDocument());
+});
+
+test('keeps the input open for invalid names and failed creates', async () => {
+  const onCreateFolder = jest.fn().mockResolvedValue(false);
+  render(<FolderTreePicker folders={FOLDERS} selected="" onSelect={() => {}} onCreateFolder={onCreateFolder} />);
+
+  fireEvent.click(screen.getByText('New folder…'));
+  const input = screen.getByPlaceholderText('FolderName, Enter to create');
+
+  fireEvent.change(input, { target: { value: 'bad name' } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+  expect(onCreateFolder).not.toHaveBeenCalled();
+
+  fireEvent.change(input, { target: { value: 'Graphs' } });
+  fireEvent.keyDown(input, { key: 'Enter' });
+  expect(onCreateFolder).toHaveBeenCalledWith('', 'Graphs');
+  await waitFor(() => expect(input).not.toBeDisabled());
+  expect(input).toHaveValue('Graphs');
+});
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, CheckCircle, GitPullRequest, Loader, RefreshCw, RotateCcw, Search } from 'lucide-react';
+import { apiFetch } from './api';
+
+const MONO_FONT = 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace';
+const PAGE_SIZE = 25;
+
+const OUTCOME_STYLES = {
+  created: 'bg-green-50 text-green-700',
+  overwritten: 'bg-amber-50 text-amber-700',
+  versioned: 'bg-blue-50 text-blue-700',
+  exists: 'bg-gray-100 text-gray-600',
+  rejected: 'bg-gray-100 text-gray-600',
+  failed: 'bg-red-50 text-red-700',
+  reverted: 'bg-purple-50 text-purple-700'
+};
+
+// Signed-in user, else the CLI / browser name from the user agent, else the IP
+const clientLabel = (client = {}) => {
+  if (client.name) return client.name;
+  if (client.userAgent?.startsWith('dsa-cli')) return client.userAgent.split(' ')[0];
+  if (client.userAgent) return 'browser';
+  return client.ip || 'unknown';
+};
+
+export default function HistoryPanel() {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [outcome, setOutcome] = useState('');
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reverting, setReverting] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+    if (outcome) params.set('outcome', outcome);
+    if (query.trim()) params.set('path', query.trim());
+
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const res = await apiFetch(`/history?${params}`);
+        const data = await res.json();
+        if (cancelled) return;
+
+        if (res.ok) {
+          setEntries(data.entries);
+          setTotal(data.total);
+        } else {
+          setError(data.error || 'Failed to load history');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Failed to load history. Check backend connection.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, query ? 300 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [offset, outcome, query, refreshKey]);
+
+  // Filters start over from the first page
+  const changeFilter = (setter) => (value) => {
+    setter(value);
+    setOffset(0);
+  };
+
+  const revert = useCallback(async (entry) => {
+    const what = entry.outcome === 'overwritten'
+      ? `Restore the previous content of ${entry.path}?`
+      : `Delete ${entry.path}, the version added by this submission?`;
+    if (!window.confirm(what)) return;
+
+    setReverting(entry.id);
+    setNotice(null);
+    try {
+      const res = await apiFetch(`/history/${entry.id}/revert`, { method: 'POST' });
+      const data = await res.json();
+
+      if (res.ok) {
+        setNotice({ type: 'success', message: `Reverted ${data.path}` });
+        setRefreshKey(k => k + 1);
+      } else {
+        setNotice({ type: 'error', message: data.error || 'Revert failed' });
+      }
+    } catch (err) {
+      setNotice({ type: 'error', message: 'Revert failed. Check backend connection.' });
+    } finally {
+      setReverting(null);
+    }
+  }, []);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-5 py-4 border-b border-gray-100 flex items-center gap-3 flex-wrap">
+        <div className="flex items-center gap-2 flex-1" style={{ minWidth: '12rem' }}>
+          <Search className="text-gray-400 flex-shrink-0" size={16} strokeWidth={2} />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => changeFilter(setQuery)(e.target.value)}
+            placeholder="Filter by path"
+            className="w-full px-0 py-1 bg-transparent text-gray-900 text-sm placeholder-gray-400 border-none focus:outline-none focus:ring-0"
+          />
+        </div>
+        <select
+          value={outcome}
+          onChange={(e) => changeFilter(setOutcome)(e.target.value)}
+          className="px-3 py-1.5 bg-gray-100 rounded-lg border-none text-sm focus:outline-none"
+        >
+          <option value="">All outcomes</option>
+          {Object.keys(OUTCOME_STYLES).map(o => (
+            <option key={o} value={o}>{o}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setRefreshKey(k => k + 1)}
+          className="text-gray-400 hover:text-gray-600 transition-colors"
+          title="Refresh"
+        >
+          <RefreshCw size={16} strokeWidth={2} />
+        </button>
+      </div>
+
+      {notice && (
+        <div className={`px-5 py-3 flex items-center gap-2 text-sm border-b ${notice.type === 'success' ? 'bg-green-50 text-green-800 border-green-100' : 'bg-red-50 text-red-800 border-red-100'}`}>
+          {notice.type === 'success' ? <CheckCircle size={16} strokeWidth={2} /> : <AlertCircle size={16} strokeWidth={2} />}
+          <span>{notice.message}</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="p-12 flex items-center justify-center">
+          <Loader className="animate-spin text-gray-400" size={24} strokeWidth={2} />
+        </div>
+      ) : error ? (
+        <p className="px-5 py-6 text-sm text-red-700">{error}</p>
+      ) : entries.length === 0 ? (
+        <p className="px-5 py-6 text-sm text-gray-400">No submissions recorded</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {entries.map(entry => (
+            <li key={entry.id} className="px-5 py-3 flex items-center gap-4">
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${OUTCOME_STYLES[entry.outcome] || 'bg-gray-100 text-gray-600'}`}>
+                    {entry.outcome}
+                  </span>
+                  <span className="text-sm text-gray-900 break-all" style={{ fontFamily: MONO_FONT }}>{entry.path}</span>
+                </div>
+                <div className="mt-1 flex items-center gap-3 flex-wrap text-xs text-gray-500">
+                  <span>{new Date(entry.timestamp).toLocaleString()}</span>
+                  <span>{clientLabel(entry.client)}</span>
+                  {entry.sha && <span style={{ fontFamily: MONO_FONT }}>{entry.sha.slice(0, 7)}</span>}
+                  {entry.branch && <span>on {entry.branch}</span>}
+                  {entry.pullRequest && (
+                    <a href={entry.pullRequest} target="_blank" rel="noreferrer" className="flex items-center gap-1 underline">
+                      <GitPullRequest size={12} strokeWidth={2} />
+                      Pull request
+                    </a>
+                  )}
+                  {entry.revertedBy && <span className="text-purple-700">reverted</span>}
+                  {entry.error && <span className="text-red-700">{entry.error}</span>}
+                </div>
+              </div>
+              {entry.revertable && (
+                <button
+                  onClick={() => revert(entry)}
+                  disabled={reverting !== null}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-gray-100 text-gray-800 text-sm rounded-lg hover:bg-gray-200 disabled:opacity-30 transition-all flex-shrink-0"
+                >
+                  {reverting === entry.id
+                    ? <Loader className="animate-spin" size={14} strokeWidth={2} />
+                    : <RotateCcw size={14} strokeWidth={2} />}
+                  <span>Revert</span>
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="px-5 py-3 border-t border-gray-100 flex items-center justify-between text-sm text-gray-500">
+          <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setOffset(o => Math.max(0, o - PAGE_SIZE))}
+              disabled={offset === 0 || loading}
+              className="px-3 py-1.5 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-30 transition-all"
+            >
+              Newer
+            </button>
+            <button
+              onClick={() => setOffset(o => o + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= total || loading}
+              className="px-3 py-1.5 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-30 transition-all"
+            >
+              Older
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
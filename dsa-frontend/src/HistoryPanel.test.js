@@ -0,0 +1,87 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import HistoryPanel from './HistoryPanel';
+
+const ENTRY = {
+  timestamp: '2026-01-10T12:00:00.000Z',
+  client: { userAgent: 'dsa-cli/1.2.0 node' },
+  revertable: false
+};
+
+const ENTRIES = [
+  { ...ENTRY, id: 'e2', path: 'DS/Array/LC_1_Two_Sum.py', outcome: 'overwritten', sha: 'abcdef1234', revertable: true },
+  { ...ENTRY, id: 'e1', path: 'DS/Tree/LC_2.py', outcome: 'created', client: { name: 'alice' } }
+];
+
+// Answers GET /history with `entries`, and revert with `revert`
+function mockHistory({ entries = ENTRIES, total = entries.length, revert } = {}) {
+  global.fetch = jest.fn(async (url, options = {}) => {
+    if (options.method === 'POST') return revert;
+    return { ok: true, json: async () => ({ entries, total, limit: 25, offset: 0 }) };
+  });
+}
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test('lists submissions with their outcome and client', async () => {
+  mockHistory();
+  render(<HistoryPanel />);
+
+  expect(await screen.findByText('DS/Array/LC_1_Two_Sum.py')).toBeInTheDocument();
+  expect(screen.getByText('dsa-cli/1.2.0')).toBeInTheDocument();
+  expect(screen.getByText('alice')).toBeInTheDocument();
+  expect(screen.getByText('abcdef1')).toBeInTheDocument();
+  // Only the overwrite can be reverted
+  expect(screen.getAllByRole('button', { name: 'Revert' })).toHaveLength(1);
+});
+
+test('filters by outcome from the first page', async () => {
+  mockHistory({ entries: [] });
+  render(<HistoryPanel />);
+  expect(await screen.findByText('No submissions recorded')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox'), { target: { value: 'versioned' } });
+
+  await waitFor(() => expect(global.fetch).toHaveBeenLastCalledWith(
+    'http://localhost:4000/api/history?limit=25&offset=0&outcome=versioned',
+    expect.anything()
+  ));
+});
+
+test('pages through older submissions', async () => {
+  mockHistory({ total: 60 });
+  render(<HistoryPanel />);
+  expect(await screen.findByText('1–25 of 60')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Older' }));
+
+  await waitFor(() => expect(global.fetch).toHaveBeenLastCalledWith(
+    'http://localhost:4000/api/history?limit=25&offset=25',
+    expect.anything()
+  ));
+});
+
+test('reverts after confirmation and reloads the list', async () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  mockHistory({ revert: { ok: true, json: async () => ({ success: true, path: 'DS/Array/LC_1_Two_Sum.py' }) } });
+  render(<HistoryPanel />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Revert' }));
+
+  expect(await screen.findByText('Reverted DS/Array/LC_1_Two_Sum.py')).toBeInTheDocument();
+  expect(window.confirm).toHaveBeenCalledWith('Restore the previous content of DS/Array/LC_1_Two_Sum.py?');
+  expect(global.fetch).toHaveBeenCalledWith('http://localhost:4000/api/history/e2/revert', expect.objectContaining({ method: 'POST' }));
+  await waitFor(() => expect(global.fetch.mock.calls.filter(([url]) => url.startsWith('http://localhost:4000/api/history?'))).toHaveLength(2));
+});
+
+test('shows why a revert was refused', async () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  mockHistory({ revert: { ok: false, json: async () => ({ error: 'File changed since this submission', conflict: true }) } });
+  render(<HistoryPanel />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Revert' }));
+
+  expect(await screen.findByText('File changed since this submission')).toBeInTheDocument();
+});
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { AlertCircle, Loader, Lock } from 'lucide-react';
+import { apiFetch, setAuthToken } from './api';
+
+// Username/password login, or paste an API key instead
+export default function Login({ onSignedIn }) {
+  const [mode, setMode] = useState('password');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      if (mode === 'apiKey') {
+        setAuthToken(apiKey.trim());
+        const res = await apiFetch('/session');
+        const data = await res.json();
+        if (!data.authenticated) {
+          setAuthToken(null);
+          setError('That API key was not accepted');
+          return;
+        }
+      } else {
+        const res = await apiFetch('/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ username, password })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          setError(data.retryAfter ? `Too many attempts. Try again in ${Math.ceil(data.retryAfter / 60)} min.` : (data.error || 'Login failed'));
+          return;
+        }
+        setAuthToken(data.token);
+      }
+
+      onSignedIn();
+    } catch (err) {
+      setError('Failed to connect to backend');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canSubmit = mode === 'apiKey' ? apiKey.trim() : username && password;
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-6" style={{ fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif' }}>
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-xl shadow-sm border border-gray-200 p-8 space-y-5">
+        <div className="flex items-center gap-3">
+          <Lock className="text-gray-900" size={20} strokeWidth={2} />
+          <h1 className="text-xl font-semibold text-gray-900 tracking-tight">Sign in to DSA Journey</h1>
+        </div>
+
+        {error && (
+          <div className="p-3 rounded-lg flex items-start gap-2 text-sm" style={{ backgroundColor: '#fef2f2', color: '#991b1b' }}>
+            <AlertCircle size={16} strokeWidth={2} className="flex-shrink-0 mt-0.5" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {mode === 'apiKey' ? (
+          <input
+            type="password"
+            value={apiKey}
+            onChange={(e) => setApiKey(e.target.value)}
+            placeholder="API key"
+            autoFocus
+            className="w-full px-4 py-3 bg-gray-100 rounded-lg text-sm border-none focus:outline-none focus:ring-2 focus:ring-black"
+          />
+        ) : (
+          <>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Username"
+              autoComplete="username"
+              autoFocus
+              className="w-full px-4 py-3 bg-gray-100 rounded-lg text-sm border-none focus:outline-none focus:ring-2 focus:ring-black"
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoComplete="current-password"
+              className="w-full px-4 py-3 bg-gray-100 rounded-lg text-sm border-none focus:outline-none focus:ring-2 focus:ring-black"
+            />
+          </>
+        )}
+
+        <button
+          type="submit"
+          disabled={!canSubmit || loading}
+          className="w-full py-3 bg-black text-white font-medium rounded-lg hover:bg-gray-900 disabled:opacity-30 transition-all flex items-center justify-center gap-2"
+        >
+          {loading && <Loader className="animate-spin" size={16} strokeWidth={2} />}
+          <span>Sign in</span>
+        </button>
+
+        <button
+          type="button"
+          onClick={() => { setMode(mode === 'apiKey' ? 'password' : 'apiKey'); setError(''); }}
+          className="w-full text-sm text-gray-500 hover:text-gray-900 transition-colors"
+        >
+          {mode === 'apiKey' ? 'Use username and password' : 'Use an API key instead'}
+        </button>
+      </form>
+    </div>
+  );
+}
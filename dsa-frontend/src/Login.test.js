@@ -0,0 +1,55 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Login from './Login';
+import { getAuthToken } from './api';
+
+const respond = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+afterEach(() => {
+  window.localStorage.clear();
+  delete global.fetch;
+});
+
+test('stores the session token after a password login', async () => {
+  global.fetch = jest.fn(async () => respond(200, { token: 'session-token', username: 'alice' }));
+  const onSignedIn = jest.fn();
+  render(<Login onSignedIn={onSignedIn} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Username'), { target: { value: 'alice' } });
+  fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'secret' } });
+  fireEvent.click(screen.getByText('Sign in'));
+
+  await waitFor(() => expect(onSignedIn).toHaveBeenCalled());
+  expect(getAuthToken()).toBe('session-token');
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ username: 'alice', password: 'secret' });
+});
+
+test('shows the error for rejected and rate-limited logins', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(respond(401, { error: 'Invalid username or password' }))
+    .mockResolvedValueOnce(respond(429, { error: 'Too many requests, slow down', retryAfter: 600 }));
+  render(<Login onSignedIn={() => {}} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Username'), { target: { value: 'alice' } });
+  fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'nope' } });
+  fireEvent.click(screen.getByText('Sign in'));
+  expect(await screen.findByText('Invalid username or password')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Sign in'));
+  expect(await screen.findByText('Too many attempts. Try again in 10 min.')).toBeInTheDocument();
+  expect(getAuthToken()).toBeNull();
+});
+
+test('checks a pasted API key against the session endpoint', async () => {
+  global.fetch = jest.fn(async () => respond(200, { authenticated: false }));
+  const onSignedIn = jest.fn();
+  render(<Login onSignedIn={onSignedIn} />);
+
+  fireEvent.click(screen.getByText('Use an API key instead'));
+  fireEvent.change(screen.getByPlaceholderText('API key'), { target: { value: ' bad-key ' } });
+  fireEvent.click(screen.getByText('Sign in'));
+
+  expect(await screen.findByText('That API key was not accepted')).toBeInTheDocument();
+  expect(global.fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer bad-key' });
+  expect(getAuthToken()).toBeNull();
+  expect(onSignedIn).not.toHaveBeenCalled();
+});
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { Loader, Search } from 'lucide-react';
+import { apiFetch } from './api';
+
+const SEARCH_DEBOUNCE_MS = 250;
+const DIFFICULTY_COLORS = { Easy: '#16a34a', Medium: '#d97706', Hard: '#dc2626' };
+
+// Search the backend problem catalog by number, title or tag; picking one hands
+// back the catalog entry (with filenameBase and suggestedFolder) to the editor.
+export default function ProblemPicker({ onPick }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      setError('');
+      try {
+        const res = await apiFetch(`/problems?q=${encodeURIComponent(query.trim())}&limit=8`);
+        const data = await res.json();
+        if (cancelled) return;
+        if (res.ok) {
+          setResults(data.problems);
+        } else {
+          setError(data.error || 'Search failed');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Search failed. Check backend connection.');
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const pick = (problem) => {
+    onPick(problem);
+    setQuery('');
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex items-center gap-2 px-3 py-2 bg-gray-100 rounded-lg">
+        <Search className="text-gray-400 flex-shrink-0" size={14} strokeWidth={2} />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setTimeout(() => setOpen(false), 150)}
+          placeholder="Find a problem by number or title"
+          className="w-full px-0 py-0 bg-transparent text-sm text-gray-900 placeholder-gray-400 border-none focus:outline-none focus:ring-0"
+        />
+        {searching && <Loader className="animate-spin text-gray-400 flex-shrink-0" size={14} strokeWidth={2} />}
+      </div>
+
+      {open && query.trim() && (
+        <ul className="absolute z-10 mt-1 w-full bg-white rounded-lg shadow-lg border border-gray-200 divide-y divide-gray-100 overflow-hidden">
+          {error ? (
+            <li className="px-4 py-3 text-sm text-red-700">{error}</li>
+          ) : results.length === 0 ? (
+            <li className="px-4 py-3 text-sm text-gray-400">{searching ? 'Searching…' : 'No matching problems'}</li>
+          ) : results.map(problem => (
+            <li key={problem.number}>
+              <button
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => pick(problem)}
+                className="w-full px-4 py-2 text-left hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex items-center justify-between gap-3 text-sm">
+                  <span className="text-gray-900 truncate">{problem.number}. {problem.title}</span>
+                  {problem.difficulty && (
+                    <span className="text-xs font-medium flex-shrink-0" style={{ color: DIFFICULTY_COLORS[problem.difficulty] }}>
+                      {problem.difficulty}
+                    </span>
+                  )}
+                </div>
+                <div className="mt-0.5 text-xs text-gray-400 truncate">
+                  {problem.tags.join(' · ')}
+                  {problem.suggestedFolder && ` → ${problem.suggestedFolder}`}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
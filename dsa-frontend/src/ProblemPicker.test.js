@@ -0,0 +1,47 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ProblemPicker from './ProblemPicker';
+
+const REVERSE_LIST = {
+  number: 206,
+  title: 'Reverse Linked List',
+  difficulty: 'Easy',
+  tags: ['Linked List', 'Recursion'],
+  filenameBase: 'LC_206_Reverse_Linked_List',
+  suggestedFolder: 'DS/LinkedList'
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('searches the catalog and hands back the picked problem', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ total: 1, problems: [REVERSE_LIST] }) }));
+  const onPick = jest.fn();
+  render(<ProblemPicker onPick={onPick} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Find a problem by number or title'), { target: { value: 'reverse list' } });
+
+  const option = await screen.findByRole('button', { name: /206\. Reverse Linked List/ });
+  expect(screen.getByText('Linked List · Recursion → DS/LinkedList')).toBeInTheDocument();
+  expect(global.fetch.mock.calls[0][0]).toMatch(/\/api\/problems\?q=reverse%20list&limit=8$/);
+
+  fireEvent.click(option);
+  expect(onPick).toHaveBeenCalledWith(REVERSE_LIST);
+  expect(screen.getByPlaceholderText('Find a problem by number or title')).toHaveValue('');
+});
+
+test('says so when nothing matches', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ total: 0, problems: [] }) }));
+  render(<ProblemPicker onPick={() => {}} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Find a problem by number or title'), { target: { value: '9999' } });
+  expect(await screen.findByText('No matching problems')).toBeInTheDocument();
+});
+
+test('shows search errors', async () => {
+  global.fetch = jest.fn(async () => { throw new Error('offline'); });
+  render(<ProblemPicker onPick={() => {}} />);
+
+  fireEvent.change(screen.getByPlaceholderText('Find a problem by number or title'), { target: { value: 'two' } });
+  expect(await screen.findByText('Search failed. Check backend connection.')).toBeInTheDocument();
+});
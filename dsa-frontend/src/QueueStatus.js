@@ -0,0 +1,57 @@
+import React from 'react';
+import { Loader, RotateCw, Trash2 } from 'lucide-react';
+
+const STATE_LABELS = {
+  pending: 'Waiting to retry',
+  conflict: 'Needs review',
+  failed: 'Rejected'
+};
+
+export default function QueueStatus({ queue, replaying, onRetry, onRemove, onOpen }) {
+  if (queue.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-5 py-4 border-b border-gray-100 flex items-center justify-between">
+        <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
+          Retry Queue
+        </label>
+        {replaying && <Loader className="animate-spin text-gray-400" size={14} strokeWidth={2} />}
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {queue.map(item => (
+          <li key={item.id} className="px-5 py-3 flex items-center justify-between gap-3">
+            <button onClick={() => onOpen(item)} className="text-left min-w-0">
+              <span className="block text-sm text-gray-900 truncate" style={{ fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace' }}>
+                {item.label}
+              </span>
+              <span className={`block text-xs ${item.state === 'pending' ? 'text-gray-400' : 'text-red-700'}`}>
+                {STATE_LABELS[item.state]}
+                {item.state === 'pending' && item.attempts > 0 && ` · attempt ${item.attempts + 1} at ${new Date(item.nextAttemptAt).toLocaleTimeString()}`}
+                {item.lastError && ` · ${item.lastError}`}
+              </span>
+            </button>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              {item.state === 'pending' && (
+                <button
+                  onClick={() => onRetry(item.id)}
+                  className="text-gray-400 hover:text-gray-600 transition-colors"
+                  aria-label="Retry now"
+                >
+                  <RotateCw size={16} strokeWidth={2} />
+                </button>
+              )}
+              <button
+                onClick={() => onRemove(item.id)}
+                className="text-gray-400 hover:text-gray-600 transition-colors"
+                aria-label="Discard"
+              >
+                <Trash2 size={16} strokeWidth={2} />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import QueueStatus from './QueueStatus';
+
+const item = (fields) => ({ id: 'a', label: 'DS/Array/LC_1_Two_Sum.py', state: 'pending', attempts: 0, nextAttemptAt: 0, lastError: 'Backend unreachable', ...fields });
+
+test('renders nothing while the queue is empty', () => {
+  const { container } = render(<QueueStatus queue={[]} replaying={false} onRetry={() => {}} onRemove={() => {}} onOpen={() => {}} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('lists queued submissions with their state and actions', () => {
+  const onRetry = jest.fn();
+  const onRemove = jest.fn();
+  const onOpen = jest.fn();
+  const queue = [item(), item({ id: 'b', label: 'DS/Tree/x.py', state: 'conflict', lastError: 'Already exists in the repository' })];
+  render(<QueueStatus queue={queue} replaying={false} onRetry={onRetry} onRemove={onRemove} onOpen={onOpen} />);
+
+  expect(screen.getByText(/Waiting to retry · Backend unreachable/)).toBeInTheDocument();
+  expect(screen.getByText(/Needs review · Already exists/)).toBeInTheDocument();
+
+  // Only pending items can be retried
+  expect(screen.getAllByLabelText('Retry now')).toHaveLength(1);
+  fireEvent.click(screen.getByLabelText('Retry now'));
+  expect(onRetry).toHaveBeenCalledWith('a');
+
+  fireEvent.click(screen.getAllByLabelText('Discard')[1]);
+  expect(onRemove).toHaveBeenCalledWith('b');
+
+  fireEvent.click(screen.getByText('DS/Tree/x.py'));
+  expect(onOpen).toHaveBeenCalledWith(queue[1]);
+});
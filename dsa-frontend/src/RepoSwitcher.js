@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import { Database } from 'lucide-react';
+import { apiFetch } from './api';
+
+// Header dropdown for the gateway's configured repositories; hidden when there's only one.
+// A remembered repo that's no longer configured falls back to the default.
+export default function RepoSwitcher({ repo, onChange }) {
+  const [repos, setRepos] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        // Asked without ?repo= so a stale choice can't make this request fail
+        const res = await apiFetch('/repos', { repo: null });
+        if (res.ok && !cancelled) setRepos(await res.json());
+      } catch (err) {
+        // Gateway unreachable; keep the current selection
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (repos && repo && !repos.repositories.some(r => r.id === repo)) {
+      onChange(repos.default);
+    }
+  }, [repos, repo, onChange]);
+
+  if (!repos || repos.repositories.length < 2) return null;
+
+  return (
+    <label className="mr-3 flex items-center gap-2 text-sm text-gray-600" title="Target repository">
+      <Database size={16} strokeWidth={2} className="text-gray-400" />
+      <select
+        value={repo || repos.default}
+        onChange={(e) => onChange(e.target.value)}
+        className="px-2 py-1.5 text-sm text-gray-900 bg-white border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-900"
+      >
+        {repos.repositories.map(r => (
+          <option key={r.id} value={r.id}>{r.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
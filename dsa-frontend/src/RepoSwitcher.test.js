@@ -0,0 +1,48 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import RepoSwitcher from './RepoSwitcher';
+
+const REPOS = {
+  default: 'main',
+  repositories: [
+    { id: 'main', name: 'alice/dsa', storage: 'github' },
+    { id: 'notes', name: 'Scratch notes', storage: 'local' }
+  ]
+};
+
+const respondWith = (body) => {
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => body }));
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('lists repositories and reports the chosen one', async () => {
+  respondWith(REPOS);
+  const onChange = jest.fn();
+  render(<RepoSwitcher repo={null} onChange={onChange} />);
+
+  const select = await screen.findByRole('combobox');
+  expect(select).toHaveValue('main');
+  // Asked without ?repo= so a stale selection can't break the list
+  expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:4000/api/repos');
+
+  fireEvent.change(select, { target: { value: 'notes' } });
+  expect(onChange).toHaveBeenCalledWith('notes');
+});
+
+test('stays hidden with a single repository', async () => {
+  respondWith({ default: 'main', repositories: [REPOS.repositories[0]] });
+  render(<RepoSwitcher repo={null} onChange={() => {}} />);
+
+  await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+  expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+});
+
+test('falls back to the default when the remembered repository is gone', async () => {
+  respondWith(REPOS);
+  const onChange = jest.fn();
+  render(<RepoSwitcher repo="removed" onChange={onChange} />);
+
+  await waitFor(() => expect(onChange).toHaveBeenCalledWith('main'));
+});
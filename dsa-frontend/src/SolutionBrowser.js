@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { FileCode, Loader, Pencil, Search, X } from 'lucide-react';
+import { apiFetch } from './api';
+
+const MONO_FONT = 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace';
+
+// "DS", "DS/Tree", "DS/Tree/BST", ... in tree order
+const flattenFolderPaths = (tree, prefix = '') =>
+  Object.keys(tree).flatMap(name => {
+    const path = prefix ? `${prefix}/${name}` : name;
+    return [path, ...flattenFolderPaths(tree[name], path)];
+  });
+
+const formatSize = (bytes) => {
+  if (bytes == null) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+const extensionOf = (filename) => {
+  const dot = filename.lastIndexOf('.');
+  return dot > 0 ? filename.slice(dot + 1).toLowerCase() : '';
+};
+
+export default function SolutionBrowser({ folders, onEdit }) {
+  const [files, setFiles] = useState([]);
+  const [extensions, setExtensions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [folder, setFolder] = useState('');
+  const [ext, setExt] = useState('');
+  const [query, setQuery] = useState('');
+  const [searchContent, setSearchContent] = useState(false);
+  const [viewing, setViewing] = useState(null);
+  const [viewError, setViewError] = useState('');
+
+  // Filtering happens server-side so filename and content search share one path
+  useEffect(() => {
+    let cancelled = false;
+
+    const params = new URLSearchParams();
+    if (folder) params.set('folder', folder);
+    if (ext) params.set('ext', ext);
+    if (query.trim()) params.set('q', query.trim());
+    if (searchContent && query.trim()) params.set('content', '1');
+
+    // Debounce typing; filter changes go out immediately
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const res = await apiFetch(`/solutions?${params}`);
+        const data = await res.json();
+        if (cancelled) return;
+
+        if (res.ok) {
+          setFiles(data.files);
+          setExtensions(prev => [...new Set([...prev, ...data.files.map(f => extensionOf(f.filename)).filter(Boolean)])].sort());
+        } else {
+          setError(data.error || 'Failed to load solutions');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Failed to load solutions. Check backend connection.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, query ? 300 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [folder, ext, query, searchContent]);
+
+  const openFile = async (file) => {
+    setViewing({ ...file, content: null });
+    setViewError('');
+
+    try {
+      const res = await apiFetch(`/file?path=${encodeURIComponent(file.path)}`);
+      const data = await res.json();
+
+      if (res.ok) {
+        setViewing(prev => (prev?.path === file.path ? { ...prev, ...data } : prev));
+      } else {
+        setViewError(data.error || 'Failed to load file');
+      }
+    } catch (err) {
+      setViewError('Failed to load file');
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {/* File List */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <div className="px-5 py-4 border-b border-gray-100 space-y-3">
+          <div className="flex items-center gap-2">
+            <Search className="text-gray-400 flex-shrink-0" size={16} strokeWidth={2} />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search solutions"
+              className="w-full px-0 py-1 bg-transparent text-gray-900 text-sm placeholder-gray-400 border-none focus:outline-none focus:ring-0"
+            />
+          </div>
+          <div className="flex items-center gap-3 flex-wrap text-sm">
+            <select
+              value={folder}
+              onChange={(e) => setFolder(e.target.value)}
+              className="px-3 py-1.5 bg-gray-100 rounded-lg border-none focus:outline-none"
+            >
+              <option value="">All folders</option>
+              {flattenFolderPaths(folders).map(path => (
+                <option key={path} value={path}>{path}</option>
+              ))}
+            </select>
+            <select
+              value={ext}
+              onChange={(e) => setExt(e.target.value)}
+              className="px-3 py-1.5 bg-gray-100 rounded-lg border-none focus:outline-none"
+            >
+              <option value="">All types</option>
+              {extensions.map(e => (
+                <option key={e} value={e}>.{e}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-gray-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={searchContent}
+                onChange={(e) => setSearchContent(e.target.checked)}
+              />
+              Search file contents
+            </label>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="p-12 flex items-center justify-center">
+            <Loader className="animate-spin text-gray-400" size={24} strokeWidth={2} />
+          </div>
+        ) : error ? (
+          <p className="px-5 py-6 text-sm text-red-700">{error}</p>
+        ) : files.length === 0 ? (
+          <p className="px-5 py-6 text-sm text-gray-400">No solutions found</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 overflow-y-auto" style={{ maxHeight: '60vh' }}>
+            {files.map(file => (
+              <li key={file.path}>
+                <button
+                  onClick={() => openFile(file)}
+                  className={`w-full px-5 py-3 text-left transition-colors ${viewing?.path === file.path ? 'bg-gray-100' : 'hover:bg-gray-50'}`}
+                >
+                  <div className="flex items-center justify-between gap-3">
+                    <span className="text-sm text-gray-900 break-all" style={{ fontFamily: MONO_FONT }}>{file.filename}</span>
+                    <span className="text-xs text-gray-400 flex-shrink-0">{formatSize(file.size)}</span>
+                  </div>
+                  <div className="mt-1 flex items-center justify-between gap-3 text-xs text-gray-500">
+                    <span className="break-all">{file.folder}{file.language ? ` · ${file.language}` : ''}</span>
+                    {file.lastCommit && (
+                      <span className="flex-shrink-0" title={file.lastCommit.message}>
+                        {new Date(file.lastCommit.date).toLocaleDateString()}
+                      </span>
+                    )}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Read-only Viewer */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        {viewing ? (
+          <>
+            <div className="px-5 py-4 border-b border-gray-100 flex items-center justify-between gap-3">
+              <span className="text-sm text-gray-900 break-all" style={{ fontFamily: MONO_FONT }}>{viewing.path}</span>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <button
+                  onClick={() => onEdit(viewing)}
+                  disabled={viewing.content == null}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-black text-white text-sm rounded-lg hover:bg-gray-900 disabled:opacity-30 transition-all"
+                >
+                  <Pencil size={14} strokeWidth={2} />
+                  <span>Edit</span>
+                </button>
+                <button
+                  onClick={() => setViewing(null)}
+                  className="text-gray-400 hover:text-gray-600 transition-colors"
+                >
+                  <X size={18} strokeWidth={2} />
+                </button>
+              </div>
+            </div>
+            {viewError ? (
+              <p className="px-5 py-6 text-sm text-red-700">{viewError}</p>
+            ) : viewing.content == null ? (
+              <div className="p-12 flex items-center justify-center">
+                <Loader className="animate-spin text-gray-400" size={24} strokeWidth={2} />
+              </div>
+            ) : (
+              <pre className="p-5 m-0 text-sm leading-6 text-gray-900 overflow-auto" style={{ fontFamily: MONO_FONT, maxHeight: '60vh' }}>
+                {viewing.content}
+              </pre>
+            )}
+          </>
+        ) : (
+          <div className="p-12 flex flex-col items-center justify-center text-gray-400 gap-3">
+            <FileCode size={32} strokeWidth={1.5} />
+            <span className="text-sm">Select a solution to view it</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SolutionBrowser from './SolutionBrowser';
+
+const FOLDERS = { DS: { Array: {}, Tree: {} } };
+const FILES = [
+  { path: 'DS/Array/LC_1_Two_Sum.py', filename: 'LC_1_Two_Sum.py', folder: 'DS/Array', size: 2048, language: 'Python', lastCommit: null },
+  { path: 'DS/Tree/LC_100_Same_Tree.cpp', filename: 'LC_100_Same_Tree.cpp', folder: 'DS/Tree', size: 10, language: 'C++', lastCommit: null }
+];
+
+beforeEach(() => {
+  global.fetch = jest.fn(async (url) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/api/file') {
+      return { ok: true, json: async () => ({ path: searchParams.get('path'), content: 'print(1)', sha: 'a'.repeat(40) }) };
+    }
+    const folder = searchParams.get('folder');
+    return { ok: true, json: async () => ({ files: FILES.filter(f => !folder || f.folder === folder) }) };
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const solutionRequests = () => global.fetch.mock.calls
+  .map(([url]) => new URL(url))
+  .filter(url => url.pathname === '/api/solutions');
+
+test('lists solutions and filters by folder on the server', async () => {
+  render(<SolutionBrowser folders={FOLDERS} onEdit={() => {}} />);
+
+  expect(await screen.findByText('LC_1_Two_Sum.py')).toBeInTheDocument();
+  expect(screen.getByText('2.0 KB')).toBeInTheDocument();
+  expect(screen.getByText('DS/Tree · C++')).toBeInTheDocument();
+  expect(screen.getByRole('option', { name: '.cpp' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByDisplayValue('All folders'), { target: { value: 'DS/Tree' } });
+  await waitFor(() => expect(screen.queryByText('LC_1_Two_Sum.py')).not.toBeInTheDocument());
+  expect(solutionRequests().at(-1).searchParams.get('folder')).toBe('DS/Tree');
+});
+
+test('searches file contents only when asked to', async () => {
+  render(<SolutionBrowser folders={FOLDERS} onEdit={() => {}} />);
+  await screen.findByText('LC_1_Two_Sum.py');
+
+  fireEvent.change(screen.getByPlaceholderText('Search solutions'), { target: { value: 'hash' } });
+  await waitFor(() => expect(solutionRequests().at(-1).searchParams.get('q')).toBe('hash'));
+  expect(solutionRequests().at(-1).searchParams.has('content')).toBe(false);
+
+  fireEvent.click(screen.getByLabelText('Search file contents'));
+  await waitFor(() => expect(solutionRequests().at(-1).searchParams.get('content')).toBe('1'));
+});
+
+test('opens a solution read-only and hands it to the editor', async () => {
+  const onEdit = jest.fn();
+  render(<SolutionBrowser folders={FOLDERS} onEdit={onEdit} />);
+
+  fireEvent.click(await screen.findByText('LC_1_Two_Sum.py'));
+  expect(await screen.findByText('print(1)')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Edit'));
+  expect(onEdit).toHaveBeenCalledWith(expect.objectContaining({ path: 'DS/Array/LC_1_Two_Sum.py', content: 'print(1)' }));
+});
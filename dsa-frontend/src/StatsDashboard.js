@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { Loader, RefreshCw } from 'lucide-react';
+import { apiFetch } from './api';
+
+const HEATMAP_WEEKS = 53;
+const HEATMAP_COLORS = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+const DIFFICULTY_COLORS = { Easy: '#16a34a', Medium: '#d97706', Hard: '#dc2626', Unknown: '#9ca3af' };
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+// Commits per day -> color step (0 = none)
+const heatLevel = (count) => (count === 0 ? 0 : count === 1 ? 1 : count <= 3 ? 2 : count <= 6 ? 3 : 4);
+
+const addDays = (day, delta) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + delta);
+  return date.toISOString().slice(0, 10);
+};
+
+// Columns of 7 days (Sunday first) ending with the week containing today
+const heatmapWeeks = (today) => {
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  const start = addDays(today, -weekday - (HEATMAP_WEEKS - 1) * 7);
+  return Array.from({ length: HEATMAP_WEEKS }, (_, week) =>
+    Array.from({ length: 7 }, (_, day) => addDays(start, week * 7 + day))
+  );
+};
+
+function Card({ title, children }) {
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-5 py-4 border-b border-gray-100">
+        <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
+          {title}
+        </label>
+      </div>
+      <div className="p-5">{children}</div>
+    </div>
+  );
+}
+
+function BarList({ items, color = '#111827' }) {
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-400">No solutions yet</p>;
+  }
+
+  const max = Math.max(...items.map(item => item.count));
+  return (
+    <ul className="space-y-2">
+      {items.map(item => (
+        <li key={item.name} className="flex items-center gap-3 text-sm">
+          <span className="w-28 flex-shrink-0 text-gray-700 truncate" title={item.name}>{item.name}</span>
+          <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div className="h-full rounded-full" style={{ width: `${(item.count / max) * 100}%`, backgroundColor: item.color || color }} />
+          </div>
+          <span className="w-8 text-right text-gray-500">{item.count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Heatmap({ days, today }) {
+  const weeks = heatmapWeeks(today);
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="flex gap-1">
+        <div className="flex flex-col gap-1 mr-1 text-gray-400" style={{ fontSize: 10 }}>
+          {WEEKDAY_LABELS.map((label, i) => (
+            <div key={i} style={{ height: 11, lineHeight: '11px' }}>{label}</div>
+          ))}
+        </div>
+        {weeks.map(week => (
+          <div key={week[0]} className="flex flex-col gap-1">
+            {week.map(day => {
+              const count = days[day] || 0;
+              return (
+                <div
+                  key={day}
+                  title={day > today ? '' : `${count} commit${count === 1 ? '' : 's'} on ${day}`}
+                  style={{
+                    width: 11,
+                    height: 11,
+                    borderRadius: 2,
+                    backgroundColor: day > today ? 'transparent' : HEATMAP_COLORS[heatLevel(count)]
+                  }}
+                />
+              );
+            })}
+          </div>
+        ))}
+      </div>
+      <div className="mt-3 flex items-center justify-end gap-1 text-xs text-gray-400">
+        <span className="mr-1">Less</span>
+        {HEATMAP_COLORS.map(color => (
+          <div key={color} style={{ width: 11, height: 11, borderRadius: 2, backgroundColor: color }} />
+        ))}
+        <span className="ml-1">More</span>
+      </div>
+    </div>
+  );
+}
+
+export default function StatsDashboard() {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchStats = async (refresh = false) => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await apiFetch(refresh ? '/stats?refresh=1' : '/stats');
+      const data = await res.json();
+      if (res.ok) {
+        setStats(data);
+      } else {
+        setError(data.error || 'Failed to load stats');
+      }
+    } catch (err) {
+      setError('Failed to load stats. Check backend connection.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStats();
+  }, []);
+
+  if (!stats) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 flex items-center justify-center">
+        {loading ? (
+          <Loader className="animate-spin text-gray-400" size={24} strokeWidth={2} />
+        ) : (
+          <p className="text-sm text-red-700">{error}</p>
+        )}
+      </div>
+    );
+  }
+
+  const { activity } = stats;
+  const summary = [
+    { label: 'Solutions', value: stats.total },
+    { label: 'Current streak', value: `${activity.currentStreak} day${activity.currentStreak === 1 ? '' : 's'}` },
+    { label: 'Longest streak', value: `${activity.longestStreak} day${activity.longestStreak === 1 ? '' : 's'}` },
+    { label: 'Active days (1y)', value: activity.activeDays }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        {error ? <p className="text-sm text-red-700">{error}</p> : <span />}
+        <button
+          onClick={() => fetchStats(true)}
+          disabled={loading}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-30 transition-colors"
+        >
+          <RefreshCw size={14} strokeWidth={2} className={loading ? 'animate-spin' : ''} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {summary.map(item => (
+          <div key={item.label} className="bg-white rounded-xl shadow-sm border border-gray-200 px-5 py-4">
+            <p className="text-xs font-semibold text-gray-500 uppercase tracking-wider">{item.label}</p>
+            <p className="mt-1 text-2xl font-semibold text-gray-900">{item.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <Card title={`Activity · ${activity.totalCommits} commits in the last year`}>
+        <Heatmap days={activity.days} today={activity.today} />
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card title="By Folder">
+          <BarList items={stats.byFolder} />
+          {stats.byFolder.some(folder => folder.subfolders.length > 0) && (
+            <div className="mt-5 pt-4 border-t border-gray-100 space-y-4">
+              {stats.byFolder.filter(folder => folder.subfolders.length > 0).map(folder => (
+                <div key={folder.name}>
+                  <p className="mb-2 text-xs font-medium text-gray-500">{folder.name}</p>
+                  <BarList items={folder.subfolders} color="#6b7280" />
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+        <Card title="By Language">
+          <BarList items={stats.byLanguage} />
+        </Card>
+        <Card title="By Difficulty">
+          <BarList
+            items={Object.entries(stats.byDifficulty)
+              .filter(([, count]) => count > 0)
+              .map(([name, count]) => ({ name, count, color: DIFFICULTY_COLORS[name] }))}
+          />
+        </Card>
+      </div>
+    </div>
+  );
+}
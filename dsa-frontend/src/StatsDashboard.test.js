@@ -0,0 +1,53 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import StatsDashboard from './StatsDashboard';
+
+const STATS = {
+  total: 3,
+  byFolder: [{ name: 'DS', count: 3, subfolders: [{ name: 'Array', count: 2 }, { name: 'Tree', count: 1 }] }],
+  byLanguage: [{ language: 'python', name: 'Python', count: 3 }],
+  byDifficulty: { Easy: 1, Medium: 0, Hard: 0, Unknown: 2 },
+  activity: {
+    today: '2026-01-10',
+    days: { '2026-01-09': 2, '2026-01-10': 1 },
+    totalCommits: 3,
+    activeDays: 2,
+    currentStreak: 2,
+    longestStreak: 2
+  }
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('shows totals, streaks, breakdowns and the activity heatmap', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => STATS }));
+  render(<StatsDashboard />);
+
+  expect(await screen.findByText('Activity · 3 commits in the last year')).toBeInTheDocument();
+  expect(screen.getAllByText('2 days')).toHaveLength(2);
+  expect(screen.getByText('Array')).toBeInTheDocument();
+  expect(screen.getByText('Python')).toBeInTheDocument();
+  // Difficulties with no solutions are left out
+  expect(screen.getByText('Easy')).toBeInTheDocument();
+  expect(screen.queryByText('Medium')).not.toBeInTheDocument();
+  expect(screen.getByTitle('2 commits on 2026-01-09')).toBeInTheDocument();
+  expect(screen.getByTitle('1 commit on 2026-01-10')).toBeInTheDocument();
+});
+
+test('refresh bypasses the server cache', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => STATS }));
+  render(<StatsDashboard />);
+  await screen.findByText('Activity · 3 commits in the last year');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Refresh' }));
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+  expect(global.fetch.mock.calls[1][0]).toMatch(/\/api\/stats\?refresh=1$/);
+});
+
+test('shows the error when stats fail to load', async () => {
+  global.fetch = jest.fn(async () => ({ ok: false, json: async () => ({ error: 'GitHub rate limit exceeded' }) }));
+  render(<StatsDashboard />);
+
+  expect(await screen.findByText('GitHub rate limit exceeded')).toBeInTheDocument();
+});
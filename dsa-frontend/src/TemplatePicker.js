@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { FileCode, Loader } from 'lucide-react';
+import { apiFetch } from './api';
+
+// Language whose extension the filename already has, else the detected one
+const suggestLanguage = (templates, filename, detectedExtension) => {
+  const lower = filename.toLowerCase();
+  const byFilename = templates.find(t => lower.endsWith(t.extension));
+  const byDetection = templates.find(t => t.extension === detectedExtension);
+  return (byFilename || byDetection || templates[0] || {}).language || '';
+};
+
+// Fills the editor with the skeleton for a language; folder-specific templates win over the defaults
+export default function TemplatePicker({ folder, filename, detectedExtension, hasCode, onInsert }) {
+  const [templates, setTemplates] = useState([]);
+  const [language, setLanguage] = useState('');
+  const [inserting, setInserting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const res = await apiFetch(`/templates?folder=${encodeURIComponent(folder)}`);
+        const data = await res.json();
+        if (!cancelled && res.ok) setTemplates(data.templates);
+      } catch (err) {
+        // No templates to offer; the picker just stays hidden
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [folder]);
+
+  if (templates.length === 0) return null;
+
+  const selected = language || suggestLanguage(templates, filename, detectedExtension);
+
+  const insert = async () => {
+    if (hasCode && !window.confirm('Replace the current code with the template?')) return;
+
+    setInserting(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ folder });
+      if (filename.trim()) params.set('filename', filename.trim());
+      const res = await apiFetch(`/templates/${selected}?${params}`);
+      const data = await res.json();
+
+      if (res.ok) {
+        onInsert(data);
+      } else {
+        setError(data.error || 'Failed to load template');
+      }
+    } catch (err) {
+      setError('Failed to load template');
+    } finally {
+      setInserting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      {error && <span className="text-xs text-red-700">{error}</span>}
+      <select
+        value={selected}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="px-2 py-1 bg-gray-100 rounded-lg border-none text-xs focus:outline-none"
+        aria-label="Template language"
+      >
+        {templates.map(t => (
+          <option key={t.language} value={t.language}>
+            {t.name}{t.source ? ` (${t.source})` : ''}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={insert}
+        disabled={inserting}
+        className="flex items-center gap-1 px-2 py-1 text-xs text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-30 transition-colors"
+      >
+        {inserting ? <Loader className="animate-spin" size={12} strokeWidth={2} /> : <FileCode size={12} strokeWidth={2} />}
+        <span>Template</span>
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TemplatePicker from './TemplatePicker';
+
+const TEMPLATES = [
+  { language: 'cpp', name: 'C++', extension: '.cpp', source: 'DS/Tree' },
+  { language: 'python', name: 'Python', extension: '.py', source: null }
+];
+
+const TEMPLATE = { language: 'python', extension: '.py', content: '# 1. Two Sum\n' };
+
+function mockTemplates(template = { ok: true, json: async () => TEMPLATE }) {
+  global.fetch = jest.fn(async (url) => (url.includes('/templates?')
+    ? { ok: true, json: async () => ({ templates: TEMPLATES }) }
+    : template));
+}
+
+const setup = (props = {}) => {
+  const onInsert = jest.fn();
+  render(<TemplatePicker folder="DS/Tree" filename="" hasCode={false} onInsert={onInsert} {...props} />);
+  return onInsert;
+};
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test('stays hidden when there are no templates', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ templates: [] }) }));
+  setup();
+
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledWith('http://localhost:4000/api/templates?folder=DS%2FTree', expect.anything()));
+  expect(screen.queryByRole('button', { name: 'Template' })).not.toBeInTheDocument();
+});
+
+test('preselects the language of the filename and labels folder templates', async () => {
+  mockTemplates();
+  setup({ filename: 'LC_1_Two_Sum.py', detectedExtension: '.cpp' });
+
+  const select = await screen.findByLabelText('Template language');
+  expect(select).toHaveValue('python');
+  expect(screen.getByRole('option', { name: 'C++ (DS/Tree)' })).toBeInTheDocument();
+});
+
+test('falls back to the detected language', async () => {
+  mockTemplates();
+  setup({ filename: 'LC_1_Two_Sum', detectedExtension: '.py' });
+
+  expect(await screen.findByLabelText('Template language')).toHaveValue('python');
+});
+
+test('inserts the rendered template for the filename', async () => {
+  mockTemplates();
+  const onInsert = setup({ filename: 'LC_1_Two_Sum.py' });
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Template' }));
+
+  await waitFor(() => expect(onInsert).toHaveBeenCalledWith(TEMPLATE));
+  expect(global.fetch).toHaveBeenCalledWith(
+    'http://localhost:4000/api/templates/python?folder=DS%2FTree&filename=LC_1_Two_Sum.py',
+    expect.anything()
+  );
+});
+
+test('asks before replacing existing code', async () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(false);
+  mockTemplates();
+  const onInsert = setup({ hasCode: true });
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Template' }));
+
+  expect(window.confirm).toHaveBeenCalledWith('Replace the current code with the template?');
+  expect(onInsert).not.toHaveBeenCalled();
+});
+
+test('shows why a template could not be loaded', async () => {
+  mockTemplates({ ok: false, json: async () => ({ error: 'No template for C++' }) });
+  setup();
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Template' }));
+
+  expect(await screen.findByText('No template for C++')).toBeInTheDocument();
+});
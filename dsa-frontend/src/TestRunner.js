@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { CheckCircle, Loader, Play, Plus, Trash2, XCircle } from 'lucide-react';
+import { apiFetch } from './api';
+
+const MONO_FONT = 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, Consolas, monospace';
+
+export const emptyTests = () => ({ mode: 'function', entry: '', cases: [] });
+
+// Only JavaScript can be executed by the backend runner
+export const isRunnable = (filename, detection) => {
+  const ext = (filename.match(/\.([A-Za-z0-9]+)$/) || [])[1];
+  return ext ? ['js', 'mjs', 'cjs'].includes(ext.toLowerCase()) : detection?.language === 'javascript';
+};
+
+// A run only counts while the code is exactly what was tested
+export const hasPassingRun = (run, content) => Boolean(run && run.passed && run.content === content);
+
+// "Run tests" panel for the active tab. Cases live on the file (so drafts keep them);
+// the latest run result is kept by the parent per tab.
+export default function TestRunner({ tests, onChange, run, onRun, runnable, code, requireTests, onRequireTestsChange }) {
+  const [running, setRunning] = useState(false);
+
+  const updateCase = (index, changes) => {
+    onChange({ ...tests, cases: tests.cases.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+  };
+  const addCase = () => onChange({ ...tests, cases: [...tests.cases, { input: '', expected: '' }] });
+  const removeCase = (index) => onChange({ ...tests, cases: tests.cases.filter((_, i) => i !== index) });
+
+  const runTests = async () => {
+    setRunning(true);
+    try {
+      const res = await apiFetch('/run', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          code,
+          cases: tests.cases,
+          mode: tests.mode,
+          entry: tests.entry.trim() || undefined,
+          language: 'javascript'
+        })
+      });
+      const data = await res.json();
+      onRun(res.ok ? { ...data, content: code } : { error: data.error || 'Failed to run tests', content: code });
+    } catch (err) {
+      onRun({ error: 'Failed to connect to backend', content: code });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const stale = run && run.content !== code;
+  const resultFor = (index) => (run && !stale && run.results ? run.results[index] : null);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-5 py-4 border-b border-gray-100 flex items-center justify-between gap-3">
+        <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wider">
+          Tests
+        </label>
+        {run && !stale && run.results && (
+          <span className={`text-xs font-medium ${run.passed ? 'text-green-700' : 'text-red-700'}`}>
+            {run.passedCount}/{run.total} passed
+          </span>
+        )}
+        {stale && <span className="text-xs text-gray-400">Code changed since the last run</span>}
+      </div>
+
+      {!runnable ? (
+        <p className="px-5 py-4 text-sm text-gray-400">Only JavaScript solutions can be run</p>
+      ) : (
+        <div className="p-5 space-y-4">
+          <div className="flex items-center gap-3 flex-wrap text-sm">
+            <select
+              value={tests.mode}
+              onChange={(e) => onChange({ ...tests, mode: e.target.value })}
+              className="px-3 py-1.5 bg-gray-100 rounded-lg border-none focus:outline-none"
+            >
+              <option value="function">Call a function</option>
+              <option value="program">stdin → stdout</option>
+            </select>
+            {tests.mode === 'function' && (
+              <input
+                type="text"
+                value={tests.entry}
+                onChange={(e) => onChange({ ...tests, entry: e.target.value })}
+                placeholder={run?.entry || 'function name (auto)'}
+                className="flex-1 min-w-0 px-3 py-1.5 bg-gray-100 rounded-lg border-none focus:outline-none"
+                style={{ fontFamily: MONO_FONT }}
+              />
+            )}
+          </div>
+          <p className="text-xs text-gray-400">
+            {tests.mode === 'function'
+              ? 'One JSON argument per input line, e.g. [2,7,11,15] then 9.'
+              : 'Input is readable with readline(); output is whatever console.log prints.'}
+          </p>
+
+          {tests.cases.map((testCase, index) => {
+            const result = resultFor(index);
+            return (
+              <div key={index} className="border border-gray-100 rounded-lg p-3 space-y-2">
+                <div className="flex items-center justify-between text-xs text-gray-500">
+                  <span className="flex items-center gap-1">
+                    {result && (result.passed
+                      ? <CheckCircle className="text-green-600" size={14} strokeWidth={2} />
+                      : <XCircle className="text-red-600" size={14} strokeWidth={2} />)}
+                    Case {index + 1}
+                    {result && ` · ${result.timeMs} ms`}
+                  </span>
+                  <button
+                    onClick={() => removeCase(index)}
+                    className="text-gray-400 hover:text-gray-600 transition-colors"
+                    aria-label={`Remove case ${index + 1}`}
+                  >
+                    <Trash2 size={14} strokeWidth={2} />
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <textarea
+                    value={testCase.input}
+                    onChange={(e) => updateCase(index, { input: e.target.value })}
+                    placeholder="Input"
+                    rows={2}
+                    className="w-full px-3 py-2 bg-gray-50 rounded-lg text-xs border-none focus:outline-none resize-y"
+                    style={{ fontFamily: MONO_FONT }}
+                  />
+                  <textarea
+                    value={testCase.expected}
+                    onChange={(e) => updateCase(index, { expected: e.target.value })}
+                    placeholder="Expected output"
+                    rows={2}
+                    className="w-full px-3 py-2 bg-gray-50 rounded-lg text-xs border-none focus:outline-none resize-y"
+                    style={{ fontFamily: MONO_FONT }}
+                  />
+                </div>
+                {result && !result.passed && (
+                  <pre className="m-0 px-3 py-2 rounded-lg text-xs whitespace-pre-wrap break-all" style={{ fontFamily: MONO_FONT, backgroundColor: '#fef2f2', color: '#991b1b' }}>
+                    {result.error ? result.error : `Got: ${result.actual}`}
+                  </pre>
+                )}
+                {result && result.stdout && (
+                  <pre className="m-0 px-3 py-2 bg-gray-50 rounded-lg text-xs text-gray-600 whitespace-pre-wrap break-all" style={{ fontFamily: MONO_FONT }}>
+                    {result.stdout}
+                  </pre>
+                )}
+              </div>
+            );
+          })}
+
+          {run?.error && !stale && <p className="text-sm text-red-700">{run.error}</p>}
+
+          <div className="flex items-center justify-between gap-3">
+            <button
+              onClick={addCase}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-500 hover:text-gray-900 hover:bg-gray-100 transition-colors"
+            >
+              <Plus size={14} strokeWidth={2} />
+              <span>Add case</span>
+            </button>
+            <button
+              onClick={runTests}
+              disabled={running || tests.cases.length === 0 || !code.trim()}
+              className="flex items-center gap-2 px-4 py-1.5 bg-black text-white text-sm rounded-lg hover:bg-gray-900 disabled:opacity-30 transition-all"
+            >
+              {running ? <Loader className="animate-spin" size={14} strokeWidth={2} /> : <Play size={14} strokeWidth={2} />}
+              <span>Run tests</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      <label className="px-5 py-3 border-t border-gray-100 flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={requireTests}
+          onChange={(e) => onRequireTestsChange(e.target.checked)}
+        />
+        Require passing tests before submitting JavaScript
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TestRunner, { emptyTests, isRunnable, hasPassingRun } from './TestRunner';
+
+const CODE = 'var add = function(a, b) { return a + b; };';
+
+// Holds tests and the last run the way App does per tab
+function Harness({ code = CODE, runnable = true }) {
+  const [tests, setTests] = useState(emptyTests());
+  const [run, setRun] = useState(null);
+  return (
+    <TestRunner
+      tests={tests}
+      onChange={setTests}
+      run={run}
+      onRun={setRun}
+      runnable={runnable}
+      code={code}
+      requireTests={false}
+      onRequireTestsChange={() => {}}
+    />
+  );
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('only JavaScript files are runnable', () => {
+  expect(isRunnable('LC_1_Two_Sum.js', null)).toBe(true);
+  expect(isRunnable('LC_1_Two_Sum.py', { language: 'javascript' })).toBe(false);
+  expect(isRunnable('LC_1_Two_Sum', { language: 'javascript' })).toBe(true);
+});
+
+test('a run only counts for the code it ran against', () => {
+  expect(hasPassingRun({ passed: true, content: CODE }, CODE)).toBe(true);
+  expect(hasPassingRun({ passed: true, content: CODE }, `${CODE}\n`)).toBe(false);
+  expect(hasPassingRun({ passed: false, content: CODE }, CODE)).toBe(false);
+});
+
+test('sends the cases to the runner and marks each result', async () => {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({
+      entry: 'add',
+      passed: false,
+      passedCount: 1,
+      total: 2,
+      results: [
+        { passed: true, actual: '3', timeMs: 1, error: null },
+        { passed: false, actual: '5', timeMs: 1, error: null }
+      ]
+    })
+  }));
+  render(<Harness />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Add case' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Add case' }));
+  const inputs = screen.getAllByPlaceholderText('Input');
+  const expected = screen.getAllByPlaceholderText('Expected output');
+  fireEvent.change(inputs[0], { target: { value: '1\n2' } });
+  fireEvent.change(expected[0], { target: { value: '3' } });
+  fireEvent.change(inputs[1], { target: { value: '2\n3' } });
+  fireEvent.change(expected[1], { target: { value: '6' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Run tests' }));
+
+  expect(await screen.findByText('1/2 passed')).toBeInTheDocument();
+  expect(screen.getByText('Got: 5')).toBeInTheDocument();
+
+  const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(body).toEqual({
+    code: CODE,
+    cases: [{ input: '1\n2', expected: '3' }, { input: '2\n3', expected: '6' }],
+    mode: 'function',
+    language: 'javascript'
+  });
+});
+
+test('flags results as stale once the code changes', async () => {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({ passed: true, passedCount: 1, total: 1, results: [{ passed: true, timeMs: 1, error: null }] })
+  }));
+  const { rerender } = render(<Harness />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Add case' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Run tests' }));
+  await screen.findByText('1/1 passed');
+
+  rerender(<Harness code={`${CODE}\n// tweak`} />);
+  await waitFor(() => expect(screen.queryByText('1/1 passed')).not.toBeInTheDocument());
+  expect(screen.getByText('Code changed since the last run')).toBeInTheDocument();
+});
+
+test('explains when the file cannot be run', () => {
+  render(<Harness runnable={false} />);
+  expect(screen.getByText('Only JavaScript solutions can be run')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Run tests' })).not.toBeInTheDocument();
+});
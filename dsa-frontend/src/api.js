@@ -0,0 +1,82 @@
+export const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+
+// Health lives at the gateway root, not under /api
+export const HEALTH_URL = `${API_BASE.replace(/\/api\/?$/, '')}/health`;
+
+// Session token or API key, sent as a Bearer credential on every API call
+const TOKEN_KEY = 'dsa.authToken';
+const unauthorizedListeners = new Set();
+
+export const getAuthToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const setAuthToken = (token) => {
+  try {
+    if (token) {
+      localStorage.setItem(TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_KEY);
+    }
+  } catch (err) {
+    // Storage unavailable; the credential only lasts for this page
+  }
+};
+
+// Repository the gateway should target; null means its default
+const REPO_KEY = 'dsa.repo';
+
+export const getRepo = () => {
+  try {
+    return localStorage.getItem(REPO_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const setRepo = (repo) => {
+  try {
+    if (repo) {
+      localStorage.setItem(REPO_KEY, repo);
+    } else {
+      localStorage.removeItem(REPO_KEY);
+    }
+  } catch (err) {
+    // Storage unavailable; the choice only lasts for this page
+  }
+};
+
+// Called whenever the gateway answers 401 so the login screen can come back
+export const onUnauthorized = (listener) => {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+};
+
+// fetch() against API_BASE with the stored credential attached; path starts with '/'.
+// The selected repository goes along as ?repo= (options.repo overrides it).
+export const apiFetch = async (path, { repo = getRepo(), ...options } = {}) => {
+  const token = getAuthToken();
+  const headers = { ...options.headers };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const url = repo ? `${API_BASE}${path}${path.includes('?') ? '&' : '?'}repo=${encodeURIComponent(repo)}` : `${API_BASE}${path}`;
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401) {
+    unauthorizedListeners.forEach(listener => listener());
+  }
+  return res;
+};
+
+export const logout = async () => {
+  try {
+    await apiFetch('/logout', { method: 'POST' });
+  } catch (err) {
+    // Dropping the local token is what matters
+  }
+  setAuthToken(null);
+  unauthorizedListeners.forEach(listener => listener());
+};
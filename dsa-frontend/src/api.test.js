@@ -0,0 +1,66 @@
+import { apiFetch, getAuthToken, setAuthToken, getRepo, setRepo, onUnauthorized, logout, HEALTH_URL } from './api';
+
+const respond = (status) => ({ ok: status < 400, status, json: async () => ({}) });
+
+afterEach(() => {
+  window.localStorage.clear();
+  delete global.fetch;
+});
+
+test('health lives at the gateway root', () => {
+  expect(HEALTH_URL).toBe('http://localhost:4000/health');
+});
+
+test('apiFetch sends the stored credential as a Bearer token', async () => {
+  global.fetch = jest.fn(async () => respond(200));
+
+  await apiFetch('/folders');
+  expect(global.fetch.mock.calls[0][1].headers).toEqual({});
+
+  setAuthToken('abc');
+  await apiFetch('/create-file', { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+  expect(global.fetch).toHaveBeenLastCalledWith('http://localhost:4000/api/create-file', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer abc' }
+  });
+});
+
+test('notifies listeners on 401 and on logout', async () => {
+  global.fetch = jest.fn(async () => respond(401));
+  const listener = jest.fn();
+  const unsubscribe = onUnauthorized(listener);
+
+  await apiFetch('/folders');
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  setAuthToken('abc');
+  await logout();
+  expect(getAuthToken()).toBeNull();
+  expect(global.fetch).toHaveBeenLastCalledWith('http://localhost:4000/api/logout', expect.objectContaining({ method: 'POST' }));
+  expect(listener).toHaveBeenCalledTimes(3);
+
+  unsubscribe();
+  await apiFetch('/folders');
+  expect(listener).toHaveBeenCalledTimes(3);
+});
+
+test('apiFetch targets the selected repository unless told otherwise', async () => {
+  global.fetch = jest.fn(async () => respond(200));
+
+  setRepo('notes');
+  expect(getRepo()).toBe('notes');
+  await apiFetch('/folders');
+  await apiFetch('/solutions?q=two');
+  await apiFetch('/repos', { repo: null });
+  await apiFetch('/create-file', { repo: 'main', method: 'POST' });
+
+  expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+    'http://localhost:4000/api/folders?repo=notes',
+    'http://localhost:4000/api/solutions?q=two&repo=notes',
+    'http://localhost:4000/api/repos',
+    'http://localhost:4000/api/create-file?repo=main'
+  ]);
+
+  setRepo(null);
+  expect(getRepo()).toBeNull();
+});
@@ -0,0 +1,58 @@
+// Browser persistence for the editor: the autosaved workspace, named drafts,
+// the offline submission queue and editor preferences all live in localStorage.
+
+const AUTOSAVE_KEY = 'dsa.autosave';
+const DRAFTS_KEY = 'dsa.drafts';
+const QUEUE_KEY = 'dsa.queue';
+const PREFERENCES_KEY = 'dsa.preferences';
+
+const read = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // Storage full or disabled; drafts are best-effort
+  }
+};
+
+// Only what's needed to restore a tab; ids are reassigned on load
+const snapshotFiles = (files) => files.map(({ filename, content, tests }) => ({ filename, content, tests }));
+
+export const loadAutosave = () => read(AUTOSAVE_KEY, null);
+
+export const saveAutosave = ({ files, activeIndex, folderPath }) => {
+  write(AUTOSAVE_KEY, { files: snapshotFiles(files), activeIndex, folderPath, savedAt: Date.now() });
+};
+
+export const listDrafts = () => read(DRAFTS_KEY, []);
+
+// Saving under an existing name replaces that draft
+export const saveDraft = (name, { files, folderPath }) => {
+  const drafts = listDrafts().filter(d => d.name !== name);
+  const draft = { id: `${Date.now()}`, name, files: snapshotFiles(files), folderPath, savedAt: Date.now() };
+  const updated = [draft, ...drafts];
+  write(DRAFTS_KEY, updated);
+  return updated;
+};
+
+export const deleteDraft = (id) => {
+  const updated = listDrafts().filter(d => d.id !== id);
+  write(DRAFTS_KEY, updated);
+  return updated;
+};
+
+export const loadQueue = () => read(QUEUE_KEY, []);
+
+export const saveQueue = (queue) => write(QUEUE_KEY, queue);
+
+export const loadPreferences = () => read(PREFERENCES_KEY, {});
+
+export const savePreferences = (preferences) => write(PREFERENCES_KEY, preferences);
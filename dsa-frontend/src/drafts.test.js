@@ -0,0 +1,42 @@
+import { loadAutosave, saveAutosave, listDrafts, saveDraft, deleteDraft, loadQueue, saveQueue } from './drafts';
+
+const FILES = [{ id: 7, filename: 'LC_1_Two_Sum.py', content: 'print(1)' }];
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('autosave keeps only what is needed to restore the tabs', () => {
+  expect(loadAutosave()).toBeNull();
+
+  saveAutosave({ files: FILES, activeIndex: 0, folderPath: 'DS/Array' });
+  expect(loadAutosave()).toEqual({
+    files: [{ filename: 'LC_1_Two_Sum.py', content: 'print(1)' }],
+    activeIndex: 0,
+    folderPath: 'DS/Array',
+    savedAt: expect.any(Number)
+  });
+});
+
+test('saving a draft under an existing name replaces it', () => {
+  let now = 1000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now++);
+
+  saveDraft('two sum', { files: FILES, folderPath: 'DS/Array' });
+  saveDraft('other', { files: FILES, folderPath: 'DS/Array' });
+  const drafts = saveDraft('two sum', { files: [{ filename: 'b.py', content: 'b' }], folderPath: 'DS/Tree' });
+
+  expect(drafts.map(d => d.name)).toEqual(['two sum', 'other']);
+  expect(listDrafts()[0].folderPath).toBe('DS/Tree');
+
+  expect(deleteDraft(drafts[1].id).map(d => d.name)).toEqual(['two sum']);
+  Date.now.mockRestore();
+});
+
+test('falls back to defaults when stored data is unreadable', () => {
+  window.localStorage.setItem('dsa.drafts', '{not json');
+  expect(listDrafts()).toEqual([]);
+
+  saveQueue([{ id: 'a' }]);
+  expect(loadQueue()).toEqual([{ id: 'a' }]);
+});
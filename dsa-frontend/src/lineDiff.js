@@ -0,0 +1,51 @@
+// Line-based diff (LCS) for comparing the existing file with the new code.
+// Returns [{ type: 'same' | 'add' | 'remove', text, oldLine, newLine }].
+
+// Beyond this many cells the LCS table gets too big for the browser
+const MAX_DIFF_CELLS = 4000000;
+
+export function diffLines(oldText, newText) {
+  const a = oldText.replace(/\r\n/g, '\n').split('\n');
+  const b = newText.replace(/\r\n/g, '\n').split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text, i) => ({ type: 'remove', text, oldLine: i + 1, newLine: null })),
+      ...b.map((text, i) => ({ type: 'add', text, oldLine: null, newLine: i + 1 }))
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: 'remove', text: a[i], oldLine: i + 1, newLine: null });
+      i++;
+    } else {
+      lines.push({ type: 'add', text: b[j], oldLine: null, newLine: j + 1 });
+      j++;
+    }
+  }
+
+  return lines;
+}
+
+export function countChanges(lines) {
+  return {
+    added: lines.filter(l => l.type === 'add').length,
+    removed: lines.filter(l => l.type === 'remove').length
+  };
+}
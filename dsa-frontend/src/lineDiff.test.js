@@ -0,0 +1,25 @@
+import { diffLines, countChanges } from './lineDiff';
+
+test('marks removed and added lines with their line numbers', () => {
+  const lines = diffLines('a\nb\nc', 'a\nx\nc\nd');
+
+  expect(lines).toEqual([
+    { type: 'same', text: 'a', oldLine: 1, newLine: 1 },
+    { type: 'remove', text: 'b', oldLine: 2, newLine: null },
+    { type: 'add', text: 'x', oldLine: null, newLine: 2 },
+    { type: 'same', text: 'c', oldLine: 3, newLine: 3 },
+    { type: 'add', text: 'd', oldLine: null, newLine: 4 }
+  ]);
+  expect(countChanges(lines)).toEqual({ added: 2, removed: 1 });
+});
+
+test('ignores CRLF vs LF differences', () => {
+  expect(countChanges(diffLines('a\r\nb\r\n', 'a\nb\n'))).toEqual({ added: 0, removed: 0 });
+});
+
+test('falls back to remove-all/add-all for very large inputs', () => {
+  const big = Array.from({ length: 2001 }, (_, i) => `line ${i}`).join('\n');
+  const lines = diffLines(big, `${big}\nmore`);
+
+  expect(countChanges(lines)).toEqual({ added: 2002, removed: 2001 });
+});
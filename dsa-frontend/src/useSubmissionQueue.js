@@ -0,0 +1,125 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { apiFetch, HEALTH_URL } from './api';
+import { loadQueue, saveQueue } from './drafts';
+
+// Retry delays: 2s, 4s, 8s, ... capped at 5 minutes
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+const backoff = (attempts) => Math.min(BASE_DELAY_MS * 2 ** attempts, MAX_DELAY_MS);
+
+const isBackendReachable = async () => {
+  try {
+    const res = await fetch(HEALTH_URL);
+    return res.ok;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Failed submissions wait here and are replayed once /health answers again.
+// Items: { id, endpoint, body, label, repo, state: 'pending' | 'conflict' | 'failed', attempts, nextAttemptAt, lastError }
+// repo pins the item to the repository selected when it was queued
+export default function useSubmissionQueue(onSubmitted) {
+  const [queue, setQueue] = useState(loadQueue);
+  const [replaying, setReplaying] = useState(false);
+  const queueRef = useRef(queue);
+  const onSubmittedRef = useRef(onSubmitted);
+
+  useEffect(() => {
+    queueRef.current = queue;
+    saveQueue(queue);
+  }, [queue]);
+
+  useEffect(() => {
+    onSubmittedRef.current = onSubmitted;
+  }, [onSubmitted]);
+
+  const updateItem = (id, changes) => {
+    setQueue(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const enqueue = useCallback((endpoint, body, label, repo = null) => {
+    setQueue(prev => [...prev, {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      endpoint,
+      body,
+      label,
+      repo,
+      state: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now() + BASE_DELAY_MS,
+      lastError: 'Backend unreachable'
+    }]);
+  }, []);
+
+  const remove = useCallback((id) => {
+    setQueue(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const retryNow = useCallback((id) => {
+    updateItem(id, { state: 'pending', nextAttemptAt: Date.now() });
+  }, []);
+
+  const replayDue = useCallback(async () => {
+    const due = queueRef.current.filter(item => item.state === 'pending' && item.nextAttemptAt <= Date.now());
+    if (due.length === 0) return;
+
+    setReplaying(true);
+    const reachable = await isBackendReachable();
+
+    for (const item of due) {
+      if (!reachable) {
+        updateItem(item.id, { attempts: item.attempts + 1, nextAttemptAt: Date.now() + backoff(item.attempts + 1) });
+        continue;
+      }
+
+      try {
+        const res = await apiFetch(`/${item.endpoint}`, {
+          repo: item.repo,
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(item.body)
+        });
+        const data = await res.json();
+
+        if (res.status >= 500 || res.status === 401 || res.status === 429) {
+          // Server trouble, expired login or rate limit: try again later
+          updateItem(item.id, {
+            attempts: item.attempts + 1,
+            nextAttemptAt: Date.now() + backoff(item.attempts + 1),
+            lastError: res.status === 401 ? 'Sign in again to resume' : (data.error || `Server error (${res.status})`)
+          });
+        } else if (data.exists) {
+          // Conflicts need a human; leave it for the editor
+          updateItem(item.id, { state: 'conflict', lastError: 'Already exists in the repository' });
+        } else if (data.success) {
+          remove(item.id);
+          onSubmittedRef.current?.(item, data);
+        } else {
+          updateItem(item.id, { state: 'failed', lastError: data.error || data.message || 'Rejected by the backend' });
+        }
+      } catch (err) {
+        updateItem(item.id, {
+          attempts: item.attempts + 1,
+          nextAttemptAt: Date.now() + backoff(item.attempts + 1),
+          lastError: 'Backend unreachable'
+        });
+      }
+    }
+
+    setReplaying(false);
+  }, [remove]);
+
+  // Wake up when the earliest pending item is due
+  useEffect(() => {
+    const pending = queue.filter(item => item.state === 'pending');
+    if (pending.length === 0 || replaying) return;
+
+    const nextAt = Math.min(...pending.map(item => item.nextAttemptAt));
+    const timer = setTimeout(replayDue, Math.max(0, nextAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [queue, replaying, replayDue]);
+
+  return { queue, replaying, enqueue, remove, retryNow };
+}
@@ -0,0 +1,68 @@
+import { renderHook, act } from '@testing-library/react';
+import useSubmissionQueue from './useSubmissionQueue';
+
+const respond = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+// Let the replay's awaited fetches settle
+const flush = () => act(async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  window.localStorage.clear();
+  delete global.fetch;
+});
+
+test('replays a queued submission once the backend is healthy again', async () => {
+  global.fetch = jest.fn(async (url) => (url.endsWith('/health')
+    ? respond(200, { status: 'ok' })
+    : respond(200, { success: true, path: 'DS/Array/a.py' })));
+  const onSubmitted = jest.fn();
+  const { result } = renderHook(() => useSubmissionQueue(onSubmitted));
+
+  act(() => result.current.enqueue('create-file', { filename: 'a.py' }, 'DS/Array/a.py'));
+  expect(result.current.queue).toHaveLength(1);
+  expect(JSON.parse(window.localStorage.getItem('dsa.queue'))).toHaveLength(1);
+
+  await act(async () => {
+    jest.advanceTimersByTime(2000);
+  });
+  await flush();
+
+  expect(result.current.queue).toHaveLength(0);
+  expect(onSubmitted).toHaveBeenCalledWith(expect.objectContaining({ label: 'DS/Array/a.py' }), { success: true, path: 'DS/Array/a.py' });
+  expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toEqual({ filename: 'a.py' });
+});
+
+test('backs off while the backend is down and parks conflicts for review', async () => {
+  let healthy = false;
+  global.fetch = jest.fn(async (url) => {
+    if (url.endsWith('/health')) return respond(healthy ? 200 : 503, {});
+    return respond(200, { exists: true });
+  });
+  const { result } = renderHook(() => useSubmissionQueue());
+
+  act(() => result.current.enqueue('create-file', { filename: 'a.py' }, 'a.py'));
+  await act(async () => {
+    jest.advanceTimersByTime(2000);
+  });
+  await flush();
+
+  const [waiting] = result.current.queue;
+  expect(waiting.attempts).toBe(1);
+  expect(waiting.nextAttemptAt - Date.now()).toBe(4000);
+
+  healthy = true;
+  act(() => result.current.retryNow(waiting.id));
+  await act(async () => {
+    jest.advanceTimersByTime(0);
+  });
+  await flush();
+
+  expect(result.current.queue[0]).toMatchObject({ state: 'conflict', lastError: 'Already exists in the repository' });
+});
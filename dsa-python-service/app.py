@@ -1,22 +1,32 @@
-from flask import Flask, request, jsonify
-from flask_cors import CORS
+from flask import Flask, request, jsonify, g, has_request_context
 import requests
 import base64
+import hashlib
+import hmac
+import json
 import os
 import re
-from datetime import datetime
+import time
+import uuid
+from datetime import datetime, timezone
 from dotenv import load_dotenv
 
 load_dotenv()
 
 app = Flask(__name__)
-CORS(app)
 
 # GitHub configuration
 GITHUB_TOKEN = os.environ.get('GITHUB_TOKEN', '')  # Set via environment
 GITHUB_USER = os.environ.get('GITHUB_USER', 'sc-systems')  # Update this
 GITHUB_REPO = os.environ.get('GITHUB_REPO', 'dsa-journey')        # Update this
-GITHUB_API = f'https://api.github.com/repos/{GITHUB_USER}/{GITHUB_REPO}'
+# GitHub Enterprise: https://<host>/api/v3 (same GITHUB_API_URL as the gateway, so reads and writes hit one host)
+GITHUB_API_URL = os.environ.get('GITHUB_API_URL', 'https://api.github.com').rstrip('/')
+GITHUB_API = f'{GITHUB_API_URL}/repos/{GITHUB_USER}/{GITHUB_REPO}'
+
+# The gateway may target another repo per request ("owner/name"); ALLOWED_REPOS
+# limits which ones (comma-separated, empty = any repo the token can write to)
+REPO_PATTERN = re.compile(r'^[A-Za-z0-9_.-]+/[A-Za-z0-9_.-]+$')
+ALLOWED_REPOS = {r.strip() for r in os.environ.get('ALLOWED_REPOS', '').split(',') if r.strip()}
 
 HEADERS = {
     'Authorization': f'token {GITHUB_TOKEN}',
@@ -24,39 +34,106 @@ HEADERS = {
     'User-Agent': 'DSA-Automation-Service'
 }
 
-def get_file_sha(path):
+REQUEST_ID_PATTERN = re.compile(r'^[A-Za-z0-9._-]{1,128}$')
+
+# Same placeholders as the gateway's commitMessage.js
+DEFAULT_MESSAGE_TEMPLATE = 'Add {filename}'
+MESSAGE_PLACEHOLDER = re.compile(r'\{(filename|path|folder|count)\}')
+
+def log(level, message, **fields):
+    """One JSON object per line, tagged with the gateway's request ID"""
+    entry = {
+        'time': datetime.now(timezone.utc).isoformat(),
+        'level': level,
+        'message': message,
+        'requestId': g.get('request_id') if has_request_context() else None,
+        **fields
+    }
+    print(json.dumps(entry), flush=True)
+
+@app.before_request
+def assign_request_id():
+    """Reuse the X-Request-Id forwarded by the Node gateway, or mint one"""
+    incoming = request.headers.get('X-Request-Id', '')
+    g.request_id = incoming if REQUEST_ID_PATTERN.match(incoming) else str(uuid.uuid4())
+    g.started = time.monotonic()
+
+# Only the Node gateway should call this service (it holds the write token): it binds to
+# localhost unless HOST says otherwise, and with SERVICE_TOKEN set every request must carry
+# it in X-Service-Token (the gateway sends PYTHON_SERVICE_TOKEN)
+SERVICE_TOKEN = os.environ.get('SERVICE_TOKEN', '')
+
+@app.before_request
+def require_service_token():
+    """Reject callers that don't present the shared secret"""
+    if not SERVICE_TOKEN:
+        return None
+    presented = request.headers.get('X-Service-Token', '')
+    if not hmac.compare_digest(presented.encode(), SERVICE_TOKEN.encode()):
+        log('warning', 'Rejected request without a valid service token', path=request.path)
+        return jsonify({'error': 'Unauthorized'}), 401
+
+@app.before_request
+def select_repo():
+    """Pick the target repo from the request body's 'repo' field (default: GITHUB_USER/GITHUB_REPO)"""
+    data = request.get_json(silent=True) if request.method == 'POST' else None
+    repo = data.get('repo') if isinstance(data, dict) else None
+    if not repo or repo == f'{GITHUB_USER}/{GITHUB_REPO}':
+        return None
+    if not isinstance(repo, str) or not REPO_PATTERN.match(repo) or '..' in repo:
+        return jsonify({'error': 'Invalid repo'}), 400
+    if ALLOWED_REPOS and repo not in ALLOWED_REPOS:
+        return jsonify({'error': f'Repo not allowed: {repo}'}), 403
+    g.github_api = f'{GITHUB_API_URL}/repos/{repo}'
+
+def repo_api():
+    """GitHub API base URL for the repo this request targets"""
+    return g.get('github_api', GITHUB_API) if has_request_context() else GITHUB_API
+
+@app.after_request
+def log_request(response):
+    response.headers['X-Request-Id'] = g.request_id
+    log('error' if response.status_code >= 500 else 'info', 'request',
+        method=request.method,
+        path=request.path,
+        status=response.status_code,
+        durationMs=round((time.monotonic() - g.started) * 1000))
+    return response
+
+def get_file_sha(path, ref=None):
     """Check if file exists and return its SHA (for updating)"""
     try:
-        url = f'{GITHUB_API}/contents/{path}'
-        response = requests.get(url, headers=HEADERS)
+        url = f'{repo_api()}/contents/{path}'
+        response = requests.get(url, headers=HEADERS, params={'ref': ref} if ref else None)
         
         if response.status_code == 200:
             return response.json().get('sha')
         return None
     except Exception as e:
-        print(f"Error checking file: {e}")
+        log('error', 'Error checking file', path=path, error=str(e))
         return None
 
-def generate_versioned_filename(base_path, filename):
+def generate_versioned_filename(base_path, filename, reserved=None, ref=None):
     """Generate filename with version suffix (_v2, _v3, etc.)"""
     name, ext = os.path.splitext(filename)
     version = 2
+    reserved = reserved or set()
     
     while True:
         versioned_name = f"{name}_v{version}{ext}"
         versioned_path = f"{base_path}/{versioned_name}"
         
-        if not get_file_sha(versioned_path):
+        if versioned_path not in reserved and not get_file_sha(versioned_path, ref):
             return versioned_name
         
         version += 1
         if version > 100:  # Safety limit
             raise Exception("Too many versions")
 
-def create_or_update_file(path, content, message, sha=None):
-    """Create or update file on GitHub"""
+def create_or_update_file(path, content, message, sha=None, branch=None):
+    """Create or update file on GitHub (default branch unless one is given)"""
     try:
-        url = f'{GITHUB_API}/contents/{path}'
+        url = f'{repo_api()}/contents/{path}'
         
         # Encode content to base64
         content_bytes = content.encode('utf-8')
@@ -70,6 +147,8 @@ def create_or_update_file(path, content, message, sha=None):
         # Include SHA if updating existing file
         if sha:
             payload['sha'] = sha
+        if branch:
+            payload['branch'] = branch
         
         response = requests.put(url, json=payload, headers=HEADERS)
         
@@ -89,6 +168,132 @@ def create_or_update_file(path, content, message, sha=None):
             'error': str(e)
         }
 
+def blob_sha(content):
+    """Git blob SHA of text content (what the contents API reports for the file)"""
+    data = content.encode('utf-8')
+    return hashlib.sha1(b'blob %d\0' % len(data) + data).hexdigest()
+
+def valid_extra_files(extra_files):
+    """extraFiles must be a list of {path, content} strings"""
+    return isinstance(extra_files, list) and all(
+        isinstance(f, dict) and isinstance(f.get('path'), str) and f['path'] and
+        isinstance(f.get('content'), str) and '..' not in f['path']
+        for f in extra_files
+    )
+
+def get_default_branch():
+    """Return the repository's default branch name"""
+    response = requests.get(repo_api(), headers=HEADERS)
+    response.raise_for_status()
+    return response.json().get('default_branch', 'main')
+
+def get_branch_sha(branch):
+    """Head commit SHA of a branch, or None if it doesn't exist"""
+    response = requests.get(f'{repo_api()}/git/ref/heads/{branch}', headers=HEADERS)
+    if response.status_code == 404:
+        return None
+    response.raise_for_status()
+    return response.json()['object']['sha']
+
+def create_branch(filenames, base_branch):
+    """Create a proposal branch off base_branch, named after the first file"""
+    base_sha = get_branch_sha(base_branch)
+    stem = os.path.splitext(filenames[0])[0]
+    slug = re.sub(r'[^A-Za-z0-9._-]+', '-', stem).strip('-').lower() or 'solution'
+    name = f"dsa/{slug}-{datetime.now(timezone.utc).strftime('%Y%m%d%H%M%S')}"
+
+    response = requests.post(f'{repo_api()}/git/refs', json={
+        'ref': f'refs/heads/{name}',
+        'sha': base_sha
+    }, headers=HEADERS)
+    if response.status_code != 201:
+        raise Exception(response.json().get('message', 'Failed to create branch'))
+    return name
+
+def open_pull_request(head, base, message):
+    """Open a PR from head into base; the first message line is the title"""
+    title, _, body = message.partition('\n')
+    response = requests.post(f'{repo_api()}/pulls', json={
+        'title': title,
+        'head': head,
+        'base': base,
+        'body': body.strip() or 'Proposed from DSA Journey.'
+    }, headers=HEADERS)
+    if response.status_code != 201:
+        raise Exception(response.json().get('message', 'Failed to open pull request'))
+    pr = response.json()
+    return {'url': pr['html_url'], 'number': pr['number'], 'branch': head}
+
+def render_message(template, written):
+    """Fill {filename}, {path}, {folder} and {count} from the files actually written"""
+    paths = [w['path'] for w in written]
+    folders = list(dict.fromkeys(p.rsplit('/', 1)[0] for p in paths))
+    values = {
+        'filename': ', '.join(w['filename'] for w in written),
+        'path': ', '.join(paths),
+        'folder': ', '.join(folders),
+        'count': str(len(written))
+    }
+    return MESSAGE_PLACEHOLDER.sub(lambda m: values[m.group(1)], template)
+
+def resolve_target(data):
+    """(base branch, error response) for a write request's branch option; the gateway sends its
+    configured branch, and the repository's default branch is used when there is none"""
+    branch = data.get('branch')
+    if not branch:
+        return get_default_branch(), None
+    if not get_branch_sha(branch):
+        return None, (jsonify({'error': f'Unknown branch: {branch}'}), 400)
+    return branch, None
+
+def tree_entry(f):
+    """Git tree entry for a file write, or a removal when f has 'delete'"""
+    if f.get('delete'):
+        return {'path': f['path'], 'mode': '100644', 'type': 'blob', 'sha': None}
+    return {'path': f['path'], 'mode': '100644', 'type': 'blob', 'content': f['content']}
+
+def commit_files(files, message, branch=None):
+    """Commit several files to a branch (default branch if none) as a single commit (Git Data API).
+    Files are {path, content}, or {path, delete: True} to remove one."""
+    branch = branch or get_default_branch()
+
+    ref_response = requests.get(f'{repo_api()}/git/ref/heads/{branch}', headers=HEADERS)
+    ref_response.raise_for_status()
+    head_sha = ref_response.json()['object']['sha']
+
+    commit_response = requests.get(f'{repo_api()}/git/commits/{head_sha}', headers=HEADERS)
+    commit_response.raise_for_status()
+    base_tree = commit_response.json()['tree']['sha']
+
+    tree_response = requests.post(f'{repo_api()}/git/trees', json={
+        'base_tree': base_tree,
+        'tree': [tree_entry(f) for f in files]
+    }, headers=HEADERS)
+    tree_response.raise_for_status()
+
+    new_commit_response = requests.post(f'{repo_api()}/git/commits', json={
+        'message': message,
+        'tree': tree_response.json()['sha'],
+        'parents': [head_sha]
+    }, headers=HEADERS)
+    new_commit_response.raise_for_status()
+    new_commit_sha = new_commit_response.json()['sha']
+
+    # Fast-forward only: fails if someone pushed in the meantime
+    update_response = requests.patch(f'{repo_api()}/git/refs/heads/{branch}', json={
+        'sha': new_commit_sha
+    }, headers=HEADERS)
+    if update_response.status_code != 200:
+        raise Exception(update_response.json().get('message', 'Failed to update branch'))
+
+    return new_commit_sha
+
+def default_batch_message(filenames):
+    """Build a commit message for a batch of files"""
+    if len(filenames) == 1:
+        return f"Add {filenames[0]}"
+    return f"Add {len(filenames)} files: {', '.join(filenames)}"
+
 @app.route('/health', methods=['GET'])
 def health():
     """Health check endpoint"""
@@ -112,86 +317,311 @@ def create_file():
         filename = data.get('filename')
         content = data.get('content')
         action = data.get('action', 'check')
+        expected_sha = data.get('sha')  # SHA the user reviewed before overwriting
+        message_template = data.get('message') or DEFAULT_MESSAGE_TEMPLATE
+        pull_request = bool(data.get('pullRequest'))
+        extra_files = data.get('extraFiles') or []  # committed along with the file (README indexes)
         
         # Validate
         if not all([top_folder, sub_folder, filename, content]):
             return jsonify({'error': 'Missing required fields'}), 400
+        if not valid_extra_files(extra_files):
+            return jsonify({'error': 'Invalid extraFiles'}), 400
         
         # Construct path
         file_path = f"{top_folder}/{sub_folder}/{filename}"
         base_path = f"{top_folder}/{sub_folder}"
-        
-        # Check if file exists
-        existing_sha = get_file_sha(file_path)
-        
-        # ACTION: check - just report if exists
+
+        base_branch, error_response = resolve_target(data)
+        if error_response:
+            return error_response
+
+        # Check if file exists (on the branch we're writing to, or proposing against)
+        existing_sha = get_file_sha(file_path, base_branch)
+        update_sha = None
+
+        # ACTION: check - report if exists, otherwise create it
         if action == 'check':
             if existing_sha:
                 return jsonify({
                     'exists': True,
                     'path': file_path
                 })
-            else:
-                # File doesn't exist, create it
-                commit_msg = f"Add {filename}"
-                result = create_or_update_file(file_path, content, commit_msg)
-                
-                if result['success']:
-                    return jsonify({
-                        'success': True,
-                        'path': file_path,
-                        'sha': result['data']['content']['sha']
-                    })
-                else:
-                    return jsonify({'error': result['error']}), 500
-        
+            response = {'success': True, 'path': file_path}
+
         # ACTION: reject - do nothing
         elif action == 'reject':
             return jsonify({
                 'success': False,
                 'message': 'Operation cancelled by user'
             })
-        
+
         # ACTION: overwrite - replace existing file
         elif action == 'overwrite':
-            commit_msg = f"Add {filename}"
-            result = create_or_update_file(file_path, content, commit_msg, sha=existing_sha)
-            
-            if result['success']:
+            if expected_sha and existing_sha and existing_sha != expected_sha:
                 return jsonify({
-                    'success': True,
-                    'path': file_path,
-                    'overwritten': True
-                })
-            else:
-                return jsonify({'error': result['error']}), 500
-        
+                    'error': 'File changed since it was viewed',
+                    'conflict': True
+                }), 409
+            update_sha = existing_sha
+            response = {'success': True, 'path': file_path, 'overwritten': True}
+
         # ACTION: version - create new versioned file
         elif action == 'version':
-            try:
-                versioned_filename = generate_versioned_filename(base_path, filename)
-                versioned_path = f"{base_path}/{versioned_filename}"
-                
-                commit_msg = f"Add {versioned_filename}"
-                result = create_or_update_file(versioned_path, content, commit_msg)
-                
-                if result['success']:
-                    return jsonify({
-                        'success': True,
-                        'path': versioned_path,
-                        'versioned': True,
-                        'filename': versioned_filename
-                    })
-                else:
-                    return jsonify({'error': result['error']}), 500
-            except Exception as e:
-                return jsonify({'error': str(e)}), 500
-        
+            filename = generate_versioned_filename(base_path, filename, ref=base_branch)
+            file_path = f"{base_path}/{filename}"
+            response = {'success': True, 'path': file_path, 'versioned': True, 'filename': filename}
+
         else:
             return jsonify({'error': 'Invalid action'}), 400
-            
+
+        commit_msg = render_message(message_template, [{'filename': filename, 'path': file_path}])
+        target_branch = create_branch([filename], base_branch) if pull_request else base_branch
+
+        if extra_files:
+            # Several files in one commit need the Git Data API
+            files = [{'path': file_path, 'content': content}] + [
+                {'path': f['path'], 'content': f['content']} for f in extra_files
+            ]
+            response['commit'] = commit_files(files, commit_msg, branch=target_branch)
+            response['sha'] = blob_sha(content)
+        else:
+            result = create_or_update_file(file_path, content, commit_msg, sha=update_sha, branch=target_branch)
+            if not result['success']:
+                return jsonify({'error': result['error']}), 500
+            response['sha'] = result['data']['content']['sha']
+            response['commit'] = result['data']['commit']['sha']
+        response['branch'] = base_branch
+        if pull_request:
+            response['pullRequest'] = open_pull_request(target_branch, base_branch, commit_msg)
+
+        return jsonify(response)
+
+    except Exception as e:
+        log('error', 'Error in create_file', error=str(e))
+        return jsonify({'error': str(e)}), 500
+
+@app.route('/create-files', methods=['POST'])
+def create_files():
+    """Create/update several files in a single commit"""
+    try:
+        data = request.json
+        files = data.get('files') or []
+        message = data.get('message')
+        pull_request = bool(data.get('pullRequest'))
+        extra_files = data.get('extraFiles') or []  # committed along with the batch (README indexes)
+
+        if not files:
+            return jsonify({'error': 'No files provided'}), 400
+        if not valid_extra_files(extra_files):
+            return jsonify({'error': 'Invalid extraFiles'}), 400
+
+        base_branch, error_response = resolve_target(data)
+        if error_response:
+            return error_response
+
+        results = []
+        conflicts = []
+        to_commit = []
+        reserved_paths = set()
+
+        # Resolve each file against the repo before committing anything
+        for f in files:
+            top_folder = f.get('topFolder')
+            sub_folder = f.get('subFolder')
+            filename = f.get('filename')
+            content = f.get('content')
+            action = f.get('action', 'check')
+
+            if not all([top_folder, sub_folder, filename, content]):
+                return jsonify({'error': 'Missing required fields'}), 400
+
+            base_path = f"{top_folder}/{sub_folder}"
+            file_path = f"{base_path}/{filename}"
+
+            if file_path in reserved_paths:
+                return jsonify({'error': f'Duplicate path in batch: {file_path}'}), 400
+
+            existing_sha = get_file_sha(file_path, base_branch)
+
+            if action == 'reject':
+                results.append({'path': file_path, 'filename': filename, 'status': 'skipped'})
+                continue
+
+            if action == 'check':
+                if existing_sha:
+                    conflicts.append(file_path)
+                    results.append({'path': file_path, 'filename': filename, 'status': 'exists'})
+                    continue
+                status = 'created'
+            elif action == 'overwrite':
+                status = 'overwritten' if existing_sha else 'created'
+            elif action == 'version':
+                if existing_sha:
+                    # Skip versions already claimed by earlier files in this batch
+                    filename = generate_versioned_filename(base_path, filename, reserved_paths, ref=base_branch)
+                    file_path = f"{base_path}/{filename}"
+                    status = 'versioned'
+                else:
+                    status = 'created'
+            else:
+                return jsonify({'error': 'Invalid action'}), 400
+
+            reserved_paths.add(file_path)
+            to_commit.append({'path': file_path, 'content': content})
+            results.append({'path': file_path, 'filename': filename, 'status': status})
+
+        # Atomic: any unresolved conflict means nothing gets committed
+        if conflicts:
+            return jsonify({
+                'exists': True,
+                'conflicts': conflicts,
+                'results': results
+            })
+
+        if not to_commit:
+            return jsonify({
+                'success': False,
+                'message': 'Operation cancelled by user',
+                'results': results
+            })
+
+        written = [r for r in results if r['status'] != 'skipped']
+        commit_msg = render_message(message, written) if message else default_batch_message([r['filename'] for r in written])
+        target_branch = create_branch([r['filename'] for r in written], base_branch) if pull_request else base_branch
+        extras = [{'path': f['path'], 'content': f['content']} for f in extra_files]
+        commit_sha = commit_files(to_commit + extras, commit_msg, target_branch)
+
+        response = {
+            'success': True,
+            'commit': commit_sha,
+            'branch': base_branch,
+            'results': results
+        }
+        if pull_request:
+            response['pullRequest'] = open_pull_request(target_branch, base_branch, commit_msg)
+
+        return jsonify(response)
+
+    except Exception as e:
+        log('error', 'Error in create_files', error=str(e))
+        return jsonify({'error': str(e)}), 500
+
+@app.route('/create-folder', methods=['POST'])
+def create_folder():
+    """Create a folder by committing a README.md into it (git has no empty folders)"""
+    try:
+        data = request.json
+        folder_path = data.get('path')
+        content = data.get('content')
+
+        if not folder_path or not content:
+            return jsonify({'error': 'Missing required fields'}), 400
+
+        branch, error_response = resolve_target(data)
+        if error_response:
+            return error_response
+
+        readme_path = f"{folder_path}/README.md"
+        if get_file_sha(readme_path, branch):
+            return jsonify({'error': f'Folder already exists: {folder_path}'}), 409
+
+        result = create_or_update_file(readme_path, content, f"Create folder {folder_path}", branch=branch)
+
+        if result['success']:
+            return jsonify({
+                'success': True,
+                'path': folder_path
+            })
+        else:
+            return jsonify({'error': result['error']}), 500
+
     except Exception as e:
-        print(f"Error in create_file: {e}")
+        log('error', 'Error in create_folder', error=str(e))
+        return jsonify({'error': str(e)}), 500
+
+@app.route('/write-files', methods=['POST'])
+def write_files():
+    """Commit arbitrary paths to the target branch in one commit (index rebuilds)"""
+    try:
+        data = request.json
+        files = data.get('files')
+        message = data.get('message') or 'Update files'
+
+        if not files or not valid_extra_files(files):
+            return jsonify({'error': 'files must be a non-empty list of {path, content}'}), 400
+
+        branch, error_response = resolve_target(data)
+        if error_response:
+            return error_response
+
+        commit_sha = commit_files([{'path': f['path'], 'content': f['content']} for f in files], message, branch)
+        return jsonify({
+            'success': True,
+            'commit': commit_sha,
+            'paths': [f['path'] for f in files]
+        })
+
+    except Exception as e:
+        log('error', 'Error in write_files', error=str(e))
+        return jsonify({'error': str(e)}), 500
+
+@app.route('/delete-file', methods=['POST'])
+def delete_file():
+    """Delete a file on the target branch (used to revert a new version)"""
+    try:
+        data = request.json
+        file_path = data.get('path')
+        expected_sha = data.get('sha')
+        message = data.get('message') or f"Delete {os.path.basename(file_path or '')}"
+        extra_files = data.get('extraFiles') or []
+
+        if not file_path:
+            return jsonify({'error': 'Missing required fields'}), 400
+        if not valid_extra_files(extra_files):
+            return jsonify({'error': 'Invalid extraFiles'}), 400
+
+        branch, error_response = resolve_target(data)
+        if error_response:
+            return error_response
+
+        existing_sha = get_file_sha(file_path, branch)
+        if not existing_sha:
+            return jsonify({'error': f'File not found: {file_path}'}), 404
+        if expected_sha and existing_sha != expected_sha:
+            return jsonify({
+                'error': 'File changed since it was viewed',
+                'conflict': True
+            }), 409
+
+        # Extra files (e.g. README indexes) need the deletion and the writes in one commit
+        if extra_files:
+            commit_sha = commit_files([{'path': file_path, 'delete': True}] + extra_files, message, branch)
+            return jsonify({
+                'success': True,
+                'path': file_path,
+                'deleted': True,
+                'commit': commit_sha
+            })
+
+        response = requests.delete(f'{repo_api()}/contents/{file_path}', json={
+            'message': message,
+            'sha': existing_sha,
+            'branch': branch
+        }, headers=HEADERS)
+
+        if response.status_code != 200:
+            return jsonify({'error': response.json().get('message', 'GitHub API error')}), 500
+
+        return jsonify({
+            'success': True,
+            'path': file_path,
+            'deleted': True,
+            'commit': response.json().get('commit', {}).get('sha')
+        })
+
+    except Exception as e:
+        log('error', 'Error in delete_file', error=str(e))
         return jsonify({'error': str(e)}), 500
 
 if __name__ == '__main__':
@@ -200,8 +630,14 @@ if __name__ == '__main__':
         print("⚠️  WARNING: GitHub token not configured!")
         print("Set GITHUB_TOKEN environment variable or update app.py")
     
-    print(f"🐍 Python Automation Service starting on http://localhost:5000")
-    print(f"📁 Target repo: {GITHUB_USER}/{GITHUB_REPO}")
+    print(f"🐍 Python Automation Service starting on http://{os.environ.get('HOST', '127.0.0.1')}:{os.environ.get('PORT', 5000)}")
+    print(f"📁 Default repo: {GITHUB_USER}/{GITHUB_REPO}")
+    print(f"🌐 GitHub API: {GITHUB_API_URL}")
+    print(f"📚 Other repos: {', '.join(sorted(ALLOWED_REPOS)) if ALLOWED_REPOS else 'any the token can write to'}")
     
+    if not SERVICE_TOKEN:
+        print("⚠️  WARNING: SERVICE_TOKEN not set; any local process can write through this service")
+
     port = int(os.environ.get('PORT', 5000))
-    app.run(host='0.0.0.0', port=port, debug=False)
\ No newline at end of file
+    host = os.environ.get('HOST', '127.0.0.1')
+    app.run(host=host, port=port, debug=False)
\ No newline at end of file